@@ -0,0 +1,243 @@
+// Choropleth classification shared by server.js and scripts/import-data.js. A scheme names an
+// attribute, a method and a palette; classify() turns it plus the attribute's values into class
+// breaks, one colour per class and a legend. The UI only ever sees the classified result.
+
+const NO_DATA_COLOR = '#cccccc';
+
+const METHODS = ['equal_interval', 'quantile', 'jenks', 'manual'];
+const MIN_CLASSES = 2;
+const MAX_CLASSES = 9;
+
+// Nine-class ramps, light/low to dark/high. ColorBrewer palettes by Cynthia Brewer (colorbrewer2.org).
+const PALETTES = {
+    atlas: {
+        label: 'Atlas orange–green',
+        colors: ['#EE8800', '#DDAA00', '#CCCC00', '#AAAA00', '#88EE88', '#66DD66', '#44CC44', '#22BB22', '#00AA00']
+    },
+    Greens: {
+        label: 'Greens',
+        colors: ['#f7fcf5', '#e5f5e0', '#c7e9c0', '#a1d99b', '#74c476', '#41ab5d', '#238b45', '#006d2c', '#00441b']
+    },
+    Blues: {
+        label: 'Blues',
+        colors: ['#f7fbff', '#deebf7', '#c6dbef', '#9ecae1', '#6baed6', '#4292c6', '#2171b5', '#08519c', '#08306b']
+    },
+    Reds: {
+        label: 'Reds',
+        colors: ['#fff5f0', '#fee0d2', '#fcbba1', '#fc9272', '#fb6a4a', '#ef3b2c', '#cb181d', '#a50f15', '#67000d']
+    },
+    Purples: {
+        label: 'Purples',
+        colors: ['#fcfbfd', '#efedf5', '#dadaeb', '#bcbddc', '#9e9ac8', '#807dba', '#6a51a3', '#54278f', '#3f007d']
+    },
+    YlGn: {
+        label: 'Yellow–green',
+        colors: ['#ffffe5', '#f7fcb9', '#d9f0a3', '#addd8e', '#78c679', '#41ab5d', '#238443', '#006837', '#004529']
+    },
+    YlOrRd: {
+        label: 'Yellow–orange–red',
+        colors: ['#ffffcc', '#ffeda0', '#fed976', '#feb24c', '#fd8d3c', '#fc4e2a', '#e31a1c', '#bd0026', '#800026']
+    },
+    YlGnBu: {
+        label: 'Yellow–green–blue',
+        colors: ['#ffffd9', '#edf8b1', '#c7e9b4', '#7fcdbb', '#41b6c4', '#1d91c0', '#225ea8', '#253494', '#081d58']
+    },
+    RdYlGn: {
+        label: 'Red–yellow–green (diverging)',
+        colors: ['#d73027', '#f46d43', '#fdae61', '#fee08b', '#ffffbf', '#d9ef8b', '#a6d96a', '#66bd63', '#1a9850']
+    },
+    RdBu: {
+        label: 'Red–blue (diverging)',
+        colors: ['#b2182b', '#d6604d', '#f4a582', '#fddbc7', '#f7f7f7', '#d1e5f0', '#92c5de', '#4393c3', '#2166ac']
+    },
+    Spectral: {
+        label: 'Spectral (diverging)',
+        colors: ['#d53e4f', '#f46d43', '#fdae61', '#fee08b', '#ffffbf', '#e6f598', '#abdda4', '#66c2a5', '#3288bd']
+    }
+};
+
+// The thresholds the voting layer has always used: class lower bounds 0, 5, 10, 15, 20, 30, 40, 50, 60
+const DEFAULT_SCHEME = {
+    attribute: 'index_value',
+    method: 'manual',
+    breaks: [5, 10, 15, 20, 30, 40, 50, 60],
+    palette: 'atlas'
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Colours for `count` classes, spread evenly over the nine-class ramp
+const paletteColors = (palette, count) => {
+    const { colors } = PALETTES[palette];
+    if (count === 1) return [colors[colors.length - 1]];
+    return Array.from({ length: count }, (_, i) => colors[Math.round(i * (colors.length - 1) / (count - 1))]);
+};
+
+// Breaks are the inner class boundaries, ascending: class i holds values >= breaks[i - 1] and < breaks[i]
+const equalIntervalBreaks = (sorted, classes) => {
+    const min = sorted[0];
+    const step = (sorted[sorted.length - 1] - min) / classes;
+    return Array.from({ length: classes - 1 }, (_, i) => min + step * (i + 1));
+};
+
+const quantileBreaks = (sorted, classes) => (
+    Array.from({ length: classes - 1 }, (_, i) => sorted[Math.floor((i + 1) * sorted.length / classes)])
+);
+
+// Jenks natural breaks (Fisher's exact optimisation): minimises the summed squared deviation
+// within classes. O(classes · n²), fine for the few thousand communes a layer has.
+const jenksBreaks = (sorted, classes) => {
+    const n = sorted.length;
+    const lowerClassLimits = Array.from({ length: n + 1 }, () => new Array(classes + 1).fill(0));
+    const variance = Array.from({ length: n + 1 }, () => new Array(classes + 1).fill(Infinity));
+    for (let j = 1; j <= classes; j++) {
+        lowerClassLimits[1][j] = 1;
+        variance[1][j] = 0;
+    }
+
+    for (let l = 2; l <= n; l++) {
+        let sum = 0;
+        let sumSquares = 0;
+        let w = 0;
+        let v = 0;
+        for (let m = 1; m <= l; m++) {
+            const lowerLimit = l - m + 1;
+            const value = sorted[lowerLimit - 1];
+            w++;
+            sum += value;
+            sumSquares += value * value;
+            v = sumSquares - (sum * sum) / w;
+            if (lowerLimit > 1) {
+                for (let j = 2; j <= classes; j++) {
+                    if (variance[l][j] >= v + variance[lowerLimit - 1][j - 1]) {
+                        lowerClassLimits[l][j] = lowerLimit;
+                        variance[l][j] = v + variance[lowerLimit - 1][j - 1];
+                    }
+                }
+            }
+        }
+        lowerClassLimits[l][1] = 1;
+        variance[l][1] = v;
+    }
+
+    const breaks = [];
+    let k = n;
+    for (let j = classes; j >= 2; j--) {
+        const lowerLimit = lowerClassLimits[k][j];
+        breaks.unshift(sorted[lowerLimit - 1]);
+        k = lowerLimit - 1;
+    }
+    return breaks;
+};
+
+const BREAK_METHODS = { equal_interval: equalIntervalBreaks, quantile: quantileBreaks, jenks: jenksBreaks };
+
+// Checks a scheme before it is used or stored; returns a list of problems (empty when valid)
+const validateScheme = (scheme, attributes) => {
+    const problems = [];
+    if (!attributes.includes(scheme.attribute)) {
+        problems.push(`attribute must be one of: ${attributes.join(', ')}`);
+    }
+    if (!METHODS.includes(scheme.method)) {
+        problems.push(`method must be one of: ${METHODS.join(', ')}`);
+    }
+    if (!PALETTES[scheme.palette]) {
+        problems.push(`palette must be one of: ${Object.keys(PALETTES).join(', ')}`);
+    }
+    if (scheme.method === 'manual') {
+        const { breaks } = scheme;
+        if (!Array.isArray(breaks) || breaks.length < MIN_CLASSES - 1 || breaks.length > MAX_CLASSES - 1
+            || !breaks.every(Number.isFinite) || breaks.some((value, i) => i > 0 && value <= breaks[i - 1])) {
+            problems.push(`breaks must be ${MIN_CLASSES - 1} to ${MAX_CLASSES - 1} ascending numbers`);
+        }
+    } else if (!Number.isInteger(scheme.classes) || scheme.classes < MIN_CLASSES || scheme.classes > MAX_CLASSES) {
+        problems.push(`classes must be a whole number from ${MIN_CLASSES} to ${MAX_CLASSES}`);
+    }
+    return problems;
+};
+
+const classIndex = (value, breaks) => {
+    let index = 0;
+    while (index < breaks.length && value >= breaks[index]) index++;
+    return index;
+};
+
+// Classifies `values` (nulls are no-data) with a validated scheme.
+// Data-driven methods may return fewer classes than asked for when values repeat.
+const classify = (values, scheme) => {
+    const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+    let breaks;
+    if (scheme.method === 'manual') {
+        breaks = scheme.breaks;
+    } else if (sorted.length === 0) {
+        breaks = [];
+    } else {
+        const classes = Math.min(scheme.classes, sorted.length);
+        breaks = BREAK_METHODS[scheme.method](sorted, classes).map(round);
+        breaks = breaks.filter((value, i) => value > sorted[0] && (i === 0 || value > breaks[i - 1]));
+    }
+
+    const colors = paletteColors(scheme.palette, breaks.length + 1);
+    const counts = new Array(colors.length).fill(0);
+    sorted.forEach(value => { counts[classIndex(value, breaks)]++; });
+
+    const min = sorted.length > 0 ? round(sorted[0]) : null;
+    const max = sorted.length > 0 ? round(sorted[sorted.length - 1]) : null;
+    const legend = colors.map((color, i) => {
+        const from = i === 0 ? min : breaks[i - 1];
+        const to = i === breaks.length ? max : breaks[i];
+        let label;
+        if (i === 0) label = `< ${breaks[0] ?? '–'}`;
+        if (i === breaks.length) label = breaks.length > 0 ? `≥ ${breaks[i - 1]}` : 'All values';
+        if (i > 0 && i < breaks.length) label = `${breaks[i - 1]} – ${breaks[i]}`;
+        return { color, from, to, label, count: counts[i] };
+    });
+
+    return {
+        ...scheme,
+        breaks,
+        colors,
+        no_data_color: NO_DATA_COLOR,
+        min,
+        max,
+        legend
+    };
+};
+
+// Manual scheme for signed values such as a swing: `classes` equal classes over ±range, so with
+// an odd count the middle class straddles 0 and takes a diverging palette's neutral colour
+const divergingScheme = (attribute, range, palette = 'RdBu', classes = MAX_CLASSES) => ({
+    attribute,
+    method: 'manual',
+    palette,
+    breaks: Array.from({ length: classes - 1 }, (_, i) => round(-range + (i + 1) * 2 * range / classes))
+});
+
+// Colour of one value under a classify() result
+const classColor = (value, classification) => (
+    value === null || value === undefined || !Number.isFinite(Number(value))
+        ? classification.no_data_color
+        : classification.colors[classIndex(Number(value), classification.breaks)]
+);
+
+// The same lookup as a SQL CASE over `expression`; breaks are numbers from classify(), never user text
+const classColorSql = (expression, classification) => {
+    const { breaks, colors } = classification;
+    const whens = breaks.map((_, i) => breaks.length - 1 - i)
+        .map(i => `WHEN ${expression} >= ${Number(breaks[i])} THEN '${colors[i + 1]}'`);
+    return `CASE WHEN ${expression} IS NULL THEN '${classification.no_data_color}' ${whens.join(' ')} ELSE '${colors[0]}' END`;
+};
+
+module.exports = {
+    NO_DATA_COLOR,
+    METHODS,
+    MIN_CLASSES,
+    MAX_CLASSES,
+    PALETTES,
+    DEFAULT_SCHEME,
+    validateScheme,
+    divergingScheme,
+    classify,
+    classColor,
+    classColorSql
+};
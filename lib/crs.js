@@ -0,0 +1,197 @@
+// Coordinate reference systems the importer accepts, and how a source names one: a shapefile's
+// .prj (ESRI or OGC WKT), a legacy GeoJSON "crs" member, or an explicit code for CSV/XLSX columns.
+// Anything not listed here is refused rather than guessed.
+
+const proj4 = require('proj4');
+
+// Seven-parameter MGI → WGS84 shift published by BEV, used for every MGI system
+const MGI_TOWGS84 = '+ellps=bessel +towgs84=577.326,90.129,463.919,5.137,1.474,5.297,2.4232';
+
+// Ferro systems count longitude from the Ferro meridian, 17°40' west of Greenwich
+const mgiGaussKrueger = (lon0, x0, y0, primeMeridian = null) =>
+    `+proj=tmerc +lat_0=0 +lon_0=${lon0} +k=1 +x_0=${x0} +y_0=${y0} ${MGI_TOWGS84}${primeMeridian ? ` +pm=${primeMeridian}` : ''} +units=m +no_defs`;
+
+// Each entry lists the normalised names it goes by in ESRI and OGC WKT (see normaliseName)
+const CRS_DEFINITIONS = {
+    'EPSG:4326': {
+        name: 'WGS 84',
+        proj4: '+proj=longlat +datum=WGS84 +no_defs',
+        aliases: ['gcswgs1984', 'wgs84', 'wgs1984']
+    },
+    'EPSG:4258': {
+        name: 'ETRS89',
+        proj4: '+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs',
+        aliases: ['gcsetrs1989', 'etrs89', 'etrs1989']
+    },
+    'EPSG:4312': {
+        name: 'MGI',
+        proj4: `+proj=longlat ${MGI_TOWGS84} +no_defs`,
+        aliases: ['gcsmgi', 'mgi']
+    },
+    'EPSG:31251': {
+        name: 'MGI (Ferro) / Austria GK West Zone',
+        proj4: mgiGaussKrueger(28, 0, -5000000, 'ferro'),
+        aliases: ['mgiferroaustriagkwestzone', 'mgiferroaustriagkwest']
+    },
+    'EPSG:31252': {
+        name: 'MGI (Ferro) / Austria GK Central Zone',
+        proj4: mgiGaussKrueger(31, 0, -5000000, 'ferro'),
+        aliases: ['mgiferroaustriagkcentralzone', 'mgiferroaustriagkcentral']
+    },
+    'EPSG:31253': {
+        name: 'MGI (Ferro) / Austria GK East Zone',
+        proj4: mgiGaussKrueger(34, 0, -5000000, 'ferro'),
+        aliases: ['mgiferroaustriagkeastzone', 'mgiferroaustriagkeast']
+    },
+    'EPSG:31254': {
+        name: 'MGI / Austria GK West',
+        proj4: mgiGaussKrueger('10.33333333333333', 0, -5000000),
+        aliases: ['mgiaustriagkwest']
+    },
+    'EPSG:31255': {
+        name: 'MGI / Austria GK Central',
+        proj4: mgiGaussKrueger('13.33333333333333', 0, -5000000),
+        aliases: ['mgiaustriagkcentral']
+    },
+    'EPSG:31256': {
+        name: 'MGI / Austria GK East',
+        proj4: mgiGaussKrueger('16.33333333333333', 0, -5000000),
+        aliases: ['mgiaustriagkeast']
+    },
+    'EPSG:31257': {
+        name: 'MGI / Austria GK M28',
+        proj4: mgiGaussKrueger('10.33333333333333', 150000, -5000000),
+        aliases: ['mgiaustriagkm28']
+    },
+    'EPSG:31258': {
+        name: 'MGI / Austria GK M31',
+        proj4: mgiGaussKrueger('13.33333333333333', 450000, -5000000),
+        aliases: ['mgiaustriagkm31']
+    },
+    'EPSG:31259': {
+        name: 'MGI / Austria GK M34',
+        proj4: mgiGaussKrueger('16.33333333333333', 750000, -5000000),
+        aliases: ['mgiaustriagkm34']
+    },
+    'EPSG:31281': {
+        name: 'MGI (Ferro) / Austria West Zone',
+        proj4: mgiGaussKrueger(28, 0, 0, 'ferro'),
+        aliases: ['mgiferroaustriawestzone', 'mgiferroaustriawest']
+    },
+    'EPSG:31282': {
+        name: 'MGI (Ferro) / Austria Central Zone',
+        proj4: mgiGaussKrueger(31, 0, 0, 'ferro'),
+        aliases: ['mgiferroaustriacentralzone', 'mgiferroaustriacentral']
+    },
+    'EPSG:31283': {
+        name: 'MGI (Ferro) / Austria East Zone',
+        proj4: mgiGaussKrueger(34, 0, 0, 'ferro'),
+        aliases: ['mgiferroaustriaeastzone', 'mgiferroaustriaeast']
+    },
+    'EPSG:31284': {
+        name: 'MGI / Austria M28',
+        proj4: mgiGaussKrueger('10.33333333333333', 150000, 0),
+        aliases: ['mgiaustriam28']
+    },
+    'EPSG:31285': {
+        name: 'MGI / Austria M31',
+        proj4: mgiGaussKrueger('13.33333333333333', 450000, 0),
+        aliases: ['mgiaustriam31']
+    },
+    'EPSG:31286': {
+        name: 'MGI / Austria M34',
+        proj4: mgiGaussKrueger('16.33333333333333', 750000, 0),
+        aliases: ['mgiaustriam34']
+    },
+    'EPSG:31287': {
+        name: 'MGI / Austria Lambert',
+        proj4: `+proj=lcc +lat_1=49 +lat_2=46 +lat_0=47.5 +lon_0=13.33333333333333 +x_0=400000 +y_0=400000 ${MGI_TOWGS84} +units=m +no_defs`,
+        aliases: ['mgiaustrialambert']
+    },
+    'EPSG:3416': {
+        name: 'ETRS89 / Austria Lambert',
+        proj4: '+proj=lcc +lat_1=49 +lat_2=46 +lat_0=47.5 +lon_0=13.33333333333333 +x_0=400000 +y_0=400000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+        aliases: ['etrs89austrialambert', 'etrs1989austrialambert']
+    },
+    'EPSG:3035': {
+        name: 'ETRS89 / LAEA Europe',
+        proj4: '+proj=laea +lat_0=52 +lon_0=10 +x_0=4321000 +y_0=3210000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+        aliases: ['etrs89laeaeurope', 'etrs89extendedlaeaeurope', 'etrs1989laea', 'etrs1989laeaeurope']
+    },
+    'EPSG:25832': {
+        name: 'ETRS89 / UTM zone 32N',
+        proj4: '+proj=utm +zone=32 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+        aliases: ['etrs89utmzone32n', 'etrs1989utmzone32n']
+    },
+    'EPSG:25833': {
+        name: 'ETRS89 / UTM zone 33N',
+        proj4: '+proj=utm +zone=33 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+        aliases: ['etrs89utmzone33n', 'etrs1989utmzone33n']
+    },
+    'EPSG:32632': {
+        name: 'WGS 84 / UTM zone 32N',
+        proj4: '+proj=utm +zone=32 +datum=WGS84 +units=m +no_defs',
+        aliases: ['wgs84utmzone32n', 'wgs1984utmzone32n']
+    },
+    'EPSG:32633': {
+        name: 'WGS 84 / UTM zone 33N',
+        proj4: '+proj=utm +zone=33 +datum=WGS84 +units=m +no_defs',
+        aliases: ['wgs84utmzone33n', 'wgs1984utmzone33n']
+    },
+    'EPSG:3857': {
+        name: 'WGS 84 / Pseudo-Mercator',
+        proj4: '+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +no_defs',
+        aliases: ['wgs84pseudomercator', 'wgs1984webmercatorauxiliarysphere', 'wgs1984webmercator']
+    }
+};
+
+const WGS84 = 'EPSG:4326';
+
+// "MGI / Austria GK Central" and "MGI_Austria_GK_Central" both become "mgiaustriagkcentral"
+const normaliseName = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// "EPSG:31255", "epsg:31255", "31255" or "urn:ogc:def:crs:EPSG::31255" -> "EPSG:31255", or null
+// when the code is not one of ours. OGC:CRS84 is plain WGS84 with the axes GeoJSON uses anyway.
+const resolveCrsCode = (value) => {
+    const text = String(value || '').trim();
+    if (/^urn:ogc:def:crs:ogc:.*crs84$/i.test(text) || /^crs84$/i.test(text)) return WGS84;
+    const match = text.match(/^(?:urn:ogc:def:crs:)?(?:epsg:+)?(?:[\d.]*:)?(\d+)$/i);
+    const code = match ? `EPSG:${match[1]}` : null;
+    return code && CRS_DEFINITIONS[code] ? code : null;
+};
+
+// Code of the CRS a WKT string describes. The root AUTHORITY of OGC WKT (ID in WKT2) wins; ESRI
+// WKT carries none, so its PROJCS (or GEOGCS) name is looked up instead. Throws when neither is known.
+const crsFromWkt = (wkt) => {
+    const text = String(wkt || '').trim();
+    if (!text) throw new Error('The .prj file is empty');
+
+    const authority = text.match(/\b(?:AUTHORITY|ID)\["EPSG",\s*"?(\d+)"?(?:\s*,\s*[^[\]]*)?\]\]\s*$/i);
+    if (authority && CRS_DEFINITIONS[`EPSG:${authority[1]}`]) return `EPSG:${authority[1]}`;
+
+    const rootName = text.match(/^(?:PROJCS|GEOGCS|PROJCRS|GEOGCRS|GEODCRS)\["([^"]+)"/i);
+    const name = rootName ? normaliseName(rootName[1]) : '';
+    const code = Object.keys(CRS_DEFINITIONS).find(key => CRS_DEFINITIONS[key].aliases.includes(name));
+    if (!code) {
+        throw new Error(`Unknown coordinate reference system "${rootName ? rootName[1] : text.slice(0, 60)}"; `
+            + `supported are ${Object.keys(CRS_DEFINITIONS).join(', ')}`);
+    }
+    return code;
+};
+
+const converters = {};
+
+// Projects one [x, y] position from `code` to WGS84 longitude/latitude
+const toWgs84 = (code, position) => {
+    if (code === WGS84) return position;
+    if (!converters[code]) converters[code] = proj4(CRS_DEFINITIONS[code].proj4, CRS_DEFINITIONS[WGS84].proj4);
+    return converters[code].forward(position);
+};
+
+module.exports = {
+    CRS_DEFINITIONS,
+    WGS84,
+    resolveCrsCode,
+    crsFromWkt,
+    toWgs84
+};
@@ -0,0 +1,31 @@
+// Election figures server.js derives from per-commune result rows, kept apart from the routes so
+// the comparison between two elections can be checked without a database.
+
+// Totals of one party over the communes of an election. Rows carry votes and valid_votes, and
+// with a comparison election the swing in percentage points (null where the party did not run
+// in both). Folded in one pass: a country has thousands of communes.
+const communeSummary = (rows) => {
+    let votes = 0;
+    let validVotes = 0;
+    let minSwing = null;
+    let maxSwing = null;
+    for (const row of rows) {
+        votes += row.votes || 0;
+        validVotes += row.valid_votes || 0;
+        if (row.swing === null || row.swing === undefined) continue;
+        if (minSwing === null || row.swing < minSwing) minSwing = row.swing;
+        if (maxSwing === null || row.swing > maxSwing) maxSwing = row.swing;
+    }
+
+    return {
+        communes: rows.length,
+        votes,
+        percent: validVotes > 0 ? Math.round(votes / validVotes * 10000) / 100 : null,
+        min_swing: minSwing,
+        max_swing: maxSwing
+    };
+};
+
+module.exports = {
+    communeSummary
+};
@@ -0,0 +1,344 @@
+// Layer export writers: Shapefile, GeoPackage and KML built from rows queried in server.js.
+// Every writer takes the field list as [{ name, type }] with JSON Schema types
+// (string, integer, number, boolean) and rows keyed by those field names.
+
+const Database = require('better-sqlite3');
+
+const WGS84_ESRI_WKT = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],'
+    + 'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+const WGS84_OGC_WKT = 'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563,AUTHORITY["EPSG","7030"]],'
+    + 'AUTHORITY["EPSG","6326"]],PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],'
+    + 'UNIT["degree",0.0174532925199433,AUTHORITY["EPSG","9122"]],AUTHORITY["EPSG","4326"]]';
+
+// ========================================
+// SHAPEFILE
+// ========================================
+
+const SHAPE_TYPES = { point: 1, line: 3, polygon: 5 };
+
+// Flattens a GeoJSON geometry into shapefile parts (rings or line strings)
+const shapeParts = (geometry) => {
+    if (!geometry) return [];
+    switch (geometry.type) {
+        case 'Point': return [[geometry.coordinates]];
+        case 'MultiPoint': return [geometry.coordinates.slice(0, 1)];
+        case 'LineString': return [geometry.coordinates];
+        case 'MultiLineString': return geometry.coordinates;
+        case 'Polygon': return geometry.coordinates;
+        case 'MultiPolygon': return geometry.coordinates.flat();
+        default: return [];
+    }
+};
+
+// Folded in a loop: spreading a large geometry's coordinates into Math.min/max overflows the stack
+const extendBbox = (bbox, [minX, minY, maxX, maxY]) => [
+    Math.min(bbox[0], minX), Math.min(bbox[1], minY),
+    Math.max(bbox[2], maxX), Math.max(bbox[3], maxY)
+];
+
+const partsBbox = (parts) => parts.flat()
+    .reduce((bbox, [x, y]) => extendBbox(bbox, [x, y, x, y]), [Infinity, Infinity, -Infinity, -Infinity]);
+
+const shapeContent = (shapeType, parts) => {
+    if (parts.length === 0 || parts.every(part => part.length === 0)) {
+        const empty = Buffer.alloc(4);
+        empty.writeInt32LE(0, 0);
+        return { content: empty, bbox: null };
+    }
+
+    if (shapeType === SHAPE_TYPES.point) {
+        const [x, y] = parts[0][0];
+        const content = Buffer.alloc(20);
+        content.writeInt32LE(shapeType, 0);
+        content.writeDoubleLE(x, 4);
+        content.writeDoubleLE(y, 12);
+        return { content, bbox: [x, y, x, y] };
+    }
+
+    const points = parts.flat();
+    const bbox = partsBbox(parts);
+    const content = Buffer.alloc(44 + 4 * parts.length + 16 * points.length);
+    content.writeInt32LE(shapeType, 0);
+    bbox.forEach((value, i) => content.writeDoubleLE(value, 4 + i * 8));
+    content.writeInt32LE(parts.length, 36);
+    content.writeInt32LE(points.length, 40);
+
+    let pointIndex = 0;
+    parts.forEach((part, i) => {
+        content.writeInt32LE(pointIndex, 44 + i * 4);
+        pointIndex += part.length;
+    });
+    const pointsOffset = 44 + 4 * parts.length;
+    points.forEach(([x, y], i) => {
+        content.writeDoubleLE(x, pointsOffset + i * 16);
+        content.writeDoubleLE(y, pointsOffset + i * 16 + 8);
+    });
+    return { content, bbox };
+};
+
+const shapeFileHeader = (shapeType, fileLengthBytes, bbox) => {
+    const header = Buffer.alloc(100);
+    header.writeInt32BE(9994, 0);
+    header.writeInt32BE(fileLengthBytes / 2, 24);
+    header.writeInt32LE(1000, 28);
+    header.writeInt32LE(shapeType, 32);
+    (bbox || [0, 0, 0, 0]).forEach((value, i) => header.writeDoubleLE(value, 36 + i * 8));
+    return header;
+};
+
+// Cuts a string to at most maxBytes of UTF-8 without splitting a character
+const truncateUtf8 = (value, maxBytes) => {
+    let result = '';
+    let bytes = 0;
+    for (const char of value) {
+        const charBytes = Buffer.byteLength(char);
+        if (bytes + charBytes > maxBytes) break;
+        result += char;
+        bytes += charBytes;
+    }
+    return result;
+};
+
+// dBase field names are limited to 10 characters and must stay unique after truncation
+const dbfFieldNames = (fields) => {
+    const used = new Set();
+    return fields.map(field => {
+        const base = field.name.replace(/[^A-Za-z0-9_]/g, '_').slice(0, 10);
+        let name = base;
+        for (let i = 1; used.has(name.toLowerCase()); i++) {
+            name = `${base.slice(0, 10 - String(i).length)}${i}`;
+        }
+        used.add(name.toLowerCase());
+        return name;
+    });
+};
+
+const dbfFieldSpec = (field, rows) => {
+    if (field.type === 'integer') return { type: 'N', length: 18, decimals: 0 };
+    if (field.type === 'number') return { type: 'N', length: 19, decimals: 8 };
+    if (field.type === 'boolean') return { type: 'L', length: 1, decimals: 0 };
+    const longest = Math.max(1, ...rows.map(row => (row[field.name] == null ? 0 : Buffer.byteLength(String(row[field.name])))));
+    return { type: 'C', length: Math.min(longest, 254), decimals: 0 };
+};
+
+const dbfValue = (value, spec) => {
+    if (spec.type === 'L') {
+        return value == null ? '?' : (value === true || value === 'true' ? 'T' : 'F');
+    }
+    if (spec.type === 'N') {
+        const number = Number(value);
+        if (value == null || value === '' || !Number.isFinite(number)) return ' '.repeat(spec.length);
+        const text = spec.decimals > 0 ? number.toFixed(spec.decimals) : String(Math.round(number));
+        return text.slice(0, spec.length).padStart(spec.length, ' ');
+    }
+    return value == null ? '' : truncateUtf8(String(value), spec.length);
+};
+
+const buildDbf = (fields, rows) => {
+    const names = dbfFieldNames(fields);
+    const specs = fields.map(field => dbfFieldSpec(field, rows));
+    const headerLength = 32 + 32 * fields.length + 1;
+    const recordLength = 1 + specs.reduce((sum, spec) => sum + spec.length, 0);
+    const dbf = Buffer.alloc(headerLength + recordLength * rows.length + 1, 0x20);
+
+    const now = new Date();
+    dbf.fill(0, 0, headerLength);
+    dbf.writeUInt8(0x03, 0);
+    dbf.writeUInt8(now.getFullYear() - 1900, 1);
+    dbf.writeUInt8(now.getMonth() + 1, 2);
+    dbf.writeUInt8(now.getDate(), 3);
+    dbf.writeUInt32LE(rows.length, 4);
+    dbf.writeUInt16LE(headerLength, 8);
+    dbf.writeUInt16LE(recordLength, 10);
+
+    specs.forEach((spec, i) => {
+        const offset = 32 + i * 32;
+        dbf.write(names[i], offset, 10, 'ascii');
+        dbf.write(spec.type, offset + 11, 1, 'ascii');
+        dbf.writeUInt8(spec.length, offset + 16);
+        dbf.writeUInt8(spec.decimals, offset + 17);
+    });
+    dbf.writeUInt8(0x0d, headerLength - 1);
+
+    rows.forEach((row, r) => {
+        let offset = headerLength + r * recordLength + 1;
+        specs.forEach((spec, i) => {
+            dbf.write(dbfValue(row[fields[i].name], spec), offset, spec.length, 'utf8');
+            offset += spec.length;
+        });
+    });
+    dbf.writeUInt8(0x1a, dbf.length - 1);
+    return dbf;
+};
+
+// Builds the .shp/.shx/.dbf/.prj/.cpg set for one layer. Rows carry a GeoJSON `geometry`;
+// polygon rings must already be in shapefile order (outer clockwise), e.g. via ST_ForcePolygonCW.
+const buildShapefile = (geometryType, fields, rows) => {
+    const shapeType = SHAPE_TYPES[geometryType];
+    const records = rows.map(row => shapeContent(shapeType, shapeParts(row.geometry)));
+
+    const bboxes = records.map(record => record.bbox).filter(Boolean);
+    const fileBbox = bboxes.length > 0 ? bboxes.reduce(extendBbox) : null;
+
+    const shpLength = 100 + records.reduce((sum, record) => sum + 8 + record.content.length, 0);
+    const shxLength = 100 + 8 * records.length;
+    const shp = Buffer.alloc(shpLength);
+    const shx = Buffer.alloc(shxLength);
+    shapeFileHeader(shapeType, shpLength, fileBbox).copy(shp, 0);
+    shapeFileHeader(shapeType, shxLength, fileBbox).copy(shx, 0);
+
+    let offset = 100;
+    records.forEach((record, i) => {
+        shx.writeInt32BE(offset / 2, 100 + i * 8);
+        shx.writeInt32BE(record.content.length / 2, 104 + i * 8);
+        shp.writeInt32BE(i + 1, offset);
+        shp.writeInt32BE(record.content.length / 2, offset + 4);
+        record.content.copy(shp, offset + 8);
+        offset += 8 + record.content.length;
+    });
+
+    return {
+        shp,
+        shx,
+        dbf: buildDbf(fields, rows),
+        prj: Buffer.from(WGS84_ESRI_WKT),
+        cpg: Buffer.from('UTF-8')
+    };
+};
+
+// ========================================
+// GEOPACKAGE
+// ========================================
+
+const GPKG_GEOMETRY_TYPES = { point: 'POINT', line: 'MULTILINESTRING', polygon: 'MULTIPOLYGON' };
+const GPKG_COLUMN_TYPES = { integer: 'INTEGER', number: 'REAL', boolean: 'BOOLEAN', string: 'TEXT' };
+
+// GeoPackage geometry blob: "GP" header (little endian, no envelope, SRS 4326) followed by WKB
+const gpkgGeometry = (wkb) => {
+    if (!wkb) return null;
+    const header = Buffer.alloc(8);
+    header.write('GP', 0, 'ascii');
+    header.writeUInt8(0, 2);
+    header.writeUInt8(0x01, 3);
+    header.writeInt32LE(4326, 4);
+    return Buffer.concat([header, wkb]);
+};
+
+const gpkgValue = (value, type) => {
+    if (value == null) return null;
+    if (type === 'boolean') return value ? 1 : 0;
+    if (type === 'integer' || type === 'number') return Number(value);
+    return String(value);
+};
+
+// One GeoPackage holding every layer as its own feature table. Layers are
+// [{ name, title, geometryType, fields, rows }] with rows carrying little-endian `wkb`.
+const buildGeoPackage = (layers) => {
+    const db = new Database(':memory:');
+    try {
+        db.pragma('application_id = 1196444487');
+        db.pragma('user_version = 10300');
+
+        db.exec(`
+            CREATE TABLE gpkg_spatial_ref_sys (
+                srs_name TEXT NOT NULL,
+                srs_id INTEGER PRIMARY KEY,
+                organization TEXT NOT NULL,
+                organization_coordsys_id INTEGER NOT NULL,
+                definition TEXT NOT NULL,
+                description TEXT
+            );
+            CREATE TABLE gpkg_contents (
+                table_name TEXT NOT NULL PRIMARY KEY,
+                data_type TEXT NOT NULL,
+                identifier TEXT UNIQUE,
+                description TEXT DEFAULT '',
+                last_change DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+                min_x DOUBLE, min_y DOUBLE, max_x DOUBLE, max_y DOUBLE,
+                srs_id INTEGER REFERENCES gpkg_spatial_ref_sys(srs_id)
+            );
+            CREATE TABLE gpkg_geometry_columns (
+                table_name TEXT NOT NULL REFERENCES gpkg_contents(table_name),
+                column_name TEXT NOT NULL,
+                geometry_type_name TEXT NOT NULL,
+                srs_id INTEGER NOT NULL REFERENCES gpkg_spatial_ref_sys(srs_id),
+                z TINYINT NOT NULL,
+                m TINYINT NOT NULL,
+                PRIMARY KEY (table_name, column_name)
+            );
+        `);
+
+        const insertSrs = db.prepare('INSERT INTO gpkg_spatial_ref_sys VALUES (?, ?, ?, ?, ?, ?)');
+        insertSrs.run('Undefined cartesian SRS', -1, 'NONE', -1, 'undefined', 'undefined cartesian coordinate reference system');
+        insertSrs.run('Undefined geographic SRS', 0, 'NONE', 0, 'undefined', 'undefined geographic coordinate reference system');
+        insertSrs.run('WGS 84 geodetic', 4326, 'EPSG', 4326, WGS84_OGC_WKT, 'longitude/latitude coordinates in decimal degrees on the WGS 84 spheroid');
+
+        layers.forEach(layer => {
+            const columns = layer.fields.filter(field => field.name !== 'id');
+            db.exec(`
+                CREATE TABLE "${layer.name}" (
+                    fid INTEGER PRIMARY KEY AUTOINCREMENT,
+                    geom ${GPKG_GEOMETRY_TYPES[layer.geometryType]}
+                    ${columns.map(field => `, "${field.name}" ${GPKG_COLUMN_TYPES[field.type] || 'TEXT'}`).join('')}
+                )
+            `);
+            db.prepare('INSERT INTO gpkg_contents (table_name, data_type, identifier, srs_id) VALUES (?, ?, ?, 4326)')
+                .run(layer.name, 'features', layer.title);
+            db.prepare('INSERT INTO gpkg_geometry_columns VALUES (?, ?, ?, 4326, 0, 0)')
+                .run(layer.name, 'geom', GPKG_GEOMETRY_TYPES[layer.geometryType]);
+
+            const insert = db.prepare(`
+                INSERT INTO "${layer.name}" (fid, geom${columns.map(field => `, "${field.name}"`).join('')})
+                VALUES (?, ?${columns.map(() => ', ?').join('')})
+            `);
+            db.transaction(() => {
+                layer.rows.forEach(row => {
+                    insert.run(row.id, gpkgGeometry(row.wkb), ...columns.map(field => gpkgValue(row[field.name], field.type)));
+                });
+            })();
+        });
+
+        return db.serialize();
+    } finally {
+        db.close();
+    }
+};
+
+// ========================================
+// KML
+// ========================================
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Rows carry their geometry as a KML fragment (ST_AsKML); the first filled-in text field names the placemark
+const buildKml = (title, fields, rows) => {
+    const textFields = fields.filter(field => field.name !== 'id' && field.type === 'string');
+    const placemarkName = (row) => textFields.map(field => row[field.name]).find(value => value != null && value !== '') ?? row.id;
+    const placemarks = rows.map(row => `
+    <Placemark id="${escapeXml(row.id)}">
+      <name>${escapeXml(placemarkName(row))}</name>
+      <ExtendedData>${fields.map(field => `
+        <Data name="${escapeXml(field.name)}"><value>${row[field.name] == null ? '' : escapeXml(row[field.name])}</value></Data>`).join('')}
+      </ExtendedData>
+      ${row.kml || ''}
+    </Placemark>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(title)}</name>${placemarks}
+  </Document>
+</kml>
+`;
+};
+
+module.exports = {
+    buildShapefile,
+    buildGeoPackage,
+    buildKml
+};
@@ -0,0 +1,191 @@
+// The import manifest (import-manifest.json at the repository root) lists every dataset
+// scripts/import-data.js loads and how its rows become layer features, so a new source region
+// is a manifest entry rather than code. Each dataset:
+//
+//   name         unique id, used with --dataset
+//   target       table written: one of the importer's layer tables, or election_results
+//   path         file relative to the manifest, or a list of them; "*" matches within a file name
+//   format       csv, xlsx, shapefile or geojson; taken from the extension when omitted
+//   crs          EPSG code of the coordinate columns (default EPSG:4326). For shapefiles and
+//                GeoJSON it overrides the .prj or crs member.
+//   coordinates  { x, y }: the columns holding each CSV/XLSX row's point
+//   keyPrefix    source key prefix, by default the file name without extension
+//   key          target column, or list of them, identifying a feature; the geometry when empty
+//   columns      target column -> source column name, or { column | columns | value, type, default }
+//   geometry     "point" keeps the first position of every geometry
+//   simplify     { maxVertices, tolerance }: larger geometries are stored simplified
+//   filters      { areaOfInterest (default true), where: { column: value(s) }, limit: { development, production } }
+//   transforms   derived values, e.g. { type: "prominence", column, threshold }
+//   election     { code, name, type, date } for election_results datasets, whose CSV has one row
+//                per commune (gkz) in the "<party>_votes, <party>_percent" layout
+
+const fs = require('fs');
+const path = require('path');
+const { resolveCrsCode } = require('./crs');
+
+const FORMATS = {
+    '.csv': 'csv',
+    '.xlsx': 'xlsx',
+    '.xls': 'xlsx',
+    '.shp': 'shapefile',
+    '.geojson': 'geojson',
+    '.json': 'geojson'
+};
+const TABULAR_FORMATS = ['csv', 'xlsx'];
+const COLUMN_TYPES = ['string', 'number', 'integer', 'boolean'];
+
+const asList = (value) => (Array.isArray(value) ? value : [value]);
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const datasetFormat = (dataset) => dataset.format || FORMATS[path.extname(asList(dataset.path)[0] || '').toLowerCase()];
+
+// Problems with one column spec, or an empty list
+const columnProblems = (name, spec) => {
+    if (typeof spec === 'string') return [];
+    if (!spec || typeof spec !== 'object') return [`column ${name} must be a source column name or an object`];
+    const problems = [];
+    const sources = ['column', 'columns', 'value'].filter(field => spec[field] !== undefined);
+    if (sources.length !== 1) problems.push(`column ${name} needs exactly one of column, columns or value`);
+    if (spec.columns !== undefined && (!Array.isArray(spec.columns) || spec.columns.length === 0)) {
+        problems.push(`column ${name}: columns must be a non-empty list`);
+    }
+    if (spec.type !== undefined && !COLUMN_TYPES.includes(spec.type)) {
+        problems.push(`column ${name}: type must be one of ${COLUMN_TYPES.join(', ')}`);
+    }
+    return problems;
+};
+
+// Everything wrong with a manifest, as messages naming the dataset
+const validateManifest = (manifest, { targets, transforms }) => {
+    const problems = [];
+    const area = manifest.areaOfInterest;
+    if (area !== undefined && (!area || !area.path)) problems.push('areaOfInterest needs a path');
+    if (!Array.isArray(manifest.datasets) || manifest.datasets.length === 0) {
+        return [...problems, 'datasets must be a non-empty list'];
+    }
+
+    const names = new Set();
+    manifest.datasets.forEach((dataset, index) => {
+        const label = dataset && dataset.name ? `dataset ${dataset.name}` : `dataset #${index + 1}`;
+        const add = (message) => problems.push(`${label}: ${message}`);
+        if (!dataset || typeof dataset !== 'object') return add('must be an object');
+
+        if (!dataset.name || !/^[a-z0-9_-]+$/i.test(dataset.name)) add('name must be letters, digits, "-" or "_"');
+        if (names.has(dataset.name)) add('name is used twice');
+        names.add(dataset.name);
+
+        if (!targets.includes(dataset.target)) add(`target must be one of ${targets.join(', ')}`);
+        if (!dataset.path || asList(dataset.path).some(file => typeof file !== 'string' || !file)) add('path is required');
+
+        const format = datasetFormat(dataset);
+        if (!Object.values(FORMATS).includes(format)) add(`format must be one of ${[...new Set(Object.values(FORMATS))].join(', ')}`);
+        if (dataset.crs !== undefined && !resolveCrsCode(dataset.crs)) add(`unsupported crs ${dataset.crs}`);
+
+        if (dataset.target === 'election_results') {
+            const election = dataset.election || {};
+            ['code', 'name', 'type', 'date'].filter(field => !election[field]).forEach(field => add(`election.${field} is required`));
+            if (format !== 'csv') add('election results are read from CSV');
+            return;
+        }
+
+        if (TABULAR_FORMATS.includes(format) && !(dataset.coordinates && dataset.coordinates.x && dataset.coordinates.y)) {
+            add('coordinates.x and coordinates.y are required for CSV and XLSX');
+        }
+        if (!dataset.columns || typeof dataset.columns !== 'object') {
+            add('columns are required');
+        } else {
+            Object.entries(dataset.columns).forEach(([name, spec]) => columnProblems(name, spec).forEach(add));
+            asList(dataset.key || []).filter(column => !(column in dataset.columns))
+                .forEach(column => add(`key ${column} is not one of the columns`));
+        }
+        if (dataset.geometry !== undefined && dataset.geometry !== 'point') add('geometry can only be "point"');
+        if (dataset.simplify && !(dataset.simplify.maxVertices > 0 && dataset.simplify.tolerance > 0)) {
+            add('simplify needs a positive maxVertices and tolerance');
+        }
+
+        const limit = (dataset.filters || {}).limit;
+        if (limit && ['development', 'production'].some(mode => limit[mode] !== undefined && !(Number.isInteger(limit[mode]) && limit[mode] > 0))) {
+            add('filters.limit values must be positive whole numbers');
+        }
+        (dataset.transforms || []).forEach(transform => {
+            if (!transform || !transforms.includes(transform.type)) add(`transform type must be one of ${transforms.join(', ')}`);
+        });
+    });
+    return problems;
+};
+
+// Reads and validates a manifest. Paths are resolved against its directory; throws with every
+// problem found, so a broken manifest stops the import before anything is read.
+const loadManifest = (manifestPath, options) => {
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read import manifest ${manifestPath}: ${error.message}`);
+    }
+
+    const problems = validateManifest(manifest, options);
+    if (problems.length > 0) {
+        throw new Error(`Invalid import manifest ${manifestPath}:\n  ${problems.join('\n  ')}`);
+    }
+
+    const baseDir = path.dirname(path.resolve(manifestPath));
+    const resolve = (file) => path.resolve(baseDir, file);
+    return {
+        areaOfInterest: manifest.areaOfInterest
+            ? { ...manifest.areaOfInterest, path: asList(manifest.areaOfInterest.path).map(resolve) }
+            : null,
+        datasets: manifest.datasets.map(dataset => ({
+            ...dataset,
+            format: datasetFormat(dataset),
+            path: asList(dataset.path).map(resolve),
+            key: asList(dataset.key || []),
+            filters: { areaOfInterest: true, ...dataset.filters },
+            transforms: dataset.transforms || []
+        }))
+    };
+};
+
+// Files a dataset path names; "*" in the file name matches any characters, results in natural order
+const expandPath = (filePath) => {
+    const name = path.basename(filePath);
+    if (!name.includes('*')) return fs.existsSync(filePath) ? [filePath] : [];
+
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) return [];
+    const pattern = new RegExp(`^${name.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i');
+    return fs.readdirSync(dir)
+        .filter(entry => pattern.test(entry))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+        .map(entry => path.join(dir, entry));
+};
+
+const coerce = (value, type) => {
+    if (isEmpty(value) || !type || type === 'string') return value;
+    if (type === 'boolean') return ['true', '1', 'yes', 'ja', 'y', 't'].includes(String(value).trim().toLowerCase());
+    const number = typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+    if (!isFinite(number)) return null;
+    return type === 'integer' ? Math.trunc(number) : number;
+};
+
+// Target column values of one source row under a dataset's column mapping
+const mapColumns = (columns, row) => Object.fromEntries(Object.entries(columns).map(([name, spec]) => {
+    if (typeof spec === 'string') return [name, row[spec]];
+    if (spec.value !== undefined) return [name, spec.value];
+
+    const raw = spec.column !== undefined ? row[spec.column] : spec.columns.map(column => row[column]).find(value => !isEmpty(value));
+    const value = coerce(raw, spec.type);
+    return [name, isEmpty(value) && spec.default !== undefined ? spec.default : value];
+}));
+
+// Whether a row passes a dataset's filters.where: every listed column holds one of its values
+const matchesWhere = (where, row) => Object.entries(where || {})
+    .every(([column, values]) => asList(values).map(String).includes(String(row[column] ?? '')));
+
+module.exports = {
+    validateManifest,
+    loadManifest,
+    expandPath,
+    mapColumns,
+    matchesWhere
+};
@@ -1,11 +1,35 @@
 // CO₂ Storage Atlas - Production JavaScript Application
 // Optimized for performance and error handling
 
+// Parties with a share column on voting_districts (<key>_percent) that a voting index can weight
+const VOTING_PARTIES = [
+    { key: 'spo', name: 'SPÖ' },
+    { key: 'grune', name: 'Grüne' },
+    { key: 'kpo', name: 'KPÖ' },
+    { key: 'ovp', name: 'ÖVP' },
+    { key: 'fpo', name: 'FPÖ' },
+    { key: 'neos', name: 'NEOS' }
+];
+
 class CO2StorageAtlas {
     constructor() {
         this.map = null;
         this.layers = {};
         this.clusterGroups = {};
+        this.analysisLayers = {};
+        this.routeEndpoints = { from: null, to: null };
+        this.suitabilityResult = null;
+        this.elections = [];
+        this.votingIndex = null;
+        this.activeVotingIndex = null;
+        this.votingDistrictStyles = new Map();
+        this.votingScheme = null;
+        this.votingClassification = null;
+        this.classificationOptions = null;
+        this.summaryArea = null;
+        this.isDrawingArea = false;
+        this.importUpload = null;
+        this.importTargets = [];
         this.baseMaps = {};
         this.isAuthenticated = false;
         this.layerVisibility = {};
@@ -14,8 +38,18 @@ class CO2StorageAtlas {
         this.currentZoom = 8;
         this.performanceMode = true;
         this.authToken = null;
+        this.currentUser = null;
+        this.tokenRefreshTimer = null;
+        this.adminUsers = [];
+        this.auditOffset = 0;
+        this.auditPageSize = 25;
+        this.importRunsOffset = 0;
         this.existingSources = [];
         this.editingSource = null;
+        this.layerSchemas = [];
+        this.layerRecords = [];
+        this.editingLayerRecord = null;
+        this.coordinateTarget = { lat: 'co2-latitude', lng: 'co2-longitude' };
         this.requestCache = new Map();
         this.apiRetryCount = 3;
         this.apiRetryDelay = 1000;
@@ -38,6 +72,9 @@ class CO2StorageAtlas {
         ];
         this.currentStep = 0;
         this.layerCounts = {};
+        this.tileSources = {};
+        // Bumped when a layer is edited so reloaded tiles bypass the browser cache
+        this.tileRevision = 0;
         this.featureCounts = {
             total: 0,
             visible: 0
@@ -79,6 +116,8 @@ class CO2StorageAtlas {
             }
             
             await this.loadAllLayers();
+            this.loadElections();
+            this.populateClassificationTool();
             this.updateStatistics();
             this.updateDataQuality();
             this.enablePerformanceOptimizations();
@@ -120,9 +159,11 @@ class CO2StorageAtlas {
     // Enhanced API request with retry logic and caching
     async apiRequest(endpoint, options = {}) {
         const cacheKey = `${endpoint}-${JSON.stringify(options)}`;
+        // Admin data must always reflect the latest edits
+        const cacheable = (!options.method || options.method === 'GET') && !endpoint.startsWith('/api/admin/');
         
         // Check cache first (for GET requests)
-        if (!options.method || options.method === 'GET') {
+        if (cacheable) {
             const cached = this.requestCache.get(cacheKey);
             if (cached && Date.now() - cached.timestamp < 300000) { // 5 min cache
                 return cached.data;
@@ -132,22 +173,29 @@ class CO2StorageAtlas {
         let lastError;
         for (let attempt = 1; attempt <= this.apiRetryCount; attempt++) {
             try {
-                const response = await fetch(endpoint, {
-                    ...options,
-                    headers: {
-                        'Content-Type': 'application/json',
-                        ...options.headers
-                    }
-                });
+                // Uploads let the browser set the multipart boundary
+                const headers = options.body instanceof FormData ? { ...options.headers } : {
+                    'Content-Type': 'application/json',
+                    ...options.headers
+                };
+                if (this.authToken) {
+                    headers['Authorization'] = `Bearer ${this.authToken}`;
+                }
+
+                const response = await fetch(endpoint, { ...options, headers });
 
                 if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    const body = await response.json().catch(() => ({}));
+                    const error = new Error(body.error || `HTTP ${response.status}: ${response.statusText}`);
+                    error.status = response.status;
+                    error.details = body;
+                    throw error;
                 }
 
                 const data = await response.json();
                 
                 // Cache successful GET requests
-                if (!options.method || options.method === 'GET') {
+                if (cacheable) {
                     this.requestCache.set(cacheKey, {
                         data,
                         timestamp: Date.now()
@@ -158,6 +206,15 @@ class CO2StorageAtlas {
             } catch (error) {
                 lastError = error;
                 console.warn(`API request attempt ${attempt} failed:`, error);
+
+                if (error.status === 401 && this.authToken) {
+                    this.handleSessionExpired();
+                }
+
+                // Client errors will not succeed on retry
+                if (error.status >= 400 && error.status < 500) {
+                    throw error;
+                }
                 
                 if (attempt < this.apiRetryCount) {
                     await new Promise(resolve => setTimeout(resolve, this.apiRetryDelay * attempt));
@@ -312,6 +369,23 @@ class CO2StorageAtlas {
             this.layers.conservationAreas = L.layerGroup();
             this.layers.settlementAreas = L.layerGroup();
 
+            // Analysis results, kept apart from data layers so refreshes leave them alone
+            this.analysisLayers.matching = L.layerGroup().addTo(this.map);
+            this.analysisLayers.routing = L.layerGroup().addTo(this.map);
+            this.analysisLayers.suitability = L.layerGroup().addTo(this.map);
+            this.analysisLayers.elections = L.layerGroup().addTo(this.map);
+            this.analysisLayers.area = L.featureGroup().addTo(this.map);
+            this.analysisLayers.proximity = L.featureGroup().addTo(this.map);
+            this.analysisLayers.importPreview = L.featureGroup().addTo(this.map);
+
+            if (L.Draw) {
+                this.map.on(L.Draw.Event.CREATED, (e) => this.handleAreaDrawn(e.layer));
+                this.map.on(L.Draw.Event.DRAWSTART, () => { this.isDrawingArea = true; });
+                this.map.on(L.Draw.Event.DRAWSTOP, () => { this.isDrawingArea = false; });
+            } else {
+                console.warn('Leaflet.draw not available, area summary drawing disabled');
+            }
+
             console.log('✅ Layer groups initialized');
         } catch (error) {
             this.handleError(error, 'Layer group initialization');
@@ -471,6 +545,8 @@ class CO2StorageAtlas {
         let loadedCount = 0;
         const totalLayers = 14;
         
+        await this.loadTileSources();
+
         const layerPromises = [
             { name: 'voting districts', fn: () => this.loadVotingChoropleth() },
             { name: 'CO₂ sources', fn: () => this.loadCO2Sources() },
@@ -524,8 +600,10 @@ class CO2StorageAtlas {
     initializeClusters() {
         try {
             // Add CO2 sources cluster group to map by default (checked)
-            if (this.clusterGroups.co2Sources && this.clusterGroups.co2Sources.getLayers().length > 0) {
-                this.map.addLayer(this.clusterGroups.co2Sources);
+            // Clustered markers, or the tile layer when CO2 sources are drawn from vector tiles
+            const co2Layer = this.clusterGroups.co2Sources || this.layers.co2Sources;
+            if (co2Layer.getLayers().length > 0) {
+                this.map.addLayer(co2Layer);
             }
 
             this.updateActiveClusterCount();
@@ -535,68 +613,39 @@ class CO2StorageAtlas {
     }
 
     // Enhanced voting districts loading with error handling
-    async loadVotingChoropleth() {
-        try {
-            const data = await this.apiRequest('/api/voting-districts-choropleth');
-            let count = 0;
-            let validGeometryCount = 0;
-            
-            if (!Array.isArray(data)) {
-                console.warn('Invalid voting districts data received');
-                return;
-            }
-            
-            data.forEach(district => {
-                count++;
-                
-                if (district.geometry && district.geom_valid !== false) {
-                    try {
-                        const geometry = JSON.parse(district.geometry);
-                        validGeometryCount++;
-                        
-                        const fillColor = district.fill_color || district.choropleth_color || 
-                                         this.getVotingColor(district.left_green_combined, district.has_voting_data);
-                        
-                        const polygon = L.geoJSON(geometry, {
-                            style: {
-                                fillColor: fillColor,
-                                weight: 1,
-                                opacity: 1,
-                                color: 'white',
-                                fillOpacity: 0.4
-                            }
-                        });
+    // Follows the next links of a format=geojson layer endpoint until the whole layer is loaded
+    async fetchAllFeatures(endpoint) {
+        const features = [];
+        let url = `${endpoint}${endpoint.includes('?') ? '&' : '?'}format=geojson&limit=5000`;
+        while (url) {
+            const page = await this.apiRequest(url);
+            features.push(...page.features);
+            url = this.nextPageUrl(page);
+        }
+        return features;
+    }
 
-                        polygon.bindPopup(this.createVotingPopup(district));
-                        
-                        polygon.on({
-                            mouseover: (e) => {
-                                e.target.setStyle({
-                                    weight: 2,
-                                    color: '#666',
-                                    fillOpacity: 0.6
-                                });
-                            },
-                            mouseout: (e) => {
-                                e.target.setStyle({
-                                    weight: 1,
-                                    color: 'white',
-                                    fillOpacity: 0.4
-                                });
-                            }
-                        });
+    // Path of a paged FeatureCollection's next link, or null on the last page. Requests stay
+    // same-origin even if the server sees a different host behind a proxy.
+    nextPageUrl(page) {
+        const next = (page.links || []).find(link => link.rel === 'next');
+        if (!next) return null;
+        const nextUrl = new URL(next.href);
+        return `${nextUrl.pathname}${nextUrl.search}`;
+    }
 
-                        this.layers.votingDistricts.addLayer(polygon);
-                    } catch (error) {
-                        console.warn('Invalid voting district geometry:', error);
-                    }
-                }
-            });
-            
-            this.layerCounts.voting = validGeometryCount;
-            this.updateLayerCount('voting-count', validGeometryCount);
-            console.log(`✅ Loaded ${validGeometryCount} voting districts with valid geometry`);
-            
+    // Flattens features into the row shape the layer loaders and popups expect
+    async fetchLayerRows(endpoint) {
+        const features = await this.fetchAllFeatures(endpoint);
+        return features.map(feature => (feature.geometry.type === 'Point'
+            ? { ...feature.properties, longitude: feature.geometry.coordinates[0], latitude: feature.geometry.coordinates[1] }
+            : { ...feature.properties, geometry: feature.geometry }
+        ));
+    }
+
+    async loadVotingChoropleth() {
+        try {
+            await this.renderVotingChoropleth();
         } catch (error) {
             console.error('❌ Error loading voting districts:', error);
             this.handleError(error, 'Loading voting districts');
@@ -605,9 +654,96 @@ class CO2StorageAtlas {
         }
     }
 
+    // Fetches the choropleth for the current index and scheme and only then replaces the districts
+    // on the map, so a failed request leaves the previous choropleth in place. Errors are thrown.
+    async renderVotingChoropleth() {
+        const query = this.getVotingQuery();
+        const [classificationResult, data] = await Promise.all([
+            this.apiRequest(`/api/layer-styles/voting_districts/classification?${query}`),
+            this.fetchLayerRows(`/api/voting-districts-choropleth?${query}`)
+        ]);
+        this.classificationOptions = classificationResult;
+        this.votingClassification = classificationResult.classification;
+        this.activeVotingIndex = classificationResult.voting_index;
+        this.renderVotingLegend();
+        this.populateVotingIndexTool();
+        let count = 0;
+        let validGeometryCount = 0;
+        
+        if (!Array.isArray(data)) {
+            console.warn('Invalid voting districts data received');
+            return;
+        }
+        
+        this.votingDistrictStyles = new Map(data.map(district => [district.id, {
+            index_value: district.index_value,
+            party_percents: district.party_percents,
+            fill_color: district.fill_color
+        }]));
+        const polygons = [];
+        data.forEach(district => {
+            count++;
+            
+            if (district.geometry && district.geom_valid !== false) {
+                try {
+                    const geometry = district.geometry;
+                    validGeometryCount++;
+                    
+                    const fillColor = district.fill_color || this.votingClassification.no_data_color;
+                    
+                    const polygon = L.geoJSON(geometry, {
+                        identify: true,
+                        style: {
+                            fillColor: fillColor,
+                            weight: 1,
+                            opacity: 1,
+                            color: 'white',
+                            fillOpacity: 0.4
+                        }
+                    });
+
+                    polygon.on({
+                        mouseover: (e) => {
+                            e.target.setStyle({
+                                weight: 2,
+                                color: '#666',
+                                fillOpacity: 0.6
+                            });
+                        },
+                        mouseout: (e) => {
+                            e.target.setStyle({
+                                weight: 1,
+                                color: 'white',
+                                fillOpacity: 0.4
+                            });
+                        }
+                    });
+
+                    polygons.push(polygon);
+                } catch (error) {
+                    console.warn('Invalid voting district geometry:', error);
+                }
+            }
+        });
+        
+        this.layers.votingDistricts.clearLayers();
+        polygons.forEach(polygon => this.layers.votingDistricts.addLayer(polygon));
+        this.layerCounts.voting = validGeometryCount;
+        this.updateLayerCount('voting-count', validGeometryCount);
+        console.log(`✅ Loaded ${validGeometryCount} voting districts with valid geometry`);
+    }
+
     async loadCO2Sources() {
         try {
-            const data = await this.apiRequest('/api/co2-sources-enhanced');
+            if (this.tileSources.co2_sources) {
+                const count = this.loadPointTileLayer('co2_sources', 'co2Sources', '#ff4444', 8, 0.9);
+                this.layerCounts.co2 = count;
+                this.updateLayerCount('co2-count', count);
+                console.log(`✅ Loaded CO₂ sources as vector tiles (${count} features)`);
+                return;
+            }
+
+            const data = await this.fetchLayerRows('/api/co2-sources-enhanced');
             let count = 0;
             
             if (!Array.isArray(data)) {
@@ -667,10 +803,19 @@ class CO2StorageAtlas {
         }
     }
 
-    // Generic layer loading functions with error handling
-    async loadGenericLayer(endpoint, layerKey, clusterKey, countKey, createMarker) {
+    // Generic layer loading functions with error handling. With a tile source ({ source, color,
+    // size, opacity }) the layer is drawn from vector tiles instead of one marker per feature.
+    async loadGenericLayer(endpoint, layerKey, clusterKey, countKey, createMarker, tile = null) {
         try {
-            const data = await this.apiRequest(endpoint);
+            if (tile && this.tileSources[tile.source]) {
+                const count = this.loadPointTileLayer(tile.source, layerKey, tile.color, tile.size, tile.opacity);
+                this.layerCounts[layerKey] = count;
+                this.updateLayerCount(countKey, count);
+                console.log(`✅ Loaded ${layerKey.replace(/([A-Z])/g, ' $1').toLowerCase()} as vector tiles (${count} features)`);
+                return;
+            }
+
+            const data = await this.fetchLayerRows(endpoint);
             let count = 0;
             
             if (!Array.isArray(data)) {
@@ -724,7 +869,7 @@ class CO2StorageAtlas {
 
                 marker.bindPopup(this.createLandfillPopup(landfill));
                 return marker;
-            });
+            }, { source: 'landfills', color: '#ff8800', size: 8, opacity: 0.8 });
     }
 
     async loadGravelPits() {
@@ -744,7 +889,7 @@ class CO2StorageAtlas {
 
                 marker.bindPopup(this.createGravelPitPopup(pit));
                 return marker;
-            });
+            }, { source: 'gravel_pits', color: '#8855aa', size: 6, opacity: 0.7 });
     }
 
     async loadWastewaterPlants() {
@@ -764,7 +909,7 @@ class CO2StorageAtlas {
 
                 marker.bindPopup(this.createWastewaterPopup(plant));
                 return marker;
-            });
+            }, { source: 'wastewater_plants', color: '#3388ff', size: 8, opacity: 0.6 });
     }
 
     async loadGasStorage() {
@@ -784,7 +929,7 @@ class CO2StorageAtlas {
 
                 marker.bindPopup(this.createGasStoragePopup(storage));
                 return marker;
-            });
+            }, { source: 'gas_storage_sites', color: '#00cc88', size: 10, opacity: 0.5 });
     }
 
     async loadGasDistribution() {
@@ -804,7 +949,7 @@ class CO2StorageAtlas {
 
                 marker.bindPopup(this.createGasDistributionPopup(point));
                 return marker;
-            });
+            }, { source: 'gas_distribution_points', color: '#00aa44', size: 4, opacity: 0.4 });
     }
 
     async loadCompressorStations() {
@@ -824,13 +969,83 @@ class CO2StorageAtlas {
 
                 marker.bindPopup(this.createCompressorPopup(station));
                 return marker;
-            });
+            }, { source: 'compressor_stations', color: '#ffaa00', size: 8, opacity: 0.3 });
+    }
+
+    // Layers are drawn from vector tiles when Leaflet.VectorGrid is loaded, so large layers are
+    // neither cut off by the JSON endpoint limits nor downloaded whole
+    vectorTilesAvailable() {
+        return !!(L.vectorGrid && L.vectorGrid.protobuf);
+    }
+
+    async loadTileSources() {
+        if (!this.vectorTilesAvailable()) return;
+
+        try {
+            const sources = await this.apiRequest('/tiles');
+            this.tileSources = Object.fromEntries(sources.map(source => [source.name, source]));
+        } catch (error) {
+            console.warn('Tile index unavailable, falling back to JSON layers:', error);
+            this.tileSources = {};
+        }
+    }
+
+    // Tiles are drawn only; clicks fall through to the map and are answered by identifyAt
+    loadVectorTileLayer(source, layerKey, style) {
+        const tileLayer = L.vectorGrid.protobuf(`/tiles/${source}/{z}/{x}/{y}.pbf?rev=${this.tileRevision}`, {
+            rendererFactory: L.svg.tile,
+            vectorTileLayerStyles: { [source]: style },
+            interactive: false,
+            maxNativeZoom: this.tileSources[source].maxzoom
+        });
+
+        this.layers[layerKey].addLayer(tileLayer);
+        return this.tileSources[source].feature_count;
+    }
+
+    // Points drawn from tiles use the layer's icon, or a circle like createFallbackMarker. Tiles
+    // cannot be clustered, so the layer's cluster group is dropped and the tile layer toggles instead.
+    loadPointTileLayer(source, layerKey, color, size, opacity) {
+        const clusterGroup = this.clusterGroups[layerKey];
+        if (clusterGroup) {
+            if (this.map.hasLayer(clusterGroup)) {
+                this.map.removeLayer(clusterGroup);
+                this.map.addLayer(this.layers[layerKey]);
+            }
+            delete this.clusterGroups[layerKey];
+        }
+
+        return this.loadVectorTileLayer(source, layerKey, (point) => {
+            const icon = this.createCustomIcon(source, point);
+            return icon ? { icon } : {
+                radius: size,
+                fill: true,
+                fillColor: point.pin_color || color,
+                fillOpacity: opacity,
+                color: '#fff',
+                weight: 2,
+                opacity: 1
+            };
+        });
     }
 
     // Line and polygon layer loading with error handling
     async loadGasPipelines() {
         try {
-            const data = await this.apiRequest('/api/gas-pipelines-enhanced');
+            if (this.tileSources.gas_pipelines) {
+                const count = this.loadVectorTileLayer('gas_pipelines', 'gasPipelines', (pipeline, zoom) => ({
+                    color: pipeline.line_color || '#00aa44',
+                    weight: zoom > 10 ? (pipeline.line_weight || 4) : 2,
+                    opacity: pipeline.line_opacity || 0.8
+                }));
+
+                this.layerCounts.pipelines = count;
+                this.updateLayerCount('pipelines-count', count);
+                console.log(`✅ Loaded gas pipelines as vector tiles (${count} features)`);
+                return;
+            }
+
+            const data = await this.fetchLayerRows('/api/gas-pipelines-enhanced');
             let count = 0;
             
             if (!Array.isArray(data)) {
@@ -841,9 +1056,10 @@ class CO2StorageAtlas {
             data.forEach(pipeline => {
                 if (pipeline.geometry && pipeline.geom_valid !== false) {
                     try {
-                        const geometry = JSON.parse(pipeline.geometry);
+                        const geometry = pipeline.geometry;
                         
                         const polyline = L.geoJSON(geometry, {
+                            identify: true,
                             style: {
                                 color: pipeline.line_color || '#00aa44',
                                 weight: this.currentZoom > 10 ? (pipeline.line_weight || 4) : 2,
@@ -851,7 +1067,6 @@ class CO2StorageAtlas {
                             }
                         });
 
-                        polyline.bindPopup(this.createPipelinePopup(pipeline));
                         this.layers.gasPipelines.addLayer(polyline);
                         count++;
                     } catch (error) {
@@ -872,9 +1087,27 @@ class CO2StorageAtlas {
     }
 
     // Generic polygon layer loader
-    async loadPolygonLayer(endpoint, layerKey, countKey, defaultColor, createPopup) {
+    async loadPolygonLayer(endpoint, layerKey, countKey, defaultColor, tileSource = null) {
         try {
-            const data = await this.apiRequest(endpoint);
+            // Highways and railways come through here too; only real polygons get a fill
+            if (tileSource && this.tileSources[tileSource]) {
+                const isPolygon = this.tileSources[tileSource].geometry === 'polygon';
+                const count = this.loadVectorTileLayer(tileSource, layerKey, (area, zoom) => ({
+                    fill: isPolygon,
+                    fillColor: area.fill_color || defaultColor,
+                    fillOpacity: area.fill_opacity || 0.3,
+                    color: area.border_color || defaultColor,
+                    weight: zoom > 12 ? (area.border_weight || 2) : 1,
+                    opacity: 1
+                }));
+
+                this.layerCounts[layerKey] = count;
+                this.updateLayerCount(countKey, count);
+                console.log(`✅ Loaded ${layerKey.replace(/([A-Z])/g, ' $1').toLowerCase()} as vector tiles (${count} features)`);
+                return;
+            }
+
+            const data = await this.fetchLayerRows(endpoint);
             let count = 0;
             
             if (!Array.isArray(data)) {
@@ -885,9 +1118,10 @@ class CO2StorageAtlas {
             data.forEach(area => {
                 if (area.geometry && area.geom_valid !== false) {
                     try {
-                        const geometry = JSON.parse(area.geometry);
+                        const geometry = area.geometry;
                         
                         const polygon = L.geoJSON(geometry, {
+                            identify: true,
                             style: {
                                 fillColor: area.fill_color || defaultColor,
                                 weight: this.currentZoom > 12 ? (area.border_weight || 2) : 1,
@@ -897,7 +1131,6 @@ class CO2StorageAtlas {
                             }
                         });
 
-                        polygon.bindPopup(createPopup(area));
                         this.layers[layerKey].addLayer(polygon);
                         count++;
                     } catch (error) {
@@ -918,28 +1151,23 @@ class CO2StorageAtlas {
     }
 
     async loadGroundwaterProtection() {
-        await this.loadPolygonLayer('/api/groundwater-protection', 'groundwaterProtection', 'groundwater-count', '#0066ff', 
-            (area) => `<div class="popup-content"><h4>Groundwater Protection</h4><p><strong>Name:</strong> ${area.name || 'Protected Area'}</p><p><strong>Zone:</strong> ${area.protection_zone || 'Protected'}</p></div>`);
+        await this.loadPolygonLayer('/api/groundwater-protection', 'groundwaterProtection', 'groundwater-count', '#0066ff', 'groundwater_protection');
     }
 
     async loadConservationAreas() {
-        await this.loadPolygonLayer('/api/conservation-areas', 'conservationAreas', 'conservation-count', '#00ff00', 
-            (area) => `<div class="popup-content"><h4>Conservation Area</h4><p><strong>Name:</strong> ${area.name || 'Protected Area'}</p><p><strong>Type:</strong> ${area.area_type || 'Nature Reserve'}</p></div>`);
+        await this.loadPolygonLayer('/api/conservation-areas', 'conservationAreas', 'conservation-count', '#00ff00', 'conservation_areas');
     }
 
     async loadSettlementAreas() {
-        await this.loadPolygonLayer('/api/settlement-areas', 'settlementAreas', 'settlements-count', '#ff0000', 
-            (area) => `<div class="popup-content"><h4>Residential Area</h4><p><strong>Name:</strong> ${area.name || 'Settlement'}</p><p><strong>Population:</strong> ${area.population ? area.population.toLocaleString() : 'Unknown'}</p></div>`);
+        await this.loadPolygonLayer('/api/settlement-areas', 'settlementAreas', 'settlements-count', '#ff0000', 'settlement_areas');
     }
 
     async loadHighways() {
-        await this.loadPolygonLayer('/api/highways', 'highways', 'highways-count', '#666666', 
-            (road) => `<div class="popup-content"><h4>Highway</h4><p><strong>Name:</strong> ${road.name || 'Primary Road'}</p><p><strong>Number:</strong> ${road.highway_number || 'N/A'}</p></div>`);
+        await this.loadPolygonLayer('/api/highways', 'highways', 'highways-count', '#666666', 'highways');
     }
 
     async loadRailways() {
-        await this.loadPolygonLayer('/api/railways', 'railways', 'railways-count', '#8B4513', 
-            (railway) => `<div class="popup-content"><h4>Railway</h4><p><strong>Name:</strong> ${railway.name || 'Railway Line'}</p><p><strong>Operator:</strong> ${railway.operator || 'N/A'}</p></div>`);
+        await this.loadPolygonLayer('/api/railways', 'railways', 'railways-count', '#8B4513', 'railways');
     }
 
     // Performance optimization methods
@@ -1081,29 +1309,31 @@ class CO2StorageAtlas {
                 `;
             }
             
-            const leftGreen = parseFloat(district.left_green_combined) || 0;
-            const spoPercent = parseFloat(district.spo_percent) || 0;
-            const grunePercent = parseFloat(district.grune_percent) || 0;
-            const kpoPercent = parseFloat(district.kpo_percent) || 0;
-            const ovpPercent = parseFloat(district.ovp_percent) || 0;
-            const fpoPercent = parseFloat(district.fpo_percent) || 0;
-            const neosPercent = parseFloat(district.neos_percent) || 0;
+            // Identify answers come straight from voting_districts, so the index and class colour are looked up from the choropleth load
+            const style = this.votingDistrictStyles.get(district.id) || {};
+            const indexValue = parseFloat(district.index_value ?? style.index_value) || 0;
+            const { label, weights } = this.activeVotingIndex || { label: 'Voting index', weights: {} };
+            // Every party of the index's election when the choropleth has it, else the voting_districts columns
+            const shares = style.party_percents
+                ? Object.entries(style.party_percents)
+                : VOTING_PARTIES.map(({ key, name }) => [name, parseFloat(district[`${key}_percent`]) || 0]);
+            const partyRows = shares.map(([name, value]) => {
+                const percent = parseFloat(value) || 0;
+                if (percent === 0 && !weights[name]) return '';
+                const party = this.escapeHtml(name);
+                return `<p>${weights[name] ? `<strong>${party}: ${percent.toFixed(1)}%</strong> × ${weights[name]}` : `${party}: ${percent.toFixed(1)}%`}</p>`;
+            }).join('');
             
             return `
                 <div class="popup-content enhanced-popup">
                     <h4>${district.name}</h4>
                     <div class="voting-breakdown">
-                        <p><strong>Left+Green Combined:</strong> ${leftGreen.toFixed(1)}%</p>
+                        <p><strong>${this.escapeHtml(label)}:</strong> ${indexValue.toFixed(1)}%</p>
                         <div class="voting-bar">
-                            <div class="left-green-bar" style="width: ${Math.min(leftGreen, 100)}%; background: ${district.fill_color || district.choropleth_color || this.getVotingColor(leftGreen, true)};"></div>
+                            <div class="left-green-bar" style="width: ${Math.min(indexValue, 100)}%; background: ${style.fill_color || district.fill_color || district.choropleth_color};"></div>
                         </div>
                         <div class="party-breakdown">
-                            <p>SPÖ: ${spoPercent.toFixed(1)}%</p>
-                            <p>Grüne: ${grunePercent.toFixed(1)}%</p>
-                            <p>KPÖ: ${kpoPercent.toFixed(1)}%</p>
-                            <p>ÖVP: ${ovpPercent.toFixed(1)}%</p>
-                            <p>FPÖ: ${fpoPercent.toFixed(1)}%</p>
-                            ${neosPercent > 0 ? `<p>NEOS: ${neosPercent.toFixed(1)}%</p>` : ''}
+                            ${partyRows}
                         </div>
                     </div>
                 </div>
@@ -1148,6 +1378,8 @@ class CO2StorageAtlas {
                         ${source.comment ? `<p><strong>Comment:</strong> ${source.comment}</p>` : ''}
                         ${isProminent ? '<div class="prominence-badge">Major Emitter</div>' : ''}
                     </div>
+                    ${this.createRouteControls(`co2_sources:${source.id}`, source.plant_name)}
+                    ${this.createProximityControls(`co2_sources:${source.id}`)}
                     ${this.isAuthenticated ? `<div class="popup-admin-controls show"><button class="btn btn-small" onclick="atlas.editCO2Source(${source.id})">Edit</button></div>` : ''}
                 </div>
             `;
@@ -1209,6 +1441,8 @@ class CO2StorageAtlas {
                 <p><strong>Operator:</strong> ${storage.operator || 'N/A'}</p>
                 <p><strong>Type:</strong> ${storage.storage_type || 'N/A'}</p>
                 ${storage.capacity_bcm ? `<p><strong>Capacity:</strong> ${storage.capacity_bcm} BCM</p>` : ''}
+                ${this.createRouteControls(`gas_storage_sites:${storage.id}`, storage.name || 'Gas Storage')}
+                ${this.createProximityControls(`gas_storage_sites:${storage.id}`)}
             </div>
         `;
     }
@@ -1233,6 +1467,106 @@ class CO2StorageAtlas {
         `;
     }
 
+    createGroundwaterPopup(area) {
+        return `<div class="popup-content"><h4>Groundwater Protection</h4><p><strong>Name:</strong> ${area.name || 'Protected Area'}</p><p><strong>Zone:</strong> ${area.protection_zone || 'Protected'}</p></div>`;
+    }
+
+    createConservationPopup(area) {
+        return `<div class="popup-content"><h4>Conservation Area</h4><p><strong>Name:</strong> ${area.name || 'Protected Area'}</p><p><strong>Type:</strong> ${area.area_type || 'Nature Reserve'}</p></div>`;
+    }
+
+    createSettlementPopup(area) {
+        return `<div class="popup-content"><h4>Residential Area</h4><p><strong>Name:</strong> ${area.name || 'Settlement'}</p><p><strong>Population:</strong> ${area.population ? area.population.toLocaleString() : 'Unknown'}</p></div>`;
+    }
+
+    createHighwayPopup(road) {
+        return `<div class="popup-content"><h4>Highway</h4><p><strong>Name:</strong> ${road.name || 'Primary Road'}</p><p><strong>Number:</strong> ${road.highway_number || 'N/A'}</p></div>`;
+    }
+
+    createRailwayPopup(railway) {
+        return `<div class="popup-content"><h4>Railway</h4><p><strong>Name:</strong> ${railway.name || 'Railway Line'}</p><p><strong>Operator:</strong> ${railway.operator || 'N/A'}</p></div>`;
+    }
+
+    // Layers the identify popup reports on, top-most first, with the popup renderer for each
+    getIdentifyLayers() {
+        return [
+            { source: 'co2_sources', layerKey: 'co2Sources', render: (f) => this.createCO2Popup(f) },
+            { source: 'landfills', layerKey: 'landfills', render: (f) => this.createLandfillPopup(f) },
+            { source: 'gravel_pits', layerKey: 'gravelPits', render: (f) => this.createGravelPitPopup(f) },
+            { source: 'wastewater_plants', layerKey: 'wastewaterPlants', render: (f) => this.createWastewaterPopup(f) },
+            { source: 'gas_storage_sites', layerKey: 'gasStorage', render: (f) => this.createGasStoragePopup(f) },
+            { source: 'gas_distribution_points', layerKey: 'gasDistribution', render: (f) => this.createGasDistributionPopup(f) },
+            { source: 'compressor_stations', layerKey: 'compressorStations', render: (f) => this.createCompressorPopup(f) },
+            { source: 'gas_pipelines', layerKey: 'gasPipelines', render: (f) => this.createPipelinePopup(f) },
+            { source: 'highways', layerKey: 'highways', render: (f) => this.createHighwayPopup(f) },
+            { source: 'railways', layerKey: 'railways', render: (f) => this.createRailwayPopup(f) },
+            { source: 'settlement_areas', layerKey: 'settlementAreas', render: (f) => this.createSettlementPopup(f) },
+            { source: 'conservation_areas', layerKey: 'conservationAreas', render: (f) => this.createConservationPopup(f) },
+            { source: 'groundwater_protection', layerKey: 'groundwaterProtection', render: (f) => this.createGroundwaterPopup(f) },
+            { source: 'voting_districts', layerKey: 'votingDistricts', render: (f) => this.createVotingPopup(f) }
+        ];
+    }
+
+    isLayerVisible(layerKey) {
+        const layer = this.clusterGroups[layerKey] || this.layers[layerKey];
+        return !!layer && this.map.hasLayer(layer);
+    }
+
+    // Lists every feature under the click across all visible layers, one tab per layer,
+    // so overlapping polygons stay reachable
+    async identifyAt(latlng) {
+        try {
+            const identifyLayers = this.getIdentifyLayers().filter(layer => this.isLayerVisible(layer.layerKey));
+            if (identifyLayers.length === 0) return;
+
+            const params = new URLSearchParams({
+                lat: latlng.lat,
+                lng: latlng.lng,
+                zoom: this.map.getZoom(),
+                layers: identifyLayers.map(layer => layer.source).join(',')
+            });
+            const result = await this.apiRequest(`/api/identify?${params}`);
+            if (result.layers.length === 0) return;
+
+            const renderers = Object.fromEntries(identifyLayers.map(layer => [layer.source, layer.render]));
+            const tabs = result.layers.map((layer, i) => `
+                <button class="identify-tab ${i === 0 ? 'active' : ''}" data-identify-tab="${i}" role="tab">
+                    ${this.escapeHtml(layer.title)} (${layer.features.length})
+                </button>
+            `).join('');
+            const panels = result.layers.map((layer, i) => `
+                <div class="identify-panel" data-identify-panel="${i}" ${i === 0 ? '' : 'hidden'}>
+                    ${layer.features.map(feature => renderers[layer.layer](feature)).join('')}
+                </div>
+            `).join('');
+
+            L.popup({ maxWidth: 360, maxHeight: 400 })
+                .setLatLng(latlng)
+                .setContent(`
+                    <div class="identify-popup">
+                        <div class="identify-tabs" role="tablist">${tabs}</div>
+                        ${panels}
+                    </div>
+                `)
+                .openOn(this.map);
+        } catch (error) {
+            this.handleError(error, 'Identifying features');
+            this.showToast('Failed to identify features', 'error');
+        }
+    }
+
+    switchIdentifyTab(tab) {
+        const popup = tab.closest('.identify-popup');
+        if (!popup) return;
+
+        popup.querySelectorAll('[data-identify-tab]').forEach(button => {
+            button.classList.toggle('active', button === tab);
+        });
+        popup.querySelectorAll('[data-identify-panel]').forEach(panel => {
+            panel.hidden = panel.dataset.identifyPanel !== tab.dataset.identifyTab;
+        });
+    }
+
     // Event handling and UI methods with enhanced error handling
     setupEventListeners() {
         try {
@@ -1274,6 +1608,166 @@ class CO2StorageAtlas {
                 refreshBtn.addEventListener('click', () => this.refreshData());
             }
 
+            const exportLayersBtn = document.getElementById('export-visible-layers');
+            if (exportLayersBtn) {
+                exportLayersBtn.addEventListener('click', () => this.exportVisibleLayers());
+            }
+
+            // Analysis tools
+            const drawPolygonBtn = document.getElementById('draw-area-polygon');
+            if (drawPolygonBtn) {
+                drawPolygonBtn.addEventListener('click', () => this.startAreaDrawing('polygon'));
+            }
+
+            const drawRectangleBtn = document.getElementById('draw-area-rectangle');
+            if (drawRectangleBtn) {
+                drawRectangleBtn.addEventListener('click', () => this.startAreaDrawing('rectangle'));
+            }
+
+            const exportAreaBtn = document.getElementById('export-area-summary');
+            if (exportAreaBtn) {
+                exportAreaBtn.addEventListener('click', () => this.exportAreaSummary());
+            }
+
+            const clearAreaBtn = document.getElementById('clear-area-summary');
+            if (clearAreaBtn) {
+                clearAreaBtn.addEventListener('click', () => this.clearAreaSummary());
+            }
+
+            const runMatchingBtn = document.getElementById('run-matching');
+            if (runMatchingBtn) {
+                runMatchingBtn.addEventListener('click', () => this.runSourceSinkMatching());
+            }
+
+            const clearMatchingBtn = document.getElementById('clear-matching');
+            if (clearMatchingBtn) {
+                clearMatchingBtn.addEventListener('click', () => this.clearSourceSinkMatching());
+            }
+
+            const runRoutingBtn = document.getElementById('run-routing');
+            if (runRoutingBtn) {
+                runRoutingBtn.addEventListener('click', () => this.runPipelineRouting());
+            }
+
+            const clearRoutingBtn = document.getElementById('clear-routing');
+            if (clearRoutingBtn) {
+                clearRoutingBtn.addEventListener('click', () => this.clearPipelineRouting());
+            }
+
+            document.querySelectorAll('#suitability-tool input[data-weight]').forEach(slider => {
+                slider.addEventListener('input', () => {
+                    const output = document.getElementById(`${slider.id}-value`);
+                    if (output) output.textContent = slider.value;
+                });
+            });
+
+            const votingIndexElection = document.getElementById('voting-index-election');
+            if (votingIndexElection) {
+                votingIndexElection.addEventListener('change', () => this.renderVotingIndexParties(votingIndexElection.value, this.getVotingIndexWeights()));
+            }
+
+            const applyVotingIndexBtn = document.getElementById('apply-voting-index');
+            if (applyVotingIndexBtn) {
+                applyVotingIndexBtn.addEventListener('click', () => this.applyVotingIndex());
+            }
+
+            const resetVotingIndexBtn = document.getElementById('reset-voting-index');
+            if (resetVotingIndexBtn) {
+                resetVotingIndexBtn.addEventListener('click', () => this.resetVotingIndex());
+            }
+
+            const saveVotingIndexBtn = document.getElementById('save-voting-index');
+            if (saveVotingIndexBtn) {
+                saveVotingIndexBtn.addEventListener('click', () => this.saveVotingIndex());
+            }
+
+            const classificationMethod = document.getElementById('classification-method');
+            if (classificationMethod) {
+                classificationMethod.addEventListener('change', () => this.toggleClassificationMethodFields());
+            }
+
+            const classificationClasses = document.getElementById('classification-classes');
+            if (classificationClasses) {
+                classificationClasses.addEventListener('input', () => {
+                    const output = document.getElementById('classification-classes-value');
+                    if (output) output.textContent = classificationClasses.value;
+                });
+            }
+
+            const previewClassificationBtn = document.getElementById('preview-classification');
+            if (previewClassificationBtn) {
+                previewClassificationBtn.addEventListener('click', () => this.previewClassification());
+            }
+
+            const saveClassificationBtn = document.getElementById('save-classification');
+            if (saveClassificationBtn) {
+                saveClassificationBtn.addEventListener('click', () => this.saveClassification());
+            }
+
+            const resetClassificationBtn = document.getElementById('reset-classification');
+            if (resetClassificationBtn) {
+                resetClassificationBtn.addEventListener('click', () => this.resetClassification());
+            }
+
+            const electionSelect = document.getElementById('election-select');
+            if (electionSelect) {
+                electionSelect.addEventListener('change', () => this.populateElectionOptions());
+            }
+
+            const showElectionBtn = document.getElementById('show-election');
+            if (showElectionBtn) {
+                showElectionBtn.addEventListener('click', () => this.showElection());
+            }
+
+            const clearElectionBtn = document.getElementById('clear-election');
+            if (clearElectionBtn) {
+                clearElectionBtn.addEventListener('click', () => this.clearElection());
+            }
+
+            const runSuitabilityBtn = document.getElementById('run-suitability');
+            if (runSuitabilityBtn) {
+                runSuitabilityBtn.addEventListener('click', () => this.runSuitability());
+            }
+
+            const exportSuitabilityCsvBtn = document.getElementById('export-suitability-csv');
+            if (exportSuitabilityCsvBtn) {
+                exportSuitabilityCsvBtn.addEventListener('click', () => this.exportSuitability('csv'));
+            }
+
+            const exportSuitabilityGeoJsonBtn = document.getElementById('export-suitability-geojson');
+            if (exportSuitabilityGeoJsonBtn) {
+                exportSuitabilityGeoJsonBtn.addEventListener('click', () => this.exportSuitability('geojson'));
+            }
+
+            const clearSuitabilityBtn = document.getElementById('clear-suitability');
+            if (clearSuitabilityBtn) {
+                clearSuitabilityBtn.addEventListener('click', () => this.clearSuitability());
+            }
+
+            const clearProximityBtn = document.getElementById('clear-proximity');
+            if (clearProximityBtn) {
+                clearProximityBtn.addEventListener('click', () => this.clearProximity());
+            }
+
+            // Route, "What's nearby" and identify tab buttons live inside popups, so listen at document level
+            document.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-route-role]');
+                if (button) {
+                    this.setRouteEndpoint(button.dataset.routeRole, button.dataset.routeSpec, button.dataset.routeLabel);
+                }
+
+                const identifyTab = e.target.closest('[data-identify-tab]');
+                if (identifyTab) {
+                    this.switchIdentifyTab(identifyTab);
+                }
+
+                const proximityButton = e.target.closest('[data-proximity-spec]');
+                if (proximityButton) {
+                    const radius = proximityButton.parentElement.querySelector('.proximity-radius')?.value || 10;
+                    this.runProximityAnalysis(proximityButton.dataset.proximitySpec, radius);
+                }
+            });
+
             this.setupAdminFormHandlers();
         } catch (error) {
             this.handleError(error, 'Setting up event listeners');
@@ -1300,61 +1794,222 @@ class CO2StorageAtlas {
 
             const getCoordinatesBtn = document.getElementById('get-coordinates');
             if (getCoordinatesBtn) {
-                getCoordinatesBtn.addEventListener('click', () => this.enableCoordinateSelection());
+                getCoordinatesBtn.addEventListener('click', () => this.enableCoordinateSelection('co2-latitude', 'co2-longitude'));
             }
 
             const validateCoordinatesBtn = document.getElementById('validate-coordinates');
             if (validateCoordinatesBtn) {
-                validateCoordinatesBtn.addEventListener('click', () => this.validateCoordinates());
+                validateCoordinatesBtn.addEventListener('click', () => this.validateCoordinates('co2-latitude', 'co2-longitude'));
+            }
+
+            // Infrastructure layer form handlers
+            const layerSelect = document.getElementById('layer-admin-select');
+            if (layerSelect) {
+                layerSelect.addEventListener('change', () => this.selectAdminLayer(layerSelect.value));
+            }
+
+            const saveLayerBtn = document.getElementById('save-layer-record');
+            if (saveLayerBtn) {
+                saveLayerBtn.addEventListener('click', () => this.saveLayerRecord());
+            }
+
+            const clearLayerBtn = document.getElementById('clear-layer-record');
+            if (clearLayerBtn) {
+                clearLayerBtn.addEventListener('click', () => this.clearLayerForm());
+            }
+
+            const deleteLayerBtn = document.getElementById('delete-layer-record');
+            if (deleteLayerBtn) {
+                deleteLayerBtn.addEventListener('click', () => this.deleteLayerRecord());
+            }
+
+            const layerCoordinatesBtn = document.getElementById('layer-get-coordinates');
+            if (layerCoordinatesBtn) {
+                layerCoordinatesBtn.addEventListener('click', () => this.enableCoordinateSelection('layer-latitude', 'layer-longitude'));
+            }
+
+            const layerValidateBtn = document.getElementById('layer-validate-coordinates');
+            if (layerValidateBtn) {
+                layerValidateBtn.addEventListener('click', () => this.validateCoordinates('layer-latitude', 'layer-longitude'));
+            }
+
+            const refreshLayerListBtn = document.getElementById('refresh-layer-list');
+            if (refreshLayerListBtn) {
+                refreshLayerListBtn.addEventListener('click', () => this.loadLayerRecords());
+            }
+
+            const toggleAllBtn = document.getElementById('toggle-all-layers');
+            if (toggleAllBtn) {
+                toggleAllBtn.addEventListener('click', () => this.toggleAllLayers());
             }
 
             const refreshStatsBtn = document.getElementById('refresh-stats');
             if (refreshStatsBtn) {
                 refreshStatsBtn.addEventListener('click', () => this.refreshDatabaseStats());
             }
-        } catch (error) {
-            this.handleError(error, 'Setting up admin form handlers');
-        }
-    }
 
-    toggleLayer(event) {
-        try {
-            const layerId = event.target.id.replace('layer-', '').replace(/-/g, '');
-            const layerMap = {
-                'voting': 'votingDistricts',
-                'co2sources': 'co2Sources',
-                'landfills': 'landfills',
-                'gravelpits': 'gravelPits',
-                'wastewater': 'wastewaterPlants',
-                'gaspipelines': 'gasPipelines',
-                'gasstorage': 'gasStorage',
-                'gasdistribution': 'gasDistribution',
-                'compressorstations': 'compressorStations',
-                'highways': 'highways',
-                'railways': 'railways',
-                'groundwater': 'groundwaterProtection',
-                'conservation': 'conservationAreas',
-                'settlements': 'settlementAreas'
-            };
+            const rebuildSuitabilityBtn = document.getElementById('rebuild-suitability-grid');
+            if (rebuildSuitabilityBtn) {
+                rebuildSuitabilityBtn.addEventListener('click', () => this.rebuildSuitabilityGrid());
+            }
 
-            const layerKey = layerMap[layerId];
-            if (!layerKey) return;
+            // Data import wizard
+            const uploadImportBtn = document.getElementById('upload-import-file');
+            if (uploadImportBtn) {
+                uploadImportBtn.addEventListener('click', () => this.uploadImportFile());
+            }
 
-            // Handle clustered layers
-            const clusterGroupKey = layerKey;
-            if (this.clusterGroups[clusterGroupKey]) {
-                if (event.target.checked) {
-                    this.map.addLayer(this.clusterGroups[clusterGroupKey]);
-                } else {
-                    this.map.removeLayer(this.clusterGroups[clusterGroupKey]);
-                }
+            const importTargetSelect = document.getElementById('import-target');
+            if (importTargetSelect) {
+                importTargetSelect.addEventListener('change', () => this.renderImportMapping());
             }
-            // Handle regular layers
-            else if (this.layers[layerKey]) {
-                if (event.target.checked) {
-                    this.map.addLayer(this.layers[layerKey]);
-                } else {
-                    this.map.removeLayer(this.layers[layerKey]);
+
+            const previewImportBtn = document.getElementById('preview-import');
+            if (previewImportBtn) {
+                previewImportBtn.addEventListener('click', () => this.previewImport());
+            }
+
+            const commitImportBtn = document.getElementById('commit-import');
+            if (commitImportBtn) {
+                commitImportBtn.addEventListener('click', () => this.commitImport());
+            }
+
+            const cancelImportBtn = document.getElementById('cancel-import');
+            if (cancelImportBtn) {
+                cancelImportBtn.addEventListener('click', () => this.cancelImport());
+            }
+
+            // Change history handlers
+            const historyCO2Btn = document.getElementById('history-co2');
+            if (historyCO2Btn) {
+                historyCO2Btn.addEventListener('click', () =>
+                    this.showRecordHistory('co2_sources', document.getElementById('co2-id')?.value));
+            }
+
+            const historyLayerBtn = document.getElementById('history-layer-record');
+            if (historyLayerBtn) {
+                historyLayerBtn.addEventListener('click', () => {
+                    const schema = this.getSelectedLayerSchema();
+                    this.showRecordHistory(schema ? schema.table : '', document.getElementById('layer-record-id')?.value);
+                });
+            }
+
+            // Import history and lineage handlers
+            const importsTab = document.querySelector('.admin-tab[data-tab="imports"]');
+            if (importsTab) {
+                importsTab.addEventListener('click', () => {
+                    this.populateLineageLayers();
+                    this.loadImportRuns(this.importRunsOffset);
+                });
+            }
+
+            const importRunsPrevBtn = document.getElementById('import-runs-prev-page');
+            if (importRunsPrevBtn) {
+                importRunsPrevBtn.addEventListener('click', () =>
+                    this.loadImportRuns(Math.max(this.importRunsOffset - this.auditPageSize, 0)));
+            }
+
+            const importRunsNextBtn = document.getElementById('import-runs-next-page');
+            if (importRunsNextBtn) {
+                importRunsNextBtn.addEventListener('click', () => this.loadImportRuns(this.importRunsOffset + this.auditPageSize));
+            }
+
+            const lookupLineageBtn = document.getElementById('lookup-lineage');
+            if (lookupLineageBtn) {
+                lookupLineageBtn.addEventListener('click', () => this.loadLineage());
+            }
+
+            const lineageCO2Btn = document.getElementById('lineage-co2');
+            if (lineageCO2Btn) {
+                lineageCO2Btn.addEventListener('click', () =>
+                    this.showLineage('co2_sources', document.getElementById('co2-id')?.value));
+            }
+
+            const lineageLayerBtn = document.getElementById('lineage-layer-record');
+            if (lineageLayerBtn) {
+                lineageLayerBtn.addEventListener('click', () => {
+                    const schema = this.getSelectedLayerSchema();
+                    this.showLineage(schema ? schema.table : '', document.getElementById('layer-record-id')?.value);
+                });
+            }
+
+            const searchAuditBtn = document.getElementById('search-audit-log');
+            if (searchAuditBtn) {
+                searchAuditBtn.addEventListener('click', () => this.loadAuditLog(0));
+            }
+
+            const clearAuditBtn = document.getElementById('clear-audit-filters');
+            if (clearAuditBtn) {
+                clearAuditBtn.addEventListener('click', () => {
+                    document.getElementById('audit-filter-form')?.reset();
+                    this.loadAuditLog(0);
+                });
+            }
+
+            const auditPrevBtn = document.getElementById('audit-prev-page');
+            if (auditPrevBtn) {
+                auditPrevBtn.addEventListener('click', () =>
+                    this.loadAuditLog(Math.max(this.auditOffset - this.auditPageSize, 0)));
+            }
+
+            const auditNextBtn = document.getElementById('audit-next-page');
+            if (auditNextBtn) {
+                auditNextBtn.addEventListener('click', () => this.loadAuditLog(this.auditOffset + this.auditPageSize));
+            }
+
+            // User management handlers
+            const inviteUserBtn = document.getElementById('invite-user');
+            if (inviteUserBtn) {
+                inviteUserBtn.addEventListener('click', () => this.inviteUser());
+            }
+
+            const refreshUsersBtn = document.getElementById('refresh-user-list');
+            if (refreshUsersBtn) {
+                refreshUsersBtn.addEventListener('click', () => this.loadUsers());
+            }
+        } catch (error) {
+            this.handleError(error, 'Setting up admin form handlers');
+        }
+    }
+
+    toggleLayer(event) {
+        try {
+            const layerId = event.target.id.replace('layer-', '').replace(/-/g, '');
+            const layerMap = {
+                'voting': 'votingDistricts',
+                'co2sources': 'co2Sources',
+                'landfills': 'landfills',
+                'gravelpits': 'gravelPits',
+                'wastewater': 'wastewaterPlants',
+                'gaspipelines': 'gasPipelines',
+                'gasstorage': 'gasStorage',
+                'gasdistribution': 'gasDistribution',
+                'compressorstations': 'compressorStations',
+                'highways': 'highways',
+                'railways': 'railways',
+                'groundwater': 'groundwaterProtection',
+                'conservation': 'conservationAreas',
+                'settlements': 'settlementAreas'
+            };
+
+            const layerKey = layerMap[layerId];
+            if (!layerKey) return;
+
+            // Handle clustered layers
+            const clusterGroupKey = layerKey;
+            if (this.clusterGroups[clusterGroupKey]) {
+                if (event.target.checked) {
+                    this.map.addLayer(this.clusterGroups[clusterGroupKey]);
+                } else {
+                    this.map.removeLayer(this.clusterGroups[clusterGroupKey]);
+                }
+            }
+            // Handle regular layers
+            else if (this.layers[layerKey]) {
+                if (event.target.checked) {
+                    this.map.addLayer(this.layers[layerKey]);
+                } else {
+                    this.map.removeLayer(this.layers[layerKey]);
                 }
             }
             
@@ -1432,6 +2087,33 @@ class CO2StorageAtlas {
         this.refreshData();
     }
 
+    // Downloads every checked layer as one zip in the chosen format
+    exportVisibleLayers() {
+        try {
+            const layers = this.getIdentifyLayers()
+                .filter(layer => this.isLayerVisible(layer.layerKey))
+                .map(layer => layer.source);
+            if (layers.length === 0) {
+                this.showToast('No layers are visible to export', 'warning');
+                return;
+            }
+
+            const params = new URLSearchParams({
+                layers: layers.join(','),
+                format: document.getElementById('export-format')?.value || 'gpkg'
+            });
+            if (document.getElementById('export-view-only')?.checked) {
+                params.set('bbox', this.map.getBounds().toBBoxString());
+            }
+
+            window.location.href = `/api/export?${params}`;
+            this.showToast(`Exporting ${layers.length} layer${layers.length === 1 ? '' : 's'}...`, 'info');
+        } catch (error) {
+            this.handleError(error, 'Exporting layers');
+            this.showToast('Failed to export layers', 'error');
+        }
+    }
+
     async refreshData() {
         try {
             this.showToast('Refreshing data...', 'info');
@@ -1445,6 +2127,7 @@ class CO2StorageAtlas {
             
             // Reload all data
             await this.loadAllLayers();
+            this.loadElections();
             this.updateStatistics();
             this.showToast('Data refreshed successfully', 'success');
         } catch (error) {
@@ -1454,30 +2137,106 @@ class CO2StorageAtlas {
         }
     }
 
-    // Authentication methods (same as original but with error handling)
-    authenticate() {
+    // Authentication methods
+    async authenticate() {
         try {
-            const password = document.getElementById('admin-password').value;
-            if (password === 'co2atlas2024') {
-                this.isAuthenticated = true;
-                this.showToast('Authentication successful!', 'success');
-                this.enableAdminFeatures();
-                this.loadExistingSources();
+            const username = document.getElementById('admin-username')?.value.trim();
+            const password = document.getElementById('admin-password')?.value;
+
+            if (!username || !password) {
+                this.showToast('Please enter username and password', 'error');
+                return;
+            }
+
+            const data = await this.apiRequest('/api/auth/login', {
+                method: 'POST',
+                body: JSON.stringify({ username, password })
+            });
+
+            this.startSession(data);
+            this.showToast('Authentication successful!', 'success');
+            this.enableAdminFeatures();
+            this.loadExistingSources();
+            this.loadLayerSchemas();
+        } catch (error) {
+            if (error.status === 401 || error.status === 400) {
+                this.showToast('Invalid username or password', 'error');
             } else {
-                this.showToast('Invalid password', 'error');
+                this.handleError(error, 'Authentication');
+                this.showToast('Login failed, please try again', 'error');
             }
+        }
+    }
+
+    startSession(data) {
+        this.authToken = data.token;
+        this.currentUser = data.user;
+        this.isAuthenticated = true;
+        this.scheduleTokenRefresh();
+    }
+
+    endSession() {
+        clearTimeout(this.tokenRefreshTimer);
+        this.tokenRefreshTimer = null;
+        this.isAuthenticated = false;
+        this.authToken = null;
+        this.currentUser = null;
+        this.existingSources = [];
+        this.editingSource = null;
+        this.layerRecords = [];
+        this.editingLayerRecord = null;
+        this.adminUsers = [];
+        this.disableAdminFeatures();
+    }
+
+    decodeToken(token) {
+        try {
+            const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            return JSON.parse(atob(payload));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Refresh well before the JWT expires so the admin session is not cut off mid-edit
+    scheduleTokenRefresh() {
+        clearTimeout(this.tokenRefreshTimer);
+
+        const payload = this.decodeToken(this.authToken);
+        if (!payload || !payload.exp) return;
+
+        const msUntilExpiry = payload.exp * 1000 - Date.now();
+        const delay = Math.max(Math.min(msUntilExpiry * 0.8, msUntilExpiry - 60000), 5000);
+        this.tokenRefreshTimer = setTimeout(() => this.refreshToken(), Math.min(delay, 2147483647));
+    }
+
+    async refreshToken() {
+        if (!this.isAuthenticated) return;
+
+        try {
+            const data = await this.apiRequest('/api/auth/refresh', { method: 'POST' });
+            this.startSession(data);
+            this.applyPermissions();
         } catch (error) {
-            this.handleError(error, 'Authentication');
+            if (error.status === 401) return; // session already locked by apiRequest
+
+            console.warn('Token refresh failed, retrying:', error);
+            const payload = this.decodeToken(this.authToken);
+            if (payload && payload.exp * 1000 > Date.now() + 30000) {
+                this.tokenRefreshTimer = setTimeout(() => this.refreshToken(), 30000);
+            }
         }
     }
 
+    handleSessionExpired() {
+        if (!this.isAuthenticated) return;
+        this.endSession();
+        this.showToast('Admin session expired. Please log in again.', 'warning', 5000);
+    }
+
     logout() {
         try {
-            this.isAuthenticated = false;
-            this.authToken = null;
-            this.existingSources = [];
-            this.editingSource = null;
-            this.disableAdminFeatures();
+            this.endSession();
             this.showToast('Logged out successfully', 'info');
         } catch (error) {
             this.handleError(error, 'Logout');
@@ -1492,10 +2251,37 @@ class CO2StorageAtlas {
         if (authForm) authForm.style.display = 'none';
         if (authStatus) authStatus.style.display = 'block';
         if (adminPanel) adminPanel.style.display = 'block';
+
+        const authText = document.querySelector('#auth-status .auth-text');
+        if (authText && this.currentUser) {
+            authText.textContent = `Admin Mode (${this.currentUser.username}, ${this.currentUser.role})`;
+        }
+
+        this.applyPermissions();
+        if (this.hasPermission('users:manage')) {
+            this.loadUsers();
+        }
         
         this.updateAppStatus('admin', 'Admin mode active');
     }
 
+    hasPermission(permission) {
+        return Boolean(this.currentUser && (this.currentUser.permissions || []).includes(permission));
+    }
+
+    // Hide controls the current role cannot use; the server enforces the same permissions
+    applyPermissions() {
+        document.querySelectorAll('[data-permission]').forEach(element => {
+            element.classList.toggle('permission-hidden', !this.hasPermission(element.dataset.permission));
+        });
+
+        const activeTab = document.querySelector('.admin-tab.active');
+        if (activeTab && activeTab.classList.contains('permission-hidden')) {
+            const firstTab = document.querySelector('.admin-tab:not(.permission-hidden)');
+            if (firstTab) firstTab.click();
+        }
+    }
+
     disableAdminFeatures() {
         const authForm = document.getElementById('auth-form');
         const authStatus = document.getElementById('auth-status');
@@ -1507,6 +2293,11 @@ class CO2StorageAtlas {
         
         const passwordField = document.getElementById('admin-password');
         if (passwordField) passwordField.value = '';
+
+        const authText = document.querySelector('#auth-status .auth-text');
+        if (authText) authText.textContent = 'Admin Mode';
+
+        this.applyPermissions();
         
         this.updateAppStatus('connected', 'Connected to database');
     }
@@ -1518,8 +2309,8 @@ class CO2StorageAtlas {
                 const lat = e.latlng.lat.toFixed(6);
                 const lng = e.latlng.lng.toFixed(6);
                 
-                const latField = document.getElementById('co2-latitude');
-                const lngField = document.getElementById('co2-longitude');
+                const latField = document.getElementById(this.coordinateTarget.lat);
+                const lngField = document.getElementById(this.coordinateTarget.lng);
                 
                 if (latField) latField.value = lat;
                 if (lngField) lngField.value = lng;
@@ -1540,22 +2331,30 @@ class CO2StorageAtlas {
                 this.coordinateClickMode = false;
                 document.getElementById('coordinates-display').style.display = 'none';
                 this.showToast(`Coordinates selected: ${lat}, ${lng}`, 'success');
+                return;
+            }
+
+            // Clicks on analysis overlays open their own popups; only empty map and data layers identify
+            const target = e.sourceTarget;
+            if (!this.isDrawingArea && (target === this.map || target?.options?.identify)) {
+                this.identifyAt(e.latlng);
             }
         } catch (error) {
             this.handleError(error, 'Map click handling');
         }
     }
 
-    enableCoordinateSelection() {
+    enableCoordinateSelection(latFieldId = 'co2-latitude', lngFieldId = 'co2-longitude') {
+        this.coordinateTarget = { lat: latFieldId, lng: lngFieldId };
         this.coordinateClickMode = true;
         this.showToast('Click on map to select coordinates', 'info');
         document.getElementById('coordinates-display').style.display = 'block';
     }
 
-    validateCoordinates() {
+    validateCoordinates(latFieldId = 'co2-latitude', lngFieldId = 'co2-longitude') {
         try {
-            const latField = document.getElementById('co2-latitude');
-            const lngField = document.getElementById('co2-longitude');
+            const latField = document.getElementById(latFieldId);
+            const lngField = document.getElementById(lngFieldId);
             
             if (!latField || !lngField) return;
             
@@ -1682,8 +2481,7 @@ class CO2StorageAtlas {
             this.loadExistingSources();
             
             // Reload CO2 sources on map
-            this.clusterGroups.co2Sources.clearLayers();
-            await this.loadCO2Sources();
+            await this.reloadMapLayer('co2_sources');
         } catch (error) {
             console.error('Error saving CO₂ source:', error);
             this.handleError(error, 'Saving CO₂ source');
@@ -1712,8 +2510,7 @@ class CO2StorageAtlas {
             this.loadExistingSources();
             
             // Reload CO2 sources on map
-            this.clusterGroups.co2Sources.clearLayers();
-            await this.loadCO2Sources();
+            await this.reloadMapLayer('co2_sources');
         } catch (error) {
             console.error('Error deleting CO₂ source:', error);
             this.handleError(error, 'Deleting CO₂ source');
@@ -1743,90 +2540,1936 @@ class CO2StorageAtlas {
         }
     }
 
-    async refreshDatabaseStats() {
+    // Infrastructure layer editing
+    getLayerReloader(layerKey) {
+        const reloaders = {
+            co2_sources: { clusterKey: 'co2Sources', load: () => this.loadCO2Sources() },
+            landfills: { clusterKey: 'landfills', load: () => this.loadLandfills() },
+            gravel_pits: { clusterKey: 'gravelPits', load: () => this.loadGravelPits() },
+            wastewater_plants: { clusterKey: 'wastewaterPlants', load: () => this.loadWastewaterPlants() },
+            gas_storage_sites: { clusterKey: 'gasStorage', load: () => this.loadGasStorage() },
+            gas_distribution_points: { clusterKey: 'gasDistribution', load: () => this.loadGasDistribution() },
+            compressor_stations: { clusterKey: 'compressorStations', load: () => this.loadCompressorStations() }
+        };
+        return reloaders[layerKey];
+    }
+
+    async loadLayerSchemas() {
+        if (!this.isAuthenticated) return;
+
         try {
-            const stats = await this.apiRequest('/api/database-stats');
-            
-            const statsContainer = document.getElementById('database-stats');
-            if (statsContainer) {
-                let html = '<h5>Database Statistics</h5>';
-                Object.entries(stats).forEach(([table, data]) => {
-                    html += `<p><strong>${table.replace(/_/g, ' ')}:</strong> ${data.total} total, ${data.validGeometry} with valid geometry</p>`;
-                });
-                statsContainer.innerHTML = html;
-            }
+            this.layerSchemas = await this.apiRequest('/api/admin/layers');
+
+            const layerSelect = document.getElementById('layer-admin-select');
+            if (!layerSelect) return;
+
+            layerSelect.innerHTML = '<option value="">Select Layer</option>' +
+                this.layerSchemas.map(schema => `<option value="${schema.key}">${schema.label}</option>`).join('');
+
+            this.populateAuditFilters();
         } catch (error) {
-            console.error('Failed to load database stats:', error);
-            this.handleError(error, 'Loading database stats');
-            this.showToast('Failed to load database statistics', 'error');
+            console.error('Failed to load layer schemas:', error);
+            this.handleError(error, 'Loading layer schemas');
         }
     }
 
-    // Utility methods
-    updateLayerCount(elementId, count) {
-        const element = document.getElementById(elementId);
-        if (element) {
-            element.textContent = `(${count})`;
+    getSelectedLayerSchema() {
+        const layerSelect = document.getElementById('layer-admin-select');
+        return this.layerSchemas.find(schema => schema.key === layerSelect?.value) || null;
+    }
+
+    selectAdminLayer(layerKey) {
+        this.clearLayerForm();
+        this.layerRecords = [];
+        this.renderLayerFormFields();
+
+        if (layerKey) {
+            this.loadLayerRecords();
+        } else {
+            this.displayLayerRecords();
         }
     }
 
-    updateStatistics() {
-        try {
-            const totalFeatures = Object.values(this.layerCounts).reduce((sum, count) => sum + count, 0);
-            this.featureCounts.total = totalFeatures;
-            
-            const totalElement = document.getElementById('total-features');
-            if (totalElement) {
-                totalElement.textContent = totalFeatures.toLocaleString();
+    renderLayerFormFields() {
+        const container = document.getElementById('layer-admin-fields');
+        if (!container) return;
+
+        const schema = this.getSelectedLayerSchema();
+        if (!schema) {
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = schema.fields.map(field => {
+            const id = `layer-field-${field.name}`;
+            if (field.type === 'text') {
+                return `<textarea id="${id}" placeholder="${field.label}" rows="2" aria-label="${field.label}"></textarea>`;
+            }
+            if (field.type === 'integer' || field.type === 'number') {
+                return `<input type="number" id="${id}" placeholder="${field.label}" aria-label="${field.label}"
+                               ${field.min !== undefined ? `min="${field.min}"` : ''} step="${field.type === 'integer' ? 1 : 'any'}">`;
             }
+            return `<input type="text" id="${id}" placeholder="${field.label}" aria-label="${field.label}"
+                           ${field.maxLength ? `maxlength="${field.maxLength}"` : ''}>`;
+        }).join('');
+    }
+
+    async loadLayerRecords() {
+        const schema = this.getSelectedLayerSchema();
+        if (!this.isAuthenticated || !schema) return;
+
+        try {
+            this.layerRecords = await this.apiRequest(`/api/admin/layers/${schema.key}`);
+            this.displayLayerRecords();
         } catch (error) {
-            this.handleError(error, 'Updating statistics');
+            console.error(`Failed to load ${schema.key} records:`, error);
+            this.handleError(error, `Loading ${schema.label}`);
         }
     }
 
-    updateVisibleLayersCount() {
+    displayLayerRecords() {
+        const recordsList = document.getElementById('layer-edit-list');
+        if (!recordsList) return;
+
+        const schema = this.getSelectedLayerSchema();
+        if (!schema) {
+            recordsList.innerHTML = '<p>Select a layer to list its features.</p>';
+            return;
+        }
+
+        if (this.layerRecords.length === 0) {
+            recordsList.innerHTML = '<p>No features found.</p>';
+            return;
+        }
+
+        const [titleField, subtitleField] = schema.fields;
+        let html = '<div class="sources-grid">';
+        this.layerRecords.forEach(record => {
+            html += `
+                <div class="source-item" onclick="atlas.editLayerRecord(${record.id})">
+                    <h6>${record[titleField.name] || `#${record.id}`}</h6>
+                    ${subtitleField && record[subtitleField.name] ? `<p>${record[subtitleField.name]}</p>` : ''}
+                    <small>${Number(record.latitude).toFixed(4)}, ${Number(record.longitude).toFixed(4)}</small>
+                </div>
+            `;
+        });
+        html += '</div>';
+        recordsList.innerHTML = html;
+    }
+
+    editLayerRecord(recordId) {
         try {
-            let visibleCount = 0;
-            document.querySelectorAll('input[type="checkbox"][id^="layer-"]:checked').forEach(() => {
-                visibleCount++;
+            const schema = this.getSelectedLayerSchema();
+            const record = this.layerRecords.find(r => r.id == recordId);
+            if (!schema || !record) return;
+
+            this.editingLayerRecord = record;
+
+            document.getElementById('layer-record-id').value = record.id;
+            schema.fields.forEach(field => {
+                const input = document.getElementById(`layer-field-${field.name}`);
+                if (input) input.value = record[field.name] ?? '';
             });
-            
-            const visibleElement = document.getElementById('visible-layers');
-            if (visibleElement) {
-                visibleElement.textContent = visibleCount;
+            document.getElementById('layer-latitude').value = record.latitude || '';
+            document.getElementById('layer-longitude').value = record.longitude || '';
+
+            const deleteBtn = document.getElementById('delete-layer-record');
+            if (deleteBtn) deleteBtn.style.display = 'inline-block';
+
+            if (record.latitude && record.longitude) {
+                this.map.setView([record.latitude, record.longitude], 14);
             }
+
+            this.showToast(`Editing: ${record[schema.fields[0].name] || `#${record.id}`}`, 'info');
         } catch (error) {
-            this.handleError(error, 'Updating visible layers count');
+            this.handleError(error, 'Editing layer record');
         }
     }
 
-    updateActiveClusterCount() {
+    async saveLayerRecord() {
+        const schema = this.getSelectedLayerSchema();
+        if (!schema) {
+            this.showToast('Please select a layer first', 'error');
+            return;
+        }
+
         try {
-            let activeCount = 0;
-            Object.values(this.clusterGroups).forEach(cluster => {
-                if (this.map.hasLayer(cluster)) {
-                    activeCount++;
-                }
+            const formData = {
+                latitude: parseFloat(document.getElementById('layer-latitude')?.value),
+                longitude: parseFloat(document.getElementById('layer-longitude')?.value)
+            };
+            schema.fields.forEach(field => {
+                formData[field.name] = document.getElementById(`layer-field-${field.name}`)?.value || '';
             });
-            
-            const clusterElement = document.getElementById('active-clusters');
-            if (clusterElement) {
-                clusterElement.textContent = activeCount;
+
+            if (isNaN(formData.latitude) || isNaN(formData.longitude)) {
+                this.showToast('Please provide valid coordinates', 'error');
+                return;
             }
+
+            const recordId = document.getElementById('layer-record-id')?.value;
+            const isUpdate = recordId && recordId !== '';
+
+            await this.apiRequest(isUpdate ? `/api/admin/layers/${schema.key}/${recordId}` : `/api/admin/layers/${schema.key}`, {
+                method: isUpdate ? 'PUT' : 'POST',
+                body: JSON.stringify(formData)
+            });
+
+            this.showToast(`${schema.label} feature ${isUpdate ? 'updated' : 'created'} successfully`, 'success');
+            this.clearLayerForm();
+            await this.loadLayerRecords();
+            await this.reloadMapLayer(schema.key);
         } catch (error) {
-            this.handleError(error, 'Updating active cluster count');
+            console.error('Error saving layer record:', error);
+            this.handleError(error, 'Saving layer record');
+            this.showToast(`Failed to save ${schema.label} feature`, 'error');
         }
     }
 
-    updateDataQuality() {
+    async deleteLayerRecord() {
+        const schema = this.getSelectedLayerSchema();
         try {
-            const totalLayers = 14;
-            const loadedLayers = Object.keys(this.layerCounts).length;
-            
-            const qualityElement = document.getElementById('layers-status');
-            if (qualityElement) {
-                const percentage = Math.round((loadedLayers / totalLayers) * 100);
-                qualityElement.textContent = `${loadedLayers}/${totalLayers} loaded (${percentage}%)`;
+            const recordId = document.getElementById('layer-record-id')?.value;
+            if (!schema || !recordId || !this.editingLayerRecord) {
+                this.showToast('No feature selected for deletion', 'error');
+                return;
+            }
+
+            const name = this.editingLayerRecord[schema.fields[0].name] || `#${recordId}`;
+            if (!confirm(`Are you sure you want to delete "${name}"?`)) {
+                return;
+            }
+
+            await this.apiRequest(`/api/admin/layers/${schema.key}/${recordId}`, {
+                method: 'DELETE'
+            });
+
+            this.showToast(`${schema.label} feature deleted successfully`, 'success');
+            this.clearLayerForm();
+            await this.loadLayerRecords();
+            await this.reloadMapLayer(schema.key);
+        } catch (error) {
+            console.error('Error deleting layer record:', error);
+            this.handleError(error, 'Deleting layer record');
+            this.showToast('Failed to delete feature', 'error');
+        }
+    }
+
+    clearLayerForm() {
+        try {
+            const form = document.getElementById('layer-admin-form');
+            if (form) {
+                form.querySelectorAll('input, textarea').forEach(field => { field.value = ''; });
+            }
+
+            const deleteBtn = document.getElementById('delete-layer-record');
+            if (deleteBtn) deleteBtn.style.display = 'none';
+
+            this.editingLayerRecord = null;
+
+            if (this.temporaryMarker) {
+                this.map.removeLayer(this.temporaryMarker);
+                this.temporaryMarker = null;
+            }
+        } catch (error) {
+            this.handleError(error, 'Clearing layer form');
+        }
+    }
+
+    async reloadMapLayer(layerKey) {
+        const reloader = this.getLayerReloader(layerKey);
+        if (!reloader) return;
+
+        this.requestCache.clear();
+        this.tileRevision++;
+        if (this.clusterGroups[reloader.clusterKey]) {
+            this.clusterGroups[reloader.clusterKey].clearLayers();
+        }
+        if (this.layers[reloader.clusterKey]) {
+            this.layers[reloader.clusterKey].clearLayers();
+        }
+        await reloader.load();
+        this.updateStatistics();
+    }
+
+    // User management methods
+    async loadUsers() {
+        if (!this.hasPermission('users:manage')) return;
+
+        try {
+            this.adminUsers = await this.apiRequest('/api/admin/users');
+            this.displayUsers();
+            this.populateAuditFilters();
+        } catch (error) {
+            console.error('Failed to load users:', error);
+            this.handleError(error, 'Loading users');
+        }
+    }
+
+    displayUsers() {
+        const userList = document.getElementById('user-list');
+        if (!userList) return;
+
+        if (this.adminUsers.length === 0) {
+            userList.innerHTML = '<p>No users found.</p>';
+            return;
+        }
+
+        const roles = ['viewer', 'editor', 'admin'];
+        userList.innerHTML = this.adminUsers.map(user => {
+            const isSelf = this.currentUser && user.id === this.currentUser.id;
+            const roleOptions = roles.map(role =>
+                `<option value="${role}" ${user.role === role ? 'selected' : ''}>${role}</option>`
+            ).join('');
+
+            return `
+                <div class="user-row ${user.is_active ? '' : 'inactive'}">
+                    <span class="user-name" title="${user.email || ''}">${user.username}${isSelf ? ' (you)' : ''}</span>
+                    <select aria-label="Role for ${user.username}" ${isSelf ? 'disabled' : ''}
+                            onchange="atlas.updateUser(${user.id}, { role: this.value })">${roleOptions}</select>
+                    <button type="button" class="btn btn-small ${user.is_active ? 'btn-danger' : 'btn-secondary'}"
+                            ${isSelf ? 'disabled' : ''}
+                            onclick="atlas.updateUser(${user.id}, { is_active: ${!user.is_active} })">
+                        ${user.is_active ? 'Deactivate' : 'Activate'}
+                    </button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async inviteUser() {
+        try {
+            const username = document.getElementById('invite-username')?.value.trim();
+            const email = document.getElementById('invite-email')?.value.trim();
+            const role = document.getElementById('invite-role')?.value || 'viewer';
+            const password = document.getElementById('invite-password')?.value;
+
+            if (!username) {
+                this.showToast('Please enter a username', 'error');
+                return;
+            }
+
+            const result = await this.apiRequest('/api/admin/users', {
+                method: 'POST',
+                body: JSON.stringify({ username, email, role, password })
+            });
+
+            const form = document.getElementById('user-invite-form');
+            if (form) form.reset();
+
+            if (result.temporaryPassword) {
+                // Shown once only; the server stores just the hash
+                alert(`User "${result.user.username}" created.\n\nTemporary password: ${result.temporaryPassword}\n\nShare it securely, it will not be shown again.`);
+            }
+            this.showToast(`User ${result.user.username} invited as ${result.user.role}`, 'success');
+            await this.loadUsers();
+        } catch (error) {
+            console.error('Error inviting user:', error);
+            this.handleError(error, 'Inviting user');
+            this.showToast(error.status === 409 ? 'Username or email already exists' : 'Failed to invite user', 'error');
+        }
+    }
+
+    async updateUser(userId, changes) {
+        try {
+            await this.apiRequest(`/api/admin/users/${userId}`, {
+                method: 'PUT',
+                body: JSON.stringify(changes)
+            });
+            this.showToast('User updated', 'success');
+        } catch (error) {
+            console.error('Error updating user:', error);
+            this.handleError(error, 'Updating user');
+            this.showToast(error.message || 'Failed to update user', 'error');
+        } finally {
+            await this.loadUsers();
+        }
+    }
+
+    // Change history methods
+    populateAuditFilters() {
+        const tableSelect = document.getElementById('audit-table');
+        if (tableSelect) {
+            const selected = tableSelect.value;
+            const tables = [
+                { table: 'co2_sources', label: 'CO₂ Sources' },
+                ...this.layerSchemas.map(schema => ({ table: schema.table, label: schema.label })),
+                { table: 'layer_styles', label: 'Layer Styles' }
+            ];
+            if (this.hasPermission('users:manage')) {
+                tables.push({ table: 'admin_users', label: 'Users' });
+            }
+
+            tableSelect.innerHTML = '<option value="">All tables</option>' +
+                tables.map(({ table, label }) => `<option value="${table}">${label}</option>`).join('');
+            tableSelect.value = selected;
+        }
+
+        const userSelect = document.getElementById('audit-user');
+        if (userSelect) {
+            const selected = userSelect.value;
+            userSelect.innerHTML = '<option value="">All users</option>' +
+                this.adminUsers.map(user => `<option value="${user.id}">${this.escapeHtml(user.username)}</option>`).join('');
+            userSelect.value = selected;
+        }
+    }
+
+    showRecordHistory(table, recordId) {
+        const form = document.getElementById('audit-filter-form');
+        if (form) form.reset();
+
+        const tableSelect = document.getElementById('audit-table');
+        if (tableSelect) tableSelect.value = table || '';
+        const recordInput = document.getElementById('audit-record-id');
+        if (recordInput) recordInput.value = recordId || '';
+
+        document.querySelector('.admin-tab[data-tab="history"]')?.click();
+        this.loadAuditLog(0);
+    }
+
+    async loadAuditLog(offset = 0) {
+        if (!this.isAuthenticated) return;
+
+        try {
+            const params = new URLSearchParams({ limit: this.auditPageSize, offset });
+            const filters = {
+                table: document.getElementById('audit-table')?.value,
+                record_id: document.getElementById('audit-record-id')?.value,
+                user_id: document.getElementById('audit-user')?.value,
+                action: document.getElementById('audit-action')?.value,
+                from: document.getElementById('audit-from')?.value,
+                to: document.getElementById('audit-to')?.value
+            };
+            Object.entries(filters).forEach(([key, value]) => {
+                if (value) params.set(key, value);
+            });
+
+            const data = await this.apiRequest(`/api/admin/audit-log?${params}`);
+            this.auditOffset = offset;
+            this.displayAuditEntries(data);
+        } catch (error) {
+            console.error('Failed to load audit log:', error);
+            this.handleError(error, 'Loading change history');
+            this.showToast('Failed to load change history', 'error');
+        }
+    }
+
+    displayAuditEntries(data) {
+        const container = document.getElementById('audit-entries');
+        if (!container) return;
+
+        if (data.entries.length === 0) {
+            container.innerHTML = '<p>No changes found.</p>';
+        } else {
+            const canRevert = this.hasPermission('layers:write');
+            container.innerHTML = data.entries.map(entry => {
+                const snapshot = entry.new_values || entry.old_values || {};
+                const title = snapshot.plant_name || snapshot.company_name || snapshot.name ||
+                    snapshot.layer_name || snapshot.username || '';
+                const restoreLabel = entry.action === 'DELETE' ? 'Restore deleted record' : 'Restore this version';
+
+                return `
+                    <div class="audit-entry action-${entry.action.toLowerCase()}">
+                        <div class="audit-entry-header">
+                            <strong>${entry.action} ${entry.table_name} #${entry.record_id}</strong>
+                            <span>${new Date(entry.timestamp).toLocaleString()}</span>
+                        </div>
+                        <div>${this.escapeHtml(title)} · by ${this.escapeHtml(entry.username || 'system')}</div>
+                        ${this.describeAuditChanges(entry)}
+                        ${canRevert && entry.revertible
+                            ? `<button type="button" class="btn btn-small" onclick="atlas.revertAuditEntry(${entry.id})">${restoreLabel}</button>`
+                            : ''}
+                    </div>
+                `;
+            }).join('');
+        }
+
+        const pageInfo = document.getElementById('audit-page-info');
+        if (pageInfo) {
+            const last = Math.min(data.offset + data.entries.length, data.total);
+            pageInfo.textContent = data.total > 0 ? `${data.offset + 1}-${last} of ${data.total}` : '';
+        }
+
+        const prevBtn = document.getElementById('audit-prev-page');
+        if (prevBtn) prevBtn.disabled = data.offset === 0;
+        const nextBtn = document.getElementById('audit-next-page');
+        if (nextBtn) nextBtn.disabled = data.offset + data.entries.length >= data.total;
+    }
+
+    // List the fields an UPDATE changed as old → new
+    describeAuditChanges(entry) {
+        if (entry.action !== 'UPDATE' || !entry.old_values || !entry.new_values) return '';
+
+        const formatValue = (value) => {
+            if (value === null || value === undefined || value === '') return '∅';
+            return this.escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value));
+        };
+
+        const changes = Object.keys(entry.new_values)
+            .filter(key => key !== 'updated_at')
+            .filter(key => JSON.stringify(entry.old_values[key]) !== JSON.stringify(entry.new_values[key]))
+            .map(key => {
+                if (key === 'geom' || key === 'simplified_geom') {
+                    return `<li>${key}: location changed</li>`;
+                }
+                return `<li>${key}: <del>${formatValue(entry.old_values[key])}</del> → <ins>${formatValue(entry.new_values[key])}</ins></li>`;
+            });
+
+        return changes.length > 0 ? `<ul class="audit-changes">${changes.join('')}</ul>` : '';
+    }
+
+    async revertAuditEntry(entryId) {
+        try {
+            if (!confirm('Restore the record to this version? The current values will be overwritten.')) {
+                return;
+            }
+
+            const result = await this.apiRequest(`/api/admin/audit-log/${entryId}/revert`, { method: 'POST' });
+            this.showToast(`${result.table} #${result.record_id}: ${result.message.toLowerCase()}`, 'success');
+
+            await this.loadAuditLog(this.auditOffset);
+
+            if (result.table === 'co2_sources') {
+                this.loadExistingSources();
+                await this.reloadMapLayer('co2_sources');
+                return;
+            }
+
+            const schema = this.layerSchemas.find(s => s.table === result.table);
+            if (schema) {
+                if (this.getSelectedLayerSchema() === schema) {
+                    await this.loadLayerRecords();
+                }
+                await this.reloadMapLayer(schema.key);
+            }
+        } catch (error) {
+            console.error('Error restoring record:', error);
+            this.handleError(error, 'Restoring record');
+            this.showToast(error.message || 'Failed to restore record', 'error');
+        }
+    }
+
+    // Import history
+    async loadImportRuns(offset = 0) {
+        if (!this.isAuthenticated) return;
+
+        try {
+            const params = new URLSearchParams({ limit: this.auditPageSize, offset });
+            const data = await this.apiRequest(`/api/admin/import-runs?${params}`);
+            this.importRunsOffset = offset;
+            this.displayImportRuns(data);
+        } catch (error) {
+            this.handleError(error, 'Loading import history');
+            this.showToast('Failed to load import history', 'error');
+        }
+    }
+
+    formatBytes(bytes) {
+        if (!bytes) return '0 B';
+        const units = ['B', 'KB', 'MB', 'GB'];
+        const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+        return `${(bytes / 1024 ** exponent).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+    }
+
+    displayImportRuns(data) {
+        const container = document.getElementById('import-runs');
+        if (!container) return;
+
+        if (data.runs.length === 0) {
+            container.innerHTML = '<p>No import runs recorded yet.</p>';
+        } else {
+            container.innerHTML = data.runs.map(run => {
+                const counts = Object.entries(run.layer_counts || {}).map(([table, c]) =>
+                    `<li>${table}: +${c.inserted} · ~${c.updated} · =${c.unchanged} · −${c.removed}</li>`).join('');
+                const sources = (run.sources || []).map(source =>
+                    `<li>${this.escapeHtml(source.file)} (${this.formatBytes(source.bytes)}, sha256 ${source.sha256.slice(0, 12)}…)</li>`).join('');
+                const finished = run.finished_at ? new Date(run.finished_at).toLocaleString() : 'not finished';
+
+                return `
+                    <div class="audit-entry run-${run.status}">
+                        <div class="audit-entry-header">
+                            <strong>Run #${run.id} · ${run.status}${run.dry_run ? ' · dry run' : ''}</strong>
+                            <span>${new Date(run.started_at).toLocaleString()} → ${finished}</span>
+                        </div>
+                        <div>${this.escapeHtml(run.triggered_by)}${run.username ? ` by ${this.escapeHtml(run.username)}` : ''} · ${this.escapeHtml(run.mode || '')} · ${run.filtered_out_by_area} filtered out by area · ${run.rejected_count} rejected rows · ${run.error_count} errors</div>
+                        ${counts ? `<ul class="audit-changes">${counts}</ul>` : ''}
+                        ${sources ? `<ul class="audit-changes">${sources}</ul>` : ''}
+                        ${run.error_count > 0
+                            ? `<button type="button" class="btn btn-small" onclick="atlas.showImportRunErrors(${run.id}, this)">Show errors</button>`
+                            : ''}
+                        ${run.rejected_count > 0
+                            ? `<button type="button" class="btn btn-small" onclick="atlas.showImportRunRejections(${run.id}, this)">Validation report</button>`
+                            : ''}
+                    </div>
+                `;
+            }).join('');
+        }
+
+        const pageInfo = document.getElementById('import-runs-page-info');
+        if (pageInfo) {
+            const last = Math.min(data.offset + data.runs.length, data.total);
+            pageInfo.textContent = data.total > 0 ? `${data.offset + 1}-${last} of ${data.total}` : '';
+        }
+
+        const prevBtn = document.getElementById('import-runs-prev-page');
+        if (prevBtn) prevBtn.disabled = data.offset === 0;
+        const nextBtn = document.getElementById('import-runs-next-page');
+        if (nextBtn) nextBtn.disabled = data.offset + data.runs.length >= data.total;
+    }
+
+    async showImportRunErrors(runId, button) {
+        try {
+            const run = await this.apiRequest(`/api/admin/import-runs/${runId}`);
+            const list = document.createElement('ul');
+            list.className = 'audit-changes';
+            list.innerHTML = run.errors.map(error =>
+                `<li>${this.escapeHtml(error.message)}: ${this.escapeHtml(error.detail || '')}</li>`).join('');
+            button.replaceWith(list);
+        } catch (error) {
+            this.handleError(error, 'Loading import errors');
+            this.showToast('Failed to load import errors', 'error');
+        }
+    }
+
+    // First page of a run's rejected rows with the count per reason; the CSV holds all of them
+    async showImportRunRejections(runId, button) {
+        try {
+            const report = await this.apiRequest(`/api/admin/import-runs/${runId}/rejections?limit=100`);
+            const container = document.createElement('div');
+            const reasons = report.reasons.map(reason =>
+                `<li>${this.escapeHtml(reason.reason)}: ${reason.count.toLocaleString()}</li>`).join('');
+            const rows = report.rejections.map(rejection => {
+                const values = Object.entries(rejection.raw_values || {}).slice(0, 6)
+                    .map(([key, value]) => `${key}=${value}`).join(', ');
+                return `<li>${this.escapeHtml(rejection.source_file || '')} row ${rejection.row_number}: ${this.escapeHtml(rejection.reason)}<br><small>${this.escapeHtml(values)}</small></li>`;
+            }).join('');
+            const more = report.total > report.rejections.length
+                ? `<li>…and ${(report.total - report.rejections.length).toLocaleString()} more in the CSV</li>`
+                : '';
+
+            container.innerHTML = `
+                <ul class="audit-changes">${reasons}</ul>
+                <ul class="audit-changes">${rows}${more}</ul>
+                <button type="button" class="btn btn-small" onclick="atlas.downloadImportRunRejections(${runId})">Download CSV</button>
+            `;
+            button.replaceWith(container);
+        } catch (error) {
+            this.handleError(error, 'Loading validation report');
+            this.showToast('Failed to load validation report', 'error');
+        }
+    }
+
+    async downloadImportRunRejections(runId) {
+        try {
+            // Admin endpoints need the bearer token, so fetch the CSV rather than navigating to it
+            const response = await fetch(`/api/admin/import-runs/${runId}/rejections?format=csv`, {
+                headers: { 'Authorization': `Bearer ${this.authToken}` }
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            this.downloadFile(await response.text(), `import-run-${runId}-rejections.csv`, 'text/csv');
+        } catch (error) {
+            this.handleError(error, 'Downloading validation report');
+            this.showToast('Failed to download validation report', 'error');
+        }
+    }
+
+    populateLineageLayers() {
+        const layerSelect = document.getElementById('lineage-layer');
+        if (!layerSelect || layerSelect.options.length > 0) return;
+
+        layerSelect.innerHTML = this.getIdentifyLayers()
+            .map(layer => `<option value="${layer.source}">${layer.source.replace(/_/g, ' ')}</option>`).join('');
+    }
+
+    showLineage(table, featureId) {
+        if (!featureId) {
+            this.showToast('Select a feature first', 'warning');
+            return;
+        }
+
+        document.querySelector('.admin-tab[data-tab="imports"]')?.click();
+        document.getElementById('lineage-layer').value = table;
+        document.getElementById('lineage-feature-id').value = featureId;
+        this.loadLineage();
+    }
+
+    async loadLineage() {
+        const container = document.getElementById('lineage-result');
+        try {
+            const layer = document.getElementById('lineage-layer')?.value;
+            const featureId = document.getElementById('lineage-feature-id')?.value;
+            if (!layer || !featureId) {
+                this.showToast('Choose a layer and enter a feature ID', 'warning');
+                return;
+            }
+
+            const lineage = await this.apiRequest(`/api/admin/lineage/${layer}/${featureId}`);
+            const run = lineage.import_run;
+            const source = run?.source;
+            const edit = lineage.last_edit;
+
+            container.innerHTML = `
+                <div class="audit-entry">
+                    <div class="audit-entry-header">
+                        <strong>${this.escapeHtml(lineage.layer)} #${lineage.id}</strong>
+                        <span>${this.escapeHtml(lineage.origin)}</span>
+                    </div>
+                    ${lineage.source_file ? `<div>File: ${this.escapeHtml(lineage.source_file)}${source ? ` (${this.formatBytes(source.bytes)}, sha256 ${source.sha256})` : ''}</div>` : ''}
+                    ${lineage.source_key ? `<div>Source key: ${this.escapeHtml(lineage.source_key)}</div>` : ''}
+                    ${run ? `<div>Run #${run.id}: ${this.escapeHtml(run.triggered_by)}${run.username ? ` by ${this.escapeHtml(run.username)}` : ''}, ${new Date(run.started_at).toLocaleString()} (${run.status})</div>` : ''}
+                    <div>Created ${new Date(lineage.created_at).toLocaleString()} · updated ${new Date(lineage.updated_at).toLocaleString()}</div>
+                    ${edit ? `<div>Last edited by ${this.escapeHtml(edit.username)} (${edit.action.toLowerCase()}) ${new Date(edit.timestamp).toLocaleString()}</div>` : ''}
+                </div>
+            `;
+        } catch (error) {
+            if (container) container.innerHTML = '';
+            this.handleError(error, 'Loading feature lineage');
+            this.showToast(error.status === 404 ? 'Feature not found' : 'Failed to load feature lineage', 'error');
+        }
+    }
+
+    async refreshDatabaseStats() {
+        try {
+            const stats = await this.apiRequest('/api/database-stats');
+            
+            const statsContainer = document.getElementById('database-stats');
+            if (statsContainer) {
+                let html = '<h5>Database Statistics</h5>';
+                Object.entries(stats).forEach(([table, data]) => {
+                    html += `<p><strong>${table.replace(/_/g, ' ')}:</strong> ${data.total} total, ${data.validGeometry} with valid geometry</p>`;
+                });
+                statsContainer.innerHTML = html;
+            }
+        } catch (error) {
+            console.error('Failed to load database stats:', error);
+            this.handleError(error, 'Loading database stats');
+            this.showToast('Failed to load database statistics', 'error');
+        }
+    }
+
+    // Data import wizard: upload, map columns, preview, commit
+    async uploadImportFile() {
+        try {
+            const file = document.getElementById('import-file')?.files[0];
+            if (!file) {
+                this.showToast('Choose a file to upload', 'warning');
+                return;
+            }
+
+            const formData = new FormData();
+            formData.append('file', file);
+            this.showToast(`Uploading ${file.name}...`, 'info');
+            this.importUpload = await this.apiRequest('/api/admin/import/upload', { method: 'POST', body: formData });
+
+            if (this.importTargets.length === 0) {
+                const { targets, crs } = await this.apiRequest('/api/admin/import/targets');
+                this.importTargets = targets;
+                document.getElementById('import-crs').innerHTML = crs
+                    .map(({ code, name }) => `<option value="${code}">${this.escapeHtml(name)} (${code})</option>`)
+                    .join('');
+            }
+
+            const upload = this.importUpload;
+            const geometrySummary = Object.entries(upload.geometry_types)
+                .map(([type, count]) => `${count} ${type === 'None' ? 'without geometry' : type}`).join(', ');
+            document.getElementById('import-upload-summary').innerHTML = `
+                <p><strong>${this.escapeHtml(upload.filename)}:</strong> ${upload.feature_count.toLocaleString()} rows (${geometrySummary})</p>
+            `;
+
+            const targetSelect = document.getElementById('import-target');
+            targetSelect.innerHTML = this.importTargets
+                .map(target => `<option value="${target.name}">${this.escapeHtml(target.title)} (${target.geometry})</option>`)
+                .join('');
+
+            const columnOptions = upload.columns
+                .map(column => `<option value="${this.escapeHtml(column)}">${this.escapeHtml(column)}</option>`).join('');
+            const xSelect = document.getElementById('import-x-column');
+            const ySelect = document.getElementById('import-y-column');
+            xSelect.innerHTML = columnOptions;
+            ySelect.innerHTML = columnOptions;
+            xSelect.value = upload.columns.find(column => /^(x|lon|lng|long|longitude|x_koordina)$/i.test(column)) || upload.columns[0];
+            ySelect.value = upload.columns.find(column => /^(y|lat|latitude|y_koordina)$/i.test(column)) || upload.columns[1] || upload.columns[0];
+            document.getElementById('import-coordinate-columns').hidden = upload.has_geometry;
+
+            this.renderImportMapping();
+            document.getElementById('import-mapping-step').hidden = false;
+        } catch (error) {
+            this.handleError(error, 'Uploading import file');
+            this.showToast(this.importErrorMessage(error, 'Failed to upload file'), 'error');
+        }
+    }
+
+    // One source-column picker per target column, pre-selected where the names match
+    renderImportMapping() {
+        const target = this.importTargets.find(t => t.name === document.getElementById('import-target')?.value);
+        const container = document.getElementById('import-column-mapping');
+        if (!target || !container || !this.importUpload) return;
+
+        const normalise = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+        container.innerHTML = target.columns.map(column => {
+            const match = this.importUpload.columns.find(source => normalise(source) === normalise(column.name));
+            const options = this.importUpload.columns.map(source =>
+                `<option value="${this.escapeHtml(source)}" ${source === match ? 'selected' : ''}>${this.escapeHtml(source)}</option>`
+            ).join('');
+            return `
+                <label class="analysis-field">
+                    ${this.escapeHtml(column.name)}${column.required ? ' *' : ''} <small>(${column.type})</small>
+                    <select data-import-column="${column.name}">
+                        <option value="">— not imported —</option>
+                        ${options}
+                    </select>
+                </label>
+            `;
+        }).join('');
+
+        this.analysisLayers.importPreview.clearLayers();
+        document.getElementById('import-preview-summary').innerHTML = '';
+    }
+
+    getImportRequest() {
+        const mapping = {};
+        document.querySelectorAll('[data-import-column]').forEach(select => {
+            if (select.value) mapping[select.dataset.importColumn] = select.value;
+        });
+        return {
+            target: document.getElementById('import-target')?.value,
+            mapping,
+            coordinates: {
+                x: document.getElementById('import-x-column')?.value,
+                y: document.getElementById('import-y-column')?.value,
+                crs: document.getElementById('import-crs')?.value || 'EPSG:4326'
+            }
+        };
+    }
+
+    // Import errors carry either a message or a list of mapping problems in details
+    importErrorMessage(error, fallback) {
+        const details = error.details?.details;
+        return (Array.isArray(details) ? details.join(' ') : details) || error.message || fallback;
+    }
+
+    describeSkippedRows(result) {
+        if (!result.skipped_count) return '';
+        const reasons = result.skipped.map(skip => `<li>Row ${skip.row}: ${this.escapeHtml(skip.reason)}</li>`).join('');
+        const more = result.skipped_count > result.skipped.length ? `<li>…and ${result.skipped_count - result.skipped.length} more</li>` : '';
+        return `<p><strong>Skipped:</strong> ${result.skipped_count.toLocaleString()} rows</p><ul>${reasons}${more}</ul>`;
+    }
+
+    async previewImport() {
+        const summary = document.getElementById('import-preview-summary');
+        try {
+            if (!this.importUpload) return;
+            if (summary) summary.innerHTML = '<p>Building preview...</p>';
+
+            const result = await this.apiRequest(`/api/admin/import/${this.importUpload.upload_id}/preview`, {
+                method: 'POST',
+                body: JSON.stringify(this.getImportRequest())
+            });
+
+            const layerGroup = this.analysisLayers.importPreview;
+            layerGroup.clearLayers();
+            const preview = L.geoJSON(result, {
+                style: { color: '#e91e63', weight: 2, fillOpacity: 0.2 },
+                pointToLayer: (feature, latlng) => L.circleMarker(latlng, { radius: 5, color: '#e91e63', weight: 2, fillOpacity: 0.6 }),
+                onEachFeature: (feature, layer) => {
+                    const rows = Object.entries(feature.properties)
+                        .filter(([, value]) => value !== null)
+                        .map(([key, value]) => `<p><strong>${this.escapeHtml(key)}:</strong> ${this.escapeHtml(value)}</p>`).join('');
+                    layer.bindPopup(`<div class="popup-content enhanced-popup"><h4>Import preview</h4>${rows}</div>`);
+                }
+            }).addTo(layerGroup);
+            if (result.features.length > 0) {
+                this.map.fitBounds(preview.getBounds(), { padding: [20, 20], maxZoom: 14 });
+            }
+
+            if (summary) {
+                summary.innerHTML = `
+                    <p><strong>Ready to import:</strong> ${result.valid_count.toLocaleString()} features${result.truncated ? ` (map shows the first ${result.features.length})` : ''}</p>
+                    ${this.describeSkippedRows(result)}
+                `;
+            }
+        } catch (error) {
+            if (summary) summary.innerHTML = '';
+            this.handleError(error, 'Previewing import');
+            this.showToast(this.importErrorMessage(error, 'Failed to preview import'), 'error');
+        }
+    }
+
+    async commitImport() {
+        try {
+            if (!this.importUpload) return;
+            const request = { ...this.getImportRequest(), mode: document.getElementById('import-mode')?.value || 'append' };
+            const target = this.importTargets.find(t => t.name === request.target);
+            const question = request.mode === 'replace'
+                ? `Import the ${this.importUpload.filename} features into ${target.title} and remove the ones earlier uploads of this file created that it no longer has? Other features are kept.`
+                : `Add the ${this.importUpload.filename} features to ${target.title}? Features from an earlier upload of this file are updated.`;
+            if (!confirm(question)) return;
+            if (request.mode === 'replace') request.confirm_replace = true;
+
+            const result = await this.apiRequest(`/api/admin/import/${this.importUpload.upload_id}/commit`, {
+                method: 'POST',
+                body: JSON.stringify(request)
+            });
+
+            this.showToast(`${result.message}${result.skipped_count ? ` (${result.skipped_count} rows skipped, see run #${result.import_run_id} under Imports)` : ''}`, 'success');
+            this.cancelImport();
+            await this.refreshData();
+        } catch (error) {
+            this.handleError(error, 'Importing data');
+            this.showToast(this.importErrorMessage(error, 'Failed to import data'), 'error');
+        }
+    }
+
+    cancelImport() {
+        this.importUpload = null;
+        this.analysisLayers.importPreview.clearLayers();
+        const fileInput = document.getElementById('import-file');
+        if (fileInput) fileInput.value = '';
+        const mappingStep = document.getElementById('import-mapping-step');
+        if (mappingStep) mappingStep.hidden = true;
+        const summary = document.getElementById('import-preview-summary');
+        if (summary) summary.innerHTML = '';
+    }
+
+    // Analysis methods
+    startAreaDrawing(shape) {
+        if (!L.Draw) {
+            this.showToast('Drawing tools failed to load', 'error');
+            return;
+        }
+
+        const shapeOptions = { color: '#00bcd4', weight: 2, fillOpacity: 0.1 };
+        const handler = shape === 'rectangle'
+            ? new L.Draw.Rectangle(this.map, { shapeOptions })
+            : new L.Draw.Polygon(this.map, { shapeOptions, allowIntersection: false, showArea: true });
+        handler.enable();
+    }
+
+    async handleAreaDrawn(layer) {
+        this.analysisLayers.area.clearLayers();
+        this.analysisLayers.area.addLayer(layer);
+        this.summaryArea = layer.toGeoJSON().geometry;
+        await this.runAreaSummary();
+    }
+
+    async runAreaSummary() {
+        const resultsContainer = document.getElementById('area-summary-results');
+        try {
+            if (resultsContainer) resultsContainer.innerHTML = '<p>Summarising area...</p>';
+
+            const summary = await this.apiRequest('/api/analysis/area-summary', {
+                method: 'POST',
+                body: JSON.stringify({ geometry: this.summaryArea })
+            });
+            this.displayAreaSummary(summary);
+
+            const exportBtn = document.getElementById('export-area-summary');
+            if (exportBtn) exportBtn.disabled = false;
+        } catch (error) {
+            console.error('Area summary failed:', error);
+            this.handleError(error, 'Area summary');
+            if (resultsContainer) resultsContainer.innerHTML = '';
+            this.showToast(error.message || 'Area summary failed', 'error');
+        }
+    }
+
+    displayAreaSummary(summary) {
+        const resultsContainer = document.getElementById('area-summary-results');
+        if (!resultsContainer) return;
+
+        const measure = (layer) => {
+            if (layer.kind === 'line') return `${layer.length_km.toLocaleString()} km`;
+            if (layer.kind === 'polygon') return `${layer.area_km2.toLocaleString()} km² (${layer.coverage_percent}%)`;
+            return '';
+        };
+        const rows = summary.layers.map(layer => `
+            <tr>
+                <td>${layer.label}</td>
+                <td class="numeric">${layer.count.toLocaleString()}</td>
+                <td class="numeric">${measure(layer)}</td>
+            </tr>
+        `).join('');
+
+        const co2 = summary.layers.find(layer => layer.layer === 'co2_sources');
+        resultsContainer.innerHTML = `
+            <p><strong>Area:</strong> ${summary.area_km2.toLocaleString()} km²</p>
+            ${co2 ? `
+                <p><strong>Total CO₂:</strong> ${co2.total_co2_t.toLocaleString()} t/year</p>
+                <p><strong>Fossil / biogenic:</strong> ${co2.fossil_co2_t.toLocaleString()} / ${co2.biogenic_co2_t.toLocaleString()} t/year</p>
+            ` : ''}
+            <table>
+                <thead><tr><th>Layer</th><th class="numeric">Count</th><th class="numeric">Inside</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    async exportAreaSummary() {
+        try {
+            if (!this.summaryArea) return;
+
+            // POST body rules out a plain navigation, so fetch the CSV and hand it over as a blob
+            const response = await fetch('/api/analysis/area-summary?format=csv', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ geometry: this.summaryArea })
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            this.downloadFile(await response.text(), 'area-summary.csv', 'text/csv');
+        } catch (error) {
+            this.handleError(error, 'Exporting area summary');
+            this.showToast('Failed to export area summary', 'error');
+        }
+    }
+
+    clearAreaSummary() {
+        this.analysisLayers.area.clearLayers();
+        this.summaryArea = null;
+        const resultsContainer = document.getElementById('area-summary-results');
+        if (resultsContainer) resultsContainer.innerHTML = '';
+        const exportBtn = document.getElementById('export-area-summary');
+        if (exportBtn) exportBtn.disabled = true;
+    }
+
+    async runSourceSinkMatching() {
+        const resultsContainer = document.getElementById('matching-results');
+        try {
+            const params = new URLSearchParams({
+                fossil_only: document.getElementById('matching-fossil-only')?.checked ? 'true' : 'false',
+                years: document.getElementById('matching-years')?.value || 25
+            });
+            const maxDistance = document.getElementById('matching-max-distance')?.value;
+            if (maxDistance) params.set('max_distance_km', maxDistance);
+
+            if (resultsContainer) resultsContainer.innerHTML = '<p>Running matching...</p>';
+
+            const result = await this.apiRequest(`/api/analysis/source-sink-matching?${params}`);
+            this.displaySourceSinkMatching(result);
+        } catch (error) {
+            console.error('Source-sink matching failed:', error);
+            this.handleError(error, 'Source-sink matching');
+            if (resultsContainer) resultsContainer.innerHTML = '';
+            this.showToast(error.message || 'Source-sink matching failed', 'error');
+        }
+    }
+
+    displaySourceSinkMatching(result) {
+        const layerGroup = this.analysisLayers.matching;
+        layerGroup.clearLayers();
+
+        // Line weight scales with the square root of the allocated tonnage
+        const maxAllocated = Math.max(...result.features.map(f => f.properties.allocated_t), 1);
+        result.features.forEach(feature => {
+            const [from, to] = feature.geometry.coordinates.map(([lng, lat]) => [lat, lng]);
+            const props = feature.properties;
+            const weight = 2 + 10 * Math.sqrt(props.allocated_t / maxAllocated);
+
+            const arrow = this.createFlowArrow(from, to, weight, '#ff9800');
+            arrow.bindPopup(`
+                <div class="popup-content enhanced-popup">
+                    <h4>${this.escapeHtml(props.source_name)} → ${this.escapeHtml(props.site_name)}</h4>
+                    <p><strong>Allocated:</strong> ${props.allocated_t.toLocaleString()} t/year
+                        (${Math.round(props.share_of_source * 100)}% of source)</p>
+                    <p><strong>Distance:</strong> ${props.distance_km.toLocaleString()} km</p>
+                    <p><strong>Transport work:</strong> ${props.tonne_km.toLocaleString()} t·km/year</p>
+                </div>
+            `);
+            layerGroup.addLayer(arrow);
+        });
+
+        const summary = result.summary;
+        const resultsContainer = document.getElementById('matching-results');
+        if (resultsContainer) {
+            const siteRows = summary.sites.map(site => `
+                <tr>
+                    <td>${this.escapeHtml(site.name || `#${site.site_id}`)}</td>
+                    <td class="numeric">${site.allocated_t.toLocaleString()}</td>
+                    <td class="numeric">${Math.round(site.utilisation * 100)}%</td>
+                </tr>
+            `).join('');
+
+            resultsContainer.innerHTML = `
+                <p><strong>Allocated:</strong> ${summary.allocated_t.toLocaleString()} of
+                    ${summary.total_emissions_t.toLocaleString()} t/year</p>
+                <p><strong>Unallocated:</strong> ${summary.unallocated_t.toLocaleString()} t/year
+                    (${summary.unallocated_sources.length} sources)</p>
+                <p><strong>Mean distance:</strong> ${summary.weighted_mean_distance_km ?? '–'} km</p>
+                <table>
+                    <thead><tr><th>Storage site</th><th class="numeric">t/year</th><th class="numeric">Used</th></tr></thead>
+                    <tbody>${siteRows}</tbody>
+                </table>
+            `;
+        }
+
+        if (result.features.length > 0) {
+            this.map.fitBounds(L.featureGroup(layerGroup.getLayers()).getBounds(), { padding: [40, 40] });
+        } else {
+            this.showToast('No feasible allocation found', 'warning');
+        }
+    }
+
+    clearSourceSinkMatching() {
+        this.analysisLayers.matching.clearLayers();
+        const resultsContainer = document.getElementById('matching-results');
+        if (resultsContainer) resultsContainer.innerHTML = '';
+    }
+
+    createRouteControls(spec, label) {
+        const safeLabel = this.escapeHtml(label || spec);
+        return `
+            <div class="popup-route-controls">
+                <button class="btn btn-small" data-route-role="from" data-route-spec="${spec}" data-route-label="${safeLabel}">Route from here</button>
+                <button class="btn btn-small" data-route-role="to" data-route-spec="${spec}" data-route-label="${safeLabel}">Route to here</button>
+            </div>
+        `;
+    }
+
+    createProximityControls(spec) {
+        const radii = [1, 5, 10, 25, 50];
+        return `
+            <div class="popup-proximity-controls">
+                <select class="proximity-radius" aria-label="Search radius">
+                    ${radii.map(km => `<option value="${km}" ${km === 10 ? 'selected' : ''}>${km} km</option>`).join('')}
+                </select>
+                <button class="btn btn-small" data-proximity-spec="${spec}">What's nearby</button>
+            </div>
+        `;
+    }
+
+    async runProximityAnalysis(spec, radiusKm) {
+        const resultsContainer = document.getElementById('proximity-results');
+        try {
+            if (resultsContainer) resultsContainer.innerHTML = '<p>Searching nearby...</p>';
+
+            const params = new URLSearchParams({ feature: spec, radius_km: radiusKm });
+            const result = await this.apiRequest(`/api/analysis/proximity?${params}`);
+            this.displayProximity(result);
+        } catch (error) {
+            console.error('Proximity analysis failed:', error);
+            this.handleError(error, 'Proximity analysis');
+            if (resultsContainer) resultsContainer.innerHTML = '';
+            this.showToast(error.message || 'Proximity analysis failed', 'error');
+        }
+    }
+
+    displayProximity(result) {
+        const layerGroup = this.analysisLayers.proximity;
+        layerGroup.clearLayers();
+
+        const touchesExclusion = result.exclusions.some(zone => zone.intersects);
+        L.geoJSON(result.buffer, {
+            style: {
+                color: touchesExclusion ? '#e53935' : '#00bcd4',
+                weight: 2,
+                dashArray: '6, 4',
+                fillOpacity: 0.08
+            },
+            interactive: false
+        }).addTo(layerGroup);
+
+        const centre = [result.centre.lat, result.centre.lng];
+        const pipeline = result.nearest_pipeline;
+        if (pipeline) {
+            const [lng, lat] = pipeline.closest_point.coordinates;
+            L.polyline([centre, [lat, lng]], { color: '#00aa44', weight: 2, dashArray: '4, 4' })
+                .bindTooltip(`${pipeline.name || 'Gas pipeline'}: ${pipeline.distance_km} km`)
+                .addTo(layerGroup);
+            L.circleMarker([lat, lng], { radius: 4, color: '#00aa44', fillOpacity: 1 }).addTo(layerGroup);
+        }
+
+        result.nearby.forEach(group => {
+            group.features.forEach(feature => {
+                L.circleMarker([feature.lat, feature.lng], { radius: 7, color: '#ffaa00', weight: 2, fillOpacity: 0.2 })
+                    .bindTooltip(`${feature.name || group.label}: ${feature.distance_km} km`)
+                    .addTo(layerGroup);
+            });
+        });
+
+        this.map.fitBounds(layerGroup.getBounds(), { padding: [20, 20] });
+
+        const resultsContainer = document.getElementById('proximity-results');
+        if (resultsContainer) {
+            const nearbyRows = result.nearby.map(group => `
+                <tr>
+                    <td>${group.label}</td>
+                    <td class="numeric">${group.features.length}</td>
+                    <td class="numeric">${group.features.length > 0 ? `${group.features[0].distance_km} km` : '–'}</td>
+                </tr>
+            `).join('');
+            const exclusionRows = result.exclusions.map(zone => `
+                <tr>
+                    <td>${zone.label}</td>
+                    <td class="numeric">${zone.intersects ? 'Yes' : 'No'}</td>
+                    <td class="numeric">${zone.intersects ? `${zone.overlap_km2} km²` : '–'}</td>
+                </tr>
+            `).join('');
+
+            resultsContainer.innerHTML = `
+                <p><strong>${this.escapeHtml(result.centre.label)}</strong>, ${result.radius_km} km radius</p>
+                <p><strong>Nearest pipeline:</strong> ${pipeline
+                    ? `${this.escapeHtml(pipeline.name || 'Unnamed')} at ${pipeline.distance_km} km${pipeline.within_radius ? '' : ' (outside radius)'}`
+                    : 'none found'}</p>
+                <table>
+                    <thead><tr><th>Within radius</th><th class="numeric">Count</th><th class="numeric">Closest</th></tr></thead>
+                    <tbody>${nearbyRows}</tbody>
+                </table>
+                <table>
+                    <thead><tr><th>Exclusion zone</th><th class="numeric">Hit</th><th class="numeric">Overlap</th></tr></thead>
+                    <tbody>${exclusionRows}</tbody>
+                </table>
+            `;
+        }
+    }
+
+    clearProximity() {
+        this.analysisLayers.proximity.clearLayers();
+        const resultsContainer = document.getElementById('proximity-results');
+        if (resultsContainer) resultsContainer.innerHTML = '';
+    }
+
+    setRouteEndpoint(role, spec, label) {
+        this.routeEndpoints[role] = { spec, label };
+        const labelElement = document.getElementById(`route-${role}-label`);
+        if (labelElement) labelElement.textContent = label;
+        this.showToast(`Route ${role === 'from' ? 'start' : 'end'}: ${label}`, 'info');
+    }
+
+    async runPipelineRouting() {
+        const resultsContainer = document.getElementById('routing-results');
+        try {
+            const { from, to } = this.routeEndpoints;
+            if (!from || !to) {
+                this.showToast('Choose a route start and end from the map popups first', 'warning');
+                return;
+            }
+
+            const forbid = Array.from(document.querySelectorAll('input[name="route-forbid"]:checked'))
+                .map(input => input.value);
+            const params = new URLSearchParams({ from: from.spec, to: to.spec, forbid: forbid.join(',') });
+
+            if (resultsContainer) resultsContainer.innerHTML = '<p>Computing route...</p>';
+
+            const route = await this.apiRequest(`/api/analysis/pipeline-route?${params}`);
+            this.displayPipelineRoute(route);
+        } catch (error) {
+            console.error('Pipeline routing failed:', error);
+            this.handleError(error, 'Pipeline routing');
+            if (resultsContainer) resultsContainer.innerHTML = '';
+            this.showToast(error.message || 'Pipeline routing failed', 'error');
+        }
+    }
+
+    displayPipelineRoute(route) {
+        const layerGroup = this.analysisLayers.routing;
+        layerGroup.clearLayers();
+
+        const props = route.properties;
+        const routeLayer = L.geoJSON(route, {
+            style: { color: '#e040fb', weight: 4, opacity: 0.9, dashArray: '8 6' }
+        }).addTo(layerGroup);
+        this.map.fitBounds(routeLayer.getBounds(), { padding: [40, 40] });
+
+        const resultsContainer = document.getElementById('routing-results');
+        if (!resultsContainer) return;
+
+        const breakdownRows = props.cost_breakdown.map(entry => `
+            <tr>
+                <td>${entry.label}</td>
+                <td class="numeric">${entry.length_km.toLocaleString()}</td>
+                <td class="numeric">${entry.cost.toLocaleString()}</td>
+            </tr>
+        `).join('');
+
+        const crossed = props.grazed_exclusion_zones.filter(zone => zone.crosses);
+        const grazed = props.grazed_exclusion_zones.filter(zone => !zone.crosses);
+        const zoneList = (zones) => zones.map(zone =>
+            `<li>${zone.label}: ${this.escapeHtml(zone.name || `#${zone.id}`)}${zone.crosses ? ` (${zone.inside_km} km inside)` : ` (${zone.distance_m} m away)`}</li>`
+        ).join('');
+
+        resultsContainer.innerHTML = `
+            <p><strong>Length:</strong> ${props.length_km.toLocaleString()} km</p>
+            <p><strong>Weighted cost:</strong> ${props.total_cost.toLocaleString()}</p>
+            <table>
+                <thead><tr><th>Terrain</th><th class="numeric">km</th><th class="numeric">Cost</th></tr></thead>
+                <tbody>${breakdownRows}</tbody>
+            </table>
+            ${crossed.length > 0 ? `<p><strong>Crosses:</strong></p><ul>${zoneList(crossed)}</ul>` : ''}
+            ${grazed.length > 0 ? `<p><strong>Passes close to:</strong></p><ul>${zoneList(grazed)}</ul>` : ''}
+            <p><small>Grid resolution ${props.parameters.cell_size_m} m</small></p>
+        `;
+    }
+
+    clearPipelineRouting() {
+        this.analysisLayers.routing.clearLayers();
+        this.routeEndpoints = { from: null, to: null };
+        ['from', 'to'].forEach(role => {
+            const labelElement = document.getElementById(`route-${role}-label`);
+            if (labelElement) labelElement.textContent = 'not set';
+        });
+        const resultsContainer = document.getElementById('routing-results');
+        if (resultsContainer) resultsContainer.innerHTML = '';
+    }
+
+    // Weights of the index on the map, as the server's index= list
+    getVotingIndexParam() {
+        return Object.entries(this.activeVotingIndex?.weights || {})
+            .map(([party, weight]) => `${party}:${weight}`)
+            .join(',');
+    }
+
+    // Election choices and one slider per party that ran, set to the index on the map
+    populateVotingIndexTool() {
+        const index = this.activeVotingIndex;
+        const electionSelect = document.getElementById('voting-index-election');
+        if (!index || !electionSelect) return;
+
+        electionSelect.innerHTML = this.elections.length > 0
+            ? this.elections.map(e => `<option value="${this.escapeHtml(e.code)}">${this.escapeHtml(e.name)}</option>`).join('')
+            : '<option value="">No elections imported</option>';
+        if (index.election) electionSelect.value = index.election;
+
+        const labelInput = document.getElementById('voting-index-label');
+        if (labelInput) labelInput.value = index.label;
+        this.renderVotingIndexParties(electionSelect.value, index.weights);
+    }
+
+    // Parties are listed largest first; weights carry over to an election by party name
+    renderVotingIndexParties(code, weights) {
+        const container = document.getElementById('voting-index-parties');
+        if (!container) return;
+
+        const election = this.elections.find(e => e.code === code);
+        container.innerHTML = (election?.parties || []).map(({ party }, i) => `
+            <label class="analysis-field">
+                ${this.escapeHtml(party)} <output id="vi-party-${i}-value">${weights[party] || 0}</output>
+                <input type="range" id="vi-party-${i}" data-party="${this.escapeHtml(party)}" min="0" max="2" step="0.1" value="${weights[party] || 0}">
+            </label>
+        `).join('');
+        container.querySelectorAll('input[data-party]').forEach(slider => {
+            slider.addEventListener('input', () => {
+                const output = document.getElementById(`${slider.id}-value`);
+                if (output) output.textContent = slider.value;
+            });
+        });
+    }
+
+    getVotingIndexWeights() {
+        const weights = {};
+        document.querySelectorAll('#voting-index-tool input[data-party]').forEach(slider => {
+            const weight = parseFloat(slider.value);
+            if (weight > 0) weights[slider.dataset.party] = weight;
+        });
+        return weights;
+    }
+
+    async applyVotingIndex() {
+        const weights = this.getVotingIndexWeights();
+        if (Object.keys(weights).length === 0) {
+            this.showToast('Give at least one party a weight above 0', 'warning');
+            return;
+        }
+
+        const label = document.getElementById('voting-index-label')?.value.trim() || 'Voting index';
+        const election = document.getElementById('voting-index-election')?.value || null;
+        await this.setVotingIndex({ label, election, weights });
+    }
+
+    // Back to the saved index
+    async resetVotingIndex() {
+        await this.setVotingIndex(null);
+    }
+
+    // The server computes the index per commune, so the choropleth is reloaded for every change.
+    // null is the saved index; the map keeps the previous index when the new one is refused.
+    async setVotingIndex(votingIndex) {
+        const resultsContainer = document.getElementById('voting-index-results');
+        const previous = this.votingIndex;
+        try {
+            if (resultsContainer) resultsContainer.innerHTML = '<p>Recomputing index...</p>';
+            this.votingIndex = votingIndex;
+            await this.renderVotingChoropleth();
+            this.renderVotingIndexFormula();
+        } catch (error) {
+            this.votingIndex = previous;
+            this.handleError(error, 'Applying voting index');
+            if (resultsContainer) resultsContainer.innerHTML = '';
+            this.showToast(error.message || 'Failed to apply voting index', 'error');
+        }
+    }
+
+    renderVotingIndexFormula() {
+        const resultsContainer = document.getElementById('voting-index-results');
+        const index = this.activeVotingIndex;
+        if (!resultsContainer || !index) return;
+
+        const formula = Object.entries(index.weights)
+            .map(([party, weight]) => `${weight} × ${this.escapeHtml(party)}`)
+            .join(' + ');
+        const election = index.election_name ? ` (${this.escapeHtml(index.election_name)})` : '';
+        resultsContainer.innerHTML = `<p><strong>${this.escapeHtml(index.label)}:</strong> ${formula}${election}</p>`;
+    }
+
+    // Saves the index in the tool as the one every visitor's map starts with
+    async saveVotingIndex() {
+        const weights = this.getVotingIndexWeights();
+        if (Object.keys(weights).length === 0) {
+            this.showToast('Give at least one party a weight above 0', 'warning');
+            return;
+        }
+
+        try {
+            const election = document.getElementById('voting-index-election')?.value;
+            await this.apiRequest('/api/admin/layer-styles/voting_districts/index', {
+                method: 'PUT',
+                body: JSON.stringify({
+                    label: document.getElementById('voting-index-label')?.value.trim() || 'Voting index',
+                    index: Object.entries(weights).map(([party, weight]) => `${party}:${weight}`).join(','),
+                    ...(election ? { election } : {})
+                })
+            });
+
+            // The saved index is now the one every request without index= falls back to
+            this.votingIndex = null;
+            this.requestCache.clear();
+            await this.renderVotingChoropleth();
+            this.renderVotingIndexFormula();
+            this.showToast('Voting index saved', 'success');
+        } catch (error) {
+            this.handleError(error, 'Saving voting index');
+            this.showToast(error.message || 'Failed to save voting index', 'error');
+        }
+    }
+
+    // The index and classification being tried out; without them the server uses the saved ones
+    getVotingQuery(scheme = this.votingScheme) {
+        const params = new URLSearchParams();
+        if (this.votingIndex) {
+            params.set('index', Object.entries(this.votingIndex.weights).map(([party, weight]) => `${party}:${weight}`).join(','));
+            params.set('index_label', this.votingIndex.label);
+            if (this.votingIndex.election) params.set('election', this.votingIndex.election);
+        }
+        Object.entries(scheme || {}).forEach(([name, value]) => {
+            params.set(name, Array.isArray(value) ? value.join(',') : value);
+        });
+        return params;
+    }
+
+    // Layer swatch, layer name and the class legend all follow the last classification the server returned
+    renderVotingLegend() {
+        const classification = this.votingClassification;
+        if (!classification) return;
+
+        const swatch = document.getElementById('voting-desc');
+        if (swatch) {
+            swatch.style.background = classification.colors.length > 1
+                ? `linear-gradient(90deg, ${classification.colors.join(', ')})`
+                : classification.colors[0];
+            swatch.title = classification.legend.map(entry => entry.label).join(', ');
+        }
+
+        const attribute = (this.classificationOptions?.attributes || []).find(a => a.name === classification.attribute);
+        const layerName = document.getElementById('voting-layer-name');
+        if (layerName) {
+            layerName.textContent = classification.attribute === 'index_value'
+                ? `${this.activeVotingIndex?.label || 'Voting index'} Voting Share`
+                : attribute?.label || classification.attribute;
+        }
+
+        const resultsContainer = document.getElementById('classification-results');
+        if (resultsContainer) {
+            const rows = classification.legend.map(entry => `
+                <div class="class-legend-row">
+                    <span class="class-legend-swatch" style="background: ${entry.color};"></span>
+                    <span>${this.escapeHtml(entry.label)}</span>
+                    <span class="class-legend-count">${entry.count}</span>
+                </div>
+            `).join('');
+            resultsContainer.innerHTML = `
+                <div class="class-legend">
+                    ${rows}
+                    <div class="class-legend-row">
+                        <span class="class-legend-swatch" style="background: ${classification.no_data_color};"></span>
+                        <span>No data</span>
+                    </div>
+                </div>
+            `;
+        }
+    }
+
+    // Fills the classification editor with the server's choices and the scheme on the map
+    populateClassificationTool() {
+        const options = this.classificationOptions;
+        const classification = this.votingClassification;
+        if (!options || !classification) return;
+
+        const attributeSelect = document.getElementById('classification-attribute');
+        if (attributeSelect) {
+            attributeSelect.innerHTML = options.attributes.map(a =>
+                `<option value="${a.name}">${this.escapeHtml(a.label)}</option>`).join('');
+            attributeSelect.value = classification.attribute;
+        }
+
+        const paletteSelect = document.getElementById('classification-palette');
+        if (paletteSelect) {
+            paletteSelect.innerHTML = options.palettes.map(p =>
+                `<option value="${p.name}">${this.escapeHtml(p.label)}</option>`).join('');
+            paletteSelect.value = classification.palette;
+        }
+
+        const methodSelect = document.getElementById('classification-method');
+        if (methodSelect) methodSelect.value = classification.method;
+
+        const classesInput = document.getElementById('classification-classes');
+        if (classesInput) {
+            classesInput.min = options.min_classes;
+            classesInput.max = options.max_classes;
+            classesInput.value = classification.colors.length;
+            const output = document.getElementById('classification-classes-value');
+            if (output) output.textContent = classesInput.value;
+        }
+
+        const breaksInput = document.getElementById('classification-breaks');
+        if (breaksInput) breaksInput.value = classification.breaks.join(', ');
+
+        this.toggleClassificationMethodFields();
+    }
+
+    // Manual breaks replace the class count
+    toggleClassificationMethodFields() {
+        const manual = document.getElementById('classification-method')?.value === 'manual';
+        const classesField = document.getElementById('classification-classes-field');
+        const breaksField = document.getElementById('classification-breaks-field');
+        if (classesField) classesField.style.display = manual ? 'none' : '';
+        if (breaksField) breaksField.style.display = manual ? '' : 'none';
+    }
+
+    getClassificationForm() {
+        const scheme = {
+            attribute: document.getElementById('classification-attribute')?.value,
+            method: document.getElementById('classification-method')?.value,
+            palette: document.getElementById('classification-palette')?.value
+        };
+        if (scheme.method === 'manual') {
+            scheme.breaks = (document.getElementById('classification-breaks')?.value || '')
+                .split(',').map(value => value.trim()).filter(Boolean).map(Number);
+        } else {
+            scheme.classes = parseInt(document.getElementById('classification-classes')?.value, 10);
+        }
+        return scheme;
+    }
+
+    // Shows a scheme on the map without saving it; the server checks it first
+    async previewClassification() {
+        const scheme = this.getClassificationForm();
+        try {
+            await this.apiRequest(`/api/layer-styles/voting_districts/classification?${this.getVotingQuery(scheme)}`);
+            this.votingScheme = scheme;
+            await this.renderVotingChoropleth();
+            this.populateClassificationTool();
+        } catch (error) {
+            this.handleError(error, 'Previewing classification');
+            this.showToast(error.details?.problems?.join('; ') || error.message || 'Failed to preview classification', 'error');
+        }
+    }
+
+    async saveClassification() {
+        try {
+            const scheme = this.getClassificationForm();
+            await this.apiRequest('/api/admin/layer-styles/voting_districts/classification', {
+                method: 'PUT',
+                body: JSON.stringify(scheme)
+            });
+
+            // The saved scheme is now the default every classification request falls back to
+            this.votingScheme = null;
+            this.requestCache.clear();
+            await this.renderVotingChoropleth();
+            this.populateClassificationTool();
+            this.showToast('Classification saved', 'success');
+        } catch (error) {
+            this.handleError(error, 'Saving classification');
+            this.showToast(error.details?.problems?.join('; ') || error.message || 'Failed to save classification', 'error');
+        }
+    }
+
+    async resetClassification() {
+        this.votingScheme = null;
+        await this.loadVotingChoropleth();
+        this.populateClassificationTool();
+    }
+
+    async loadElections() {
+        try {
+            this.elections = await this.apiRequest('/api/elections');
+            const electionSelect = document.getElementById('election-select');
+            if (!electionSelect) return;
+
+            electionSelect.innerHTML = this.elections.length > 0
+                ? this.elections.map(e => `<option value="${this.escapeHtml(e.code)}">${this.escapeHtml(e.name)}</option>`).join('')
+                : '<option value="">No elections imported</option>';
+            this.populateElectionOptions();
+            this.populateVotingIndexTool();
+        } catch (error) {
+            this.handleError(error, 'Loading elections');
+        }
+    }
+
+    // Party and comparison choices follow the selected election
+    populateElectionOptions() {
+        const code = document.getElementById('election-select')?.value;
+        const election = this.elections.find(e => e.code === code);
+
+        const partySelect = document.getElementById('election-party');
+        if (partySelect) {
+            partySelect.innerHTML = (election?.parties || []).map(p =>
+                `<option value="${this.escapeHtml(p.party)}">${this.escapeHtml(p.party)} (${p.percent}%)</option>`
+            ).join('');
+        }
+
+        const compareSelect = document.getElementById('election-compare');
+        if (compareSelect) {
+            compareSelect.innerHTML = '<option value="">No comparison</option>' + this.elections
+                .filter(e => e.code !== code)
+                .map(e => `<option value="${this.escapeHtml(e.code)}">${this.escapeHtml(e.name)}</option>`)
+                .join('');
+        }
+    }
+
+    async showElection() {
+        const code = document.getElementById('election-select')?.value;
+        const party = document.getElementById('election-party')?.value;
+        const compare = document.getElementById('election-compare')?.value;
+        const resultsContainer = document.getElementById('election-results');
+        if (!code || !party) {
+            this.showToast('Select an election and a party first', 'warning');
+            return;
+        }
+
+        try {
+            if (resultsContainer) resultsContainer.innerHTML = '<p>Loading results...</p>';
+            const params = new URLSearchParams({ party });
+            if (compare) params.set('compare', compare);
+            const result = await this.apiRequest(`/api/elections/${encodeURIComponent(code)}/communes?${params}`);
+            this.displayElection(result);
+        } catch (error) {
+            this.handleError(error, 'Loading election results');
+            if (resultsContainer) resultsContainer.innerHTML = '';
+            this.showToast(error.message || 'Failed to load election results', 'error');
+        }
+    }
+
+    displayElection(result) {
+        const layerGroup = this.analysisLayers.elections;
+        layerGroup.clearLayers();
+
+        const comparing = Boolean(result.compare);
+        const { classification } = result;
+
+        // The server classifies shares with the choropleth scheme and swings around 0
+        L.geoJSON(result, {
+            style: (feature) => ({
+                color: '#333333',
+                weight: 0.5,
+                fillColor: feature.properties.fill_color || classification.no_data_color,
+                fillOpacity: 0.7
+            }),
+            onEachFeature: (feature, layer) => {
+                layer.bindPopup('<div class="popup-content enhanced-popup"><p>Loading...</p></div>');
+                layer.on('popupopen', () => this.showElectionCommune(layer, result, feature.properties.gkz));
+            }
+        }).addTo(layerGroup);
+
+        const resultsContainer = document.getElementById('election-results');
+        if (resultsContainer) {
+            const summary = result.summary;
+            const formatSwing = (value) => value === null ? '–' : `${value > 0 ? '+' : ''}${value.toFixed(2)}`;
+            const legendRows = classification.legend.map(entry => `
+                <div class="class-legend-row">
+                    <span class="class-legend-swatch" style="background: ${entry.color};"></span>
+                    <span>${this.escapeHtml(entry.label)}</span>
+                    <span class="class-legend-count">${entry.count}</span>
+                </div>
+            `).join('');
+            resultsContainer.innerHTML = `
+                <p>${comparing ? 'Swing (percentage points)' : 'Share of valid votes (%)'}</p>
+                <div class="class-legend">${legendRows}</div>
+                <p><strong>${this.escapeHtml(result.party)}:</strong> ${summary.votes.toLocaleString()} votes (${summary.percent ?? '–'}%) in ${summary.communes} communes</p>
+                ${comparing ? `<p><strong>Swing vs ${this.escapeHtml(result.compare.name)}:</strong> ${formatSwing(summary.min_swing)} to ${formatSwing(summary.max_swing)} pts</p>` : ''}
+            `;
+        }
+    }
+
+    async showElectionCommune(layer, result, gkz) {
+        try {
+            const params = result.compare ? `?compare=${encodeURIComponent(result.compare.code)}` : '';
+            const commune = await this.apiRequest(`/api/elections/${encodeURIComponent(result.election.code)}/communes/${gkz}${params}`);
+            const formatPercent = (value) => value === null ? '–' : `${value.toFixed(2)}%`;
+            const rows = commune.parties.map(p => `
+                <tr>
+                    <td>${p.party === result.party ? `<strong>${this.escapeHtml(p.party)}</strong>` : this.escapeHtml(p.party)}</td>
+                    <td>${p.votes?.toLocaleString() ?? '–'}</td>
+                    <td>${formatPercent(p.percent)}</td>
+                    ${result.compare ? `<td>${formatPercent(p.compare_percent)}</td><td>${p.swing === null ? '–' : `${p.swing > 0 ? '+' : ''}${p.swing.toFixed(2)}`}</td>` : ''}
+                </tr>
+            `).join('');
+
+            layer.setPopupContent(`
+                <div class="popup-content enhanced-popup">
+                    <h4>${this.escapeHtml(commune.name)} (${commune.gkz})</h4>
+                    <p><strong>Valid votes:</strong> ${commune.valid_votes?.toLocaleString() ?? '–'}</p>
+                    ${commune.turnout_percent !== null ? `<p><strong>Turnout:</strong> ${formatPercent(commune.turnout_percent)}</p>` : ''}
+                    <table>
+                        <tr><th>Party</th><th>Votes</th><th>%</th>${result.compare ? '<th>Before</th><th>Swing</th>' : ''}</tr>
+                        ${rows}
+                    </table>
+                </div>
+            `);
+        } catch (error) {
+            this.handleError(error, 'Loading commune results');
+            layer.setPopupContent('<div class="popup-content"><p>Failed to load commune results</p></div>');
+        }
+    }
+
+    clearElection() {
+        this.analysisLayers.elections.clearLayers();
+        const resultsContainer = document.getElementById('election-results');
+        if (resultsContainer) resultsContainer.innerHTML = '';
+    }
+
+    getSuitabilityParams() {
+        const params = new URLSearchParams();
+        document.querySelectorAll('#suitability-tool input[data-weight]').forEach(slider => {
+            params.set(`w_${slider.dataset.weight}`, slider.value);
+        });
+        const acceptanceColumn = document.getElementById('suitability-acceptance-column')?.value || 'left_green_combined';
+        if (acceptanceColumn === 'index') {
+            params.set('acceptance_index', this.getVotingIndexParam());
+            if (this.activeVotingIndex?.election) params.set('election', this.activeVotingIndex.election);
+        } else {
+            params.set('acceptance_column', acceptanceColumn);
+        }
+        params.set('acceptance_invert', document.getElementById('suitability-acceptance-invert')?.checked ? 'true' : 'false');
+        return params;
+    }
+
+    // Loads every page of the scored grid into one FeatureCollection
+    async fetchSuitability() {
+        const result = await this.apiRequest(`/api/analysis/suitability?${this.getSuitabilityParams()}`);
+        const features = [...result.features];
+        let url = this.nextPageUrl(result);
+        while (url) {
+            const page = await this.apiRequest(url);
+            features.push(...page.features);
+            url = this.nextPageUrl(page);
+        }
+        return { type: 'FeatureCollection', features, model: result.model, summary: result.summary };
+    }
+
+    async runSuitability() {
+        const resultsContainer = document.getElementById('suitability-results');
+        try {
+            if (resultsContainer) resultsContainer.innerHTML = '<p>Scoring grid...</p>';
+            this.suitabilityResult = await this.fetchSuitability();
+            this.displaySuitability(this.suitabilityResult);
+        } catch (error) {
+            console.error('Suitability scoring failed:', error);
+            this.handleError(error, 'Suitability scoring');
+            if (resultsContainer) resultsContainer.innerHTML = '';
+            this.showToast(error.message || 'Suitability scoring failed', 'error');
+        }
+    }
+
+    // Red → yellow → green ramp for scores in 0..1
+    suitabilityColor(score) {
+        const stops = [[215, 48, 39], [254, 224, 139], [26, 152, 80]];
+        const t = Math.min(Math.max(score, 0), 1) * (stops.length - 1);
+        const i = Math.min(Math.floor(t), stops.length - 2);
+        const f = t - i;
+        const rgb = stops[i].map((c, k) => Math.round(c + (stops[i + 1][k] - c) * f));
+        return `rgb(${rgb.join(',')})`;
+    }
+
+    displaySuitability(result) {
+        const layerGroup = this.analysisLayers.suitability;
+        layerGroup.clearLayers();
+
+        L.geoJSON(result, {
+            renderer: L.canvas(),
+            style: (feature) => ({
+                stroke: false,
+                fillColor: feature.properties.excluded ? '#555555' : this.suitabilityColor(feature.properties.score),
+                fillOpacity: feature.properties.excluded ? 0.35 : 0.6
+            }),
+            onEachFeature: (feature, layer) => {
+                const p = feature.properties;
+                layer.bindPopup(`
+                    <div class="popup-content enhanced-popup">
+                        <h4>Suitability ${p.excluded ? '(excluded)' : p.score.toFixed(2)}</h4>
+                        <p><strong>CO₂ sources:</strong> ${p.source_score.toFixed(2)} (${p.dist_co2_source_km?.toFixed(1) ?? '–'} km)</p>
+                        <p><strong>Infrastructure:</strong> ${p.infrastructure_score.toFixed(2)} (${p.dist_infrastructure_km?.toFixed(1) ?? '–'} km)</p>
+                        <p><strong>Exclusion zones:</strong> ${p.exclusion_score.toFixed(2)}${p.excluded_by?.length ? ` (${p.excluded_by.join(', ')})` : ''}</p>
+                        <p><strong>Acceptance:</strong> ${p.acceptance_score.toFixed(2)}</p>
+                    </div>
+                `);
+            }
+        }).addTo(layerGroup);
+
+        const resultsContainer = document.getElementById('suitability-results');
+        if (resultsContainer) {
+            const summary = result.summary;
+            resultsContainer.innerHTML = `
+                <div class="suitability-legend"></div>
+                <div class="suitability-legend-labels"><span>0 unsuitable</span><span>1 suitable</span></div>
+                <p><strong>Cells:</strong> ${summary.cell_count.toLocaleString()} (${summary.excluded_count.toLocaleString()} excluded)</p>
+                <p><strong>Mean / max score:</strong> ${summary.mean_score ?? '–'} / ${summary.max_score ?? '–'}</p>
+            `;
+        }
+    }
+
+    async exportSuitability(format) {
+        try {
+            if (format === 'csv') {
+                const params = this.getSuitabilityParams();
+                params.set('format', 'csv');
+                window.location.href = `/api/analysis/suitability?${params}`;
+                return;
+            }
+
+            if (!this.suitabilityResult) {
+                this.suitabilityResult = await this.fetchSuitability();
+            }
+            this.downloadFile(JSON.stringify(this.suitabilityResult), 'suitability.geojson', 'application/geo+json');
+        } catch (error) {
+            this.handleError(error, 'Exporting suitability');
+            this.showToast('Failed to export suitability results', 'error');
+        }
+    }
+
+    clearSuitability() {
+        this.analysisLayers.suitability.clearLayers();
+        this.suitabilityResult = null;
+        const resultsContainer = document.getElementById('suitability-results');
+        if (resultsContainer) resultsContainer.innerHTML = '';
+    }
+
+    async rebuildSuitabilityGrid() {
+        try {
+            if (!confirm('Rebuild the suitability grid? This can take a few minutes.')) return;
+
+            this.showToast('Rebuilding suitability grid...', 'info');
+            const result = await this.apiRequest('/api/admin/suitability-grid/rebuild', { method: 'POST', body: '{}' });
+            this.showToast(`Suitability grid rebuilt: ${result.cells.toLocaleString()} cells`, 'success');
+        } catch (error) {
+            this.handleError(error, 'Rebuilding suitability grid');
+            this.showToast(error.message || 'Failed to rebuild suitability grid', 'error');
+        }
+    }
+
+    // Straight flow line with an arrowhead at the destination, drawn in screen-independent degrees
+    createFlowArrow(from, to, weight, color) {
+        const line = L.polyline([from, to], { color, weight, opacity: 0.75, lineCap: 'butt' });
+
+        const angle = Math.atan2(to[0] - from[0], to[1] - from[1]);
+        const length = Math.min(0.05, this.map.distance(from, to) / 111000 * 0.15);
+        const spread = Math.PI / 7;
+        const head = L.polygon([
+            to,
+            [to[0] - length * Math.sin(angle - spread), to[1] - length * Math.cos(angle - spread)],
+            [to[0] - length * Math.sin(angle + spread), to[1] - length * Math.cos(angle + spread)]
+        ], { color, weight: 1, fillColor: color, fillOpacity: 0.9 });
+
+        return L.featureGroup([line, head]);
+    }
+
+    // Utility methods
+    downloadFile(content, filename, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    updateLayerCount(elementId, count) {
+        const element = document.getElementById(elementId);
+        if (element) {
+            element.textContent = `(${count})`;
+        }
+    }
+
+    updateStatistics() {
+        try {
+            const totalFeatures = Object.values(this.layerCounts).reduce((sum, count) => sum + count, 0);
+            this.featureCounts.total = totalFeatures;
+            
+            const totalElement = document.getElementById('total-features');
+            if (totalElement) {
+                totalElement.textContent = totalFeatures.toLocaleString();
+            }
+        } catch (error) {
+            this.handleError(error, 'Updating statistics');
+        }
+    }
+
+    updateVisibleLayersCount() {
+        try {
+            let visibleCount = 0;
+            document.querySelectorAll('input[type="checkbox"][id^="layer-"]:checked').forEach(() => {
+                visibleCount++;
+            });
+            
+            const visibleElement = document.getElementById('visible-layers');
+            if (visibleElement) {
+                visibleElement.textContent = visibleCount;
+            }
+        } catch (error) {
+            this.handleError(error, 'Updating visible layers count');
+        }
+    }
+
+    updateActiveClusterCount() {
+        try {
+            let activeCount = 0;
+            Object.values(this.clusterGroups).forEach(cluster => {
+                if (this.map.hasLayer(cluster)) {
+                    activeCount++;
+                }
+            });
+            
+            const clusterElement = document.getElementById('active-clusters');
+            if (clusterElement) {
+                clusterElement.textContent = activeCount;
+            }
+        } catch (error) {
+            this.handleError(error, 'Updating active cluster count');
+        }
+    }
+
+    updateDataQuality() {
+        try {
+            const totalLayers = 14;
+            const loadedLayers = Object.keys(this.layerCounts).length;
+            
+            const qualityElement = document.getElementById('layers-status');
+            if (qualityElement) {
+                const percentage = Math.round((loadedLayers / totalLayers) * 100);
+                qualityElement.textContent = `${loadedLayers}/${totalLayers} loaded (${percentage}%)`;
                 
                 if (percentage === 100) {
                     qualityElement.className = 'quality-status success';
@@ -1905,21 +4548,6 @@ class CO2StorageAtlas {
         }
     }
 
-    getVotingColor(percentage, hasData = true) {
-        if (!hasData || !percentage || percentage <= 0) return '#cccccc';
-        
-        if (percentage >= 60) return '#00AA00';
-        else if (percentage >= 50) return '#22BB22';
-        else if (percentage >= 40) return '#44CC44';
-        else if (percentage >= 30) return '#66DD66';
-        else if (percentage >= 20) return '#88EE88';
-        else if (percentage >= 15) return '#AAAA00';
-        else if (percentage >= 10) return '#CCCC00';
-        else if (percentage >= 5) return '#DDAA00';
-        else if (percentage > 0) return '#EE8800';
-        else return '#cccccc';
-    }
-
     toggleClustering(enabled) {
         try {
             if (enabled) {
@@ -3,13 +3,90 @@ const path = require('path');
 const csv = require('csv-parser');
 const XLSX = require('xlsx');
 const shapefile = require('shapefile');
-const proj4 = require('proj4');
 const turf = require('@turf/turf');
+const AdmZip = require('adm-zip');
+const crypto = require('crypto');
 const { Client } = require('pg');
+const { DEFAULT_SCHEME, NO_DATA_COLOR, classify, classColor, classColorSql } = require('../lib/classification');
+const { WGS84, resolveCrsCode, crsFromWkt, toWgs84 } = require('../lib/crs');
+const { loadManifest, expandPath, mapColumns, matchesWhere } = require('../lib/import-manifest');
 require('dotenv').config();
 
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Datasets to import, see lib/import-manifest.js for the format
+const DEFAULT_MANIFEST = path.join(ROOT_DIR, 'import-manifest.json');
+
+// Tables the importer fills; each carries source_key/source_hash (see scripts/setup-database.js)
+const IMPORTED_TABLES = [
+    'co2_sources', 'voting_districts', 'landfills', 'gravel_pits',
+    'wastewater_plants', 'gas_pipelines', 'gas_storage_sites',
+    'gas_distribution_points', 'compressor_stations', 'study_area_boundaries',
+    'groundwater_protection', 'conservation_areas', 'settlement_areas',
+    'highways', 'railways'
+];
+
+// Attributes taken as a feature's natural id, in order of preference
+const FEATURE_ID_FIELDS = ['id', 'ID', 'Id', 'OBJECTID', 'objectid', 'FID', 'fid', 'osm_id'];
+
+// Rejected rows written to import_rejections per INSERT
+const REJECTION_BATCH = 500;
+
+// Election result rows written per INSERT
+const ELECTION_BATCH = 500;
+
+// Colours baked into voting_districts.choropleth_color and mv_voting_choropleth: the default classes
+// over left_green_combined. The API classifies on request with the scheme saved in layer_styles.
+const VOTING_CLASSIFICATION = classify([], { ...DEFAULT_SCHEME, attribute: 'left_green_combined' });
+
+// Summary counter each target table adds its imported rows to
+const TABLE_STATS = {
+    co2_sources: 'co2Sources', voting_districts: 'votingDistricts', landfills: 'landfills',
+    gravel_pits: 'gravelPits', wastewater_plants: 'wastewaterPlants', gas_pipelines: 'gasPipelines',
+    gas_storage_sites: 'gasStorage', gas_distribution_points: 'gasDistribution',
+    compressor_stations: 'compressorStations', groundwater_protection: 'groundwaterAreas',
+    conservation_areas: 'conservationAreas', settlement_areas: 'residentialAreas',
+    highways: 'roads', railways: 'railways'
+};
+
+// Derived values a manifest dataset can ask for in "transforms", applied after the column mapping
+const VALUE_TRANSFORMS = {
+    // Sources emitting more than `threshold` tonnes get the larger pin
+    prominence: (values, { column, threshold }) => {
+        const isProminent = (values[column] || 0) > threshold;
+        return { ...values, is_prominent: isProminent, pin_size: isProminent ? 4 : 2 };
+    },
+    // Left-green share and choropleth colour of a commune from its party percentages
+    votingShares: (values) => {
+        const shares = ['spo_percent', 'ovp_percent', 'fpo_percent', 'grune_percent', 'kpo_percent', 'neos_percent'];
+        const leftGreenCombined = values.spo_percent + values.grune_percent + values.kpo_percent;
+        const hasVotingData = shares.some(column => values[column] > 0);
+        return {
+            ...values,
+            left_green_combined: leftGreenCombined,
+            choropleth_color: hasVotingData && leftGreenCombined > 0
+                ? classColor(leftGreenCombined, VOTING_CLASSIFICATION)
+                : NO_DATA_COLOR,
+            has_voting_data: hasVotingData,
+            geometry_valid: true
+        };
+    }
+};
+
+// Line and polygon tables cut to the area of interest with --clip, by ST_CollectionExtract dimension
+const CLIPPED_TABLES = {
+    gas_pipelines: 2, highways: 2, railways: 2,
+    groundwater_protection: 3, conservation_areas: 3, settlement_areas: 3
+};
+
 class ProductionDataImporter {
-    constructor() {
+    // mode 'upsert' (default) updates features in place by their natural key and removes the ones
+    // gone from their source; 'reload' truncates the tables it imports into first, as earlier versions always did.
+    // dryRun reads every source and records the run and its rejected rows, but leaves the layers untouched.
+    // clip cuts lines and polygons crossing the province borders down to the part inside.
+    // manifest is the dataset manifest to run, datasets the names of the ones to import (default all).
+    // replaceLegacy removes the rows an import from before source keys left behind, see clearLegacyRows().
+    constructor({ mode = 'upsert', dryRun = false, clip = false, replaceLegacy = false, manifest = DEFAULT_MANIFEST, datasets = null } = {}) {
         this.client = new Client({
             connectionString: process.env.DATABASE_URL,
             ssl: process.env.NODE_ENV === 'production' ? { 
@@ -17,24 +94,16 @@ class ProductionDataImporter {
             } : false
         });
 
-        // Data directories - adjusted for production deployment
-        this.dataDir = path.join(__dirname, '..', 'zurich_data');
-        this.shapefileDir = path.join(__dirname, '..', 'Shapefiles');
-        this.unsuitableDir = path.join(__dirname, '..', 'Unsuitable');
-        this.roadsDir = path.join(__dirname, '..', 'roads');
-        this.railwayDir = path.join(__dirname, '..', 'railway');
-        this.areaOfInterestDir = path.join(__dirname, '..', 'Area Of Interest');
-
-        // Austrian coordinate systems
-        this.projections = {
-            'EPSG:31287': '+proj=lcc +lat_1=49 +lat_2=46 +lat_0=47.5 +lon_0=13.33333333333333 +x_0=400000 +y_0=400000 +ellps=bessel +towgs84=577.326,90.129,463.919,5.137,1.474,5.297,2.4232 +units=m +no_defs',
-            'EPSG:31259': '+proj=tmerc +lat_0=0 +lon_0=10.33333333333333 +k=1 +x_0=150000 +y_0=-5000000 +ellps=bessel +towgs84=577.326,90.129,463.919,5.137,1.474,5.297,2.4232 +units=m +no_defs',
-            'EPSG:3416': '+proj=tmerc +lat_0=0 +lon_0=16 +k=1 +x_0=500000 +y_0=-5000000 +ellps=bessel +towgs84=577.326,90.129,463.919,5.137,1.474,5.297,2.4232 +units=m +no_defs'
-        };
+        // What to import; read from the manifest by loadDatasets()
+        this.manifestPath = manifest;
+        this.datasetNames = datasets;
+        this.manifest = null;
+        this.datasets = [];
 
         this.stats = {
             co2Sources: 0,
             votingDistricts: 0,
+            electionResults: 0,
             landfills: 0,
             gravelPits: 0,
             wastewaterPlants: 0,
@@ -51,71 +120,97 @@ class ProductionDataImporter {
             filteredOutByArea: 0
         };
 
+        // Per table: { inserted, updated, unchanged, removed }
+        this.changes = {};
+        this.seenKeys = {};
+        this.mode = mode;
+        this.dryRun = dryRun;
+        this.clip = clip;
+        this.replaceLegacy = replaceLegacy;
+        this.legacyChecked = new Set();
+
+        // Lineage: the import_runs row for this run, the files it read and the one being read now
+        this.runId = null;
+        this.sources = [];
+        this.currentSourceFile = null;
+        this.errors = [];
+        // Validation report: every source row that was not imported, with the reason
+        this.rejections = [];
+
+        // Province polygons features are filtered against, and their combined bbox as a quick pre-check
+        this.areaOfInterest = [];
         this.areaOfInterestBounds = null;
         this.isProduction = process.env.NODE_ENV === 'production';
     }
 
     async importAllData() {
+        // A broken manifest or an unknown dataset stops the run before anything is touched
+        this.loadDatasets();
         try {
             console.log('Starting production data import...\n');
             console.log(`Environment: ${this.isProduction ? 'Production' : 'Development'}`);
+            console.log(`Mode: ${this.mode === 'reload' ? 'full reload' : 'incremental upsert'}${this.dryRun ? ' (dry run)' : ''}${this.clip ? ', clipped to the area of interest' : ''}`);
             
             await this.client.connect();
             console.log('Connected to database');
-
-            // Check if data directories exist
-            await this.checkDataDirectories();
+            await this.startRun();
 
             // Import data in order of dependencies
             await this.loadAreaBounds();
-            await this.clearExistingData();
-            await this.importBoundaries();
-            await this.importUpdatedVotingDistricts();
-            await this.importCSVExcelData();
-            await this.importShapefileData();
-            await this.importUnsuitableAreasOptimized();
-            await this.importTransportInfrastructure();
-            await this.createMaterializedViews();
-            await this.updateGeometryValidation();
+            if (this.dryRun) {
+                console.log('Dry run: no layer data will be written');
+            } else if (this.mode === 'reload') {
+                await this.clearExistingData();
+            }
+            await this.importDatasets();
+            if (!this.dryRun) {
+                if (this.clip) await this.clipToAreaOfInterest();
+                await this.createMaterializedViews();
+                await this.updateGeometryValidation();
+                await this.rebuildSuitabilityGrid();
+            }
             
             this.printSummary();
+            await this.finishRun('completed');
             console.log('\nProduction data import completed successfully!');
 
         } catch (error) {
-            console.error('Import failed:', error);
-            this.stats.errors++;
+            this.recordError('Import failed', error);
+            await this.finishRun('failed');
         } finally {
             await this.client.end();
         }
     }
 
-    async checkDataDirectories() {
-        console.log('Checking data directories...');
-        const directories = [
-            { name: 'zurich_data', path: this.dataDir },
-            { name: 'Shapefiles', path: this.shapefileDir },
-            { name: 'Unsuitable', path: this.unsuitableDir },
-            { name: 'roads', path: this.roadsDir },
-            { name: 'railway', path: this.railwayDir },
-            { name: 'Area Of Interest', path: this.areaOfInterestDir }
-        ];
-
-        for (const dir of directories) {
-            if (fs.existsSync(dir.path)) {
-                console.log(`✅ Found ${dir.name} directory`);
-            } else {
-                console.log(`⚠️  Missing ${dir.name} directory: ${dir.path}`);
-            }
+    loadDatasets() {
+        this.manifest = loadManifest(this.manifestPath, {
+            targets: [...IMPORTED_TABLES, 'election_results'],
+            transforms: Object.keys(VALUE_TRANSFORMS)
+        });
+        if (!this.datasetNames) {
+            this.datasets = this.manifest.datasets;
+            return;
         }
+
+        const unknown = this.datasetNames.filter(name => !this.manifest.datasets.some(dataset => dataset.name === name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown dataset ${unknown.join(', ')}; the manifest has ${this.manifest.datasets.map(dataset => dataset.name).join(', ')}`);
+        }
+        this.datasets = this.manifest.datasets.filter(dataset => this.datasetNames.includes(dataset.name));
     }
 
-    async loadAreaBounds() {
-        console.log('Loading area bounds...');
-        
-        const areaFiles = [
-            path.join(this.areaOfInterestDir, 'salzburg.shp'),
-            path.join(this.areaOfInterestDir, 'upper_austria.shp')
-        ];
+    // Layer tables the selected datasets write to
+    datasetTables() {
+        return IMPORTED_TABLES.filter(table => this.datasets.some(dataset => dataset.target === table));
+    }
+
+    // Read the province polygons named by the manifest. They are stored in area_of_interest unless
+    // save is false (dry runs, and the server's upload wizard, which only filters against them).
+    async loadAreaBounds({ save = !this.dryRun } = {}) {
+        console.log('Loading area of interest...');
+
+        const areaSource = this.manifest.areaOfInterest;
+        const areaFiles = areaSource ? areaSource.path : [];
 
         let combinedBounds = null;
 
@@ -123,11 +218,20 @@ class ProductionDataImporter {
             if (fs.existsSync(file)) {
                 console.log(`Processing ${path.basename(file)}...`);
                 try {
+                    const crs = this.shapefileCrs(file);
                     await shapefile.read(file).then(collection => {
                         collection.features.forEach(feature => {
-                            const geometry = this.transformGeometry(feature.geometry);
+                            const geometry = this.transformGeometry(feature.geometry, crs);
                             if (this.isValidGeoJSON(geometry)) {
                                 const bounds = turf.bbox(turf.feature(geometry));
+                                this.areaOfInterest.push({
+                                    province: path.basename(file, '.shp'),
+                                    name: feature.properties[areaSource.nameColumn] || path.basename(file, '.shp'),
+                                    isoCode: feature.properties[areaSource.isoColumn] || null,
+                                    file,
+                                    geometry,
+                                    bounds
+                                });
                                 if (!combinedBounds) {
                                     combinedBounds = bounds;
                                 } else {
@@ -149,41 +253,132 @@ class ProductionDataImporter {
 
         this.areaOfInterestBounds = combinedBounds;
         if (combinedBounds) {
-            console.log(`Area bounds loaded: [${combinedBounds.map(n => n.toFixed(3)).join(', ')}]`);
+            console.log(`Area of interest loaded: ${this.areaOfInterest.map(area => area.name).join(', ')} [${combinedBounds.map(n => n.toFixed(3)).join(', ')}]`);
+            if (save) await this.saveAreaOfInterest();
         } else {
             console.log('No area bounds loaded - will import all data');
         }
     }
 
+    // Keep the province polygons in the database for the layer endpoints' province filter and for clipping
+    async saveAreaOfInterest() {
+        const provinces = {};
+        this.areaOfInterest.forEach(area => {
+            (provinces[area.province] = provinces[area.province] || []).push(area);
+        });
+
+        for (const [province, areas] of Object.entries(provinces)) {
+            try {
+                await this.client.query(`
+                    INSERT INTO area_of_interest (province, name, iso_code, geom, source_file)
+                    VALUES ($1, $2, $3, ST_Multi(ST_Union(ARRAY(
+                        SELECT ST_SetSRID(ST_GeomFromGeoJSON(value), 4326) FROM jsonb_array_elements_text($4::jsonb)
+                    ))), $5)
+                    ON CONFLICT (province) DO UPDATE SET
+                        name = EXCLUDED.name, iso_code = EXCLUDED.iso_code, geom = EXCLUDED.geom,
+                        source_file = EXCLUDED.source_file, updated_at = CURRENT_TIMESTAMP
+                `, [
+                    province, areas[0].name, areas[0].isoCode,
+                    JSON.stringify(areas.map(area => JSON.stringify(area.geometry))),
+                    path.relative(path.join(__dirname, '..'), areas[0].file)
+                ]);
+            } catch (error) {
+                console.warn(`Could not store area of interest ${province} (run \`npm run setup\` to add area_of_interest):`, error.message);
+            }
+        }
+    }
+
     isWithinAreaBounds(longitude, latitude) {
         if (!this.areaOfInterestBounds) return true;
         
-        return longitude >= this.areaOfInterestBounds[0] && 
-               longitude <= this.areaOfInterestBounds[2] &&
-               latitude >= this.areaOfInterestBounds[1] && 
-               latitude <= this.areaOfInterestBounds[3];
+        return this.areaOfInterest.some(area =>
+            longitude >= area.bounds[0] && longitude <= area.bounds[2] &&
+            latitude >= area.bounds[1] && latitude <= area.bounds[3] &&
+            turf.booleanPointInPolygon([longitude, latitude], area.geometry));
     }
 
-    boundsIntersectArea(bounds) {
-        if (!bounds || !this.areaOfInterestBounds) return true;
-        
-        return !(bounds[2] < this.areaOfInterestBounds[0] || 
-                 bounds[0] > this.areaOfInterestBounds[2] ||
-                 bounds[3] < this.areaOfInterestBounds[1] || 
-                 bounds[1] > this.areaOfInterestBounds[3]);
+    // Whether a feature lies in the area of interest: points by position, lines and polygons by intersection
+    isInAreaOfInterest(geometry) {
+        if (geometry.type === 'Point') return this.isWithinAreaBounds(geometry.coordinates[0], geometry.coordinates[1]);
+        return this.intersectsAreaOfInterest(geometry);
+    }
+
+    // Exact test against the province polygons. Most features lie wholly on one side of a border,
+    // so a vertex inside a province usually settles it. Otherwise only the part of the province
+    // within the feature's bbox can touch it, and clipping to that keeps the full test small.
+    intersectsAreaOfInterest(geometry) {
+        if (!this.areaOfInterestBounds) return true;
+
+        const bounds = this.getGeometryBounds(geometry);
+        if (!bounds) return false;
+        const vertex = this.extractFirstCoordinate(geometry);
+        const margin = 1e-9;
+        return this.areaOfInterest.some(area => {
+            if (bounds[2] < area.bounds[0] || bounds[0] > area.bounds[2] ||
+                bounds[3] < area.bounds[1] || bounds[1] > area.bounds[3]) return false;
+            if (turf.booleanPointInPolygon(vertex, area.geometry)) return true;
+
+            const nearby = this.clipPolygonToBounds(area.geometry, [
+                bounds[0] - margin, bounds[1] - margin, bounds[2] + margin, bounds[3] + margin
+            ]);
+            return nearby !== null && turf.booleanIntersects(geometry, nearby);
+        });
+    }
+
+    // The part of a (multi)polygon inside a bounding box, or null when there is none. bboxClip leaves
+    // an empty slot for every polygon and ring it cuts away, which booleanIntersects cannot handle.
+    clipPolygonToBounds(geometry, bbox) {
+        const clipped = turf.bboxClip(geometry, bbox).geometry;
+        const polygons = (clipped.type === 'MultiPolygon' ? clipped.coordinates : [clipped.coordinates])
+            .filter(rings => rings.length > 0 && rings[0].length >= 4)
+            .map(rings => rings.filter(ring => ring.length >= 4));
+        if (polygons.length === 0) return null;
+        return polygons.length === 1
+            ? { type: 'Polygon', coordinates: polygons[0] }
+            : { type: 'MultiPolygon', coordinates: polygons };
+    }
+
+    // Cut lines and polygons reaching past the provinces to their part inside. Rows keep the
+    // source_hash of the uncut record, so later runs leave them alone until the source changes.
+    // Features that only touch the boundary have no part inside and are removed instead.
+    async clipToAreaOfInterest() {
+        console.log('Clipping to the area of interest...');
+        for (const [table, dimension] of Object.entries(CLIPPED_TABLES)) {
+            try {
+                const result = await this.client.query(`
+                    WITH clipped AS (
+                        SELECT t.id, ST_Multi(ST_CollectionExtract(ST_Intersection(t.geom, a.geom), ${dimension})) AS geom
+                        FROM ${table} t, (SELECT ST_Union(geom) AS geom FROM area_of_interest) a
+                        WHERE t.source_key IS NOT NULL
+                          AND ST_Intersects(t.geom, a.geom)
+                          AND NOT ST_CoveredBy(t.geom, a.geom)
+                    ),
+                    emptied AS (
+                        DELETE FROM ${table} t USING clipped c
+                        WHERE t.id = c.id AND ST_IsEmpty(c.geom)
+                        RETURNING t.id
+                    ),
+                    cut AS (
+                        UPDATE ${table} t
+                        SET geom = c.geom, updated_at = CURRENT_TIMESTAMP
+                        FROM clipped c
+                        WHERE t.id = c.id AND NOT ST_IsEmpty(c.geom)
+                        RETURNING t.id
+                    )
+                    SELECT (SELECT COUNT(*) FROM cut)::int AS clipped, (SELECT COUNT(*) FROM emptied)::int AS removed
+                `);
+                const { clipped, removed } = result.rows[0];
+                if (removed > 0) this.recordChange(table, 'removed', removed);
+                console.log(`Clipped ${clipped} ${table}${removed > 0 ? `, removed ${removed} only touching the boundary` : ''}`);
+            } catch (error) {
+                console.warn(`Could not clip ${table}:`, error.message);
+            }
+        }
     }
 
     async clearExistingData() {
         console.log('Clearing existing data...');
-        const tables = [
-            'co2_sources', 'voting_districts', 'landfills', 'gravel_pits',
-            'wastewater_plants', 'gas_pipelines', 'gas_storage_sites',
-            'gas_distribution_points', 'compressor_stations', 'study_area_boundaries',
-            'groundwater_protection', 'conservation_areas', 'settlement_areas',
-            'highways', 'railways'
-        ];
-
-        for (const table of tables) {
+        for (const table of this.datasetTables()) {
             try {
                 await this.client.query(`TRUNCATE TABLE ${table} RESTART IDENTITY CASCADE`);
                 console.log(`Cleared ${table}`);
@@ -193,847 +388,509 @@ class ProductionDataImporter {
         }
     }
 
-    async importBoundaries() {
-        console.log('Importing study area boundaries...');
-        const boundaryFile = path.join(this.shapefileDir, 'sal_aus_communes.shp');
-        
-        if (!fs.existsSync(boundaryFile)) {
-            console.log('Boundary file not found, skipping...');
-            return;
-        }
-
+    // Open the import_runs row that features written by this run point back to
+    async startRun() {
         try {
-            const features = [];
-            await shapefile.read(boundaryFile).then(collection => {
-                collection.features.forEach(feature => features.push(feature));
-            });
-
-            let processed = 0;
-            for (const feature of features) {
-                const properties = feature.properties;
-                const geometry = this.transformGeometry(feature.geometry);
-                if (!this.isValidGeoJSON(geometry)) continue;
-
-                await this.client.query(`
-                    INSERT INTO study_area_boundaries (g_id, g_name, geom, properties)
-                    VALUES ($1, $2, ST_SetSRID(ST_GeomFromGeoJSON($3), 4326), $4)
-                    ON CONFLICT (g_id) DO UPDATE SET geom = EXCLUDED.geom, properties = EXCLUDED.properties
-                `, [
-                    properties.g_id || properties.G_ID,
-                    properties.g_name || properties.G_NAME,
-                    JSON.stringify(geometry),
-                    JSON.stringify(properties)
-                ]);
-                processed++;
-            }
-            console.log(`Imported ${processed} boundaries`);
+            const result = await this.client.query(
+                "INSERT INTO import_runs (mode, triggered_by, dry_run) VALUES ($1, 'cli', $2) RETURNING id",
+                [this.mode, this.dryRun]
+            );
+            this.runId = result.rows[0].id;
+            console.log(`Import run #${this.runId}`);
         } catch (error) {
-            console.error('Error importing boundaries:', error);
+            console.warn('Could not record import run (run `npm run setup` to add import_runs):', error.message);
         }
     }
 
-    async importUpdatedVotingDistricts() {
-        console.log('Importing voting districts from updated shapefile...');
-        const votingFile = path.join(this.shapefileDir, 'updated_commune.shp');
-        
-        if (!fs.existsSync(votingFile)) {
-            console.log('Updated commune shapefile not found, skipping voting districts...');
-            return;
-        }
-
+    async finishRun(status) {
+        if (!this.runId) return;
         try {
-            const features = [];
-            await shapefile.read(votingFile).then(collection => {
-                collection.features.forEach(feature => features.push(feature));
-            });
-
-            let processed = 0;
-            let validGeometry = 0;
-            let districtsWithData = 0;
-
-            for (const feature of features) {
-                const properties = feature.properties;
-                const geometry = this.transformGeometry(feature.geometry);
-                
-                processed++;
-                
-                if (!this.isValidGeoJSON(geometry)) {
-                    console.warn(`Invalid geometry for district: ${properties.g_name || properties.name}`);
-                    continue;
-                }
-
-                validGeometry++;
-
-                // Map the correct column names from the updated shapefile
-                const spoPercent = parseFloat(properties["SPO_perc"]) || 0;
-                const grunePercent = parseFloat(properties["GRUENE_per"]) || 0;
-                const kpoPercent = parseFloat(properties["KPOE_perc"]) || 0;
-                const ovpPercent = parseFloat(properties["OEVP_perc"]) || 0;
-                const fpoPercent = parseFloat(properties["FPOE_perc"]) || 0;
-                const neosPercent = parseFloat(properties["NEOS_perce"]) || 0;
-                const leftGreenCombined = spoPercent + grunePercent + kpoPercent;
-
-                const hasVotingData = spoPercent > 0 || grunePercent > 0 || kpoPercent > 0 || 
-                                     ovpPercent > 0 || fpoPercent > 0 || neosPercent > 0;
-
-                if (hasVotingData) {
-                    districtsWithData++;
-                }
-
-                await this.client.query(`
-                    INSERT INTO voting_districts (
-                        gkz, name, spo_percent, ovp_percent, fpo_percent,
-                        grune_percent, kpo_percent, neos_percent,
-                        left_green_combined, choropleth_color, geom, properties,
-                        has_voting_data, geometry_valid
-                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 
-                        ST_SetSRID(ST_GeomFromGeoJSON($11), 4326), $12, $13, true)
-                    ON CONFLICT (gkz) DO UPDATE SET
-                        name = EXCLUDED.name,
-                        spo_percent = EXCLUDED.spo_percent,
-                        ovp_percent = EXCLUDED.ovp_percent,
-                        fpo_percent = EXCLUDED.fpo_percent,
-                        grune_percent = EXCLUDED.grune_percent,
-                        kpo_percent = EXCLUDED.kpo_percent,
-                        neos_percent = EXCLUDED.neos_percent,
-                        left_green_combined = EXCLUDED.left_green_combined,
-                        choropleth_color = EXCLUDED.choropleth_color,
-                        geom = EXCLUDED.geom,
-                        properties = EXCLUDED.properties,
-                        has_voting_data = EXCLUDED.has_voting_data,
-                        geometry_valid = EXCLUDED.geometry_valid
-                `, [
-                    parseInt(properties.gkz) || null,
-                    properties.g_name || properties.name || 'Unknown District',
-                    spoPercent, ovpPercent, fpoPercent, grunePercent, kpoPercent, neosPercent,
-                    leftGreenCombined,
-                    hasVotingData ? this.getVotingColor(leftGreenCombined) : '#cccccc',
-                    JSON.stringify(geometry),
-                    JSON.stringify(properties),
-                    hasVotingData
-                ]);
-            }
-            
-            this.stats.votingDistricts = validGeometry;
-            console.log(`Imported ${validGeometry} voting districts with valid geometry from ${processed} total features`);
-            console.log(`Districts with voting data: ${districtsWithData}`);
+            await this.client.query(`
+                UPDATE import_runs SET
+                    finished_at = CURRENT_TIMESTAMP, status = $2, sources = $3, layer_counts = $4,
+                    filtered_out_by_area = $5, error_count = $6, errors = $7, rejected_count = $8
+                WHERE id = $1
+            `, [
+                this.runId, status, JSON.stringify(this.sources), JSON.stringify(this.changes),
+                this.stats.filteredOutByArea, this.stats.errors, JSON.stringify(this.errors), this.rejections.length
+            ]);
+            await this.saveRejections();
         } catch (error) {
-            console.error('Error importing voting districts:', error);
+            console.warn(`Could not finish import run #${this.runId}:`, error.message);
         }
     }
 
-    async importCSVExcelData() {
-        console.log('\nImporting CSV/Excel data...');
-        
-        await this.importCO2Sources();
-        await this.importLandfills();
-        await this.importGravelPits();
-        await this.importWastewaterPlants();
-    }
-
-    async importCO2Sources() {
-        const filePath = path.join(this.dataDir, 'CO2 sources.xlsx');
-        if (!fs.existsSync(filePath)) {
-            console.log('CO2 sources file not found');
-            return;
+    async saveRejections() {
+        for (let start = 0; start < this.rejections.length; start += REJECTION_BATCH) {
+            const params = [this.runId];
+            const tuples = this.rejections.slice(start, start + REJECTION_BATCH).map(rejection => {
+                params.push(rejection.source_file, rejection.row_number, rejection.reason, JSON.stringify(rejection.raw_values));
+                const n = params.length;
+                return `($1, $${n - 3}, $${n - 2}, $${n - 1}, $${n})`;
+            });
+            await this.client.query(`
+                INSERT INTO import_rejections (import_run_id, source_file, row_number, reason, raw_values)
+                VALUES ${tuples.join(', ')}
+            `, params);
+        }
+        if (this.rejections.length > 0) {
+            console.log(`Validation report: ${this.rejections.length} rejected rows saved with import run #${this.runId}`);
         }
+    }
 
-        console.log('Importing CO2 sources...');
-        try {
-            const workbook = XLSX.readFile(filePath);
-            const sheet = workbook.Sheets[workbook.SheetNames[0]];
-            const data = XLSX.utils.sheet_to_json(sheet);
-
-            let imported = 0;
-            let filtered = 0;
-
-            for (const row of data) {
-                const longitude = parseFloat(row['Longitude']);
-                const latitude = parseFloat(row['Latitude']);
-                
-                if (!this.isValidWGS84([longitude, latitude])) continue;
-                
-                if (!this.isWithinAreaBounds(longitude, latitude)) {
-                    filtered++;
-                    continue;
-                }
+    recordError(message, error) {
+        console.error(`${message}:`, error);
+        this.stats.errors++;
+        this.errors.push({ message, detail: error.message, at: new Date().toISOString() });
+    }
 
-                const totalCO2 = parseFloat(row['Total_CO2_t'] || 0);
-                const isProminent = totalCO2 > 50000;
+    // Put a source row that is not imported on the validation report. rowNumber is 1-based within
+    // the current source file: the data row of a CSV or spreadsheet, the record of a shapefile.
+    rejectRow(rowNumber, reason, rawValues) {
+        this.rejections.push({
+            source_file: this.currentSourceFile,
+            row_number: rowNumber,
+            reason,
+            raw_values: rawValues
+        });
+    }
 
-                await this.client.query(`
-                    INSERT INTO co2_sources (
-                        plant_name, plant_type, total_co2_t, fossil_co2_t,
-                        biogenic_co2_t, comment, is_prominent, pin_size,
-                        geom, properties
-                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 
-                        ST_SetSRID(ST_MakePoint($9, $10), 4326), $11)
-                `, [
-                    row['Plant Name'], row['Plant Type'], totalCO2,
-                    parseFloat(row['Fossil_CO2_t'] || 0),
-                    parseFloat(row['Biogenic_CO2_t'] || 0),
-                    row['Comment'] || '', isProminent,
-                    isProminent ? 4 : 2,
-                    longitude, latitude,
-                    JSON.stringify(row)
-                ]);
-                imported++;
-            }
-            
-            this.stats.co2Sources = imported;
-            this.stats.filteredOutByArea += filtered;
-            console.log(`Imported ${imported} CO2 sources (${filtered} filtered out by area)`);
-        } catch (error) {
-            console.error('Error importing CO2 sources:', error);
-        }
+    // Why a reprojected geometry cannot be imported, or null when it can
+    geometryRejection(geometry) {
+        if (!geometry) return 'Missing geometry';
+        if (!this.isValidGeoJSON(geometry)) return 'Invalid geometry';
+        if (!this.isWGS84(geometry)) return 'Coordinates could not be reprojected to WGS84';
+        return null;
     }
 
-    async importLandfills() {
-        const filePath = path.join(this.dataDir, 'LandfiilsDeponien.csv');
-        if (!fs.existsSync(filePath)) {
-            console.log('Landfills file not found');
-            return;
+    // SHA-256 over a file; for a shapefile the .dbf, .shx, .prj and .cpg next to it are included
+    async fileChecksum(filePath) {
+        const files = [filePath];
+        if (/\.shp$/i.test(filePath)) {
+            ['.shx', '.dbf', '.prj', '.cpg']
+                .map(extension => filePath.replace(/\.shp$/i, extension))
+                .filter(sidecar => fs.existsSync(sidecar))
+                .forEach(sidecar => files.push(sidecar));
         }
 
-        console.log('Importing landfills...');
-        try {
-            const results = [];
-            
+        const hash = crypto.createHash('sha256');
+        let bytes = 0;
+        for (const file of files) {
             await new Promise((resolve, reject) => {
-                fs.createReadStream(filePath)
-                    .pipe(csv())
-                    .on('data', (data) => results.push(data))
+                fs.createReadStream(file)
+                    .on('data', (chunk) => {
+                        hash.update(chunk);
+                        bytes += chunk.length;
+                    })
                     .on('end', resolve)
                     .on('error', reject);
             });
+        }
+        return { sha256: hash.digest('hex'), bytes };
+    }
 
-            let imported = 0;
-            let filtered = 0;
-
-            for (const row of results) {
-                const x = parseFloat(row['X_Koordina']);
-                const y = parseFloat(row['Y_Koordina']);
-                
-                if (!this.isValidWGS84([y, x])) continue;
-                
-                if (!this.isWithinAreaBounds(y, x)) {
-                    filtered++;
-                    continue;
-                }
+    // Add a file to the run's source list; features written from here on are tagged with it
+    async beginSource(filePath, table) {
+        this.currentSourceFile = path.relative(path.join(__dirname, '..'), filePath);
+        const checksum = await this.fileChecksum(filePath);
+        this.sources.push({ file: this.currentSourceFile, table, ...checksum });
+    }
 
-                await this.client.query(`
-                    INSERT INTO landfills (
-                        company_name, location_name, district, address,
-                        facility_type, geom, properties
-                    ) VALUES ($1, $2, $3, $4, $5, 
-                        ST_SetSRID(ST_MakePoint($6, $7), 4326), $8)
-                `, [
-                    row['Firmen_Nam'], row['Standort_N'], row['Standort_B'],
-                    row['Standort_S'], row['Anlagenbez'],
-                    y, x,
-                    JSON.stringify(row)
-                ]);
-                imported++;
+    // Rows loaded before source keys existed cannot be matched to their source records, so the first
+    // incremental run would add every feature again. With --replace-legacy such rows are removed once,
+    // from tables the importer alone has written to: a table is left alone when any of its rows has a
+    // source key or an import run (script or upload wizard), or when the audit log shows a user
+    // editing it in the admin panel. Called per table just before its first source file is read.
+    async clearLegacyRows(table) {
+        if (!this.replaceLegacy || this.dryRun || this.mode === 'reload' || this.legacyChecked.has(table)) return;
+        this.legacyChecked.add(table);
+
+        try {
+            const result = await this.client.query(`
+                SELECT COUNT(*)::int AS legacy,
+                       (SELECT COUNT(*) FROM ${table} WHERE source_key IS NOT NULL OR import_run_id IS NOT NULL)::int AS tracked,
+                       (SELECT COUNT(*) FROM audit_log WHERE table_name = $1 AND user_id IS NOT NULL)::int AS edits
+                FROM ${table}
+                WHERE source_key IS NULL AND import_run_id IS NULL
+            `, [table]);
+            const { legacy, tracked, edits } = result.rows[0];
+            if (legacy === 0) return;
+            if (tracked > 0 || edits > 0) {
+                console.log(`Kept ${legacy} ${table} rows without a source key: the table also holds features not from a pre-incremental import`);
+                return;
             }
-            
-            this.stats.landfills = imported;
-            this.stats.filteredOutByArea += filtered;
-            console.log(`Imported ${imported} landfills (${filtered} filtered out by area)`);
+            await this.client.query(`DELETE FROM ${table} WHERE source_key IS NULL AND import_run_id IS NULL`);
+            console.log(`Replaced ${legacy} ${table} rows from a pre-incremental import`);
         } catch (error) {
-            console.error('Error importing landfills:', error);
+            console.warn(`Could not check ${table} for legacy rows, keeping them:`, error.message);
         }
     }
 
-    async importGravelPits() {
-        const filePath = path.join(this.dataDir, 'Gravel pits  stone quarries.csv.csv');
-        if (!fs.existsSync(filePath)) {
-            console.log('Gravel pits file not found');
+    // Source keys for the records of one file: `source:natural id`, with the id from the dataset's key
+    // columns or else featureKey(). A natural id several records share gets their geometry hash
+    // appended, so the key follows the record's content rather than its position in the file; only
+    // records alike in id and geometry are told apart by number (#2, #3, ...).
+    sourceKeys(source, records) {
+        const natural = records.map(({ id, properties, geometry }) => `${source}:${id ?? this.featureKey(properties, geometry)}`);
+        const counts = new Map();
+        natural.forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+
+        const keys = new Set();
+        return natural.map((key, i) => {
+            const base = counts.get(key) > 1 ? `${key}#${this.geometryKey(records[i].geometry)}` : key;
+            let unique = base;
+            for (let n = 2; keys.has(unique); n++) {
+                unique = `${base}#${n}`;
+            }
+            keys.add(unique);
+            return unique;
+        });
+    }
+
+    // Record a source key as seen in this run. Keys are unique within a file (see sourceKeys); files
+    // sharing a keyPrefix can still repeat one, which is then numbered. Seen keys are never removed
+    // by removeUnseenFeatures.
+    claimSourceKey(table, sourceKey) {
+        const seen = this.seenKeys[table] || (this.seenKeys[table] = new Set());
+        let key = sourceKey;
+        for (let n = 2; seen.has(key); n++) {
+            key = `${sourceKey}#${n}`;
+        }
+        seen.add(key);
+        return key;
+    }
+
+    // Insert or update one feature by its claimed source key and record what happened. The row is only
+    // rewritten when the source record itself changed, so admin edits to unchanged features survive.
+    async upsertFeature(table, key, values, geometry, properties) {
+        const hash = this.sourceHash(values, geometry, properties);
+        if (this.dryRun) {
+            this.recordChange(table, await this.plannedChange(table, key, hash));
             return;
         }
 
-        console.log('Importing gravel pits...');
-        try {
-            const results = [];
-            
-            await new Promise((resolve, reject) => {
-                fs.createReadStream(filePath)
-                    .pipe(csv())
-                    .on('data', (data) => results.push(data))
-                    .on('end', resolve)
-                    .on('error', reject);
-            });
+        const tagged = { ...values, import_run_id: this.runId, source_file: this.currentSourceFile };
+        const columns = Object.keys(tagged);
+        const g = columns.length + 1;
+
+        const result = await this.client.query(`
+            INSERT INTO ${table} AS t (${[...columns, 'geom', 'properties', 'source_key', 'source_hash'].join(', ')})
+            VALUES (${columns.map((_, i) => `$${i + 1}, `).join('')}ST_SetSRID(ST_GeomFromGeoJSON($${g}), 4326), $${g + 1}, $${g + 2}, $${g + 3})
+            ON CONFLICT (source_key) DO UPDATE SET
+                ${[...columns, 'geom', 'properties', 'source_hash'].map(column => `${column} = EXCLUDED.${column}`).join(', ')},
+                updated_at = CURRENT_TIMESTAMP
+            WHERE t.source_hash IS DISTINCT FROM EXCLUDED.source_hash
+            RETURNING (xmax = 0) AS inserted
+        `, [
+            ...columns.map(column => tagged[column]),
+            JSON.stringify(geometry), JSON.stringify(properties), key, hash
+        ]);
+
+        const outcome = result.rows.length === 0 ? 'unchanged' : (result.rows[0].inserted ? 'inserted' : 'updated');
+        this.recordChange(table, outcome);
+    }
 
-            let imported = 0;
-            let filtered = 0;
-
-            for (const row of results) {
-                const lng = parseFloat(row['center_lng']);
-                const lat = parseFloat(row['center_lat']);
-                
-                if (!this.isValidWGS84([lng, lat])) continue;
-                
-                if (!this.isWithinAreaBounds(lng, lat)) {
-                    filtered++;
-                    continue;
-                }
+    // Fingerprint of a source record as stored, compared on later runs to see whether it changed
+    sourceHash(values, geometry, properties) {
+        return crypto.createHash('md5')
+            .update(JSON.stringify([Object.values(values), geometry, properties]))
+            .digest('hex');
+    }
 
-                await this.client.query(`
-                    INSERT INTO gravel_pits (name, resource, tags, geom, properties)
-                    VALUES ($1, $2, $3, ST_SetSRID(ST_MakePoint($4, $5), 4326), $6)
-                `, [
-                    row['name'], row['resource'], row['tags'],
-                    lng, lat,
-                    JSON.stringify(row)
-                ]);
-                imported++;
-            }
-            
-            this.stats.gravelPits = imported;
-            this.stats.filteredOutByArea += filtered;
-            console.log(`Imported ${imported} gravel pits (${filtered} filtered out by area)`);
-        } catch (error) {
-            console.error('Error importing gravel pits:', error);
-        }
+    // What upsertFeature would do with a row, looked up instead of written
+    async plannedChange(table, key, hash) {
+        if (this.mode === 'reload') return 'inserted';
+        const result = await this.client.query(`SELECT source_hash FROM ${table} WHERE source_key = $1`, [key]);
+        if (result.rows.length === 0) return 'inserted';
+        return result.rows[0].source_hash === hash ? 'unchanged' : 'updated';
     }
 
-    async importWastewaterPlants() {
-        const filePath = path.join(this.dataDir, 'Kläranlagen  Wastewater treatment plants.csv');
-        if (!fs.existsExists(filePath)) {
-            console.log('Wastewater plants file not found');
+    recordChange(table, outcome, count = 1) {
+        const changes = this.changes[table] || (this.changes[table] = { inserted: 0, updated: 0, unchanged: 0, removed: 0 });
+        changes[outcome] += count;
+    }
+
+    // Delete features a source no longer contains. Only keys under this source's prefix are
+    // considered, so rows from other files and rows created in the admin panel stay.
+    async removeUnseenFeatures(table, source) {
+        if (this.mode === 'reload') return;
+
+        const prefix = `${source}:`;
+        const seen = [...(this.seenKeys[table] || [])].filter(key => key.startsWith(prefix));
+        const where = 'WHERE left(source_key, $1) = $2 AND NOT (source_key = ANY($3))';
+        if (this.dryRun) {
+            const result = await this.client.query(`SELECT COUNT(*)::int AS count FROM ${table} ${where}`, [prefix.length, prefix, seen]);
+            this.recordChange(table, 'removed', result.rows[0].count);
             return;
         }
 
-        console.log('Importing wastewater plants...');
-        try {
-            const results = [];
-            
-            await new Promise((resolve, reject) => {
-                fs.createReadStream(filePath)
-                    .pipe(csv())
-                    .on('data', (data) => results.push(data))
-                    .on('end', resolve)
-                    .on('error', reject);
-            });
-
-            let imported = 0;
-            let filtered = 0;
-
-            for (const row of results) {
-                const longitude = parseFloat(row['long']);
-                const latitude = parseFloat(row['lat']);
-                
-                if (!this.isValidWGS84([longitude, latitude])) continue;
-                
-                if (!this.isWithinAreaBounds(longitude, latitude)) {
-                    filtered++;
-                    continue;
-                }
+        const result = await this.client.query(`DELETE FROM ${table} ${where}`, [prefix.length, prefix, seen]);
+        this.recordChange(table, 'removed', result.rowCount);
+    }
 
-                await this.client.query(`
-                    INSERT INTO wastewater_plants (
-                        pk, label, treatment_type, capacity, geom, properties
-                    ) VALUES ($1, $2, $3, $4, 
-                        ST_SetSRID(ST_MakePoint($5, $6), 4326), $7)
-                `, [
-                    row['PK'], row['LABEL'], row['ABW_BEHANDLUNG'],
-                    parseInt(row['KAPAZITAET'] || 0),
-                    longitude, latitude,
-                    JSON.stringify(row)
-                ]);
-                imported++;
-            }
-            
-            this.stats.wastewaterPlants = imported;
-            this.stats.filteredOutByArea += filtered;
-            console.log(`Imported ${imported} wastewater plants (${filtered} filtered out by area)`);
-        } catch (error) {
-            console.error('Error importing wastewater plants:', error);
-        }
+    // Natural id of a feature: an id attribute when the source has one, else a hash of its geometry
+    featureKey(properties, geometry) {
+        const idField = FEATURE_ID_FIELDS.find(field => properties[field] !== undefined && properties[field] !== null && properties[field] !== '');
+        if (idField) return `${idField}=${properties[idField]}`;
+        return this.geometryKey(geometry);
     }
 
-    async importShapefileData() {
-        console.log('\nImporting shapefile data...');
-        await this.importGasInfrastructure();
+    // Hash of a geometry, its coordinates rounded to about a centimetre
+    geometryKey(geometry) {
+        const rounded = JSON.stringify(geometry.coordinates, (k, v) => (typeof v === 'number' ? Math.round(v * 1e7) / 1e7 : v));
+        return crypto.createHash('md5').update(`${geometry.type}${rounded}`).digest('hex');
     }
 
-    async importGasInfrastructure() {
-        const gasFiles = [
-            { file: 'Gas Network Lines.shp', table: 'gas_pipelines', type: 'line' },
-            { file: 'Gas Storage Facilities.shp', table: 'gas_storage_sites', type: 'point' },
-            { file: 'Gas Distribution Points.shp', table: 'gas_distribution_points', type: 'point' },
-            { file: 'Compressor station.shp', table: 'compressor_stations', type: 'point' }
-        ];
-
-        for (const gasFile of gasFiles) {
-            const filePath = path.join(this.shapefileDir, gasFile.file);
-            if (!fs.existsSync(filePath)) {
-                console.log(`${gasFile.file} not found, skipping...`);
+    // Import every dataset selected from the manifest, in manifest order
+    async importDatasets() {
+        for (const dataset of this.datasets) {
+            const files = dataset.path.flatMap(expandPath);
+            if (files.length === 0) {
+                console.log(`\n${dataset.name}: ${dataset.path.map(file => path.relative(ROOT_DIR, file)).join(', ')} not found, skipping...`);
                 continue;
             }
 
-            console.log(`Importing ${gasFile.file}...`);
-            try {
-                const features = [];
-                await shapefile.read(filePath).then(collection => {
-                    collection.features.forEach(feature => features.push(feature));
-                });
-
-                let imported = 0;
-                let filtered = 0;
-
-                for (const feature of features) {
-                    const geometry = this.transformGeometry(feature.geometry);
-                    const properties = feature.properties;
-
-                    if (gasFile.type === 'line') {
-                        if (!this.isValidGeoJSON(geometry)) continue;
-                        
-                        if (this.areaOfInterestBounds) {
-                            const bounds = this.getGeometryBounds(geometry);
-                            if (!this.boundsIntersectArea(bounds)) {
-                                filtered++;
-                                continue;
-                            }
-                        }
-
-                        await this.client.query(`
-                            INSERT INTO gas_pipelines (
-                                name, operator, diameter, pressure_level,
-                                pipeline_type, geom, properties
-                            ) VALUES ($1, $2, $3, $4, $5, 
-                                ST_SetSRID(ST_GeomFromGeoJSON($6), 4326), $7)
-                        `, [
-                            properties.Pipeline || properties.name,
-                            properties.Operator, properties.Diameter,
-                            properties.Pressure, properties.Type || 'Gas Pipeline',
-                            JSON.stringify(geometry), JSON.stringify(properties)
-                        ]);
-                        this.stats.gasPipelines++;
-                        imported++;
+            console.log(`\nImporting ${dataset.name}...`);
+            if (dataset.target !== 'election_results') await this.clearLegacyRows(dataset.target);
+            for (const file of files) {
+                try {
+                    if (dataset.target === 'election_results') {
+                        await this.importElection(dataset, file);
                     } else {
-                        const coords = this.extractCoordinates(geometry);
-                        
-                        if (!this.isValidWGS84(coords)) continue;
-                        
-                        if (!this.isWithinAreaBounds(coords[0], coords[1])) {
-                            filtered++;
-                            continue;
-                        }
-
-                        const tableName = gasFile.table;
-                        
-                        if (tableName === 'gas_storage_sites') {
-                            await this.client.query(`
-                                INSERT INTO gas_storage_sites (
-                                    name, operator, storage_type, capacity_bcm,
-                                    geom, properties
-                                ) VALUES ($1, $2, $3, $4, 
-                                    ST_SetSRID(ST_MakePoint($5, $6), 4326), $7)
-                            `, [
-                                properties.Name, properties.Operator,
-                                properties.Type, parseFloat(properties.Capacity || 0),
-                                coords[0], coords[1], JSON.stringify(properties)
-                            ]);
-                            this.stats.gasStorage++;
-                        } else if (tableName === 'gas_distribution_points') {
-                            await this.client.query(`
-                                INSERT INTO gas_distribution_points (
-                                    name, type, operator, geom, properties
-                                ) VALUES ($1, $2, $3, 
-                                    ST_SetSRID(ST_MakePoint($4, $5), 4326), $6)
-                            `, [
-                                properties.Name, 'Distribution Point',
-                                properties.Operator, coords[0], coords[1],
-                                JSON.stringify(properties)
-                            ]);
-                            this.stats.gasDistribution++;
-                        } else if (tableName === 'compressor_stations') {
-                            await this.client.query(`
-                                INSERT INTO compressor_stations (
-                                    name, operator, capacity_info, geom, properties
-                                ) VALUES ($1, $2, $3, 
-                                    ST_SetSRID(ST_MakePoint($4, $5), 4326), $6)
-                            `, [
-                                properties.Name, properties.Operator,
-                                properties.Capacity, coords[0], coords[1],
-                                JSON.stringify(properties)
-                            ]);
-                            this.stats.compressorStations++;
-                        }
-                        imported++;
+                        await this.importDatasetFile(dataset, file);
                     }
+                } catch (error) {
+                    this.recordError(`Error importing ${path.relative(ROOT_DIR, file)}`, error);
                 }
-                
-                console.log(`Imported ${imported} from ${gasFile.file}${filtered > 0 ? ` (${filtered} filtered out by area)` : ''}`);
-                this.stats.filteredOutByArea += filtered;
-            } catch (error) {
-                console.error(`Error importing ${gasFile.file}:`, error);
             }
         }
     }
 
-    // Optimized unsuitable areas import
-    async importUnsuitableAreasOptimized() {
-        console.log('\nImporting unsuitable areas (optimized for production)...');
-        
-        if (this.isProduction) {
-            console.log('Production mode: Using simplified import for performance');
-        }
-        
-        await this.importGroundwaterAreasOptimized();
-        await this.importConservationAreasOptimized(); 
-        await this.importResidentialAreasOptimized();
-    }
-
-    async importGroundwaterAreasOptimized() {
-        const groundwaterFiles = [
-            path.join(this.unsuitableDir, 'GroundWater', 'salzburg_water', 'reprojected_salzburg_water.shp'),
-            path.join(this.unsuitableDir, 'GroundWater', 'upper_austria_water', 'reprojected_upper_austria_water.shp')
-        ];
-
-        for (const file of groundwaterFiles) {
-            if (!fs.existsSync(file)) continue;
-            
-            console.log(`Importing ${path.basename(file)}...`);
-            const startTime = Date.now();
-            
-            try {
-                const reader = await shapefile.open(file);
-                let imported = 0;
-                let processed = 0;
-                let skipped = 0;
-                const maxFeatures = this.isProduction ? 5000 : 50000; // Limit for production
-
-                while (true) {
-                    const result = await reader.read();
-                    if (result.done || processed >= maxFeatures) break;
-                    
-                    processed++;
-
-                    try {
-                        const geometry = this.transformGeometry(result.value.geometry);
-                        if (!this.isValidGeoJSON(geometry)) {
-                            skipped++;
-                            continue;
-                        }
-
-                        const bbox = this.getGeometryBounds(geometry);
-                        if (!this.boundsIntersectArea(bbox)) {
-                            skipped++;
-                            continue;
-                        }
-
-                        let simplifiedGeom = geometry;
-                        if (this.getGeometryComplexity(geometry) > 1000) {
-                            simplifiedGeom = this.simplifyGeometry(geometry, 0.001);
-                        }
-
-                        await this.client.query(`
-                            INSERT INTO groundwater_protection (name, protection_zone, geom, properties)
-                            VALUES ($1, $2, ST_SetSRID(ST_GeomFromGeoJSON($3), 4326), $4)
-                        `, [
-                            result.value.properties.Name || 'Groundwater Protection Area',
-                            result.value.properties.Zone || 'Protected',
-                            JSON.stringify(simplifiedGeom),
-                            JSON.stringify(result.value.properties)
-                        ]);
-                        imported++;
-
-                    } catch (error) {
-                        skipped++;
-                    }
-                }
-
-                await reader.close();
-                
-                this.stats.groundwaterAreas += imported;
-                this.stats.filteredOutByArea += skipped;
-                
-                const elapsed = (Date.now() - startTime) / 1000;
-                console.log(`Completed ${path.basename(file)}: ${imported} imported, ${skipped} skipped (${elapsed.toFixed(1)}s)`);
+    // Read one file of a dataset and upsert its rows into the target table as the manifest maps them
+    async importDatasetFile(dataset, file) {
+        const startTime = Date.now();
+        await this.beginSource(file, dataset.target);
+        const { filters } = dataset;
+        const limit = filters.limit && filters.limit[this.isProduction ? 'production' : 'development'];
+        const records = await this.readDatasetRecords(dataset, file, limit || Infinity);
+        const source = dataset.keyPrefix || path.basename(file, path.extname(file));
+
+        // Rows that pass the filter and have a usable geometry; keyed together once all are known
+        const candidates = [];
+        for (const [index, { geometry: sourceGeometry, properties }] of records.entries()) {
+            const rowNumber = index + 1;
+            if (!matchesWhere(filters.where, properties)) {
+                this.rejectRow(rowNumber, 'Excluded by the manifest filter', properties);
+                continue;
+            }
 
-            } catch (error) {
-                console.error(`Error importing ${file}:`, error.message);
+            const rejection = this.geometryRejection(sourceGeometry);
+            if (rejection) {
+                this.rejectRow(rowNumber, dataset.coordinates
+                    ? `${dataset.coordinates.x}/${dataset.coordinates.y} missing or out of range`
+                    : rejection, properties);
+                continue;
             }
-        }
-    }
 
-    async importConservationAreasOptimized() {
-        const conservationFiles = [
-            path.join(this.unsuitableDir, 'NatureConservation', 'salzburg_nature', 'reprojected_salzburg_nature.shp')
-        ];
-        
-        // Add upper austria conservation files
-        for (let i = 1; i <= 24; i++) {
-            conservationFiles.push(
-                path.join(this.unsuitableDir, 'NatureConservation', 'upper_austria_nature', `u${i}.shp`)
+            const geometry = dataset.geometry === 'point' && sourceGeometry.type !== 'Point'
+                ? { type: 'Point', coordinates: this.extractFirstCoordinate(sourceGeometry) }
+                : sourceGeometry;
+            const values = dataset.transforms.reduce(
+                (result, transform) => VALUE_TRANSFORMS[transform.type](result, transform),
+                mapColumns(dataset.columns, properties)
             );
+            const id = dataset.key.map(column => values[column])
+                .find(value => value !== undefined && value !== null && value !== '');
+            candidates.push({ rowNumber, id, geometry, values, properties });
         }
+        const sourceKeys = this.sourceKeys(source, candidates);
 
-        for (const file of conservationFiles) {
-            if (!fs.existsSync(file)) continue;
-            
-            console.log(`Importing ${path.basename(file)}...`);
-            const startTime = Date.now();
-            
+        let imported = 0;
+        let filtered = 0;
+        for (const [index, { rowNumber, geometry, values, properties }] of candidates.entries()) {
+            let inArea;
+            let stored = geometry;
             try {
-                const reader = await shapefile.open(file);
-                let imported = 0;
-                let processed = 0;
-                let skipped = 0;
-                const maxFeatures = this.isProduction ? 2000 : 10000;
-
-                while (true) {
-                    const result = await reader.read();
-                    if (result.done || processed >= maxFeatures) break;
-                    
-                    processed++;
-
-                    try {
-                        const geometry = this.transformGeometry(result.value.geometry);
-                        if (!this.isValidGeoJSON(geometry)) {
-                            skipped++;
-                            continue;
-                        }
-
-                        const bbox = this.getGeometryBounds(geometry);
-                        if (!this.boundsIntersectArea(bbox)) {
-                            skipped++;
-                            continue;
-                        }
-
-                        let simplifiedGeom = geometry;
-                        if (this.getGeometryComplexity(geometry) > 500) {
-                            simplifiedGeom = this.simplifyGeometry(geometry, 0.001);
-                        }
-
-                        await this.client.query(`
-                            INSERT INTO conservation_areas (
-                                name, protection_level, area_type, geom, properties
-                            ) VALUES ($1, $2, $3, ST_SetSRID(ST_GeomFromGeoJSON($4), 4326), $5)
-                        `, [
-                            result.value.properties.Name || 'Conservation Area',
-                            result.value.properties.Protection || 'Protected',
-                            result.value.properties.Type || 'Nature Reserve',
-                            JSON.stringify(simplifiedGeom),
-                            JSON.stringify(result.value.properties)
-                        ]);
-                        imported++;
-
-                    } catch (error) {
-                        skipped++;
-                    }
+                inArea = !filters.areaOfInterest || this.isInAreaOfInterest(geometry);
+                if (inArea && dataset.simplify && this.getGeometryComplexity(geometry) > dataset.simplify.maxVertices) {
+                    stored = this.simplifyGeometry(geometry, dataset.simplify.tolerance);
                 }
-
-                await reader.close();
-                
-                this.stats.conservationAreas += imported;
-                this.stats.filteredOutByArea += skipped;
-                
-                const elapsed = (Date.now() - startTime) / 1000;
-                if (imported > 0) {
-                    console.log(`Completed ${path.basename(file)}: ${imported} imported (${elapsed.toFixed(1)}s)`);
-                }
-
             } catch (error) {
-                console.error(`Error importing ${file}:`, error.message);
+                // The row is still in the source: keep its stored feature rather than remove it as unseen
+                this.claimSourceKey(dataset.target, sourceKeys[index]);
+                this.rejectRow(rowNumber, `Could not be imported: ${error.message}`, properties);
+                continue;
+            }
+            if (!inArea) {
+                this.rejectRow(rowNumber, 'Outside the area of interest', properties);
+                filtered++;
+                continue;
             }
+
+            await this.upsertFeature(dataset.target, this.claimSourceKey(dataset.target, sourceKeys[index]), values, stored, properties);
+            imported++;
         }
+        await this.removeUnseenFeatures(dataset.target, source);
+
+        if (TABLE_STATS[dataset.target]) this.stats[TABLE_STATS[dataset.target]] += imported;
+        this.stats.filteredOutByArea += filtered;
+        const elapsed = (Date.now() - startTime) / 1000;
+        console.log(`Imported ${imported} from ${path.basename(file)}${filtered > 0 ? ` (${filtered} filtered out by area)` : ''} (${elapsed.toFixed(1)}s)`);
     }
 
-    async importResidentialAreasOptimized() {
-        const residentialFiles = [
-            path.join(this.unsuitableDir, 'Residential', 'salzburg_residential', 'Salzburg_Residential_BAEW_Only.shp'),
-            path.join(this.unsuitableDir, 'Residential', 'upper_austria_residential', 'Upper_Austria_Residential_Official.shp')
-        ];
+    // Up to `limit` source records of a dataset file as { geometry, properties }, geometries in WGS84.
+    // Shapefiles are read one record at a time so the limit stops reading large files early; CSV and
+    // XLSX rows get their point from the coordinate columns, null when those are unusable.
+    async readDatasetRecords(dataset, file, limit) {
+        const records = [];
+        if (dataset.format === 'shapefile') {
+            const crs = dataset.crs ? resolveCrsCode(dataset.crs) : this.shapefileCrs(file);
+            const reader = await shapefile.open(file);
+            while (records.length < limit) {
+                const result = await reader.read();
+                if (result.done) break;
+                records.push({ geometry: this.transformGeometry(result.value.geometry, crs), properties: result.value.properties });
+            }
+            await reader.cancel();
+            return records;
+        }
 
-        for (const file of residentialFiles) {
-            if (!fs.existsSync(file)) continue;
-            
-            console.log(`Importing ${path.basename(file)}...`);
-            const startTime = Date.now();
-            
-            try {
-                const reader = await shapefile.open(file);
-                let imported = 0;
-                let processed = 0;
-                let skipped = 0;
-                const maxFeatures = this.isProduction ? 3000 : 15000;
-
-                while (true) {
-                    const result = await reader.read();
-                    if (result.done || processed >= maxFeatures) break;
-                    
-                    processed++;
-
-                    try {
-                        const geometry = this.transformGeometry(result.value.geometry);
-                        if (!this.isValidGeoJSON(geometry)) {
-                            skipped++;
-                            continue;
-                        }
-
-                        const bbox = this.getGeometryBounds(geometry);
-                        if (!this.boundsIntersectArea(bbox)) {
-                            skipped++;
-                            continue;
-                        }
-
-                        let simplifiedGeom = geometry;
-                        if (this.getGeometryComplexity(geometry) > 500) {
-                            simplifiedGeom = this.simplifyGeometry(geometry, 0.001);
-                        }
-
-                        await this.client.query(`
-                            INSERT INTO settlement_areas (
-                                name, area_type, population, geom, properties
-                            ) VALUES ($1, $2, $3, ST_SetSRID(ST_GeomFromGeoJSON($4), 4326), $5)
-                        `, [
-                            result.value.properties.Name || 'Residential Area',
-                            'Residential',
-                            parseInt(result.value.properties.Population || 0),
-                            JSON.stringify(simplifiedGeom),
-                            JSON.stringify(result.value.properties)
-                        ]);
-                        imported++;
-
-                    } catch (error) {
-                        skipped++;
-                    }
-                }
+        if (dataset.format === 'geojson') {
+            const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            const crs = dataset.crs ? resolveCrsCode(dataset.crs) : this.geoJsonCrs(data);
+            const features = data.type === 'FeatureCollection' ? data.features : [data];
+            return features.slice(0, limit).map(feature => ({
+                geometry: this.transformGeometry(feature.geometry, crs),
+                properties: feature.properties || {}
+            }));
+        }
 
-                await reader.close();
-                
-                this.stats.residentialAreas += imported;
-                this.stats.filteredOutByArea += skipped;
-                
-                const elapsed = (Date.now() - startTime) / 1000;
-                console.log(`Completed ${path.basename(file)}: ${imported} imported (${elapsed.toFixed(1)}s)`);
+        const rows = dataset.format === 'csv' ? await this.readCSV(file) : this.readSpreadsheet(file);
+        const crs = resolveCrsCode(dataset.crs || WGS84);
+        const { x, y } = dataset.coordinates;
+        return rows.slice(0, limit).map(row => ({ geometry: this.pointFromColumns(row, x, y, crs), properties: row }));
+    }
 
-            } catch (error) {
-                console.error(`Error importing ${file}:`, error.message);
-            }
+    async importElection(dataset, file) {
+        const { election } = dataset;
+        await this.beginSource(file, 'election_results');
+        const { communes, results } = this.parseElectionRows(await this.readCSV(file));
+
+        // Compare with what is stored so only changed results are written
+        const previous = await this.client.query(`
+            SELECT r.gkz, r.party, r.votes, r.percent
+            FROM election_results r
+            JOIN elections e ON e.id = r.election_id
+            WHERE e.code = $1
+        `, [election.code]);
+        const stored = new Map(previous.rows.map(row => [`${row.gkz}|${row.party}`, `${row.votes}|${Number(row.percent)}`]));
+        const current = new Set(results.map(result => `${result.gkz}|${result.party}`));
+        const changed = results.filter(result => stored.get(`${result.gkz}|${result.party}`) !== `${result.votes}|${result.percent}`);
+        const removed = [...stored.keys()].filter(key => !current.has(key));
+
+        const inserted = changed.filter(result => !stored.has(`${result.gkz}|${result.party}`)).length;
+        this.recordChange('election_results', 'inserted', inserted);
+        this.recordChange('election_results', 'updated', changed.length - inserted);
+        this.recordChange('election_results', 'unchanged', results.length - changed.length);
+        this.recordChange('election_results', 'removed', removed.length);
+
+        if (!this.dryRun) {
+            await this.saveElection(election, communes, changed, removed);
         }
-    }
 
-    async importTransportInfrastructure() {
-        console.log('\nImporting transport infrastructure...');
-        
-        await this.importRoads();
-        await this.importRailways();
+        this.stats.electionResults += results.length;
+        console.log(`Imported ${election.name}: ${communes.length} communes, ${results.length} party results (${changed.length} changed)`);
     }
 
-    async importRoads() {
-        const roadFiles = [
-            path.join(this.roadsDir, 'salzburg_roads', 'salzburg_primary_roads.shp'),
-            path.join(this.roadsDir, 'upper_austria_roads', 'upper_austria_primary_roads.shp')
-        ];
+    // Split rows of the election layout into commune totals and one result per party. Percentages
+    // are taken from the file and only computed from the votes where a file lacks them.
+    parseElectionRows(rows) {
+        const parties = Object.keys(rows[0] || {})
+            .filter(column => column.endsWith('_votes'))
+            .map(column => column.slice(0, -'_votes'.length));
+        const optionalInt = (value) => {
+            const number = parseInt(value, 10);
+            return Number.isNaN(number) ? null : number;
+        };
 
-        for (const file of roadFiles) {
-            if (!fs.existsSync(file)) continue;
-            
-            console.log(`Importing ${path.basename(file)}...`);
-            try {
-                const features = [];
-                await shapefile.read(file).then(collection => {
-                    collection.features.forEach(feature => features.push(feature));
+        const communes = [];
+        const results = [];
+        const seen = new Set();
+        rows.forEach((row, index) => {
+            const gkz = optionalInt(row.gkz);
+            if (gkz === null) return this.rejectRow(index + 1, 'Missing or invalid gkz', row);
+            if (seen.has(gkz)) return this.rejectRow(index + 1, `Duplicate gkz ${gkz}`, row);
+            seen.add(gkz);
+
+            const votes = parties.map(party => optionalInt(row[`${party}_votes`]) || 0);
+            const validVotes = votes.reduce((sum, count) => sum + count, 0);
+            communes.push({
+                gkz,
+                name: row.name,
+                eligible_voters: optionalInt(row.eligible_voters),
+                votes_cast: optionalInt(row.votes_cast),
+                valid_votes: validVotes
+            });
+            parties.forEach((party, i) => {
+                const percent = parseFloat(row[`${party}_percent`]);
+                results.push({
+                    gkz,
+                    party,
+                    votes: votes[i],
+                    percent: Number.isNaN(percent)
+                        ? (validVotes > 0 ? Math.round(votes[i] / validVotes * 10000) / 100 : 0)
+                        : percent
                 });
+            });
+        });
+        return { communes, results };
+    }
 
-                let imported = 0;
-                let filtered = 0;
-                const maxFeatures = this.isProduction ? 1000 : 5000;
-
-                for (let i = 0; i < Math.min(features.length, maxFeatures); i++) {
-                    const feature = features[i];
-                    const geometry = this.transformGeometry(feature.geometry);
-                    if (!this.isValidGeoJSON(geometry)) continue;
-
-                    if (this.areaOfInterestBounds) {
-                        const bounds = this.getGeometryBounds(geometry);
-                        if (!this.boundsIntersectArea(bounds)) {
-                            filtered++;
-                            continue;
-                        }
-                    }
-
+    async saveElection(election, communes, changed, removed) {
+        await this.client.query('BEGIN');
+        try {
+            const electionResult = await this.client.query(`
+                INSERT INTO elections (code, name, election_type, election_date, source_file)
+                VALUES ($1, $2, $3, $4, $5)
+                ON CONFLICT (code) DO UPDATE SET
+                    name = EXCLUDED.name, election_type = EXCLUDED.election_type,
+                    election_date = EXCLUDED.election_date, source_file = EXCLUDED.source_file,
+                    updated_at = CURRENT_TIMESTAMP
+                RETURNING id
+            `, [election.code, election.name, election.type, election.date, this.currentSourceFile]);
+            const electionId = electionResult.rows[0].id;
+
+            const insertBatches = async (table, columns, conflict, rows) => {
+                for (let start = 0; start < rows.length; start += ELECTION_BATCH) {
+                    const params = [electionId];
+                    const tuples = rows.slice(start, start + ELECTION_BATCH).map(row => {
+                        const placeholders = columns.map(column => {
+                            params.push(row[column]);
+                            return `$${params.length}`;
+                        });
+                        return `($1, ${placeholders.join(', ')})`;
+                    });
                     await this.client.query(`
-                        INSERT INTO highways (
-                            name, highway_number, road_type, geom, properties
-                        ) VALUES ($1, $2, $3, ST_SetSRID(ST_GeomFromGeoJSON($4), 4326), $5)
-                    `, [
-                        feature.properties.Name || feature.properties.ref,
-                        feature.properties.ref,
-                        'Primary Road',
-                        JSON.stringify(geometry),
-                        JSON.stringify(feature.properties)
-                    ]);
-                    imported++;
+                        INSERT INTO ${table} (election_id, ${columns.join(', ')})
+                        VALUES ${tuples.join(', ')}
+                        ON CONFLICT (${conflict}) DO UPDATE SET
+                            ${columns.map(column => `${column} = EXCLUDED.${column}`).join(', ')}
+                    `, params);
                 }
-                
-                this.stats.roads += imported;
-                this.stats.filteredOutByArea += filtered;
-                
-                console.log(`Imported ${imported} roads from ${path.basename(file)}${this.isProduction ? ' (limited for production)' : ''}`);
-            } catch (error) {
-                console.error(`Error importing ${file}:`, error);
-            }
-        }
-    }
-
-    async importRailways() {
-        const railwayFiles = [
-            path.join(this.railwayDir, 'salzburg_railway', 'salzburg_railway.shp'),
-            path.join(this.railwayDir, 'upper_austria_railway', 'upper_austria_railway.shp')
-        ];
-
-        for (const file of railwayFiles) {
-            if (!fs.existsSync(file)) continue;
-            
-            console.log(`Importing ${path.basename(file)}...`);
-            try {
-                const features = [];
-                await shapefile.read(file).then(collection => {
-                    collection.features.forEach(feature => features.push(feature));
-                });
+            };
 
-                let imported = 0;
-                let filtered = 0;
-                const maxFeatures = this.isProduction ? 500 : 2000;
-
-                for (let i = 0; i < Math.min(features.length, maxFeatures); i++) {
-                    const feature = features[i];
-                    const geometry = this.transformGeometry(feature.geometry);
-                    if (!this.isValidGeoJSON(geometry)) continue;
-
-                    if (this.areaOfInterestBounds) {
-                        const bounds = this.getGeometryBounds(geometry);
-                        if (!this.boundsIntersectArea(bounds)) {
-                            filtered++;
-                            continue;
-                        }
-                    }
+            await this.client.query('DELETE FROM election_communes WHERE election_id = $1 AND NOT (gkz = ANY($2))',
+                [electionId, communes.map(commune => commune.gkz)]);
+            await insertBatches('election_communes', ['gkz', 'name', 'eligible_voters', 'votes_cast', 'valid_votes'],
+                'election_id, gkz', communes);
+            await this.client.query('DELETE FROM election_results WHERE election_id = $1 AND gkz || \'|\' || party = ANY($2)',
+                [electionId, removed]);
+            await insertBatches('election_results', ['gkz', 'party', 'votes', 'percent'], 'election_id, gkz, party', changed);
 
-                    await this.client.query(`
-                        INSERT INTO railways (
-                            name, railway_type, operator, geom, properties
-                        ) VALUES ($1, $2, $3, ST_SetSRID(ST_GeomFromGeoJSON($4), 4326), $5)
-                    `, [
-                        feature.properties.Name || 'Railway Line',
-                        feature.properties.Type || 'Main Line',
-                        feature.properties.Operator || 'ÖBB',
-                        JSON.stringify(geometry),
-                        JSON.stringify(feature.properties)
-                    ]);
-                    imported++;
-                }
-                
-                this.stats.railways += imported;
-                this.stats.filteredOutByArea += filtered;
-                
-                console.log(`Imported ${imported} railways from ${path.basename(file)}${this.isProduction ? ' (limited for production)' : ''}`);
-            } catch (error) {
-                console.error(`Error importing ${file}:`, error);
-            }
+            await this.client.query('COMMIT');
+        } catch (error) {
+            await this.client.query('ROLLBACK');
+            throw error;
         }
     }
 
@@ -1046,17 +903,8 @@ class ProductionDataImporter {
                 CREATE MATERIALIZED VIEW mv_voting_choropleth AS
                 SELECT vd.*, 
                        CASE 
-                         WHEN NOT has_voting_data THEN '#cccccc'
-                         WHEN left_green_combined >= 60 THEN '#00AA00'
-                         WHEN left_green_combined >= 50 THEN '#22BB22'
-                         WHEN left_green_combined >= 40 THEN '#44CC44'
-                         WHEN left_green_combined >= 30 THEN '#66DD66'
-                         WHEN left_green_combined >= 20 THEN '#88EE88'
-                         WHEN left_green_combined >= 15 THEN '#AAAA00'
-                         WHEN left_green_combined >= 10 THEN '#CCCC00'
-                         WHEN left_green_combined >= 5 THEN '#DDAA00'
-                         WHEN left_green_combined > 0 THEN '#EE8800'
-                         ELSE '#cccccc'
+                         WHEN NOT has_voting_data OR NOT left_green_combined > 0 THEN '${NO_DATA_COLOR}'
+                         ELSE ${classColorSql('left_green_combined', VOTING_CLASSIFICATION)}
                        END as computed_fill_color
                 FROM voting_districts vd
                 WHERE geom IS NOT NULL AND geometry_valid = true
@@ -1067,6 +915,18 @@ class ProductionDataImporter {
         }
     }
 
+    async rebuildSuitabilityGrid() {
+        console.log('Rebuilding suitability grid...');
+
+        try {
+            // rebuild_suitability_grid() is installed by setup-database.js
+            const result = await this.client.query('SELECT rebuild_suitability_grid(1000) AS cells');
+            console.log(`Suitability grid rebuilt with ${result.rows[0].cells} cells`);
+        } catch (error) {
+            console.warn('Could not rebuild suitability grid:', error.message);
+        }
+    }
+
     async updateGeometryValidation() {
         console.log('Updating geometry validation...');
         
@@ -1101,6 +961,119 @@ class ProductionDataImporter {
         }
     }
 
+    // File readers, shared with the upload wizard in server.js
+    readCSV(filePath) {
+        const results = [];
+        return new Promise((resolve, reject) => {
+            fs.createReadStream(filePath)
+                .pipe(csv())
+                .on('data', (data) => results.push(data))
+                .on('end', () => resolve(results))
+                .on('error', reject);
+        });
+    }
+
+    readSpreadsheet(filePath) {
+        const workbook = XLSX.readFile(filePath);
+        return XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]]);
+    }
+
+    // Reads the first .shp in a zip into { features, crs }; the .prj names the CRS and
+    // the .cpg, when present, the attribute encoding
+    async readZippedShapefile(filePath) {
+        const zip = new AdmZip(filePath);
+        const entries = zip.getEntries().filter(entry => !entry.isDirectory && !entry.entryName.startsWith('__MACOSX/'));
+        const shpEntry = entries.find(entry => /\.shp$/i.test(entry.entryName));
+        if (!shpEntry) {
+            throw new Error('The zip archive does not contain a .shp file');
+        }
+
+        const baseName = shpEntry.entryName.replace(/\.shp$/i, '').toLowerCase();
+        const sibling = (extension) => entries.find(entry => entry.entryName.toLowerCase() === `${baseName}.${extension}`);
+        const dbfEntry = sibling('dbf');
+        const prjEntry = sibling('prj');
+        const cpgEntry = sibling('cpg');
+        if (!prjEntry) {
+            throw new Error(`${path.basename(shpEntry.entryName)} has no .prj file; its coordinate reference system is unknown`);
+        }
+        const crs = crsFromWkt(prjEntry.getData().toString('utf8'));
+        const encoding = cpgEntry ? cpgEntry.getData().toString('ascii').trim() : 'windows-1252';
+
+        const collection = await shapefile.read(
+            shpEntry.getData(),
+            dbfEntry ? dbfEntry.getData() : undefined,
+            { encoding }
+        );
+        return { features: collection.features, crs };
+    }
+
+    // Parses an uploaded CSV, XLSX, zipped shapefile or GeoJSON file into
+    // { columns, features }. Features from spatial formats are reprojected to WGS84;
+    // tabular rows come back with a null geometry and get one from pointFromColumns().
+    async readUploadedFile(filePath, originalName) {
+        const extension = path.extname(originalName).toLowerCase();
+        let features;
+        let crs = WGS84;
+
+        if (extension === '.csv') {
+            features = (await this.readCSV(filePath)).map(row => ({ type: 'Feature', geometry: null, properties: row }));
+        } else if (extension === '.xlsx' || extension === '.xls') {
+            features = this.readSpreadsheet(filePath).map(row => ({ type: 'Feature', geometry: null, properties: row }));
+        } else if (extension === '.zip') {
+            ({ features, crs } = await this.readZippedShapefile(filePath));
+        } else if (extension === '.geojson' || extension === '.json') {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            features = data.type === 'FeatureCollection' ? data.features : [data];
+            crs = this.geoJsonCrs(data);
+        } else {
+            throw new Error(`Unsupported file type: ${extension || originalName}`);
+        }
+
+        features = features.map(feature => ({
+            type: 'Feature',
+            geometry: this.transformGeometry(feature.geometry, crs),
+            properties: feature.properties || {}
+        }));
+
+        const columns = [];
+        features.forEach(feature => Object.keys(feature.properties).forEach(key => {
+            if (!columns.includes(key)) columns.push(key);
+        }));
+
+        return { columns, features };
+    }
+
+    // Point geometry from coordinate columns given in `crs` (an EPSG code from lib/crs.js), as WGS84
+    pointFromColumns(row, xColumn, yColumn, crs = WGS84) {
+        const x = parseFloat(String(row[xColumn] ?? '').replace(',', '.'));
+        const y = parseFloat(String(row[yColumn] ?? '').replace(',', '.'));
+        if (!isFinite(x) || !isFinite(y)) return null;
+        return this.transformGeometry({ type: 'Point', coordinates: [x, y] }, crs);
+    }
+
+    // CRS of a shapefile from the .prj next to it; throws when it is missing or not supported
+    shapefileCrs(shpPath) {
+        const base = shpPath.replace(/\.shp$/i, '');
+        const prjPath = [`${base}.prj`, `${base}.PRJ`].find(candidate => fs.existsSync(candidate));
+        if (!prjPath) {
+            throw new Error(`${path.basename(shpPath)} has no .prj file; its coordinate reference system is unknown`);
+        }
+        try {
+            return crsFromWkt(fs.readFileSync(prjPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`${path.basename(prjPath)}: ${error.message}`);
+        }
+    }
+
+    // GeoJSON is WGS84 (RFC 7946) unless it carries the pre-2016 "crs" member
+    geoJsonCrs(data) {
+        const name = data.crs && data.crs.properties && data.crs.properties.name;
+        if (!name) return WGS84;
+        const crs = resolveCrsCode(name);
+        if (!crs) throw new Error(`Unsupported GeoJSON coordinate reference system "${name}"`);
+        return crs;
+    }
+
     // Utility methods
     getGeometryBounds(geometry) {
         try {
@@ -1131,33 +1104,20 @@ class ProductionDataImporter {
         }
     }
 
-    transformGeometry(geometry) {
+    // Reprojects a geometry from `crs` to WGS84. The CRS always comes from the source (.prj,
+    // GeoJSON crs or an explicit choice); coordinates are never guessed into a projection.
+    transformGeometry(geometry, crs) {
         if (!geometry) return null;
-        if (this.isWGS84(geometry)) return geometry;
-
-        const transformed = JSON.parse(JSON.stringify(geometry));
-        const transformCoords = (coords) => {
-            if (Array.isArray(coords[0])) {
-                return coords.map(c => transformCoords(c));
-            }
-            let result = this.tryTransform(coords, 'EPSG:31287');
-            if (!this.isValidWGS84(result)) {
-                result = this.tryTransform(coords, 'EPSG:31259');
-            }
-            return result || coords;
-        };
-
-        transformed.coordinates = transformCoords(geometry.coordinates);
-        return transformed;
-    }
-
-    tryTransform(coords, fromProj) {
-        try {
-            const transformer = proj4(this.projections[fromProj], 'EPSG:4326');
-            return transformer.forward(coords);
-        } catch (e) {
-            return null;
+        if (crs === WGS84) return geometry;
+        if (geometry.type === 'GeometryCollection') {
+            return { ...geometry, geometries: (geometry.geometries || []).map(member => this.transformGeometry(member, crs)) };
         }
+        if (!geometry.coordinates) return geometry;
+
+        const transformCoords = (coords) => (
+            Array.isArray(coords[0]) ? coords.map(transformCoords) : toWgs84(crs, coords.slice(0, 2))
+        );
+        return { ...geometry, coordinates: transformCoords(geometry.coordinates) };
     }
 
     isWGS84(geometry) {
@@ -1199,32 +1159,13 @@ class ProductionDataImporter {
         return coords;
     }
 
-    extractCoordinates(geometry) {
-        const coords = this.extractFirstCoordinate(geometry);
-        return this.isValidWGS84(coords) ? coords : [13.5, 47.8];
-    }
-
-    getVotingColor(percentage) {
-        if (!percentage || percentage <= 0) return '#cccccc';
-        
-        if (percentage >= 60) return '#00AA00';
-        else if (percentage >= 50) return '#22BB22';
-        else if (percentage >= 40) return '#44CC44';
-        else if (percentage >= 30) return '#66DD66';
-        else if (percentage >= 20) return '#88EE88';
-        else if (percentage >= 15) return '#AAAA00';
-        else if (percentage >= 10) return '#CCCC00';
-        else if (percentage >= 5) return '#DDAA00';
-        else if (percentage > 0) return '#EE8800';
-        else return '#cccccc';
-    }
-
     printSummary() {
-        console.log('\n=== IMPORT SUMMARY ===');
+        console.log(`\n=== IMPORT SUMMARY${this.dryRun ? ' (DRY RUN - nothing was written)' : ''} ===`);
         console.log(`Environment: ${this.isProduction ? 'Production' : 'Development'}`);
         console.log('=====================================');
         console.log(`CO₂ Sources: ${this.stats.co2Sources}`);
         console.log(`Voting Districts: ${this.stats.votingDistricts}`);
+        console.log(`Election Results: ${this.stats.electionResults}`);
         console.log(`Landfills: ${this.stats.landfills}`);
         console.log(`Gravel Pits: ${this.stats.gravelPits}`);
         console.log(`Wastewater Plants: ${this.stats.wastewaterPlants}`);
@@ -1239,6 +1180,23 @@ class ProductionDataImporter {
         console.log(`Railways: ${this.stats.railways}`);
         console.log(`Total Filtered by Area: ${this.stats.filteredOutByArea}`);
         console.log(`Errors: ${this.stats.errors}`);
+        console.log(`Rejected Rows: ${this.rejections.length}`);
+        console.log('=====================================');
+
+        const reasons = {};
+        this.rejections.forEach(rejection => {
+            reasons[rejection.reason] = (reasons[rejection.reason] || 0) + 1;
+        });
+        if (this.rejections.length > 0) {
+            console.log('Rejected rows per reason:');
+            Object.entries(reasons).forEach(([reason, count]) => console.log(`  ${reason}: ${count}`));
+            console.log('=====================================');
+        }
+
+        console.log('Changes per layer (inserted / updated / unchanged / removed):');
+        Object.entries(this.changes).forEach(([table, changes]) => {
+            console.log(`  ${table}: ${changes.inserted} / ${changes.updated} / ${changes.unchanged} / ${changes.removed}`);
+        });
         console.log('=====================================');
         
         const total = Object.values(this.stats).reduce((sum, val) => sum + val, 0) - this.stats.filteredOutByArea - this.stats.errors;
@@ -1250,10 +1208,46 @@ class ProductionDataImporter {
     }
 }
 
-// Run import if called directly
+// Run import if called directly:
+//   node scripts/import-data.js [--reload] [--dry-run] [--clip] [--replace-legacy] [--manifest <file>] [--dataset <name>[,<name>...]] [--list]
+// --dataset may be repeated; without it every dataset in the manifest is imported. --list prints them.
+// --replace-legacy is for the first run after upgrading from an importer without source keys.
 if (require.main === module) {
-    const importer = new ProductionDataImporter();
-    importer.importAllData().catch(console.error);
+    const args = process.argv.slice(2);
+    const manifestIndex = args.indexOf('--manifest');
+    const datasets = args
+        .flatMap((arg, i) => (arg === '--dataset' && args[i + 1] ? args[i + 1].split(',') : []))
+        .map(name => name.trim())
+        .filter(Boolean);
+    const importer = new ProductionDataImporter({
+        mode: args.includes('--reload') ? 'reload' : 'upsert',
+        dryRun: args.includes('--dry-run'),
+        clip: args.includes('--clip'),
+        replaceLegacy: args.includes('--replace-legacy'),
+        manifest: manifestIndex !== -1 && args[manifestIndex + 1] ? path.resolve(args[manifestIndex + 1]) : DEFAULT_MANIFEST,
+        datasets: datasets.length > 0 ? datasets : null
+    });
+
+    if (args.includes('--list')) {
+        try {
+            importer.loadDatasets();
+            importer.datasets.forEach(dataset => {
+                console.log(`${dataset.name} -> ${dataset.target}: ${dataset.path.map(file => path.relative(ROOT_DIR, file)).join(', ')}`);
+            });
+        } catch (error) {
+            console.error(error.message);
+            process.exitCode = 1;
+        }
+    } else {
+        importer.importAllData()
+            .then(() => {
+                if (importer.stats.errors > 0) process.exitCode = 1;
+            })
+            .catch(error => {
+                console.error(error.message);
+                process.exitCode = 1;
+            });
+    }
 }
 
 module.exports = ProductionDataImporter;
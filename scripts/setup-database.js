@@ -2,9 +2,10 @@ const { Client } = require('pg');
 require('dotenv').config();
 
 class ProductionDatabaseSetup {
-    constructor() {
+    // Runs on its own connection from the CLI, or on a connected client passed in by the server
+    constructor(client = null) {
         // Use DATABASE_URL for production compatibility
-        this.client = new Client({
+        this.client = client || new Client({
             connectionString: process.env.DATABASE_URL,
             ssl: process.env.NODE_ENV === 'production' ? { 
                 rejectUnauthorized: false 
@@ -19,11 +20,7 @@ class ProductionDatabaseSetup {
             await this.client.connect();
             console.log('✅ Connected to PostgreSQL database');
             
-            await this.setupPostGIS();
-            await this.createTables();
-            await this.createIndexes();
-            await this.insertDefaultData();
-            await this.createFunctions();
+            await this.createSchema();
             
             console.log('\n🎉 Database setup completed successfully!');
             console.log('📊 Database is ready for CO₂ Storage Atlas');
@@ -36,6 +33,17 @@ class ProductionDatabaseSetup {
         }
     }
 
+    // Every schema step; the CLI and POST /api/admin/setup-database both go through here
+    async createSchema() {
+        await this.setupPostGIS();
+        await this.createTables();
+        await this.applyMigrations();
+        await this.createIndexes();
+        await this.insertDefaultData();
+        await this.createFunctions();
+        await this.createAuditTriggers();
+    }
+
     async setupPostGIS() {
         try {
             await this.client.query('CREATE EXTENSION IF NOT EXISTS postgis');
@@ -74,6 +82,21 @@ class ProductionDatabaseSetup {
                     )
                 `
             },
+            {
+                // Province outlines from "Area Of Interest"; imports are filtered against them
+                name: 'area_of_interest',
+                query: `
+                    CREATE TABLE IF NOT EXISTS area_of_interest (
+                        id SERIAL PRIMARY KEY,
+                        province VARCHAR(50) UNIQUE NOT NULL,
+                        name VARCHAR(255),
+                        iso_code VARCHAR(10),
+                        geom GEOMETRY(MULTIPOLYGON, 4326),
+                        source_file TEXT,
+                        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                    )
+                `
+            },
             {
                 name: 'co2_sources',
                 query: `
@@ -122,6 +145,49 @@ class ProductionDatabaseSetup {
                     )
                 `
             },
+            {
+                // Election results by commune (gkz), one row per party; voting_districts supplies the outlines
+                name: 'elections',
+                query: `
+                    CREATE TABLE IF NOT EXISTS elections (
+                        id SERIAL PRIMARY KEY,
+                        code VARCHAR(50) UNIQUE NOT NULL,
+                        name VARCHAR(255) NOT NULL,
+                        election_type VARCHAR(50),
+                        election_date DATE,
+                        source_file TEXT,
+                        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                    )
+                `
+            },
+            {
+                name: 'election_communes',
+                query: `
+                    CREATE TABLE IF NOT EXISTS election_communes (
+                        election_id INTEGER NOT NULL REFERENCES elections(id) ON DELETE CASCADE,
+                        gkz INTEGER NOT NULL,
+                        name VARCHAR(255),
+                        eligible_voters INTEGER,
+                        votes_cast INTEGER,
+                        valid_votes INTEGER,
+                        PRIMARY KEY (election_id, gkz)
+                    )
+                `
+            },
+            {
+                name: 'election_results',
+                query: `
+                    CREATE TABLE IF NOT EXISTS election_results (
+                        election_id INTEGER NOT NULL REFERENCES elections(id) ON DELETE CASCADE,
+                        gkz INTEGER NOT NULL,
+                        party VARCHAR(50) NOT NULL,
+                        votes INTEGER,
+                        percent NUMERIC(5,2),
+                        PRIMARY KEY (election_id, gkz, party)
+                    )
+                `
+            },
             {
                 name: 'landfills',
                 query: `
@@ -371,6 +437,24 @@ class ProductionDatabaseSetup {
                     )
                 `
             },
+            {
+                name: 'suitability_grid',
+                query: `
+                    CREATE TABLE IF NOT EXISTS suitability_grid (
+                        id SERIAL PRIMARY KEY,
+                        cell_size_m INTEGER NOT NULL,
+                        dist_co2_source_km NUMERIC(8,3),
+                        dist_pipeline_km NUMERIC(8,3),
+                        dist_compressor_km NUMERIC(8,3),
+                        exclusion_fraction NUMERIC(5,4) DEFAULT 0,
+                        excluded_by TEXT[] DEFAULT '{}',
+                        voting_district_id INTEGER,
+                        geom GEOMETRY(MULTIPOLYGON, 4326),
+                        centroid GEOMETRY(POINT, 4326),
+                        computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                    )
+                `
+            },
             {
                 name: 'admin_users',
                 query: `
@@ -379,6 +463,7 @@ class ProductionDatabaseSetup {
                         username VARCHAR(50) UNIQUE NOT NULL,
                         email VARCHAR(255) UNIQUE,
                         password_hash VARCHAR(255) NOT NULL,
+                        role VARCHAR(20) NOT NULL DEFAULT 'viewer' CHECK (role IN ('viewer', 'editor', 'admin')),
                         is_active BOOLEAN DEFAULT TRUE,
                         last_login TIMESTAMP,
                         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -386,6 +471,40 @@ class ProductionDatabaseSetup {
                     )
                 `
             },
+            {
+                name: 'import_runs',
+                query: `
+                    CREATE TABLE IF NOT EXISTS import_runs (
+                        id SERIAL PRIMARY KEY,
+                        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                        finished_at TIMESTAMP,
+                        status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+                        mode VARCHAR(20),
+                        triggered_by VARCHAR(20) NOT NULL DEFAULT 'cli',
+                        user_id INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+                        sources JSONB NOT NULL DEFAULT '[]',
+                        layer_counts JSONB NOT NULL DEFAULT '{}',
+                        filtered_out_by_area INTEGER NOT NULL DEFAULT 0,
+                        error_count INTEGER NOT NULL DEFAULT 0,
+                        errors JSONB NOT NULL DEFAULT '[]',
+                        dry_run BOOLEAN NOT NULL DEFAULT FALSE,
+                        rejected_count INTEGER NOT NULL DEFAULT 0
+                    )
+                `
+            },
+            {
+                name: 'import_rejections',
+                query: `
+                    CREATE TABLE IF NOT EXISTS import_rejections (
+                        id SERIAL PRIMARY KEY,
+                        import_run_id INTEGER NOT NULL REFERENCES import_runs(id) ON DELETE CASCADE,
+                        source_file TEXT,
+                        row_number INTEGER,
+                        reason TEXT NOT NULL,
+                        raw_values JSONB
+                    )
+                `
+            },
             {
                 name: 'audit_log',
                 query: `
@@ -415,10 +534,73 @@ class ProductionDatabaseSetup {
         }
     }
 
+    // Bring tables created by earlier versions up to the current schema
+    async applyMigrations() {
+        // source_key identifies a feature across import runs, source_hash the source record it came from
+        const importedTables = [
+            'co2_sources', 'voting_districts', 'landfills', 'gravel_pits',
+            'wastewater_plants', 'gas_pipelines', 'gas_storage_sites',
+            'gas_distribution_points', 'compressor_stations', 'study_area_boundaries',
+            'groundwater_protection', 'conservation_areas', 'settlement_areas',
+            'highways', 'railways'
+        ];
+
+        const migrations = [
+            {
+                name: 'admin_users.role',
+                query: `
+                    ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'viewer'
+                        CHECK (role IN ('viewer', 'editor', 'admin'))
+                `
+            },
+            {
+                name: 'import_runs.validation_report',
+                query: `
+                    ALTER TABLE import_runs
+                        ADD COLUMN IF NOT EXISTS dry_run BOOLEAN NOT NULL DEFAULT FALSE,
+                        ADD COLUMN IF NOT EXISTS rejected_count INTEGER NOT NULL DEFAULT 0
+                `
+            },
+            ...importedTables.map(table => ({
+                name: `${table}.source_key`,
+                query: `
+                    ALTER TABLE ${table}
+                        ADD COLUMN IF NOT EXISTS source_key TEXT,
+                        ADD COLUMN IF NOT EXISTS source_hash VARCHAR(32)
+                `
+            })),
+            // Lineage: the import run and source file that last wrote each feature
+            ...importedTables.map(table => ({
+                name: `${table}.lineage`,
+                query: `
+                    ALTER TABLE ${table}
+                        ADD COLUMN IF NOT EXISTS import_run_id INTEGER REFERENCES import_runs(id) ON DELETE SET NULL,
+                        ADD COLUMN IF NOT EXISTS source_file TEXT
+                `
+            })),
+            ...importedTables.map(table => ({
+                name: `${table}.source_key unique`,
+                query: `CREATE UNIQUE INDEX IF NOT EXISTS idx_${table}_source_key ON ${table}(source_key)`
+            }))
+        ];
+
+        console.log('🔄 Applying schema migrations...');
+        for (const migration of migrations) {
+            try {
+                await this.client.query(migration.query);
+                console.log(`✅ Migration '${migration.name}' applied`);
+            } catch (error) {
+                console.error(`❌ Error applying migration ${migration.name}:`, error.message);
+                throw error;
+            }
+        }
+    }
+
     async createIndexes() {
         const indexes = [
             // Spatial indexes
             { name: 'idx_study_area_geom', query: 'CREATE INDEX IF NOT EXISTS idx_study_area_geom ON study_area_boundaries USING GIST (geom)' },
+            { name: 'idx_area_of_interest_geom', query: 'CREATE INDEX IF NOT EXISTS idx_area_of_interest_geom ON area_of_interest USING GIST (geom)' },
             { name: 'idx_co2_sources_geom', query: 'CREATE INDEX IF NOT EXISTS idx_co2_sources_geom ON co2_sources USING GIST (geom)' },
             { name: 'idx_voting_districts_geom', query: 'CREATE INDEX IF NOT EXISTS idx_voting_districts_geom ON voting_districts USING GIST (geom)' },
             { name: 'idx_landfills_geom', query: 'CREATE INDEX IF NOT EXISTS idx_landfills_geom ON landfills USING GIST (geom)' },
@@ -438,11 +620,18 @@ class ProductionDatabaseSetup {
             { name: 'idx_co2_sources_prominent', query: 'CREATE INDEX IF NOT EXISTS idx_co2_sources_prominent ON co2_sources(is_prominent, total_co2_t DESC)' },
             { name: 'idx_voting_districts_gkz', query: 'CREATE INDEX IF NOT EXISTS idx_voting_districts_gkz ON voting_districts(gkz)' },
             { name: 'idx_voting_districts_valid', query: 'CREATE INDEX IF NOT EXISTS idx_voting_districts_valid ON voting_districts(geometry_valid)' },
+            { name: 'idx_election_results_party', query: 'CREATE INDEX IF NOT EXISTS idx_election_results_party ON election_results(election_id, party)' },
             { name: 'idx_voting_left_green', query: 'CREATE INDEX IF NOT EXISTS idx_voting_left_green ON voting_districts(left_green_combined DESC)' },
             { name: 'idx_co2_sources_type', query: 'CREATE INDEX IF NOT EXISTS idx_co2_sources_type ON co2_sources(plant_type)' },
             { name: 'idx_layer_styles_name', query: 'CREATE INDEX IF NOT EXISTS idx_layer_styles_name ON layer_styles(layer_name)' },
             { name: 'idx_admin_users_username', query: 'CREATE INDEX IF NOT EXISTS idx_admin_users_username ON admin_users(username)' },
-            { name: 'idx_audit_log_table', query: 'CREATE INDEX IF NOT EXISTS idx_audit_log_table ON audit_log(table_name, record_id)' }
+            { name: 'idx_audit_log_table', query: 'CREATE INDEX IF NOT EXISTS idx_audit_log_table ON audit_log(table_name, record_id)' },
+            { name: 'idx_suitability_grid_geom', query: 'CREATE INDEX IF NOT EXISTS idx_suitability_grid_geom ON suitability_grid USING GIST (geom)' },
+            { name: 'idx_suitability_grid_centroid', query: 'CREATE INDEX IF NOT EXISTS idx_suitability_grid_centroid ON suitability_grid USING GIST (centroid)' },
+            { name: 'idx_audit_log_timestamp', query: 'CREATE INDEX IF NOT EXISTS idx_audit_log_timestamp ON audit_log(timestamp DESC)' },
+            { name: 'idx_audit_log_user', query: 'CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(user_id)' },
+            { name: 'idx_import_runs_started', query: 'CREATE INDEX IF NOT EXISTS idx_import_runs_started ON import_runs(started_at DESC)' },
+            { name: 'idx_import_rejections_run', query: 'CREATE INDEX IF NOT EXISTS idx_import_rejections_run ON import_rejections(import_run_id, id)' }
         ];
 
         console.log('📊 Creating indexes...');
@@ -483,7 +672,9 @@ class ProductionDatabaseSetup {
         for (const style of styles) {
             try {
                 await this.client.query(
-                    'INSERT INTO layer_styles (layer_name, style_config) VALUES ($1, $2) ON CONFLICT (layer_name) DO UPDATE SET style_config = EXCLUDED.style_config',
+                    // Settings saved since (the voting classification and index) win over the defaults
+                    `INSERT INTO layer_styles (layer_name, style_config) VALUES ($1, $2)
+                     ON CONFLICT (layer_name) DO UPDATE SET style_config = EXCLUDED.style_config || COALESCE(layer_styles.style_config, '{}'::jsonb)`,
                     [style.name, JSON.stringify(style.config)]
                 );
                 stylesAdded++;
@@ -500,7 +691,8 @@ class ProductionDatabaseSetup {
                 const passwordHash = await bcrypt.hash(process.env.ADMIN_PASSWORD, 12);
                 
                 await this.client.query(
-                    'INSERT INTO admin_users (username, email, password_hash) VALUES ($1, $2, $3) ON CONFLICT (username) DO UPDATE SET password_hash = EXCLUDED.password_hash',
+                    `INSERT INTO admin_users (username, email, password_hash, role) VALUES ($1, $2, $3, 'admin')
+                     ON CONFLICT (username) DO UPDATE SET password_hash = EXCLUDED.password_hash, role = 'admin'`,
                     ['admin', process.env.ADMIN_EMAIL || 'admin@co2atlas.local', passwordHash]
                 );
                 console.log('✅ Default admin user created/updated');
@@ -576,6 +768,76 @@ class ProductionDatabaseSetup {
                     END;
                     $$ LANGUAGE plpgsql;
                 `
+            },
+            {
+                // Raw per-cell criteria for the suitability model; weights are applied at query time
+                name: 'rebuild_suitability_grid',
+                query: `
+                    CREATE OR REPLACE FUNCTION rebuild_suitability_grid(size_m INTEGER DEFAULT 1000)
+                    RETURNS INTEGER AS $$
+                    DECLARE
+                        cell_count INTEGER;
+                    BEGIN
+                        TRUNCATE suitability_grid RESTART IDENTITY;
+
+                        -- Square cells in MGI / Austria Lambert, clipped to the study area
+                        INSERT INTO suitability_grid (cell_size_m, geom, centroid)
+                        SELECT size_m,
+                               ST_Multi(ST_Transform(clipped, 4326)),
+                               ST_Transform(ST_PointOnSurface(clipped), 4326)
+                        FROM (
+                            SELECT ST_CollectionExtract(ST_Intersection(cell.geom, area.geom), 3) AS clipped
+                            FROM (SELECT ST_Transform(ST_Union(geom), 31287) AS geom FROM study_area_boundaries) area,
+                                 ST_SquareGrid(size_m, area.geom) cell
+                            WHERE ST_Intersects(cell.geom, area.geom)
+                        ) cells
+                        WHERE NOT ST_IsEmpty(clipped);
+
+                        UPDATE suitability_grid g SET
+                            dist_co2_source_km = (
+                                SELECT ST_Distance(g.centroid::geography, c.geom::geography) / 1000
+                                FROM co2_sources c WHERE c.geom IS NOT NULL
+                                ORDER BY c.geom <-> g.centroid LIMIT 1
+                            ),
+                            dist_pipeline_km = (
+                                SELECT ST_Distance(g.centroid::geography, p.geom::geography) / 1000
+                                FROM gas_pipelines p WHERE p.geom IS NOT NULL
+                                ORDER BY p.geom <-> g.centroid LIMIT 1
+                            ),
+                            dist_compressor_km = (
+                                SELECT ST_Distance(g.centroid::geography, s.geom::geography) / 1000
+                                FROM compressor_stations s WHERE s.geom IS NOT NULL
+                                ORDER BY s.geom <-> g.centroid LIMIT 1
+                            ),
+                            voting_district_id = (
+                                SELECT v.id FROM voting_districts v
+                                WHERE ST_Contains(v.geom, g.centroid) LIMIT 1
+                            );
+
+                        UPDATE suitability_grid g SET
+                            exclusion_fraction = overlap.fraction,
+                            excluded_by = overlap.layers
+                        FROM (
+                            SELECT g2.id,
+                                   LEAST(1, ST_Area(ST_Union(ST_Intersection(g2.geom, x.geom))) / NULLIF(ST_Area(g2.geom), 0)) AS fraction,
+                                   array_agg(DISTINCT x.layer) AS layers
+                            FROM suitability_grid g2
+                            JOIN (
+                                SELECT 'settlement_areas' AS layer, geom FROM settlement_areas WHERE ST_IsValid(geom)
+                                UNION ALL
+                                SELECT 'conservation_areas', geom FROM conservation_areas WHERE ST_IsValid(geom)
+                                UNION ALL
+                                SELECT 'groundwater_protection', geom FROM groundwater_protection WHERE ST_IsValid(geom)
+                            ) x ON ST_Intersects(g2.geom, x.geom)
+                            GROUP BY g2.id
+                        ) overlap
+                        WHERE g.id = overlap.id;
+
+                        SELECT COUNT(*) INTO cell_count FROM suitability_grid;
+                        RETURN cell_count;
+                    END;
+                    $$ LANGUAGE plpgsql;
+                `
             }
         ];
 
@@ -611,6 +873,64 @@ class ProductionDatabaseSetup {
 
         console.log('✅ Triggers created for updated_at columns');
     }
+
+    // Audit every change to admin-editable tables, whether made through the API or by scripts.
+    // Unlike the helpers above, a failure here stops the setup: changes would go unaudited.
+    async createAuditTriggers() {
+        const auditedTables = [
+            'co2_sources', 'landfills', 'gravel_pits', 'wastewater_plants',
+            'gas_storage_sites', 'gas_distribution_points', 'compressor_stations',
+            'layer_styles', 'admin_users'
+        ];
+
+        try {
+            await this.client.query(`
+                CREATE OR REPLACE FUNCTION audit_row_change()
+                RETURNS TRIGGER AS $$
+                DECLARE
+                    acting_user INTEGER;
+                    old_row JSONB;
+                    new_row JSONB;
+                BEGIN
+                    -- Set per transaction by the API; scripted changes are logged without a user
+                    SELECT id INTO acting_user FROM admin_users
+                    WHERE id = NULLIF(current_setting('app.current_user_id', true), '')::INTEGER;
+
+                    IF TG_OP <> 'INSERT' THEN
+                        old_row := to_jsonb(OLD) - 'password_hash';
+                    END IF;
+                    IF TG_OP <> 'DELETE' THEN
+                        new_row := to_jsonb(NEW) - 'password_hash';
+                    END IF;
+
+                    -- Skip updates that only touched updated_at, or last_login on every sign-in
+                    IF TG_OP = 'UPDATE'
+                       AND (old_row - 'updated_at' - 'last_login') = (new_row - 'updated_at' - 'last_login') THEN
+                        RETURN NULL;
+                    END IF;
+
+                    INSERT INTO audit_log (table_name, record_id, action, old_values, new_values, user_id)
+                    VALUES (TG_TABLE_NAME, (COALESCE(new_row, old_row)->>'id')::INTEGER, TG_OP, old_row, new_row, acting_user);
+                    RETURN NULL;
+                END;
+                $$ LANGUAGE plpgsql;
+            `);
+
+            for (const table of auditedTables) {
+                await this.client.query(`DROP TRIGGER IF EXISTS audit_${table} ON ${table}`);
+                await this.client.query(`
+                    CREATE TRIGGER audit_${table}
+                    AFTER INSERT OR UPDATE OR DELETE ON ${table}
+                    FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+                `);
+            }
+        } catch (error) {
+            console.error('❌ Error creating audit triggers:', error.message);
+            throw error;
+        }
+
+        console.log('✅ Audit triggers created');
+    }
 }
 
 // Run setup if called directly
@@ -4,11 +4,33 @@ const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
 const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
 const { Pool } = require('pg');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const AdmZip = require('adm-zip');
+const multer = require('multer');
+const { buildShapefile, buildGeoPackage, buildKml } = require('./lib/export-formats');
+const {
+    PALETTES: CLASSIFICATION_PALETTES,
+    METHODS: CLASSIFICATION_METHODS,
+    MIN_CLASSES,
+    MAX_CLASSES,
+    DEFAULT_SCHEME: DEFAULT_CLASSIFICATION_SCHEME,
+    validateScheme: validateClassificationScheme,
+    divergingScheme,
+    classify: classifyValues,
+    classColor,
+    classColorSql
+} = require('./lib/classification');
+const { CRS_DEFINITIONS, resolveCrsCode } = require('./lib/crs');
+const { communeSummary } = require('./lib/elections');
+const ProductionDataImporter = require('./scripts/import-data');
+const ProductionDatabaseSetup = require('./scripts/setup-database');
 require('dotenv').config();
 
 const app = express();
@@ -47,6 +69,16 @@ const generalLimiter = rateLimit({
     max: isProduction ? 1000 : 5000,
     message: 'Too many requests from this IP, please try again later.',
     standardHeaders: true,
+    legacyHeaders: false,
+    // A single map view pulls dozens of vector tiles, those get their own budget
+    skip: (req) => req.path.startsWith('/tiles/')
+});
+
+const tileLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: isProduction ? 20000 : 50000,
+    message: 'Too many tile requests from this IP, please try again later.',
+    standardHeaders: true,
     legacyHeaders: false
 });
 
@@ -128,13 +160,53 @@ const authenticateToken = (req, res, next) => {
 
     jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
         if (err) {
-            return res.status(403).json({ error: 'Invalid token' });
+            return res.status(401).json({ error: 'Invalid or expired token' });
         }
         req.user = user;
         next();
     });
 };
 
+// Role model: each role inherits the permissions of the roles below it
+const USER_ROLES = ['viewer', 'editor', 'admin'];
+
+const ROLE_PERMISSIONS = {
+    viewer: ['admin:read'],
+    editor: ['admin:read', 'layers:write'],
+    admin: ['admin:read', 'layers:write', 'database:manage', 'users:manage']
+};
+
+// Role of the account behind a token, re-read from admin_users so re-roling or deactivating a
+// user takes effect without waiting for token expiry. The environment admin session has no
+// account row (id null) and keeps its token role; every other token whose account is missing
+// or inactive gets null. Query errors are left to the caller: an unverified role is never used.
+const verifyTokenRole = async (user) => {
+    if (user.id === null || user.id === undefined) return user.role;
+    const result = await pool.query('SELECT role, is_active FROM admin_users WHERE id = $1', [user.id]);
+    if (result.rows.length === 0 || !result.rows[0].is_active) return null;
+    return result.rows[0].role || 'viewer';
+};
+
+// Route-level permission check, failing closed when the role cannot be verified
+const requirePermission = (permission) => async (req, res, next) => {
+    let role;
+    try {
+        role = await verifyTokenRole(req.user);
+    } catch (dbError) {
+        console.error('Could not verify user role:', dbError.message);
+        return res.status(503).json({ error: 'Could not verify account permissions' });
+    }
+
+    if (!role) {
+        return res.status(401).json({ error: 'Account is deactivated' });
+    }
+    req.user.role = role;
+    if (!(ROLE_PERMISSIONS[role] || []).includes(permission)) {
+        return res.status(403).json({ error: 'Insufficient permissions', required: permission });
+    }
+    next();
+};
+
 // Enhanced health check endpoint
 app.get('/api/health', async (req, res) => {
     try {
@@ -189,6 +261,19 @@ app.get('/api/health', async (req, res) => {
 // AUTHENTICATION ENDPOINTS
 // ========================================
 
+const sessionUser = (user) => ({
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    permissions: ROLE_PERMISSIONS[user.role] || []
+});
+
+const issueToken = (user) => jwt.sign(
+    { id: user.id, username: user.username, role: user.role },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
+);
+
 app.post('/api/auth/login', [
     body('username').trim().notEmpty().withMessage('Username is required'),
     body('password').notEmpty().withMessage('Password is required')
@@ -201,24 +286,25 @@ app.post('/api/auth/login', [
 
         const { username, password } = req.body;
         
-        // Environment-based admin authentication for initial setup
+        // Environment-based admin authentication for initial setup. The session acts as the
+        // "admin" account when one exists, and without a user id (unattributed in the audit log)
+        // before it does, so its changes are never credited to whichever account has id 1.
         if (username === 'admin' && password === process.env.ADMIN_PASSWORD) {
-            const token = jwt.sign(
-                { id: 1, username: 'admin', role: 'admin' },
-                process.env.JWT_SECRET,
-                { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-            );
-
-            return res.json({ 
-                token, 
-                user: { id: 1, username: 'admin', role: 'admin' }
-            });
+            let id = null;
+            try {
+                const result = await pool.query("SELECT id FROM admin_users WHERE username = 'admin'");
+                if (result.rows.length > 0) id = result.rows[0].id;
+            } catch (dbError) {
+                console.warn('Could not look up the admin account:', dbError.message);
+            }
+            const user = { id, username: 'admin', role: 'admin' };
+            return res.json({ token: issueToken(user), user: sessionUser(user) });
         }
 
         // Database authentication
         try {
             const result = await pool.query(
-                'SELECT id, username, password_hash, is_active FROM admin_users WHERE username = $1',
+                'SELECT id, username, password_hash, is_active, role FROM admin_users WHERE username = $1',
                 [username]
             );
 
@@ -238,16 +324,8 @@ app.post('/api/auth/login', [
                 [user.id]
             );
 
-            const token = jwt.sign(
-                { id: user.id, username: user.username, role: 'admin' },
-                process.env.JWT_SECRET,
-                { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-            );
-
-            res.json({ 
-                token, 
-                user: { id: user.id, username: user.username, role: 'admin' }
-            });
+            const tokenUser = { id: user.id, username: user.username, role: user.role || 'viewer' };
+            res.json({ token: issueToken(tokenUser), user: sessionUser(tokenUser) });
         } catch (dbError) {
             console.warn('Database authentication failed, using environment auth:', dbError.message);
             return res.status(401).json({ error: 'Invalid credentials' });
@@ -258,6 +336,62 @@ app.post('/api/auth/login', [
     }
 });
 
+// Exchange a still-valid token for a fresh one so sessions survive JWT_EXPIRES_IN
+app.post('/api/auth/refresh', authenticateToken, async (req, res) => {
+    try {
+        const { id, username } = req.user;
+
+        let role;
+        try {
+            role = await verifyTokenRole(req.user);
+        } catch (dbError) {
+            console.error('Could not verify account status during token refresh:', dbError.message);
+            return res.status(503).json({ error: 'Could not verify account, try again later' });
+        }
+        if (!role) {
+            return res.status(401).json({ error: 'Account is deactivated' });
+        }
+
+        const user = { id, username, role };
+        res.json({ token: issueToken(user), user: sessionUser(user) });
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ error: 'Token refresh failed' });
+    }
+});
+
+app.post('/api/auth/change-password', authenticateToken, [
+    body('currentPassword').notEmpty().withMessage('Current password is required'),
+    body('newPassword').isLength({ min: 8 }).withMessage('New password must be at least 8 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const result = await pool.query(
+            'SELECT id, password_hash FROM admin_users WHERE id = $1 AND is_active = true',
+            [req.user.id]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+
+        const isValidPassword = await bcrypt.compare(req.body.currentPassword, result.rows[0].password_hash);
+        if (!isValidPassword) {
+            return res.status(401).json({ error: 'Current password is incorrect' });
+        }
+
+        const passwordHash = await bcrypt.hash(req.body.newPassword, 12);
+        await pool.query('UPDATE admin_users SET password_hash = $1 WHERE id = $2', [passwordHash, req.user.id]);
+        res.json({ message: 'Password changed' });
+    } catch (error) {
+        console.error('Password change error:', error);
+        res.status(500).json({ error: 'Failed to change password' });
+    }
+});
+
 // ========================================
 // DATA RETRIEVAL ENDPOINTS
 // ========================================
@@ -279,32 +413,134 @@ const tableExists = async (tableName) => {
     }
 };
 
+// Scheme and host as seen by the client, for absolute links in responses
+const requestOrigin = (req) => {
+    const protocol = (req.get('x-forwarded-proto') || req.protocol).split(',')[0];
+    return `${protocol}://${req.get('host')}`;
+};
+
+const GEOJSON_DEFAULT_LIMIT = 1000;
+const GEOJSON_MAX_LIMIT = 10000;
+
+// self and next links of an id-paged FeatureCollection; there is no next link on the last page
+const featurePageLinks = (req, limit, cursor, nextCursor) => {
+    const pageUrl = (pageCursor) => {
+        const pageQuery = new URLSearchParams({ ...req.query, format: 'geojson', limit });
+        pageQuery.delete('cursor');
+        if (pageCursor !== undefined) pageQuery.set('cursor', pageCursor);
+        return `${requestOrigin(req)}${req.path}?${pageQuery}`;
+    };
+    const links = [{ href: pageUrl(cursor), rel: 'self', type: 'application/geo+json' }];
+    if (nextCursor !== undefined) {
+        links.push({ href: pageUrl(nextCursor), rel: 'next', type: 'application/geo+json' });
+    }
+    return links;
+};
+
+// format=geojson mode of the layer endpoints: a FeatureCollection paged by id (cursor = last id seen),
+// numberMatched counts the whole filtered layer and a next link is present while features remain
+const sendFeatureCollectionPage = async (req, res, { table, columns, geometry = 'geom', conditions = [], params = [] }) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || GEOJSON_DEFAULT_LIMIT, 1), GEOJSON_MAX_LIMIT);
+    const cursor = parseInt(req.query.cursor, 10);
+    const where = conditions.length > 0 ? conditions.join(' AND ') : 'TRUE';
+    const hasCursor = Number.isInteger(cursor);
+
+    const [countResult, result] = await Promise.all([
+        pool.query(`SELECT COUNT(*)::int AS count FROM ${table} WHERE ${where}`, params),
+        pool.query(`
+            SELECT ${columns.join(', ')}, ST_AsGeoJSON(ST_Transform(${geometry}, 4326))::json AS geometry
+            FROM ${table}
+            WHERE ${where}${hasCursor ? ` AND id > $${params.length + 1}` : ''}
+            ORDER BY id
+            LIMIT ${limit + 1}
+        `, hasCursor ? [...params, cursor] : params)
+    ]);
+
+    const rows = result.rows.slice(0, limit);
+    const links = featurePageLinks(req, limit, hasCursor ? cursor : undefined,
+        result.rows.length > limit ? rows[rows.length - 1].id : undefined);
+
+    res.type('application/geo+json').send(JSON.stringify({
+        type: 'FeatureCollection',
+        numberMatched: countResult.rows[0].count,
+        numberReturned: rows.length,
+        features: rows.map(({ geometry: featureGeometry, ...properties }) => ({
+            type: 'Feature',
+            id: properties.id,
+            geometry: featureGeometry,
+            properties
+        })),
+        links
+    }));
+};
+
+// Layer endpoints answer a missing table with an empty result in whichever format was asked for
+const sendEmptyLayer = (req, res) => (
+    req.query.format === 'geojson'
+        ? res.type('application/geo+json').send(JSON.stringify({ type: 'FeatureCollection', numberMatched: 0, numberReturned: 0, features: [], links: [] }))
+        : res.json([])
+);
+
+// Errors keep the legacy empty-array answer for the array format; GeoJSON clients get a real error
+const sendLayerError = (req, res, error) => (
+    req.query.format === 'geojson'
+        ? res.status(500).json({ error: 'Failed to fetch layer', details: error.message })
+        : res.json([])
+);
+
+// province=<name> narrows a layer to the features intersecting one area-of-interest province.
+// An unknown province is answered with a 400 listing the known ones; returns false once it is.
+const applyProvinceFilter = async (req, res, conditions, params, geomColumn = 'geom') => {
+    if (req.query.province === undefined) return true;
+
+    const provinces = (await tableExists('area_of_interest'))
+        ? (await pool.query('SELECT province FROM area_of_interest ORDER BY province')).rows.map(row => row.province)
+        : [];
+    if (!provinces.includes(req.query.province)) {
+        res.status(400).json({ error: 'Unknown province', provinces });
+        return false;
+    }
+
+    params.push(req.query.province);
+    conditions.push(`ST_Intersects(${geomColumn}, (SELECT geom FROM area_of_interest WHERE province = $${params.length}))`);
+    return true;
+};
+
 // CO2 Sources with enhanced performance
 app.get('/api/co2-sources-enhanced', async (req, res) => {
     try {
         if (!(await tableExists('co2_sources'))) {
-            return res.json([]);
+            return sendEmptyLayer(req, res);
         }
 
         const { bbox, zoom } = req.query;
-        let query = `
-            SELECT id, plant_name, plant_type, total_co2_t, fossil_co2_t,
-                   biogenic_co2_t, comment, is_prominent, pin_size, pin_color,
-                   ST_X(geom) as longitude, ST_Y(geom) as latitude,
-                   ST_IsValid(geom) as geom_valid
-            FROM co2_sources
-            WHERE geom IS NOT NULL
-        `;
-        
+        const columns = [
+            'id', 'plant_name', 'plant_type', 'total_co2_t', 'fossil_co2_t',
+            'biogenic_co2_t', 'comment', 'is_prominent', 'pin_size', 'pin_color'
+        ];
+        const conditions = ['geom IS NOT NULL'];
         const params = [];
         
         if (bbox) {
             const [minLng, minLat, maxLng, maxLat] = bbox.split(',').map(Number);
             if (!isNaN(minLng) && !isNaN(minLat) && !isNaN(maxLng) && !isNaN(maxLat)) {
-                query += ` AND geom && ST_MakeEnvelope($${params.length + 1}, $${params.length + 2}, $${params.length + 3}, $${params.length + 4}, 4326)`;
+                conditions.push(`geom && ST_MakeEnvelope($${params.length + 1}, $${params.length + 2}, $${params.length + 3}, $${params.length + 4}, 4326)`);
                 params.push(minLng, minLat, maxLng, maxLat);
             }
         }
+        if (!(await applyProvinceFilter(req, res, conditions, params))) return;
+
+        if (req.query.format === 'geojson') {
+            return await sendFeatureCollectionPage(req, res, { table: 'co2_sources', columns, conditions, params });
+        }
+
+        let query = `
+            SELECT ${columns.join(', ')},
+                   ST_X(geom) as longitude, ST_Y(geom) as latitude,
+                   ST_IsValid(geom) as geom_valid
+            FROM co2_sources
+            WHERE ${conditions.join(' AND ')}
+        `;
         
         query += ` ORDER BY is_prominent DESC NULLS LAST, total_co2_t DESC NULLS LAST`;
         
@@ -319,47 +555,298 @@ app.get('/api/co2-sources-enhanced', async (req, res) => {
         res.json(result.rows);
     } catch (error) {
         console.error('Error fetching CO2 sources:', error);
-        res.json([]);
+        sendLayerError(req, res, error);
+    }
+});
+
+// A voting index weights the party shares of one election (election_results), so any party that
+// ran can be part of it. Without overrides in the request the index saved in
+// layer_styles.style_config.voting_index applies, and without one Left+Green of the latest election.
+const DEFAULT_VOTING_INDEX = { label: 'Left+Green', election: null, weights: { 'SPÖ': 1, 'GRÜNE': 1, 'KPÖ': 1 } };
+const VOTING_INDEX_LABEL_MAX = 40;
+
+// "SPÖ:1,GRÜNE:0.5" -> { SPÖ: 1, GRÜNE: 0.5 }. Whether the parties ran is checked against the
+// election by resolveVotingIndex. Throws with the message the validator reports.
+const parseVotingIndex = (value) => {
+    const weights = {};
+    for (const term of String(value).split(',')) {
+        const separator = term.lastIndexOf(':');
+        const party = separator > 0 ? term.slice(0, separator).trim() : '';
+        if (!party || party.length > 50) {
+            throw new Error(`"${term.trim()}" must be <party>:<weight>`);
+        }
+        const weightText = term.slice(separator + 1).trim();
+        const weight = Number(weightText);
+        if (weightText === '' || !Number.isFinite(weight) || weight < 0 || weight > 10) {
+            throw new Error(`Weight for ${party} must be a number from 0 to 10`);
+        }
+        weights[party] = weight;
     }
+    if (!Object.values(weights).some(weight => weight > 0)) {
+        throw new Error('At least one party needs a weight above 0');
+    }
+    return weights;
+};
+
+const formatVotingIndex = (weights) => Object.entries(weights).map(([party, weight]) => `${party}:${weight}`).join(',');
+
+// The index saved in layer_styles, or Left+Green when none (or a broken one) is stored
+const loadVotingIndex = async () => {
+    if (!(await tableExists('layer_styles'))) return DEFAULT_VOTING_INDEX;
+
+    const result = await pool.query(
+        "SELECT style_config->'voting_index' AS voting_index FROM layer_styles WHERE layer_name = 'voting_districts'"
+    );
+    const stored = result.rows[0] && result.rows[0].voting_index;
+    if (!stored || typeof stored.label !== 'string' || !stored.weights || typeof stored.weights !== 'object') {
+        return DEFAULT_VOTING_INDEX;
+    }
+    try {
+        return { label: stored.label, election: stored.election || null, weights: parseVotingIndex(formatVotingIndex(stored.weights)) };
+    } catch (error) {
+        return DEFAULT_VOTING_INDEX;
+    }
+};
+
+// The saved index with the index, election and label overrides given, its election resolved (the
+// latest one when none is named) and its party names matched to those that ran, ignoring case.
+// Answers a 400/404 itself and returns null. election stays null while none has been imported.
+const resolveVotingIndex = async (res, { index, election, label }) => {
+    const saved = await loadVotingIndex();
+    const weights = index ? parseVotingIndex(index) : saved.weights;
+    const elections = (await tableExists('elections'))
+        ? (await pool.query('SELECT id, code, name FROM elections ORDER BY election_date DESC NULLS LAST, id DESC')).rows
+        : [];
+    if (election && !elections.some(candidate => candidate.code === election)) {
+        res.status(404).json({ error: `Election ${election} not found` });
+        return null;
+    }
+
+    const chosen = elections.find(candidate => candidate.code === (election || saved.election)) || elections[0] || null;
+    const resolved = { label: label || (index ? 'Voting index' : saved.label), election: chosen, weights };
+    if (!chosen) return resolved;
+
+    const partiesResult = await pool.query(
+        'SELECT DISTINCT party FROM election_results WHERE election_id = $1 ORDER BY party',
+        [chosen.id]
+    );
+    const parties = partiesResult.rows.map(row => row.party);
+    const matched = {};
+    for (const [party, weight] of Object.entries(weights)) {
+        const name = parties.find(candidate => candidate.toLowerCase() === party.toLowerCase());
+        if (!name) {
+            res.status(400).json({ error: `${party} did not run in ${chosen.name}`, parties });
+            return null;
+        }
+        matched[name] = weight;
+    }
+    return { ...resolved, weights: matched };
+};
+
+const votingIndexSummary = ({ label, election, weights }) => ({
+    label,
+    election: election ? election.code : null,
+    election_name: election ? election.name : null,
+    weights
 });
 
-// Voting districts with enhanced error handling
-app.get('/api/voting-districts-choropleth', async (req, res) => {
+// Per commune the weighted sum of the index parties' shares, plus every party's share for the
+// popup breakdown. Binds the election and weights onto params; no rows while no election exists.
+const votingIndexSubquery = ({ election, weights }, params) => {
+    if (!election) {
+        return '(SELECT NULL::integer AS gkz, NULL::numeric AS index_value, NULL::json AS party_percents WHERE FALSE)';
+    }
+    params.push(election.id, JSON.stringify(weights));
+    return `(
+        SELECT gkz,
+               ROUND(SUM(percent * COALESCE(($${params.length}::jsonb ->> party)::numeric, 0)), 2) AS index_value,
+               json_object_agg(party, percent::float ORDER BY votes DESC) AS party_percents
+        FROM election_results
+        WHERE election_id = $${params.length - 1}
+        GROUP BY gkz
+    )`;
+};
+
+// voting_districts vd with the index of each commune as vi
+const votingDistrictsFrom = (index, params) =>
+    `voting_districts vd LEFT JOIN ${votingIndexSubquery(index, params)} vi ON vi.gkz = vd.gkz`;
+
+const HAS_VOTING_DATA_SQL = `(vd.spo_percent > 0 OR vd.ovp_percent > 0 OR vd.fpo_percent > 0 OR 
+              vd.grune_percent > 0 OR vd.kpo_percent > 0 OR vd.neos_percent > 0)`;
+
+// Numeric commune attributes the voting choropleth can be classified by.
+// index_value is the voting index of the request (index=, election=) or the saved one.
+const VOTING_CLASSIFICATION_ATTRIBUTES = {
+    index_value: 'Voting index',
+    left_green_combined: 'Left+Green %',
+    spo_percent: 'SPÖ %',
+    ovp_percent: 'ÖVP %',
+    fpo_percent: 'FPÖ %',
+    grune_percent: 'Grüne %',
+    kpo_percent: 'KPÖ %',
+    neos_percent: 'NEOS %'
+};
+
+const votingAttributeSql = (attribute) => (attribute === 'index_value' ? 'vi.index_value' : `vd.${attribute}`);
+
+// The scheme saved in layer_styles, or the long-standing fixed thresholds when none (or a broken one) is stored
+const loadVotingScheme = async () => {
+    if (!(await tableExists('layer_styles'))) return DEFAULT_CLASSIFICATION_SCHEME;
+
+    const result = await pool.query(
+        "SELECT style_config->'classification' AS scheme FROM layer_styles WHERE layer_name = 'voting_districts'"
+    );
+    const stored = result.rows[0] && result.rows[0].scheme;
+    if (!stored || validateClassificationScheme(stored, Object.keys(VOTING_CLASSIFICATION_ATTRIBUTES)).length > 0) {
+        return DEFAULT_CLASSIFICATION_SCHEME;
+    }
+    return stored;
+};
+
+// Scheme fields as they arrive in a query string or a JSON body: breaks may be "5,10,20" or [5, 10, 20]
+const classificationSchemeFields = (source) => {
+    const fields = {};
+    ['attribute', 'method', 'palette'].forEach(name => {
+        if (source[name] !== undefined) fields[name] = String(source[name]);
+    });
+    if (source.classes !== undefined) fields.classes = Number(source.classes);
+    if (source.breaks !== undefined) {
+        fields.breaks = (Array.isArray(source.breaks) ? source.breaks : String(source.breaks).split(','))
+            .map(value => (String(value).trim() === '' ? NaN : Number(value)));
+    }
+    return fields;
+};
+
+// The stored scheme with any attribute/method/classes/palette/breaks overrides of the request,
+// so a scheme can be previewed without saving it. Answers a 400 itself and returns null.
+const resolveVotingScheme = async (req, res) => {
+    const scheme = { ...(await loadVotingScheme()), ...classificationSchemeFields(req.query) };
+    if (scheme.method !== 'manual' && scheme.classes === undefined) scheme.classes = 5;
+    if (scheme.method !== 'manual') delete scheme.breaks;
+
+    const problems = validateClassificationScheme(scheme, Object.keys(VOTING_CLASSIFICATION_ATTRIBUTES));
+    if (problems.length > 0) {
+        res.status(400).json({ error: 'Invalid classification', problems });
+        return null;
+    }
+    return scheme;
+};
+
+// The map asks for the classification and the choropleth together, and both classify the same
+// communes: Jenks is O(classes · n²), so results are shared by scheme, index and filter. The
+// pending promise is stored, so concurrent requests wait for one run. Voting data only changes
+// through scripts/import-data.js, in another process, hence the expiry.
+const VOTING_CLASSIFICATION_TTL_MS = 5 * 60 * 1000;
+const VOTING_CLASSIFICATION_CACHE_SIZE = 50;
+const votingClassificationCache = new Map();
+
+// Classes over the communes the request covers; communes without voting data stay out of the breaks
+const classifyVotingDistricts = (scheme, from, conditions, params) => {
+    const key = JSON.stringify([scheme, from, conditions, params]);
+    const cached = votingClassificationCache.get(key);
+    if (cached && cached.expires > Date.now()) return cached.classification;
+
+    const entry = {
+        expires: Date.now() + VOTING_CLASSIFICATION_TTL_MS,
+        classification: pool.query(`
+            SELECT ${votingAttributeSql(scheme.attribute)}::float AS value
+            FROM ${from}
+            WHERE ${[...conditions, HAS_VOTING_DATA_SQL].join(' AND ')}
+        `, params).then(result => classifyValues(result.rows.map(row => row.value), scheme))
+    };
+    entry.classification.catch(() => {
+        if (votingClassificationCache.get(key) === entry) votingClassificationCache.delete(key);
+    });
+
+    votingClassificationCache.delete(key);
+    votingClassificationCache.set(key, entry);
+    if (votingClassificationCache.size > VOTING_CLASSIFICATION_CACHE_SIZE) {
+        votingClassificationCache.delete(votingClassificationCache.keys().next().value);
+    }
+    return entry.classification;
+};
+
+// Voting districts with enhanced error handling.
+// index=<party>:<weight>,... over the results of election= (the latest without it) defines the
+// voting index returned as index_value, replacing the saved one; fill_color follows the saved
+// classification scheme, which attribute/method/classes/palette/breaks override.
+const votingIndexValidation = [
+    query('index').optional().custom(value => { parseVotingIndex(value); return true; }),
+    query('election').optional().isLength({ min: 1, max: 50 }).withMessage('Invalid election code'),
+    query('index_label').optional().isLength({ min: 1, max: VOTING_INDEX_LABEL_MAX })
+        .withMessage(`index_label must be 1 to ${VOTING_INDEX_LABEL_MAX} characters`)
+];
+
+const requestVotingIndex = (req, res) =>
+    resolveVotingIndex(res, { index: req.query.index, election: req.query.election, label: req.query.index_label });
+
+app.get('/api/voting-districts-choropleth', votingIndexValidation, async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
         if (!(await tableExists('voting_districts'))) {
-            return res.json([]);
+            return sendEmptyLayer(req, res);
         }
 
+        const scheme = await resolveVotingScheme(req, res);
+        if (!scheme) return;
+        const index = await requestVotingIndex(req, res);
+        if (!index) return;
+
         const { simplify } = req.query;
         const tolerance = simplify === 'true' ? 0.001 : 0;
+        const conditions = ['vd.geom IS NOT NULL', 'ST_IsValid(vd.geom) = true'];
+        const params = [];
+        if (!(await applyProvinceFilter(req, res, conditions, params, 'vd.geom'))) return;
+        const from = votingDistrictsFrom(index, params);
+
+        const classification = await classifyVotingDistricts(scheme, from, conditions, params);
+        const fillColor = classColorSql(votingAttributeSql(scheme.attribute), classification);
+        const columns = [
+            'vd.id', 'vd.gkz', 'vd.name',
+            'vd.spo_percent', 'vd.ovp_percent', 'vd.fpo_percent',
+            'vd.grune_percent', 'vd.kpo_percent', 'vd.neos_percent',
+            'vd.left_green_combined',
+            'vi.index_value::float as index_value',
+            'vi.party_percents',
+            `CASE WHEN ${HAS_VOTING_DATA_SQL} THEN ${fillColor} ELSE '${classification.no_data_color}' END as fill_color`,
+            'ST_X(ST_Transform(ST_Centroid(vd.geom), 4326)) as center_lng',
+            'ST_Y(ST_Transform(ST_Centroid(vd.geom), 4326)) as center_lat',
+            `${HAS_VOTING_DATA_SQL} as has_voting_data`
+        ];
+
+        if (req.query.format === 'geojson') {
+            return await sendFeatureCollectionPage(req, res, {
+                table: from,
+                columns,
+                geometry: tolerance > 0 ? `ST_Simplify(vd.geom, ${tolerance})` : 'vd.geom',
+                conditions,
+                params
+            });
+        }
         
         const query = `
-            SELECT vd.id, vd.gkz, vd.name, 
-                   vd.spo_percent, vd.ovp_percent, vd.fpo_percent,
-                   vd.grune_percent, vd.kpo_percent, vd.neos_percent,
-                   vd.left_green_combined, 
-                   COALESCE(vd.choropleth_color, '#cccccc') as fill_color,
+            SELECT ${columns.join(', ')},
                    ${tolerance > 0 
                      ? `ST_AsGeoJSON(ST_Simplify(ST_Transform(vd.geom, 4326), ${tolerance}))` 
                      : 'ST_AsGeoJSON(ST_Transform(vd.geom, 4326))'
                    } as geometry,
-                   ST_X(ST_Transform(ST_Centroid(vd.geom), 4326)) as center_lng,
-                   ST_Y(ST_Transform(ST_Centroid(vd.geom), 4326)) as center_lat,
-                   ST_IsValid(vd.geom) as geom_valid,
-                   (vd.spo_percent > 0 OR vd.ovp_percent > 0 OR vd.fpo_percent > 0 OR 
-                    vd.grune_percent > 0 OR vd.kpo_percent > 0 OR vd.neos_percent > 0) as has_voting_data
-            FROM voting_districts vd
-            WHERE vd.geom IS NOT NULL AND ST_IsValid(vd.geom) = true
-            ORDER BY vd.left_green_combined DESC NULLS LAST
+                   ST_IsValid(vd.geom) as geom_valid
+            FROM ${from}
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY index_value DESC NULLS LAST
             LIMIT 1000
         `;
         
-        const result = await pool.query(query);
+        const result = await pool.query(query, params);
         console.log(`Retrieved ${result.rows.length} voting districts`);
         res.json(result.rows);
     } catch (error) {
         console.error('Error fetching voting districts:', error);
-        res.json([]);
+        sendLayerError(req, res, error);
     }
 });
 
@@ -368,28 +855,34 @@ const createPointLayerEndpoint = (tableName, fields, orderBy = 'id') => {
     return async (req, res) => {
         try {
             if (!(await tableExists(tableName))) {
-                return res.json([]);
+                return sendEmptyLayer(req, res);
             }
 
             const { bbox, zoom } = req.query;
-            let query = `
-                SELECT ${fields.join(', ')},
-                       ST_X(ST_Transform(geom, 4326)) as longitude, 
-                       ST_Y(ST_Transform(geom, 4326)) as latitude,
-                       ST_IsValid(geom) as geom_valid
-                FROM ${tableName}
-                WHERE geom IS NOT NULL AND ST_IsValid(geom) = true
-            `;
-            
+            const conditions = ['geom IS NOT NULL', 'ST_IsValid(geom) = true'];
             const params = [];
             
             if (bbox) {
                 const [minLng, minLat, maxLng, maxLat] = bbox.split(',').map(Number);
                 if (!isNaN(minLng) && !isNaN(minLat) && !isNaN(maxLng) && !isNaN(maxLat)) {
-                    query += ` AND geom && ST_Transform(ST_MakeEnvelope($${params.length + 1}, $${params.length + 2}, $${params.length + 3}, $${params.length + 4}, 4326), ST_SRID(geom))`;
+                    conditions.push(`geom && ST_Transform(ST_MakeEnvelope($${params.length + 1}, $${params.length + 2}, $${params.length + 3}, $${params.length + 4}, 4326), ST_SRID(geom))`);
                     params.push(minLng, minLat, maxLng, maxLat);
                 }
             }
+            if (!(await applyProvinceFilter(req, res, conditions, params))) return;
+
+            if (req.query.format === 'geojson') {
+                return await sendFeatureCollectionPage(req, res, { table: tableName, columns: fields, conditions, params });
+            }
+
+            let query = `
+                SELECT ${fields.join(', ')},
+                       ST_X(ST_Transform(geom, 4326)) as longitude, 
+                       ST_Y(ST_Transform(geom, 4326)) as latitude,
+                       ST_IsValid(geom) as geom_valid
+                FROM ${tableName}
+                WHERE ${conditions.join(' AND ')}
+            `;
             
             query += ` ORDER BY ${orderBy} LIMIT 2000`;
             
@@ -398,60 +891,104 @@ const createPointLayerEndpoint = (tableName, fields, orderBy = 'id') => {
             res.json(result.rows);
         } catch (error) {
             console.error(`Error fetching ${tableName}:`, error);
-            res.json([]);
+            sendLayerError(req, res, error);
         }
     };
 };
 
+// Point-based layer definitions; drive both the public endpoints and the admin API
+const pointLayers = {
+    landfills: {
+        table: 'landfills',
+        label: 'Landfills',
+        path: '/api/landfills-enhanced',
+        fields: [
+            { name: 'company_name', label: 'Company', type: 'string', maxLength: 255 },
+            { name: 'location_name', label: 'Location', type: 'string', maxLength: 255 },
+            { name: 'district', label: 'District', type: 'string', maxLength: 100 },
+            { name: 'address', label: 'Address', type: 'string', maxLength: 500 },
+            { name: 'facility_type', label: 'Facility Type', type: 'string', maxLength: 255 }
+        ],
+        style: { pin_size: 2, pin_color: '#ff8800', opacity: 0.8 }
+    },
+    gravel_pits: {
+        table: 'gravel_pits',
+        label: 'Gravel Pits & Quarries',
+        path: '/api/gravel-pits-enhanced',
+        fields: [
+            { name: 'name', label: 'Name', type: 'string', maxLength: 255 },
+            { name: 'resource', label: 'Resource', type: 'string', maxLength: 255 },
+            { name: 'tags', label: 'Tags', type: 'text' }
+        ],
+        style: { pin_size: 2, pin_color: '#8855aa', opacity: 0.7 }
+    },
+    wastewater_plants: {
+        table: 'wastewater_plants',
+        label: 'Wastewater Plants',
+        path: '/api/wastewater-plants-enhanced',
+        fields: [
+            { name: 'pk', label: 'ID (PK)', type: 'string', maxLength: 50 },
+            { name: 'label', label: 'Label', type: 'string', maxLength: 255 },
+            { name: 'treatment_type', label: 'Treatment Type', type: 'string', maxLength: 100 },
+            { name: 'capacity', label: 'Capacity (PE)', type: 'integer', min: 0 }
+        ],
+        style: { pin_size: 2, pin_color: '#3388ff', opacity: 0.6 }
+    },
+    gas_storage_sites: {
+        table: 'gas_storage_sites',
+        label: 'Gas Storage Sites',
+        path: '/api/gas-storage-sites-enhanced',
+        fields: [
+            { name: 'name', label: 'Name', type: 'string', maxLength: 255 },
+            { name: 'operator', label: 'Operator', type: 'string', maxLength: 255 },
+            { name: 'storage_type', label: 'Storage Type', type: 'string', maxLength: 100 },
+            { name: 'capacity_bcm', label: 'Capacity (BCM)', type: 'number', min: 0 }
+        ],
+        style: { pin_size: 2, pin_color: '#00cc88', opacity: 0.5 }
+    },
+    gas_distribution_points: {
+        table: 'gas_distribution_points',
+        label: 'Gas Distribution Points',
+        path: '/api/gas-distribution-points-enhanced',
+        fields: [
+            { name: 'name', label: 'Name', type: 'string', maxLength: 255 },
+            { name: 'type', label: 'Type', type: 'string', maxLength: 100 },
+            { name: 'operator', label: 'Operator', type: 'string', maxLength: 255 }
+        ],
+        style: { pin_size: 1, pin_color: '#00aa44', opacity: 0.4 }
+    },
+    compressor_stations: {
+        table: 'compressor_stations',
+        label: 'Compressor Stations',
+        path: '/api/compressor-stations-enhanced',
+        fields: [
+            { name: 'name', label: 'Name', type: 'string', maxLength: 255 },
+            { name: 'operator', label: 'Operator', type: 'string', maxLength: 255 },
+            { name: 'capacity_info', label: 'Capacity', type: 'text' }
+        ],
+        style: { pin_size: 2, pin_color: '#ffaa00', opacity: 0.3 }
+    }
+};
+
+const pointStyleColumns = (style) => [
+    `COALESCE(pin_size, ${style.pin_size}) as pin_size`,
+    `COALESCE(pin_color, '${style.pin_color}') as pin_color`,
+    `COALESCE(opacity, ${style.opacity}) as opacity`
+];
+
 // Point-based layer endpoints
-app.get('/api/landfills-enhanced', createPointLayerEndpoint('landfills', [
-    'id', 'company_name', 'location_name', 'district', 'address', 'facility_type',
-    'COALESCE(pin_size, 2) as pin_size', 
-    'COALESCE(pin_color, \'#ff8800\') as pin_color',
-    'COALESCE(opacity, 0.8) as opacity'
-]));
-
-app.get('/api/gravel-pits-enhanced', createPointLayerEndpoint('gravel_pits', [
-    'id', 'name', 'resource', 'tags',
-    'COALESCE(pin_size, 2) as pin_size', 
-    'COALESCE(pin_color, \'#8855aa\') as pin_color',
-    'COALESCE(opacity, 0.7) as opacity'
-]));
-
-app.get('/api/wastewater-plants-enhanced', createPointLayerEndpoint('wastewater_plants', [
-    'id', 'pk', 'label', 'treatment_type', 'capacity',
-    'COALESCE(pin_size, 2) as pin_size', 
-    'COALESCE(pin_color, \'#3388ff\') as pin_color',
-    'COALESCE(opacity, 0.6) as opacity'
-]));
-
-app.get('/api/gas-storage-sites-enhanced', createPointLayerEndpoint('gas_storage_sites', [
-    'id', 'name', 'operator', 'storage_type', 'capacity_bcm',
-    'COALESCE(pin_size, 2) as pin_size', 
-    'COALESCE(pin_color, \'#00cc88\') as pin_color',
-    'COALESCE(opacity, 0.5) as opacity'
-]));
-
-app.get('/api/gas-distribution-points-enhanced', createPointLayerEndpoint('gas_distribution_points', [
-    'id', 'name', 'type', 'operator',
-    'COALESCE(pin_size, 1) as pin_size', 
-    'COALESCE(pin_color, \'#00aa44\') as pin_color',
-    'COALESCE(opacity, 0.4) as opacity'
-]));
-
-app.get('/api/compressor-stations-enhanced', createPointLayerEndpoint('compressor_stations', [
-    'id', 'name', 'operator', 'capacity_info',
-    'COALESCE(pin_size, 2) as pin_size', 
-    'COALESCE(pin_color, \'#ffaa00\') as pin_color',
-    'COALESCE(opacity, 0.3) as opacity'
-]));
+Object.values(pointLayers).forEach(layer => {
+    app.get(layer.path, createPointLayerEndpoint(layer.table, [
+        'id', ...layer.fields.map(field => field.name), ...pointStyleColumns(layer.style)
+    ]));
+});
 
 // Generic endpoint creator for line layers
 const createLineLayerEndpoint = (tableName, fields) => {
     return async (req, res) => {
         try {
             if (!(await tableExists(tableName))) {
-                return res.json([]);
+                return sendEmptyLayer(req, res);
             }
 
             const { bbox, simplify } = req.query;
@@ -461,24 +998,30 @@ const createLineLayerEndpoint = (tableName, fields) => {
             if (tolerance > 0) {
                 geomField = `ST_Simplify(geom, ${tolerance})`;
             }
-            
-            let query = `
-                SELECT ${fields.join(', ')},
-                       ST_AsGeoJSON(ST_Transform(${geomField}, 4326)) as geometry,
-                       ST_IsValid(geom) as geom_valid
-                FROM ${tableName}
-                WHERE geom IS NOT NULL AND ST_IsValid(geom) = true
-            `;
-            
+
+            const conditions = ['geom IS NOT NULL', 'ST_IsValid(geom) = true'];
             const params = [];
             
             if (bbox) {
                 const [minLng, minLat, maxLng, maxLat] = bbox.split(',').map(Number);
                 if (!isNaN(minLng) && !isNaN(minLat) && !isNaN(maxLng) && !isNaN(maxLat)) {
-                    query += ` AND geom && ST_Transform(ST_MakeEnvelope($${params.length + 1}, $${params.length + 2}, $${params.length + 3}, $${params.length + 4}, 4326), ST_SRID(geom))`;
+                    conditions.push(`geom && ST_Transform(ST_MakeEnvelope($${params.length + 1}, $${params.length + 2}, $${params.length + 3}, $${params.length + 4}, 4326), ST_SRID(geom))`);
                     params.push(minLng, minLat, maxLng, maxLat);
                 }
             }
+            if (!(await applyProvinceFilter(req, res, conditions, params))) return;
+
+            if (req.query.format === 'geojson') {
+                return await sendFeatureCollectionPage(req, res, { table: tableName, columns: fields, geometry: geomField, conditions, params });
+            }
+
+            let query = `
+                SELECT ${fields.join(', ')},
+                       ST_AsGeoJSON(ST_Transform(${geomField}, 4326)) as geometry,
+                       ST_IsValid(geom) as geom_valid
+                FROM ${tableName}
+                WHERE ${conditions.join(' AND ')}
+            `;
             
             query += ` LIMIT 1000`;
             
@@ -487,39 +1030,59 @@ const createLineLayerEndpoint = (tableName, fields) => {
             res.json(result.rows);
         } catch (error) {
             console.error(`Error fetching ${tableName}:`, error);
-            res.json([]);
+            sendLayerError(req, res, error);
         }
     };
 };
 
+// Line-based layer definitions; drive both the JSON endpoints and the vector tiles
+const lineLayers = {
+    gas_pipelines: {
+        table: 'gas_pipelines',
+        label: 'Gas Pipelines',
+        path: '/api/gas-pipelines-enhanced',
+        attributes: ['name', 'operator', 'diameter', 'pressure_level', 'pipeline_type'],
+        styleColumns: [
+            'COALESCE(line_color, \'#00aa44\') as line_color', 
+            'COALESCE(line_weight, 4) as line_weight', 
+            'COALESCE(line_opacity, 0.8) as line_opacity'
+        ]
+    },
+    highways: {
+        table: 'highways',
+        label: 'Highways',
+        path: '/api/highways',
+        attributes: ['name', 'highway_number', 'road_type'],
+        styleColumns: [
+            'COALESCE(line_color, \'#666666\') as line_color', 
+            'COALESCE(line_weight, 3) as line_weight', 
+            'COALESCE(line_opacity, 0.7) as line_opacity'
+        ]
+    },
+    railways: {
+        table: 'railways',
+        label: 'Railways',
+        path: '/api/railways',
+        attributes: ['name', 'railway_type', 'operator'],
+        styleColumns: [
+            'COALESCE(line_color, \'#8B4513\') as line_color', 
+            'COALESCE(line_weight, 3) as line_weight', 
+            'COALESCE(line_opacity, 0.8) as line_opacity'
+        ]
+    }
+};
+
 // Line-based layer endpoints
-app.get('/api/gas-pipelines-enhanced', createLineLayerEndpoint('gas_pipelines', [
-    'id', 'name', 'operator', 'diameter', 'pressure_level', 'pipeline_type',
-    'COALESCE(line_color, \'#00aa44\') as line_color', 
-    'COALESCE(line_weight, 4) as line_weight', 
-    'COALESCE(line_opacity, 0.8) as line_opacity'
-]));
-
-app.get('/api/highways', createLineLayerEndpoint('highways', [
-    'id', 'name', 'highway_number', 'road_type',
-    'COALESCE(line_color, \'#666666\') as line_color', 
-    'COALESCE(line_weight, 3) as line_weight', 
-    'COALESCE(line_opacity, 0.7) as line_opacity'
-]));
-
-app.get('/api/railways', createLineLayerEndpoint('railways', [
-    'id', 'name', 'railway_type', 'operator',
-    'COALESCE(line_color, \'#8B4513\') as line_color', 
-    'COALESCE(line_weight, 3) as line_weight', 
-    'COALESCE(line_opacity, 0.8) as line_opacity'
-]));
+Object.values(lineLayers).forEach(layer => {
+    app.get(layer.path, createLineLayerEndpoint(layer.table, ['id', ...layer.attributes, ...layer.styleColumns]));
+});
 
 // Generic endpoint creator for polygon layers
 const createPolygonLayerEndpoint = (tableName, fields) => {
     return async (req, res) => {
         try {
             if (!(await tableExists(tableName))) {
-                return res.json([]);
+                return sendEmptyLayer(req, res);
             }
 
             const { bbox, simplify } = req.query;
@@ -529,24 +1092,30 @@ const createPolygonLayerEndpoint = (tableName, fields) => {
             if (tolerance > 0) {
                 geomField = `ST_Simplify(geom, ${tolerance})`;
             }
-            
-            let query = `
-                SELECT ${fields.join(', ')},
-                       ST_AsGeoJSON(ST_Transform(${geomField}, 4326)) as geometry,
-                       ST_IsValid(geom) as geom_valid
-                FROM ${tableName}
-                WHERE geom IS NOT NULL AND ST_IsValid(geom) = true
-            `;
-            
+
+            const conditions = ['geom IS NOT NULL', 'ST_IsValid(geom) = true'];
             const params = [];
             
             if (bbox) {
                 const [minLng, minLat, maxLng, maxLat] = bbox.split(',').map(Number);
                 if (!isNaN(minLng) && !isNaN(minLat) && !isNaN(maxLng) && !isNaN(maxLat)) {
-                    query += ` AND geom && ST_Transform(ST_MakeEnvelope($${params.length + 1}, $${params.length + 2}, $${params.length + 3}, $${params.length + 4}, 4326), ST_SRID(geom))`;
+                    conditions.push(`geom && ST_Transform(ST_MakeEnvelope($${params.length + 1}, $${params.length + 2}, $${params.length + 3}, $${params.length + 4}, 4326), ST_SRID(geom))`);
                     params.push(minLng, minLat, maxLng, maxLat);
                 }
             }
+            if (!(await applyProvinceFilter(req, res, conditions, params))) return;
+
+            if (req.query.format === 'geojson') {
+                return await sendFeatureCollectionPage(req, res, { table: tableName, columns: fields, geometry: geomField, conditions, params });
+            }
+
+            let query = `
+                SELECT ${fields.join(', ')},
+                       ST_AsGeoJSON(ST_Transform(${geomField}, 4326)) as geometry,
+                       ST_IsValid(geom) as geom_valid
+                FROM ${tableName}
+                WHERE ${conditions.join(' AND ')}
+            `;
             
             query += ` LIMIT 500`;
             
@@ -555,35 +1124,75 @@ const createPolygonLayerEndpoint = (tableName, fields) => {
             res.json(result.rows);
         } catch (error) {
             console.error(`Error fetching ${tableName}:`, error);
-            res.json([]);
+            sendLayerError(req, res, error);
         }
     };
 };
 
+// Polygon-based layer definitions; drive both the JSON endpoints and the vector tiles
+const polygonLayers = {
+    groundwater_protection: {
+        table: 'groundwater_protection',
+        label: 'Groundwater Protection',
+        path: '/api/groundwater-protection',
+        attributes: ['name', 'protection_zone'],
+        styleColumns: [
+            'COALESCE(fill_color, \'#0066ff\') as fill_color', 
+            'COALESCE(fill_opacity, 0.3) as fill_opacity', 
+            'COALESCE(border_color, \'#0044cc\') as border_color', 
+            'COALESCE(border_weight, 2) as border_weight'
+        ]
+    },
+    conservation_areas: {
+        table: 'conservation_areas',
+        label: 'Conservation Areas',
+        path: '/api/conservation-areas',
+        attributes: ['name', 'protection_level', 'area_type'],
+        styleColumns: [
+            'COALESCE(fill_color, \'#00ff00\') as fill_color', 
+            'COALESCE(fill_opacity, 0.3) as fill_opacity', 
+            'COALESCE(border_color, \'#00cc00\') as border_color', 
+            'COALESCE(border_weight, 2) as border_weight'
+        ]
+    },
+    settlement_areas: {
+        table: 'settlement_areas',
+        label: 'Settlement Areas',
+        path: '/api/settlement-areas',
+        attributes: ['name', 'area_type', 'population'],
+        styleColumns: [
+            'COALESCE(fill_color, \'#ff0000\') as fill_color', 
+            'COALESCE(fill_opacity, 0.3) as fill_opacity', 
+            'COALESCE(border_color, \'#cc0000\') as border_color', 
+            'COALESCE(border_weight, 2) as border_weight'
+        ]
+    }
+};
+
 // Polygon-based layer endpoints
-app.get('/api/groundwater-protection', createPolygonLayerEndpoint('groundwater_protection', [
-    'id', 'name', 'protection_zone',
-    'COALESCE(fill_color, \'#0066ff\') as fill_color', 
-    'COALESCE(fill_opacity, 0.3) as fill_opacity', 
-    'COALESCE(border_color, \'#0044cc\') as border_color', 
-    'COALESCE(border_weight, 2) as border_weight'
-]));
-
-app.get('/api/conservation-areas', createPolygonLayerEndpoint('conservation_areas', [
-    'id', 'name', 'protection_level', 'area_type',
-    'COALESCE(fill_color, \'#00ff00\') as fill_color', 
-    'COALESCE(fill_opacity, 0.3) as fill_opacity', 
-    'COALESCE(border_color, \'#00cc00\') as border_color', 
-    'COALESCE(border_weight, 2) as border_weight'
-]));
-
-app.get('/api/settlement-areas', createPolygonLayerEndpoint('settlement_areas', [
-    'id', 'name', 'area_type', 'population',
-    'COALESCE(fill_color, \'#ff0000\') as fill_color', 
-    'COALESCE(fill_opacity, 0.3) as fill_opacity', 
-    'COALESCE(border_color, \'#cc0000\') as border_color', 
-    'COALESCE(border_weight, 2) as border_weight'
-]));
+Object.values(polygonLayers).forEach(layer => {
+    app.get(layer.path, createPolygonLayerEndpoint(layer.table, ['id', ...layer.attributes, ...layer.styleColumns]));
+});
+
+// Provinces of the area of interest, the values the layer endpoints accept as province=
+app.get('/api/provinces', async (req, res) => {
+    try {
+        if (!(await tableExists('area_of_interest'))) {
+            return res.json([]);
+        }
+
+        const result = await pool.query(`
+            SELECT province, name, iso_code,
+                   ARRAY[ST_XMin(geom), ST_YMin(geom), ST_XMax(geom), ST_YMax(geom)] AS bbox
+            FROM area_of_interest
+            ORDER BY name
+        `);
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Error fetching provinces:', error);
+        res.status(500).json({ error: 'Failed to fetch provinces', details: error.message });
+    }
+});
 
 // Database stats endpoint
 app.get('/api/database-stats', async (req, res) => {
@@ -641,110 +1250,3361 @@ app.get('/api/layer-styles', async (req, res) => {
     }
 });
 
-// ========================================
-// ADMIN ENDPOINTS
-// ========================================
-
-// Admin-only database setup endpoint
-app.post('/api/admin/setup-database', adminLimiter, authenticateToken, async (req, res) => {
+// Everything the classification editor needs: the saved scheme, the choices it can offer and
+// the classes/legend of the saved scheme (or of the overrides in the query) over the current data
+app.get('/api/layer-styles/voting_districts/classification', votingIndexValidation, async (req, res) => {
     try {
-        const results = [];
-        
-        // Enable PostGIS extension
-        try {
-            await pool.query('CREATE EXTENSION IF NOT EXISTS postgis');
-            results.push('PostGIS extension enabled');
-        } catch (error) {
-            results.push(`PostGIS warning: ${error.message}`);
-        }
-
-        // Create basic tables
-        const createQueries = [
-            `CREATE TABLE IF NOT EXISTS co2_sources (
-                id SERIAL PRIMARY KEY,
-                plant_name VARCHAR(255) NOT NULL,
-                plant_type VARCHAR(100),
-                total_co2_t NUMERIC(12,2) DEFAULT 0,
-                fossil_co2_t NUMERIC(12,2) DEFAULT 0,
-                biogenic_co2_t NUMERIC(12,2) DEFAULT 0,
-                comment TEXT,
-                is_prominent BOOLEAN DEFAULT FALSE,
-                pin_size INTEGER DEFAULT 2,
-                pin_color VARCHAR(7) DEFAULT '#ff4444',
-                geom GEOMETRY(POINT, 4326),
-                properties JSONB,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )`,
-            
-            `CREATE TABLE IF NOT EXISTS voting_districts (
-                id SERIAL PRIMARY KEY,
-                gkz INTEGER UNIQUE,
-                name VARCHAR(255),
-                spo_percent NUMERIC(5,2) DEFAULT 0,
-                ovp_percent NUMERIC(5,2) DEFAULT 0,
-                fpo_percent NUMERIC(5,2) DEFAULT 0,
-                grune_percent NUMERIC(5,2) DEFAULT 0,
-                kpo_percent NUMERIC(5,2) DEFAULT 0,
-                neos_percent NUMERIC(5,2) DEFAULT 0,
-                left_green_combined NUMERIC(5,2) DEFAULT 0,
-                choropleth_color VARCHAR(7),
-                geom GEOMETRY(MULTIPOLYGON, 4326),
-                center_point GEOMETRY(POINT, 4326),
-                properties JSONB,
-                has_voting_data BOOLEAN DEFAULT FALSE,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )`
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const scheme = await resolveVotingScheme(req, res);
+        if (!scheme) return;
+        const index = await requestVotingIndex(req, res);
+        if (!index) return;
+
+        const conditions = ['vd.geom IS NOT NULL'];
+        const params = [];
+        if (!(await applyProvinceFilter(req, res, conditions, params, 'vd.geom'))) return;
+
+        const classification = (await tableExists('voting_districts'))
+            ? await classifyVotingDistricts(scheme, votingDistrictsFrom(index, params), conditions, params)
+            : classifyValues([], scheme);
+
+        res.json({
+            saved: await loadVotingScheme(),
+            voting_index: votingIndexSummary(index),
+            attributes: Object.entries(VOTING_CLASSIFICATION_ATTRIBUTES).map(([name, label]) => ({ name, label })),
+            methods: CLASSIFICATION_METHODS,
+            min_classes: MIN_CLASSES,
+            max_classes: MAX_CLASSES,
+            palettes: Object.entries(CLASSIFICATION_PALETTES).map(([name, palette]) => ({ name, ...palette })),
+            classification
+        });
+    } catch (error) {
+        console.error('Error classifying voting districts:', error);
+        res.status(500).json({ error: 'Failed to classify voting districts', details: error.message });
+    }
+});
+
+// ========================================
+// ELECTION RESULTS
+// ========================================
+
+// Elections are loaded by scripts/import-data.js as one row per commune (gkz) and party;
+// communes are drawn with the voting_districts outlines of the same gkz
+
+// Resolve :code and the optional compare= election to their ids. Answers a 404 itself and returns null.
+const resolveElections = async (req, res) => {
+    const codes = [req.params.code, req.query.compare].filter(Boolean);
+    const result = await pool.query('SELECT id, code, name, election_date FROM elections WHERE code = ANY($1)', [codes]);
+    const byCode = Object.fromEntries(result.rows.map(row => [row.code, row]));
+
+    const missing = codes.find(code => !byCode[code]);
+    if (missing) {
+        res.status(404).json({ error: `Election ${missing} not found` });
+        return null;
+    }
+    return { election: byCode[req.params.code], compare: req.query.compare ? byCode[req.query.compare] : null };
+};
+
+const electionValidation = [
+    param('code').isLength({ min: 1, max: 50 }).withMessage('Invalid election code'),
+    query('compare').optional().isLength({ min: 1, max: 50 }).withMessage('Invalid comparison election code')
+        .custom((value, { req }) => value !== req.params.code).withMessage('compare must be a different election')
+];
+
+// Elections with their parties, largest first, and each party's share of all valid votes
+app.get('/api/elections', async (req, res) => {
+    try {
+        if (!(await tableExists('elections'))) {
+            return res.json([]);
+        }
+
+        const [electionsResult, partiesResult] = await Promise.all([
+            pool.query(`
+                SELECT e.id, e.code, e.name, e.election_type, e.election_date,
+                       COUNT(c.gkz)::int AS commune_count,
+                       COALESCE(SUM(c.valid_votes), 0)::int AS valid_votes
+                FROM elections e
+                LEFT JOIN election_communes c ON c.election_id = e.id
+                GROUP BY e.id
+                ORDER BY e.election_date DESC NULLS LAST, e.code
+            `),
+            pool.query(`
+                SELECT election_id, party, SUM(votes)::int AS votes
+                FROM election_results
+                GROUP BY election_id, party
+                ORDER BY votes DESC, party
+            `)
+        ]);
+
+        res.json(electionsResult.rows.map(({ id, ...election }) => ({
+            ...election,
+            parties: partiesResult.rows
+                .filter(row => row.election_id === id)
+                .map(row => ({
+                    party: row.party,
+                    votes: row.votes,
+                    percent: election.valid_votes > 0 ? Math.round(row.votes / election.valid_votes * 10000) / 100 : 0
+                }))
+        })));
+    } catch (error) {
+        console.error('Error fetching elections:', error);
+        res.status(500).json({ error: 'Failed to fetch elections', details: error.message });
+    }
+});
+
+// One party's result in every commune as GeoJSON; with compare= also its result in the other
+// election and the swing in percentage points (this election minus the other)
+app.get('/api/elections/:code/communes', [
+    ...electionValidation,
+    query('party').isLength({ min: 1, max: 50 }).withMessage('party is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const resolved = await resolveElections(req, res);
+        if (!resolved) return;
+        const { election, compare } = resolved;
+
+        const partiesResult = await pool.query(
+            'SELECT DISTINCT party FROM election_results WHERE election_id = $1 ORDER BY party',
+            [election.id]
+        );
+        const parties = partiesResult.rows.map(row => row.party);
+        if (!parties.includes(req.query.party)) {
+            return res.status(400).json({ error: `${req.query.party} did not run in ${election.name}`, parties });
+        }
+
+        const result = await pool.query(`
+            SELECT c.gkz, c.name, c.valid_votes,
+                   ROUND(c.votes_cast * 100.0 / NULLIF(c.eligible_voters, 0), 2)::float AS turnout_percent,
+                   r.votes, r.percent::float AS percent,
+                   pr.votes AS compare_votes, pr.percent::float AS compare_percent,
+                   (r.percent - pr.percent)::float AS swing,
+                   ST_AsGeoJSON(ST_Simplify(vd.geom, 0.001))::json AS geometry
+            FROM election_communes c
+            JOIN voting_districts vd ON vd.gkz = c.gkz AND vd.geom IS NOT NULL
+            LEFT JOIN election_results r ON r.election_id = c.election_id AND r.gkz = c.gkz AND r.party = $2
+            LEFT JOIN election_results pr ON pr.election_id = $3 AND pr.gkz = c.gkz AND pr.party = $2
+            WHERE c.election_id = $1
+            ORDER BY c.gkz
+        `, [election.id, req.query.party, compare ? compare.id : null]);
+
+        // Shares are classified like the voting choropleth; a swing in equal classes around 0
+        const summary = communeSummary(result.rows);
+        const classification = classifyValues(
+            result.rows.map(row => (compare ? row.swing : row.percent)),
+            compare
+                ? divergingScheme('swing', Math.max(1, Math.abs(summary.min_swing ?? 0), Math.abs(summary.max_swing ?? 0)))
+                : { ...(await loadVotingScheme()), attribute: 'percent' }
+        );
+
+        res.json({
+            type: 'FeatureCollection',
+            election: { code: election.code, name: election.name, election_date: election.election_date },
+            compare: compare ? { code: compare.code, name: compare.name, election_date: compare.election_date } : null,
+            party: req.query.party,
+            summary,
+            classification,
+            features: result.rows.map(({ geometry, ...properties }) => ({
+                type: 'Feature',
+                id: properties.gkz,
+                geometry,
+                properties: { ...properties, fill_color: classColor(properties[classification.attribute], classification) }
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching election results:', error);
+        res.status(500).json({ error: 'Failed to fetch election results', details: error.message });
+    }
+});
+
+// Every party's result in one commune, with compare= side by side with the other election
+app.get('/api/elections/:code/communes/:gkz', [
+    ...electionValidation,
+    param('gkz').isInt({ min: 1 }).withMessage('Invalid gkz').toInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const resolved = await resolveElections(req, res);
+        if (!resolved) return;
+        const { election, compare } = resolved;
+        const compareId = compare ? compare.id : null;
+
+        const communeResult = await pool.query(`
+            SELECT c.gkz, c.name, c.eligible_voters, c.votes_cast, c.valid_votes,
+                   ROUND(c.votes_cast * 100.0 / NULLIF(c.eligible_voters, 0), 2)::float AS turnout_percent,
+                   pc.valid_votes AS compare_valid_votes,
+                   ROUND(pc.votes_cast * 100.0 / NULLIF(pc.eligible_voters, 0), 2)::float AS compare_turnout_percent
+            FROM election_communes c
+            LEFT JOIN election_communes pc ON pc.election_id = $3 AND pc.gkz = c.gkz
+            WHERE c.election_id = $1 AND c.gkz = $2
+        `, [election.id, req.params.gkz, compareId]);
+
+        if (communeResult.rows.length === 0) {
+            return res.status(404).json({ error: `No ${election.name} results for commune ${req.params.gkz}` });
+        }
+
+        // Parties that ran in only one of the two elections are listed with the other side empty
+        const partiesResult = await pool.query(`
+            SELECT COALESCE(r.party, pr.party) AS party,
+                   r.votes, r.percent::float AS percent,
+                   pr.votes AS compare_votes, pr.percent::float AS compare_percent,
+                   (r.percent - pr.percent)::float AS swing
+            FROM (SELECT * FROM election_results WHERE election_id = $1 AND gkz = $2) r
+            FULL JOIN (SELECT * FROM election_results WHERE election_id = $3 AND gkz = $2) pr ON pr.party = r.party
+            ORDER BY r.votes DESC NULLS LAST, pr.votes DESC NULLS LAST
+        `, [election.id, req.params.gkz, compareId]);
+
+        res.json({
+            election: { code: election.code, name: election.name, election_date: election.election_date },
+            compare: compare ? { code: compare.code, name: compare.name, election_date: compare.election_date } : null,
+            ...communeResult.rows[0],
+            parties: partiesResult.rows
+        });
+    } catch (error) {
+        console.error('Error fetching commune election results:', error);
+        res.status(500).json({ error: 'Failed to fetch commune election results', details: error.message });
+    }
+});
+
+// ========================================
+// VECTOR TILES
+// ========================================
+
+const TILE_EXTENT = 4096;
+const TILE_BUFFER = 64;
+const TILE_MAX_ZOOM = 18;
+// Below this zoom tiles carry only what is needed to draw (id, name, style); popups fill in from detail tiles
+const TILE_DETAIL_MIN_ZOOM = 10;
+// Geometries are stored in full detail from this zoom on
+const TILE_FULL_DETAIL_ZOOM = 14;
+const WEB_MERCATOR_WORLD_M = 40075016.686;
+
+// Every map layer as a tile source: base columns go into every tile, detail columns only from TILE_DETAIL_MIN_ZOOM
+const vectorTileLayers = {
+    co2_sources: {
+        table: 'co2_sources',
+        geometry: 'point',
+        baseColumns: ['plant_name', 'total_co2_t', 'is_prominent', 'pin_size', 'pin_color'],
+        detailColumns: ['plant_type', 'fossil_co2_t', 'biogenic_co2_t', 'comment']
+    },
+    // index_value and fill_color are added per request from the saved voting index and scheme, see votingTileSource()
+    voting_districts: {
+        table: 'voting_districts',
+        geometry: 'polygon',
+        baseColumns: ['vd.name'],
+        detailColumns: [
+            'vd.gkz', 'vd.spo_percent', 'vd.ovp_percent', 'vd.fpo_percent', 'vd.grune_percent',
+            'vd.kpo_percent', 'vd.neos_percent', 'vd.left_green_combined'
+        ]
+    },
+    ...Object.fromEntries(Object.values(pointLayers).map(layer => [layer.table, {
+        table: layer.table,
+        geometry: 'point',
+        baseColumns: [layer.fields[0].name, ...pointStyleColumns(layer.style)],
+        detailColumns: layer.fields.slice(1).map(field => field.name)
+    }])),
+    ...Object.fromEntries([...Object.values(lineLayers), ...Object.values(polygonLayers)].map(layer => [layer.table, {
+        table: layer.table,
+        geometry: lineLayers[layer.table] ? 'line' : 'polygon',
+        baseColumns: ['name', ...layer.styleColumns],
+        detailColumns: layer.attributes.filter(column => column !== 'name')
+    }]))
+};
+
+// Roughly one screen pixel at the given zoom, in Web Mercator metres
+const tileSimplifyTolerance = (zoom) => (
+    zoom >= TILE_FULL_DETAIL_ZOOM ? 0 : WEB_MERCATOR_WORLD_M / (256 * 2 ** zoom)
+);
+
+// conditions further narrow the features (on source.geom), with parameters numbered from $4 after z, x, y.
+// source replaces the layer table with a join (from, its geometry column geom) and adds base columns.
+const buildTileQuery = (name, layer, zoom, conditions = [], source = { from: `${layer.table} t`, geom: 't.geom', columns: [] }) => {
+    const columns = ['id', ...layer.baseColumns, ...source.columns, ...(zoom >= TILE_DETAIL_MIN_ZOOM ? layer.detailColumns : [])];
+    const tolerance = layer.geometry === 'point' ? 0 : tileSimplifyTolerance(zoom);
+    const geometry = tolerance > 0
+        ? `ST_SimplifyPreserveTopology(ST_Transform(${source.geom}, 3857), ${tolerance})`
+        : `ST_Transform(${source.geom}, 3857)`;
+
+    return `
+        WITH bounds AS (
+            SELECT ST_TileEnvelope($1, $2, $3) AS tile,
+                   ST_Transform(ST_TileEnvelope($1, $2, $3, margin => ${TILE_BUFFER / TILE_EXTENT}), 4326) AS search
+        ),
+        features AS (
+            SELECT ${columns.join(', ')},
+                   ST_AsMVTGeom(${geometry}, bounds.tile, ${TILE_EXTENT}, ${TILE_BUFFER}, true) AS mvt_geom
+            FROM ${source.from}, bounds
+            WHERE ${[`${source.geom} && bounds.search`, ...conditions].join(' AND ')}
+        )
+        SELECT ST_AsMVT(features.*, '${name}', ${TILE_EXTENT}, 'mvt_geom') AS tile
+        FROM features
+        WHERE mvt_geom IS NOT NULL
+    `;
+};
+
+// Tile source index with per-layer feature counts, so clients can label layers without loading them.
+// province=<name> counts and tiles only the features in that province, as on the layer endpoints.
+app.get('/tiles', tileLimiter, async (req, res) => {
+    try {
+        const conditions = ['geom IS NOT NULL'];
+        const params = [];
+        if (!(await applyProvinceFilter(req, res, conditions, params))) return;
+        const tileQuery = req.query.province !== undefined ? `?${new URLSearchParams({ province: req.query.province })}` : '';
+
+        const sources = [];
+        for (const [name, layer] of Object.entries(vectorTileLayers)) {
+            if (!(await tableExists(layer.table))) continue;
+
+            const result = await pool.query(`SELECT COUNT(*)::int AS count FROM ${layer.table} WHERE ${conditions.join(' AND ')}`, params);
+            sources.push({
+                name,
+                geometry: layer.geometry,
+                tiles: [`/tiles/${name}/{z}/{x}/{y}.pbf${tileQuery}`],
+                minzoom: 0,
+                maxzoom: TILE_MAX_ZOOM,
+                detail_minzoom: TILE_DETAIL_MIN_ZOOM,
+                feature_count: result.rows[0].count
+            });
+        }
+        res.json(sources);
+    } catch (error) {
+        console.error('Error listing tile sources:', error);
+        res.status(500).json({ error: 'Failed to list tile sources', details: error.message });
+    }
+});
+
+// Voting districts joined to the saved voting index and coloured with the saved classification, as
+// the choropleth draws them for the same province filter. Answers errors itself and returns null.
+const votingTileSource = async (req, res, params) => {
+    const index = await resolveVotingIndex(res, {});
+    if (!index) return null;
+    const scheme = await loadVotingScheme();
+
+    const conditions = ['vd.geom IS NOT NULL', 'ST_IsValid(vd.geom) = true'];
+    const classParams = [];
+    if (!(await applyProvinceFilter(req, res, conditions, classParams, 'vd.geom'))) return null;
+    const classification = await classifyVotingDistricts(scheme, votingDistrictsFrom(index, classParams), conditions, classParams);
+    const fillColor = classColorSql(votingAttributeSql(scheme.attribute), classification);
+
+    return {
+        from: votingDistrictsFrom(index, params),
+        geom: 'vd.geom',
+        columns: [
+            'vi.index_value::float AS index_value',
+            `CASE WHEN ${HAS_VOTING_DATA_SQL} THEN ${fillColor} ELSE '${classification.no_data_color}' END AS fill_color`
+        ]
+    };
+};
+
+app.get('/tiles/:layer/:z/:x/:y.pbf', tileLimiter, [
+    param('z').isInt({ min: 0, max: TILE_MAX_ZOOM }).withMessage(`z must be between 0 and ${TILE_MAX_ZOOM}`).toInt(),
+    param('x').isInt({ min: 0 }).toInt(),
+    param('y').isInt({ min: 0 }).toInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const layer = Object.hasOwn(vectorTileLayers, req.params.layer) ? vectorTileLayers[req.params.layer] : null;
+        if (!layer) {
+            return res.status(404).json({ error: `Unknown tile layer: ${req.params.layer}` });
+        }
+
+        const { z, x, y } = req.params;
+        if (x >= 2 ** z || y >= 2 ** z) {
+            return res.status(400).json({ error: 'Tile coordinates out of range for zoom level' });
+        }
+
+        if (!(await tableExists(layer.table))) {
+            return res.status(204).end();
+        }
+
+        const conditions = [];
+        const params = [z, x, y];
+        const source = req.params.layer === 'voting_districts' ? await votingTileSource(req, res, params) : undefined;
+        if (source === null) return;
+        if (!(await applyProvinceFilter(req, res, conditions, params, source ? source.geom : 't.geom'))) return;
+
+        const result = await pool.query(buildTileQuery(req.params.layer, layer, z, conditions, source), params);
+        const tile = result.rows[0] && result.rows[0].tile;
+
+        res.setHeader('Cache-Control', 'public, max-age=300');
+        if (!tile || tile.length === 0) {
+            return res.status(204).end();
+        }
+        res.setHeader('Content-Type', 'application/vnd.mapbox-vector-tile');
+        res.send(tile);
+    } catch (error) {
+        console.error(`Error building tile ${req.params.layer}/${req.params.z}/${req.params.x}/${req.params.y}:`, error);
+        res.status(500).json({ error: 'Failed to build tile', details: error.message });
+    }
+});
+
+// ========================================
+// ANALYSIS ENDPOINTS
+// ========================================
+
+// Rough storable CO2 per bcm of natural gas working volume: ~5e6 m³ of reservoir
+// pore space per bcm at ~200 bar, filled with supercritical CO2 at ~700 kg/m³
+const DEFAULT_CO2_TONNES_PER_BCM = 3.5e6;
+const DEFAULT_INJECTION_YEARS = 25;
+
+// Minimum-cost allocation of supplies to capacities (transportation problem), solved as a
+// min-cost flow with successive shortest paths. costs[i][j] is null where i cannot ship to j.
+// Returns [{ from, to, amount }].
+const solveTransportation = (supplies, capacities, costs) => {
+    const sourceCount = supplies.length;
+    const sinkCount = capacities.length;
+    const superSource = sourceCount + sinkCount;
+    const superSink = superSource + 1;
+    const graph = Array.from({ length: superSink + 1 }, () => []);
+    const EPSILON = 1e-6;
+
+    const addEdge = (from, to, capacity, cost) => {
+        graph[from].push({ to, capacity, cost, reverse: graph[to].length });
+        graph[to].push({ to: from, capacity: 0, cost: -cost, reverse: graph[from].length - 1 });
+    };
+
+    supplies.forEach((supply, i) => addEdge(superSource, i, supply, 0));
+    capacities.forEach((capacity, j) => addEdge(sourceCount + j, superSink, capacity, 0));
+    costs.forEach((row, i) => row.forEach((cost, j) => {
+        if (cost !== null) addEdge(i, sourceCount + j, Infinity, cost);
+    }));
+
+    // Bellman-Ford (queue based) handles the negative reverse-edge costs
+    const shortestPath = () => {
+        const distance = new Array(graph.length).fill(Infinity);
+        const previous = new Array(graph.length).fill(null);
+        const inQueue = new Array(graph.length).fill(false);
+        const queue = [superSource];
+        distance[superSource] = 0;
+
+        while (queue.length > 0) {
+            const node = queue.shift();
+            inQueue[node] = false;
+            graph[node].forEach((edge, index) => {
+                if (edge.capacity > EPSILON && distance[node] + edge.cost < distance[edge.to] - 1e-9) {
+                    distance[edge.to] = distance[node] + edge.cost;
+                    previous[edge.to] = { node, index };
+                    if (!inQueue[edge.to]) {
+                        inQueue[edge.to] = true;
+                        queue.push(edge.to);
+                    }
+                }
+            });
+        }
+        return distance[superSink] === Infinity ? null : previous;
+    };
+
+    let previous;
+    while ((previous = shortestPath())) {
+        let flow = Infinity;
+        for (let node = superSink; node !== superSource; node = previous[node].node) {
+            const { node: from, index } = previous[node];
+            flow = Math.min(flow, graph[from][index].capacity);
+        }
+        for (let node = superSink; node !== superSource; node = previous[node].node) {
+            const { node: from, index } = previous[node];
+            const edge = graph[from][index];
+            edge.capacity -= flow;
+            graph[edge.to][edge.reverse].capacity += flow;
+        }
+    }
+
+    const allocations = [];
+    for (let i = 0; i < sourceCount; i++) {
+        graph[i].forEach(edge => {
+            const j = edge.to - sourceCount;
+            if (j < 0 || j >= sinkCount) return;
+            const amount = graph[edge.to][edge.reverse].capacity;
+            if (amount > EPSILON) allocations.push({ from: i, to: j, amount });
+        });
+    }
+    return allocations;
+};
+
+// Allocate annual emissions from CO2 sources to gas storage sites, minimising tonne-kilometres.
+// A site's annual intake is its capacity in tonnes spread over the injection horizon.
+app.get('/api/analysis/source-sink-matching', [
+    query('fossil_only').optional().isBoolean().withMessage('fossil_only must be a boolean').toBoolean(),
+    query('years').optional().isFloat({ min: 1, max: 100 }).withMessage('years must be between 1 and 100').toFloat(),
+    query('tonnes_per_bcm').optional().isFloat({ gt: 0 }).withMessage('tonnes_per_bcm must be positive').toFloat(),
+    query('max_distance_km').optional().isFloat({ gt: 0 }).withMessage('max_distance_km must be positive').toFloat(),
+    query('min_emissions_t').optional().isFloat({ min: 0 }).withMessage('min_emissions_t must be 0 or more').toFloat()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const parameters = {
+            fossil_only: req.query.fossil_only === true,
+            years: req.query.years || DEFAULT_INJECTION_YEARS,
+            tonnes_per_bcm: req.query.tonnes_per_bcm || DEFAULT_CO2_TONNES_PER_BCM,
+            max_distance_km: req.query.max_distance_km || null,
+            min_emissions_t: req.query.min_emissions_t || 0
+        };
+
+        if (!(await tableExists('co2_sources')) || !(await tableExists('gas_storage_sites'))) {
+            return res.status(404).json({ error: 'CO2 sources or gas storage sites are not loaded' });
+        }
+
+        const emissionColumn = parameters.fossil_only ? 'fossil_co2_t' : 'total_co2_t';
+        const [sourcesResult, sitesResult] = await Promise.all([
+            pool.query(`
+                SELECT id, plant_name, plant_type, COALESCE(${emissionColumn}, 0)::float AS emissions_t,
+                       ST_X(geom) AS longitude, ST_Y(geom) AS latitude
+                FROM co2_sources
+                WHERE geom IS NOT NULL AND COALESCE(${emissionColumn}, 0) > GREATEST($1, 0)
+                ORDER BY id
+            `, [parameters.min_emissions_t]),
+            pool.query(`
+                SELECT id, name, operator, storage_type, capacity_bcm::float AS capacity_bcm,
+                       ST_X(geom) AS longitude, ST_Y(geom) AS latitude
+                FROM gas_storage_sites
+                WHERE geom IS NOT NULL AND capacity_bcm > 0
+                ORDER BY id
+            `)
+        ]);
+
+        const sources = sourcesResult.rows;
+        const sites = sitesResult.rows.map(site => ({
+            ...site,
+            capacity_t: site.capacity_bcm * parameters.tonnes_per_bcm,
+            annual_capacity_t: site.capacity_bcm * parameters.tonnes_per_bcm / parameters.years
+        }));
+
+        const distancesResult = await pool.query(`
+            SELECT s.id AS source_id, g.id AS site_id,
+                   ST_Distance(s.geom::geography, g.geom::geography) / 1000 AS distance_km
+            FROM co2_sources s
+            CROSS JOIN gas_storage_sites g
+            WHERE s.id = ANY($1) AND g.id = ANY($2)
+        `, [sources.map(source => source.id), sites.map(site => site.id)]);
+
+        const distances = new Map(distancesResult.rows.map(row => [`${row.source_id}:${row.site_id}`, row.distance_km]));
+        const costs = sources.map(source => sites.map(site => {
+            const distance = distances.get(`${source.id}:${site.id}`);
+            if (distance === undefined) return null;
+            return parameters.max_distance_km && distance > parameters.max_distance_km ? null : distance;
+        }));
+
+        const allocations = solveTransportation(
+            sources.map(source => source.emissions_t),
+            sites.map(site => site.annual_capacity_t),
+            costs
+        );
+
+        const features = allocations.map(({ from, to, amount }) => {
+            const source = sources[from];
+            const site = sites[to];
+            const distanceKm = costs[from][to];
+            return {
+                type: 'Feature',
+                geometry: {
+                    type: 'LineString',
+                    coordinates: [[source.longitude, source.latitude], [site.longitude, site.latitude]]
+                },
+                properties: {
+                    source_id: source.id,
+                    source_name: source.plant_name,
+                    site_id: site.id,
+                    site_name: site.name,
+                    allocated_t: Math.round(amount),
+                    share_of_source: source.emissions_t > 0 ? amount / source.emissions_t : 0,
+                    distance_km: Math.round(distanceKm * 10) / 10,
+                    tonne_km: Math.round(amount * distanceKm)
+                }
+            };
+        });
+
+        const allocatedBySource = new Map();
+        const allocatedBySite = new Map();
+        allocations.forEach(({ from, to, amount }) => {
+            allocatedBySource.set(from, (allocatedBySource.get(from) || 0) + amount);
+            allocatedBySite.set(to, (allocatedBySite.get(to) || 0) + amount);
+        });
+
+        const totalEmissions = sources.reduce((sum, source) => sum + source.emissions_t, 0);
+        const totalAllocated = allocations.reduce((sum, allocation) => sum + allocation.amount, 0);
+        const totalTonneKm = features.reduce((sum, feature) => sum + feature.properties.tonne_km, 0);
+
+        res.json({
+            type: 'FeatureCollection',
+            features,
+            parameters,
+            summary: {
+                source_count: sources.length,
+                site_count: sites.length,
+                total_emissions_t: Math.round(totalEmissions),
+                allocated_t: Math.round(totalAllocated),
+                unallocated_t: Math.round(totalEmissions - totalAllocated),
+                total_tonne_km: totalTonneKm,
+                weighted_mean_distance_km: totalAllocated > 0 ? Math.round(totalTonneKm / totalAllocated * 10) / 10 : null,
+                sites: sites.map((site, j) => ({
+                    site_id: site.id,
+                    name: site.name,
+                    capacity_bcm: site.capacity_bcm,
+                    annual_capacity_t: Math.round(site.annual_capacity_t),
+                    allocated_t: Math.round(allocatedBySite.get(j) || 0),
+                    utilisation: site.annual_capacity_t > 0 ? (allocatedBySite.get(j) || 0) / site.annual_capacity_t : 0
+                })),
+                unallocated_sources: sources
+                    .map((source, i) => ({
+                        source_id: source.id,
+                        name: source.plant_name,
+                        emissions_t: Math.round(source.emissions_t),
+                        unallocated_t: Math.round(source.emissions_t - (allocatedBySource.get(i) || 0))
+                    }))
+                    .filter(source => source.unallocated_t > 0)
+            }
+        });
+    } catch (error) {
+        console.error('Error running source-sink matching:', error);
+        res.status(500).json({ error: 'Failed to run source-sink matching', details: error.message });
+    }
+});
+
+// Binary min-heap keyed on a numeric priority; used by the grid router
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(value, priority) {
+        this.items.push({ value, priority });
+        let index = this.items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.items[parent].priority <= this.items[index].priority) break;
+            [this.items[parent], this.items[index]] = [this.items[index], this.items[parent]];
+            index = parent;
+        }
+    }
+
+    pop() {
+        const top = this.items[0];
+        const last = this.items.pop();
+        if (this.items.length > 0) {
+            this.items[0] = last;
+            let index = 0;
+            for (;;) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < this.items.length && this.items[left].priority < this.items[smallest].priority) smallest = left;
+                if (right < this.items.length && this.items[right].priority < this.items[smallest].priority) smallest = right;
+                if (smallest === index) break;
+                [this.items[smallest], this.items[index]] = [this.items[index], this.items[smallest]];
+                index = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+// Sample boolean layer predicates at the centre of every cell of a regular lon/lat grid.
+// predicates: [{ name, table, condition }] where condition is SQL over layer alias "l" and cell point "g.pt".
+// Missing tables evaluate to false. Returns one row per cell: { col, row, <name>: boolean, ... }.
+const sampleGrid = async (grid, predicates) => {
+    const columns = [];
+    for (const predicate of predicates) {
+        columns.push(await tableExists(predicate.table)
+            ? `EXISTS (SELECT 1 FROM ${predicate.table} l WHERE ${predicate.condition}) AS ${predicate.name}`
+            : `FALSE AS ${predicate.name}`);
+    }
+
+    const result = await pool.query(`
+        WITH cells AS (
+            SELECT c AS col, r AS row,
+                   ST_SetSRID(ST_MakePoint($1 + (c + 0.5) * $3, $2 + (r + 0.5) * $4), 4326) AS pt
+            FROM generate_series(0, $5 - 1) c CROSS JOIN generate_series(0, $6 - 1) r
+        )
+        SELECT g.col, g.row${columns.length > 0 ? `, ${columns.join(', ')}` : ''}
+        FROM cells g
+    `, [grid.minLng, grid.minLat, grid.cellLng, grid.cellLat, grid.cols, grid.rows]);
+    return result.rows;
+};
+
+// Lay a grid over an envelope so that the longer side has at most maxCells cells of at least minCellM metres
+const createGrid = ({ minLng, minLat, maxLng, maxLat }, maxCells, minCellM) => {
+    const midLat = (minLat + maxLat) / 2;
+    const metresPerDegLng = 111320 * Math.cos(midLat * Math.PI / 180);
+    const metresPerDegLat = 110574;
+    const widthM = (maxLng - minLng) * metresPerDegLng;
+    const heightM = (maxLat - minLat) * metresPerDegLat;
+    const cellM = Math.max(minCellM, Math.max(widthM, heightM) / maxCells);
+    const cols = Math.max(1, Math.ceil(widthM / cellM));
+    const rows = Math.max(1, Math.ceil(heightM / cellM));
+
+    return {
+        minLng, minLat, cols, rows, cellM,
+        cellLng: (maxLng - minLng) / cols,
+        cellLat: (maxLat - minLat) / rows,
+        metresPerDegLng,
+        metresPerDegLat
+    };
+};
+
+// Point features a route can start or end at, keyed by table
+const ROUTABLE_LAYERS = {
+    co2_sources: { table: 'co2_sources', nameColumn: 'plant_name' },
+    ...Object.fromEntries(Object.values(pointLayers).map(layer => [
+        layer.table, { table: layer.table, nameColumn: layer.fields[0].name }
+    ]))
+};
+
+// Cost multipliers per km relative to open land. Exclusion layers can also be forbidden outright.
+const ROUTING_COST_MODEL = {
+    corridors: [
+        { name: 'pipeline_corridor', table: 'gas_pipelines', label: 'Existing gas pipeline corridor', factor: 0.4 },
+        { name: 'highway_corridor', table: 'highways', label: 'Highway corridor', factor: 0.6 }
+    ],
+    exclusions: [
+        { name: 'settlement', table: 'settlement_areas', label: 'Settlement area', factor: 25 },
+        { name: 'conservation', table: 'conservation_areas', label: 'Conservation area', factor: 10 },
+        { name: 'groundwater', table: 'groundwater_protection', label: 'Groundwater protection zone', factor: 5 }
+    ],
+    corridorWidthM: 500,
+    defaultForbidden: ['settlement_areas']
+};
+
+const MAX_ROUTING_CELLS = 200;
+
+// Resolve "table:id" or "lng,lat" into { lng, lat, label }
+const resolveRouteEndpoint = async (spec) => {
+    const coordinateMatch = /^(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)$/.exec(spec);
+    if (coordinateMatch) {
+        const [lng, lat] = [Number(coordinateMatch[1]), Number(coordinateMatch[2])];
+        return { lng, lat, label: `${lat.toFixed(5)}, ${lng.toFixed(5)}` };
+    }
+
+    const [table, id] = spec.split(':');
+    const layer = Object.hasOwn(ROUTABLE_LAYERS, table) ? ROUTABLE_LAYERS[table] : null;
+    if (!layer || !/^\d+$/.test(id || '')) return null;
+
+    const result = await pool.query(
+        `SELECT ${layer.nameColumn} AS name, ST_X(geom) AS lng, ST_Y(geom) AS lat FROM ${layer.table} WHERE id = $1 AND geom IS NOT NULL`,
+        [id]
+    );
+    if (result.rows.length === 0) return null;
+    const row = result.rows[0];
+    return { lng: row.lng, lat: row.lat, label: row.name || `${table} #${id}`, table, id: Number(id) };
+};
+
+const routeEndpointValidator = (field) => query(field)
+    .matches(/^([a-z0-9_]+:\d+|-?\d+(\.\d+)?,-?\d+(\.\d+)?)$/)
+    .withMessage(`${field} must be "layer:id" or "lng,lat"`);
+
+// Least-cost pipeline route over a cost raster: 8-connected Dijkstra on a grid covering both
+// endpoints, with exclusion zones penalised or forbidden and existing corridors discounted.
+app.get('/api/analysis/pipeline-route', [
+    routeEndpointValidator('from'),
+    routeEndpointValidator('to'),
+    query('forbid').optional().isString(),
+    query('corridor_width_m').optional().isFloat({ min: 50, max: 5000 }).withMessage('corridor_width_m must be between 50 and 5000').toFloat()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const exclusionTables = ROUTING_COST_MODEL.exclusions.map(layer => layer.table);
+        const forbidden = req.query.forbid !== undefined
+            ? req.query.forbid.split(',').map(table => table.trim()).filter(Boolean)
+            : ROUTING_COST_MODEL.defaultForbidden;
+        const unknown = forbidden.filter(table => !exclusionTables.includes(table));
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Unknown exclusion layers: ${unknown.join(', ')}`, allowed: exclusionTables });
+        }
+
+        const [start, end] = await Promise.all([resolveRouteEndpoint(req.query.from), resolveRouteEndpoint(req.query.to)]);
+        if (!start || !end) {
+            return res.status(404).json({ error: `Route ${!start ? 'start' : 'end'} feature not found` });
+        }
+
+        // Envelope around both endpoints with room to detour
+        const spanLng = Math.abs(end.lng - start.lng);
+        const spanLat = Math.abs(end.lat - start.lat);
+        const marginLng = Math.max(spanLng * 0.25, 0.07);
+        const marginLat = Math.max(spanLat * 0.25, 0.05);
+        const grid = createGrid({
+            minLng: Math.min(start.lng, end.lng) - marginLng,
+            minLat: Math.min(start.lat, end.lat) - marginLat,
+            maxLng: Math.max(start.lng, end.lng) + marginLng,
+            maxLat: Math.max(start.lat, end.lat) + marginLat
+        }, MAX_ROUTING_CELLS, 100);
+
+        const corridorWidthM = req.query.corridor_width_m || ROUTING_COST_MODEL.corridorWidthM;
+        const corridorDeg = corridorWidthM / 2 / grid.metresPerDegLng;
+        const cells = await sampleGrid(grid, [
+            ...ROUTING_COST_MODEL.corridors.map(layer => ({
+                name: layer.name, table: layer.table, condition: `ST_DWithin(l.geom, g.pt, ${corridorDeg})`
+            })),
+            ...ROUTING_COST_MODEL.exclusions.map(layer => ({
+                name: layer.name, table: layer.table, condition: 'ST_Intersects(l.geom, g.pt)'
+            }))
+        ]);
+
+        // Per-cell cost factor and the category that set it
+        const cellIndex = (col, row) => row * grid.cols + col;
+        const factors = new Float64Array(grid.cols * grid.rows).fill(1);
+        const categories = new Array(grid.cols * grid.rows).fill('open_land');
+        cells.forEach(cell => {
+            const index = cellIndex(cell.col, cell.row);
+            const exclusions = ROUTING_COST_MODEL.exclusions.filter(layer => cell[layer.name]);
+            if (exclusions.length > 0) {
+                const worst = exclusions.reduce((a, b) => (b.factor > a.factor ? b : a));
+                const isForbidden = exclusions.some(layer => forbidden.includes(layer.table));
+                factors[index] = isForbidden ? Infinity : worst.factor;
+                categories[index] = worst.name;
+                return;
+            }
+            const corridors = ROUTING_COST_MODEL.corridors.filter(layer => cell[layer.name]);
+            if (corridors.length > 0) {
+                const best = corridors.reduce((a, b) => (b.factor < a.factor ? b : a));
+                factors[index] = best.factor;
+                categories[index] = best.name;
+            }
+        });
+
+        const toCell = ({ lng, lat }) => ({
+            col: Math.min(grid.cols - 1, Math.floor((lng - grid.minLng) / grid.cellLng)),
+            row: Math.min(grid.rows - 1, Math.floor((lat - grid.minLat) / grid.cellLat))
+        });
+        const startCell = toCell(start);
+        const endCell = toCell(end);
+        const startIndex = cellIndex(startCell.col, startCell.row);
+        const endIndex = cellIndex(endCell.col, endCell.row);
+        // The features themselves may sit inside a forbidden zone; let the route leave/enter them
+        [startIndex, endIndex].forEach(index => {
+            if (factors[index] === Infinity) factors[index] = ROUTING_COST_MODEL.exclusions.find(l => l.name === categories[index]).factor;
+        });
+
+        const cellWidthKm = grid.cellLng * grid.metresPerDegLng / 1000;
+        const cellHeightKm = grid.cellLat * grid.metresPerDegLat / 1000;
+        const neighbours = [];
+        for (let dc = -1; dc <= 1; dc++) {
+            for (let dr = -1; dr <= 1; dr++) {
+                if (dc !== 0 || dr !== 0) neighbours.push({ dc, dr, km: Math.hypot(dc * cellWidthKm, dr * cellHeightKm) });
+            }
+        }
+
+        const costs = new Float64Array(grid.cols * grid.rows).fill(Infinity);
+        const previous = new Int32Array(grid.cols * grid.rows).fill(-1);
+        const heap = new MinHeap();
+        costs[startIndex] = 0;
+        heap.push(startIndex, 0);
+
+        while (heap.size > 0) {
+            const { value: index, priority } = heap.pop();
+            if (priority > costs[index]) continue;
+            if (index === endIndex) break;
+
+            const col = index % grid.cols;
+            const row = Math.floor(index / grid.cols);
+            for (const { dc, dr, km } of neighbours) {
+                const nextCol = col + dc;
+                const nextRow = row + dr;
+                if (nextCol < 0 || nextRow < 0 || nextCol >= grid.cols || nextRow >= grid.rows) continue;
+
+                const next = cellIndex(nextCol, nextRow);
+                if (factors[next] === Infinity) continue;
+                const cost = costs[index] + km * (factors[index] + factors[next]) / 2;
+                if (cost < costs[next]) {
+                    costs[next] = cost;
+                    previous[next] = index;
+                    heap.push(next, cost);
+                }
+            }
+        }
+
+        if (costs[endIndex] === Infinity) {
+            return res.status(422).json({ error: 'No route found without crossing forbidden areas', forbidden });
+        }
+
+        const path = [];
+        for (let index = endIndex; index !== -1; index = previous[index]) path.unshift(index);
+
+        // Cost breakdown by the category of each traversed half-step
+        const breakdown = {};
+        const addToBreakdown = (index, km) => {
+            const entry = breakdown[categories[index]] || (breakdown[categories[index]] = { length_km: 0, cost: 0 });
+            entry.length_km += km;
+            entry.cost += km * factors[index];
+        };
+        for (let i = 1; i < path.length; i++) {
+            const km = Math.hypot(
+                (path[i] % grid.cols - path[i - 1] % grid.cols) * cellWidthKm,
+                (Math.floor(path[i] / grid.cols) - Math.floor(path[i - 1] / grid.cols)) * cellHeightKm
+            );
+            addToBreakdown(path[i - 1], km / 2);
+            addToBreakdown(path[i], km / 2);
+        }
+
+        const coordinates = [
+            [start.lng, start.lat],
+            ...path.slice(1, -1).map(index => [
+                grid.minLng + (index % grid.cols + 0.5) * grid.cellLng,
+                grid.minLat + (Math.floor(index / grid.cols) + 0.5) * grid.cellLat
+            ]),
+            [end.lng, end.lat]
         ];
 
-        for (const query of createQueries) {
-            await pool.query(query);
+        // Smooth the raster staircase and measure the final line
+        const grazeDeg = grid.cellM / grid.metresPerDegLng;
+        const routeResult = await pool.query(`
+            SELECT ST_AsGeoJSON(route)::json AS geometry, ST_Length(route::geography) / 1000 AS length_km
+            FROM (SELECT ST_SimplifyPreserveTopology(ST_SetSRID(ST_GeomFromGeoJSON($1), 4326), $2) AS route) r
+        `, [JSON.stringify({ type: 'LineString', coordinates }), grazeDeg / 2]);
+        const route = routeResult.rows[0];
+
+        // Exclusion zones the route crosses or passes within one cell of
+        const grazed = [];
+        for (const layer of ROUTING_COST_MODEL.exclusions) {
+            if (!(await tableExists(layer.table))) continue;
+            const result = await pool.query(`
+                WITH route AS (SELECT ST_SetSRID(ST_GeomFromGeoJSON($1), 4326) AS geom)
+                SELECT l.id, l.name,
+                       ST_Length(ST_Intersection(l.geom, route.geom)::geography) / 1000 AS inside_km,
+                       ST_Distance(l.geom::geography, route.geom::geography) AS distance_m
+                FROM ${layer.table} l, route
+                WHERE ST_DWithin(l.geom, route.geom, $2)
+                ORDER BY distance_m
+            `, [JSON.stringify(route.geometry), grazeDeg]);
+            result.rows.forEach(row => grazed.push({
+                layer: layer.table,
+                label: layer.label,
+                id: row.id,
+                name: row.name,
+                crosses: row.inside_km > 0,
+                inside_km: Math.round(row.inside_km * 100) / 100,
+                distance_m: Math.round(row.distance_m)
+            }));
+        }
+
+        const labels = Object.fromEntries([
+            ['open_land', 'Open land'],
+            ...ROUTING_COST_MODEL.corridors.map(layer => [layer.name, layer.label]),
+            ...ROUTING_COST_MODEL.exclusions.map(layer => [layer.name, layer.label])
+        ]);
+
+        res.json({
+            type: 'Feature',
+            geometry: route.geometry,
+            properties: {
+                from: start,
+                to: end,
+                length_km: Math.round(route.length_km * 100) / 100,
+                total_cost: Math.round(costs[endIndex] * 100) / 100,
+                cost_breakdown: Object.entries(breakdown).map(([category, entry]) => ({
+                    category,
+                    label: labels[category],
+                    length_km: Math.round(entry.length_km * 100) / 100,
+                    cost: Math.round(entry.cost * 100) / 100
+                })),
+                grazed_exclusion_zones: grazed,
+                parameters: {
+                    forbidden,
+                    corridor_width_m: corridorWidthM,
+                    cell_size_m: Math.round(grid.cellM),
+                    cost_factors: Object.fromEntries([
+                        ...ROUTING_COST_MODEL.corridors,
+                        ...ROUTING_COST_MODEL.exclusions
+                    ].map(layer => [layer.table, layer.factor]))
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error computing pipeline route:', error);
+        res.status(500).json({ error: 'Failed to compute pipeline route', details: error.message });
+    }
+});
+
+// Serialise rows as RFC 4180 CSV with the given column order
+const toCsv = (rows, columns) => {
+    const escape = (value) => {
+        if (value === null || value === undefined) return '';
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\r\n');
+};
+
+// Party share columns usable as a public-acceptance proxy
+const VOTING_SHARE_COLUMNS = [
+    'spo_percent', 'ovp_percent', 'fpo_percent', 'grune_percent',
+    'kpo_percent', 'neos_percent', 'left_green_combined'
+];
+
+// Default multi-criteria model; every value can be overridden per request
+const SUITABILITY_DEFAULTS = {
+    weights: { source: 0.3, infrastructure: 0.25, exclusion: 0.25, acceptance: 0.2 },
+    source_range_km: 50,
+    infrastructure_range_km: 30,
+    max_exclusion: 0.5,
+    acceptance_column: 'left_green_combined',
+    acceptance_invert: true
+};
+
+const SUITABILITY_EXPORT_COLUMNS = [
+    'id', 'longitude', 'latitude', 'score', 'excluded', 'source_score', 'infrastructure_score',
+    'exclusion_score', 'acceptance_score', 'dist_co2_source_km', 'dist_infrastructure_km',
+    'exclusion_fraction', 'excluded_by', 'acceptance_share'
+];
+
+// Composite suitability index over the precomputed grid (see rebuild_suitability_grid()).
+// Each criterion is scaled to 0..1; cells over max_exclusion are forced to 0. GeoJSON is paged
+// by cell id like the layer endpoints (limit, cursor); the summary always covers the whole grid.
+// acceptance_index takes the same <party>:<weight> list as the voting choropleth instead of a single
+// column, over the results of election= (the latest without it).
+app.get('/api/analysis/suitability', [
+    ...Object.keys(SUITABILITY_DEFAULTS.weights).map(name =>
+        query(`w_${name}`).optional().isFloat({ min: 0 }).withMessage(`w_${name} must be 0 or more`).toFloat()),
+    query('source_range_km').optional().isFloat({ gt: 0 }).withMessage('source_range_km must be positive').toFloat(),
+    query('infrastructure_range_km').optional().isFloat({ gt: 0 }).withMessage('infrastructure_range_km must be positive').toFloat(),
+    query('max_exclusion').optional().isFloat({ min: 0, max: 1 }).withMessage('max_exclusion must be between 0 and 1').toFloat(),
+    query('acceptance_column').optional().isIn(VOTING_SHARE_COLUMNS).withMessage(`acceptance_column must be one of: ${VOTING_SHARE_COLUMNS.join(', ')}`),
+    query('acceptance_index').optional().custom(value => { parseVotingIndex(value); return true; }),
+    query('election').optional().isLength({ min: 1, max: 50 }).withMessage('Invalid election code'),
+    query('acceptance_invert').optional().isBoolean().withMessage('acceptance_invert must be a boolean').toBoolean(),
+    query('bbox').optional().matches(/^-?\d+(\.\d+)?(,-?\d+(\.\d+)?){3}$/).withMessage('bbox must be minLng,minLat,maxLng,maxLat'),
+    query('format').optional().isIn(['geojson', 'csv']).withMessage('format must be geojson or csv'),
+    query('limit').optional().isInt({ min: 1, max: GEOJSON_MAX_LIMIT }).withMessage(`limit must be between 1 and ${GEOJSON_MAX_LIMIT}`).toInt(),
+    query('cursor').optional().isInt({ min: 0 }).withMessage('cursor must be a cell id').toInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        if (!(await tableExists('suitability_grid'))) {
+            return res.status(404).json({ error: 'Suitability grid has not been built' });
+        }
+
+        const rawWeights = Object.fromEntries(Object.entries(SUITABILITY_DEFAULTS.weights).map(([name, weight]) =>
+            [name, req.query[`w_${name}`] ?? weight]));
+        const weightSum = Object.values(rawWeights).reduce((sum, weight) => sum + weight, 0);
+        if (weightSum <= 0) {
+            return res.status(400).json({ error: 'At least one weight must be positive' });
+        }
+        const weights = Object.fromEntries(Object.entries(rawWeights).map(([name, weight]) => [name, weight / weightSum]));
+
+        const acceptanceIndex = req.query.acceptance_index
+            ? await resolveVotingIndex(res, { index: req.query.acceptance_index, election: req.query.election })
+            : null;
+        if (req.query.acceptance_index && !acceptanceIndex) return;
+
+        const model = {
+            weights,
+            source_range_km: req.query.source_range_km || SUITABILITY_DEFAULTS.source_range_km,
+            infrastructure_range_km: req.query.infrastructure_range_km || SUITABILITY_DEFAULTS.infrastructure_range_km,
+            max_exclusion: req.query.max_exclusion ?? SUITABILITY_DEFAULTS.max_exclusion,
+            acceptance_column: req.query.acceptance_column || SUITABILITY_DEFAULTS.acceptance_column,
+            acceptance_index: acceptanceIndex ? acceptanceIndex.weights : null,
+            acceptance_election: acceptanceIndex && acceptanceIndex.election ? acceptanceIndex.election.code : null,
+            acceptance_invert: req.query.acceptance_invert ?? SUITABILITY_DEFAULTS.acceptance_invert
+        };
+
+        const params = [];
+        let bboxFilter = '';
+        if (req.query.bbox) {
+            params.push(...req.query.bbox.split(',').map(Number));
+            bboxFilter = 'AND g.geom && ST_MakeEnvelope($1, $2, $3, $4, 4326)';
+        }
+
+        const acceptanceJoin = acceptanceIndex
+            ? `LEFT JOIN ${votingIndexSubquery(acceptanceIndex, params)} vi ON vi.gkz = v.gkz`
+            : '';
+
+        const isCsv = req.query.format === 'csv';
+        const result = await pool.query(`
+            SELECT g.id, g.cell_size_m,
+                   ST_X(g.centroid) AS longitude, ST_Y(g.centroid) AS latitude,
+                   g.dist_co2_source_km::float AS dist_co2_source_km,
+                   LEAST(g.dist_pipeline_km, g.dist_compressor_km)::float AS dist_infrastructure_km,
+                   g.exclusion_fraction::float AS exclusion_fraction,
+                   g.excluded_by,
+                   ${acceptanceIndex ? 'vi.index_value' : `v.${model.acceptance_column}`}::float AS acceptance_share
+            FROM suitability_grid g
+            LEFT JOIN voting_districts v ON v.id = g.voting_district_id
+            ${acceptanceJoin}
+            WHERE g.geom IS NOT NULL ${bboxFilter}
+            ORDER BY g.id
+        `, params);
+
+        const proximity = (distance, range) => (distance === null ? 0 : Math.max(0, 1 - distance / range));
+        const round = (value) => Math.round(value * 1000) / 1000;
+
+        const cells = result.rows.map(cell => {
+            const acceptance = cell.acceptance_share === null
+                ? 0.5 // no voting data: neutral
+                : Math.min(Math.max(cell.acceptance_share / 100, 0), 1);
+            const scores = {
+                source_score: proximity(cell.dist_co2_source_km, model.source_range_km),
+                infrastructure_score: proximity(cell.dist_infrastructure_km, model.infrastructure_range_km),
+                exclusion_score: 1 - (cell.exclusion_fraction || 0),
+                acceptance_score: model.acceptance_invert ? 1 - acceptance : acceptance
+            };
+            const excluded = (cell.exclusion_fraction || 0) > model.max_exclusion;
+            const score = excluded ? 0 :
+                weights.source * scores.source_score +
+                weights.infrastructure * scores.infrastructure_score +
+                weights.exclusion * scores.exclusion_score +
+                weights.acceptance * scores.acceptance_score;
+
+            return {
+                ...cell,
+                ...Object.fromEntries(Object.entries(scores).map(([name, value]) => [name, round(value)])),
+                score: round(score),
+                excluded
+            };
+        });
+
+        if (isCsv) {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', 'attachment; filename="suitability.csv"');
+            return res.send(toCsv(cells.map(cell => ({ ...cell, excluded_by: (cell.excluded_by || []).join(';') })), SUITABILITY_EXPORT_COLUMNS));
+        }
+
+        // A fine grid has hundreds of thousands of cells: fold the summary rather than spreading scores
+        let scoredCount = 0;
+        let scoreSum = 0;
+        let maxScore = null;
+        for (const cell of cells) {
+            if (cell.excluded) continue;
+            scoredCount++;
+            scoreSum += cell.score;
+            if (maxScore === null || cell.score > maxScore) maxScore = cell.score;
+        }
+
+        const limit = req.query.limit || GEOJSON_MAX_LIMIT;
+        const cursor = req.query.cursor;
+        const remaining = cursor === undefined ? cells : cells.filter(cell => cell.id > cursor);
+        const page = remaining.slice(0, limit);
+        const geometryResult = await pool.query(
+            'SELECT id, ST_AsGeoJSON(geom, 5)::json AS geometry FROM suitability_grid WHERE id = ANY($1)',
+            [page.map(cell => cell.id)]
+        );
+        const geometries = new Map(geometryResult.rows.map(row => [row.id, row.geometry]));
+
+        res.json({
+            type: 'FeatureCollection',
+            numberMatched: cells.length,
+            numberReturned: page.length,
+            features: page.map(properties => ({ type: 'Feature', id: properties.id, geometry: geometries.get(properties.id), properties })),
+            links: featurePageLinks(req, limit, cursor, remaining.length > limit ? page[page.length - 1].id : undefined),
+            model,
+            summary: {
+                cell_count: cells.length,
+                excluded_count: cells.length - scoredCount,
+                mean_score: scoredCount > 0 ? round(scoreSum / scoredCount) : null,
+                max_score: maxScore
+            }
+        });
+    } catch (error) {
+        console.error('Error computing suitability:', error);
+        res.status(500).json({ error: 'Failed to compute suitability', details: error.message });
+    }
+});
+
+// Layers reported by the area summary. Point layers count features (and sum the listed columns),
+// line layers measure length inside the area, polygon layers measure intersected area.
+const AREA_SUMMARY_LAYERS = [
+    { table: 'co2_sources', label: 'CO₂ Sources', kind: 'point', sums: ['total_co2_t', 'fossil_co2_t', 'biogenic_co2_t'] },
+    ...Object.values(pointLayers).map(layer => ({
+        table: layer.table,
+        label: layer.label,
+        kind: 'point',
+        sums: layer.fields.filter(field => field.name === 'capacity_bcm').map(field => field.name)
+    })),
+    { table: 'gas_pipelines', label: 'Gas Pipelines', kind: 'line' },
+    { table: 'highways', label: 'Highways', kind: 'line' },
+    { table: 'railways', label: 'Railways', kind: 'line' },
+    { table: 'settlement_areas', label: 'Settlement Areas', kind: 'polygon' },
+    { table: 'conservation_areas', label: 'Conservation Areas', kind: 'polygon' },
+    { table: 'groundwater_protection', label: 'Groundwater Protection', kind: 'polygon' }
+];
+
+const AREA_SUMMARY_CSV_COLUMNS = [
+    'layer', 'label', 'kind', 'count', 'length_km', 'area_km2', 'coverage_percent',
+    'total_co2_t', 'fossil_co2_t', 'biogenic_co2_t', 'capacity_bcm'
+];
+
+const areaSummaryQuery = (layer) => {
+    if (layer.kind === 'point') {
+        const sums = (layer.sums || []).map(column => `COALESCE(SUM(l.${column}), 0)::float AS ${column}`);
+        return `
+            SELECT COUNT(*)::int AS count${sums.length > 0 ? `, ${sums.join(', ')}` : ''}
+            FROM ${layer.table} l, area
+            WHERE l.geom && area.geom AND ST_Intersects(l.geom, area.geom)
+        `;
+    }
+    if (layer.kind === 'line') {
+        return `
+            SELECT COUNT(*)::int AS count,
+                   COALESCE(SUM(ST_Length(ST_Intersection(l.geom, area.geom)::geography)), 0) / 1000 AS length_km
+            FROM ${layer.table} l, area
+            WHERE l.geom && area.geom AND ST_Intersects(l.geom, area.geom)
+        `;
+    }
+    // Union first so overlapping polygons are not counted twice
+    return `
+        SELECT COUNT(*)::int AS count,
+               COALESCE(ST_Area(ST_Union(ST_Intersection(ST_MakeValid(l.geom), area.geom))::geography), 0) / 1e6 AS area_km2
+        FROM ${layer.table} l, area
+        WHERE l.geom && area.geom AND ST_Intersects(l.geom, area.geom)
+    `;
+};
+
+// "What's inside this area": per-layer counts, emission sums, line lengths and polygon coverage
+// for a GeoJSON Polygon/MultiPolygon (or a Feature wrapping one)
+app.post('/api/analysis/area-summary', [
+    body('geometry').custom(value => {
+        const geometry = value && value.type === 'Feature' ? value.geometry : value;
+        if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+            throw new Error('geometry must be a GeoJSON Polygon or MultiPolygon');
+        }
+        return true;
+    }),
+    query('format').optional().isIn(['json', 'csv']).withMessage('format must be json or csv')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const geometry = req.body.geometry.type === 'Feature' ? req.body.geometry.geometry : req.body.geometry;
+        const areaCte = 'WITH area AS (SELECT ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON($1), 4326)) AS geom)';
+        const geometryParam = JSON.stringify(geometry);
+
+        const areaResult = await pool.query(
+            `${areaCte} SELECT ST_Area(geom::geography) / 1e6 AS area_km2, ST_IsEmpty(geom) AS empty FROM area`,
+            [geometryParam]
+        );
+        const { area_km2: areaKm2, empty } = areaResult.rows[0];
+        if (empty || !(areaKm2 > 0)) {
+            return res.status(400).json({ error: 'The drawn area is empty' });
+        }
+
+        const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+        const layers = [];
+        for (const layer of AREA_SUMMARY_LAYERS) {
+            if (!(await tableExists(layer.table))) continue;
+
+            const result = await pool.query(`${areaCte} ${areaSummaryQuery(layer)}`, [geometryParam]);
+            const row = result.rows[0];
+            const summary = { layer: layer.table, label: layer.label, kind: layer.kind, count: row.count };
+
+            (layer.sums || []).forEach(column => { summary[column] = round(row[column]); });
+            if (layer.kind === 'line') summary.length_km = round(row.length_km);
+            if (layer.kind === 'polygon') {
+                summary.area_km2 = round(row.area_km2);
+                summary.coverage_percent = round(row.area_km2 / areaKm2 * 100, 1);
+            }
+            layers.push(summary);
+        }
+
+        if (req.query.format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', 'attachment; filename="area-summary.csv"');
+            return res.send(toCsv(layers, AREA_SUMMARY_CSV_COLUMNS));
+        }
+
+        res.json({ area_km2: round(areaKm2), layers });
+    } catch (error) {
+        console.error('Error computing area summary:', error);
+        res.status(500).json({ error: 'Failed to compute area summary', details: error.message });
+    }
+});
+
+// Austria Lambert (MGI), metric CRS for distance and buffer work
+const METRIC_SRID = 31287;
+
+// What the proximity query reports around a feature: the nearest pipeline (at any distance),
+// infrastructure points inside the radius and exclusion zones the buffer touches
+const PROXIMITY_LAYERS = {
+    pipeline: { table: 'gas_pipelines', label: 'Gas Pipelines' },
+    nearby: ['compressor_stations', 'gas_storage_sites'].map(table => ({
+        table,
+        label: pointLayers[table].label,
+        nameColumn: pointLayers[table].fields[0].name
+    })),
+    exclusions: [
+        { table: 'settlement_areas', label: 'Settlement Areas' },
+        { table: 'groundwater_protection', label: 'Groundwater Protection' },
+        { table: 'conservation_areas', label: 'Conservation Areas' }
+    ]
+};
+
+// $1/$2 centre lng/lat, $3 radius in metres. The search box lets the 4326 GIST indexes prefilter
+// before the exact ST_DWithin in metres; segmentizing keeps its edges true after reprojection.
+const PROXIMITY_CTE = `
+    WITH centre AS (
+        SELECT ST_SetSRID(ST_MakePoint($1::float, $2::float), 4326) AS geom,
+               ST_Transform(ST_SetSRID(ST_MakePoint($1::float, $2::float), 4326), ${METRIC_SRID}) AS geom_m
+    ),
+    search AS (
+        SELECT ST_Transform(ST_Segmentize(ST_Expand(geom_m, $3::float), $3::float / 8), 4326) AS box,
+               ST_Buffer(geom_m, $3::float, 32) AS buffer_m
+        FROM centre
+    )
+`;
+
+// "What's nearby" for a point feature ("layer:id" or "lng,lat") within radius_km
+app.get('/api/analysis/proximity', [
+    routeEndpointValidator('feature'),
+    query('radius_km').optional().isFloat({ min: 0.1, max: 100 }).withMessage('radius_km must be between 0.1 and 100').toFloat()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const centre = await resolveRouteEndpoint(req.query.feature);
+        if (!centre) {
+            return res.status(404).json({ error: 'Feature not found or has no geometry' });
+        }
+
+        const radiusKm = req.query.radius_km ?? 10;
+        const params = [centre.lng, centre.lat, radiusKm * 1000];
+        const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+        const bufferResult = await pool.query(
+            `${PROXIMITY_CTE} SELECT ST_AsGeoJSON(ST_Transform(buffer_m, 4326), 6)::json AS geometry FROM search`,
+            params
+        );
+
+        // KNN on the geographic index picks candidates, the metric distance decides between them
+        let nearestPipeline = null;
+        if (await tableExists(PROXIMITY_LAYERS.pipeline.table)) {
+            const pipelineResult = await pool.query(`
+                ${PROXIMITY_CTE}
+                SELECT c.id, c.name, c.operator,
+                       ST_Distance(c.geom_m, centre.geom_m) / 1000 AS distance_km,
+                       ST_AsGeoJSON(ST_Transform(ST_ClosestPoint(c.geom_m, centre.geom_m), 4326), 6)::json AS closest_point
+                FROM (
+                    SELECT l.id, l.name, l.operator, ST_Transform(l.geom, ${METRIC_SRID}) AS geom_m
+                    FROM ${PROXIMITY_LAYERS.pipeline.table} l, centre
+                    WHERE l.geom IS NOT NULL
+                    ORDER BY l.geom <-> centre.geom
+                    LIMIT 10
+                ) c, centre
+                ORDER BY distance_km
+                LIMIT 1
+            `, params);
+
+            const row = pipelineResult.rows[0];
+            if (row) {
+                nearestPipeline = {
+                    id: row.id,
+                    name: row.name,
+                    operator: row.operator,
+                    distance_km: round(row.distance_km),
+                    within_radius: row.distance_km <= radiusKm,
+                    closest_point: row.closest_point
+                };
+            }
+        }
+
+        const nearby = [];
+        for (const layer of PROXIMITY_LAYERS.nearby) {
+            if (!(await tableExists(layer.table))) continue;
+
+            // Leave the selected feature out of its own neighbourhood
+            const excludeSelf = centre.table === layer.table;
+            const result = await pool.query(`
+                ${PROXIMITY_CTE}
+                SELECT l.id, l.${layer.nameColumn} AS name, ST_X(l.geom) AS lng, ST_Y(l.geom) AS lat,
+                       ST_Distance(ST_Transform(l.geom, ${METRIC_SRID}), centre.geom_m) / 1000 AS distance_km
+                FROM ${layer.table} l, centre, search
+                WHERE l.geom && search.box
+                  AND ST_DWithin(ST_Transform(l.geom, ${METRIC_SRID}), centre.geom_m, $3::float)
+                  ${excludeSelf ? 'AND l.id <> $4' : ''}
+                ORDER BY distance_km
+            `, excludeSelf ? [...params, centre.id] : params);
+
+            nearby.push({
+                layer: layer.table,
+                label: layer.label,
+                features: result.rows.map(row => ({ ...row, distance_km: round(row.distance_km) }))
+            });
+        }
+
+        const exclusions = [];
+        for (const layer of PROXIMITY_LAYERS.exclusions) {
+            if (!(await tableExists(layer.table))) continue;
+
+            const result = await pool.query(`
+                ${PROXIMITY_CTE}
+                SELECT COUNT(*)::int AS count,
+                       COALESCE(ST_Area(ST_Union(ST_Intersection(ST_Transform(ST_MakeValid(l.geom), ${METRIC_SRID}), search.buffer_m))), 0) / 1e6 AS overlap_km2
+                FROM ${layer.table} l, centre, search
+                WHERE l.geom && search.box
+                  AND ST_DWithin(ST_Transform(l.geom, ${METRIC_SRID}), centre.geom_m, $3::float)
+            `, params);
+
+            const row = result.rows[0];
+            exclusions.push({
+                layer: layer.table,
+                label: layer.label,
+                intersects: row.count > 0,
+                count: row.count,
+                overlap_km2: round(row.overlap_km2)
+            });
+        }
+
+        res.json({
+            centre,
+            radius_km: radiusKm,
+            buffer: bufferResult.rows[0].geometry,
+            nearest_pipeline: nearestPipeline,
+            nearby,
+            exclusions
+        });
+    } catch (error) {
+        console.error('Error running proximity analysis:', error);
+        res.status(500).json({ error: 'Failed to run proximity analysis', details: error.message });
+    }
+});
+
+// ========================================
+// OGC API - FEATURES
+// ========================================
+
+const OGC_CRS84 = 'http://www.opengis.net/def/crs/OGC/1.3/CRS84';
+const OGC_CONFORMANCE = [
+    'http://www.opengis.net/spec/ogcapi-features-1/1.0/conf/core',
+    'http://www.opengis.net/spec/ogcapi-features-1/1.0/conf/geojson',
+    'http://www.opengis.net/spec/ogcapi-features-1/1.0/conf/oas30'
+];
+const OGC_DEFAULT_LIMIT = 100;
+const OGC_MAX_LIMIT = 10000;
+// Query parameters every items request may carry besides property filters
+const OGC_ITEMS_PARAMS = ['bbox', 'limit', 'offset', 'datetime', 'f', 'province'];
+
+// Collections mirror the layer definitions above, so a field added to a layer shows up here too
+const ogcCollections = {
+    co2_sources: {
+        table: 'co2_sources',
+        title: 'CO₂ Sources',
+        properties: ['plant_name', 'plant_type', 'total_co2_t', 'fossil_co2_t', 'biogenic_co2_t', 'comment', 'is_prominent']
+    },
+    voting_districts: {
+        table: 'voting_districts',
+        title: 'Voting Districts',
+        properties: ['gkz', 'name', ...VOTING_SHARE_COLUMNS]
+    },
+    ...Object.fromEntries(Object.values(pointLayers).map(layer => [layer.table, {
+        table: layer.table,
+        title: layer.label,
+        properties: layer.fields.map(field => field.name)
+    }])),
+    ...Object.fromEntries([...Object.values(lineLayers), ...Object.values(polygonLayers)].map(layer => [layer.table, {
+        table: layer.table,
+        title: layer.label,
+        properties: layer.attributes
+    }]))
+};
+
+const ogcBaseUrl = (req) => `${requestOrigin(req)}/ogc`;
+
+// JSON Schema types for the collection properties, read from the database once per table
+const ogcPropertyTypeCache = new Map();
+const ogcPropertyTypes = async (collection) => {
+    if (!ogcPropertyTypeCache.has(collection.table)) {
+        const result = await pool.query(`
+            SELECT column_name, data_type
+            FROM information_schema.columns
+            WHERE table_schema = 'public' AND table_name = $1
+        `, [collection.table]);
+        const jsonType = (dataType) => {
+            if (['integer', 'smallint', 'bigint'].includes(dataType)) return 'integer';
+            if (['numeric', 'real', 'double precision'].includes(dataType)) return 'number';
+            if (dataType === 'boolean') return 'boolean';
+            return 'string';
+        };
+        ogcPropertyTypeCache.set(collection.table, Object.fromEntries(
+            result.rows.map(row => [row.column_name, jsonType(row.data_type)])
+        ));
+    }
+    const types = ogcPropertyTypeCache.get(collection.table);
+    return Object.fromEntries(collection.properties.map(name => [name, types[name] || 'string']));
+};
+
+const ogcCollectionMetadata = async (req, id, collection) => {
+    const base = ogcBaseUrl(req);
+    const extentResult = await pool.query(`
+        SELECT ST_XMin(e) AS xmin, ST_YMin(e) AS ymin, ST_XMax(e) AS xmax, ST_YMax(e) AS ymax
+        FROM (SELECT ST_Extent(geom) AS e FROM ${collection.table}) extent
+    `);
+    const extent = extentResult.rows[0];
+
+    return {
+        id,
+        title: collection.title,
+        itemType: 'feature',
+        crs: [OGC_CRS84],
+        ...(extent && extent.xmin !== null ? {
+            extent: {
+                spatial: {
+                    bbox: [[extent.xmin, extent.ymin, extent.xmax, extent.ymax]],
+                    crs: OGC_CRS84
+                }
+            }
+        } : {}),
+        links: [
+            { href: `${base}/collections/${id}`, rel: 'self', type: 'application/json', title: 'This collection' },
+            { href: `${base}/collections/${id}/items`, rel: 'items', type: 'application/geo+json', title: `${collection.title} features` }
+        ]
+    };
+};
+
+// Looks up :collectionId and skips collections whose table has not been imported
+const resolveOgcCollection = async (req, res, next) => {
+    const collection = Object.hasOwn(ogcCollections, req.params.collectionId) ? ogcCollections[req.params.collectionId] : null;
+    if (!collection || !(await tableExists(collection.table))) {
+        return res.status(404).json({ error: `Collection not found: ${req.params.collectionId}` });
+    }
+    req.ogcCollection = collection;
+    next();
+};
+
+const toOgcFeature = (row, properties) => ({
+    type: 'Feature',
+    id: row.id,
+    geometry: row.geometry,
+    properties: Object.fromEntries(properties.map(name => [name, row[name]]))
+});
+
+app.get('/ogc', (req, res) => {
+    const base = ogcBaseUrl(req);
+    res.json({
+        title: 'CO₂ Storage Atlas',
+        description: 'Atlas layers as an OGC API - Features service',
+        links: [
+            { href: base, rel: 'self', type: 'application/json', title: 'This document' },
+            { href: `${base}/api`, rel: 'service-desc', type: 'application/vnd.oai.openapi+json;version=3.0', title: 'API definition' },
+            { href: `${base}/conformance`, rel: 'conformance', type: 'application/json', title: 'Conformance classes' },
+            { href: `${base}/collections`, rel: 'data', type: 'application/json', title: 'Feature collections' }
+        ]
+    });
+});
+
+app.get('/ogc/conformance', (req, res) => {
+    res.json({ conformsTo: OGC_CONFORMANCE });
+});
+
+app.get('/ogc/api', async (req, res) => {
+    try {
+        const paths = {
+            '/': { get: { summary: 'Landing page', responses: { 200: { description: 'Links to the API resources' } } } },
+            '/conformance': { get: { summary: 'Conformance classes', responses: { 200: { description: 'Implemented conformance classes' } } } },
+            '/collections': { get: { summary: 'Feature collections', responses: { 200: { description: 'Collection metadata' } } } }
+        };
+
+        for (const [id, collection] of Object.entries(ogcCollections)) {
+            if (!(await tableExists(collection.table))) continue;
+
+            const types = await ogcPropertyTypes(collection);
+            paths[`/collections/${id}`] = {
+                get: { summary: `${collection.title} metadata`, responses: { 200: { description: 'Collection metadata' } } }
+            };
+            paths[`/collections/${id}/items`] = {
+                get: {
+                    summary: `${collection.title} features`,
+                    parameters: [
+                        { name: 'bbox', in: 'query', style: 'form', explode: false, schema: { type: 'array', minItems: 4, maxItems: 4, items: { type: 'number' } } },
+                        { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: OGC_MAX_LIMIT, default: OGC_DEFAULT_LIMIT } },
+                        { name: 'offset', in: 'query', schema: { type: 'integer', minimum: 0, default: 0 } },
+                        { name: 'datetime', in: 'query', schema: { type: 'string' } },
+                        { name: 'province', in: 'query', description: 'Only features in this area-of-interest province (see /api/provinces)', schema: { type: 'string' } },
+                        ...Object.entries(types).map(([name, type]) => ({ name, in: 'query', schema: { type } }))
+                    ],
+                    responses: { 200: { description: 'GeoJSON FeatureCollection', content: { 'application/geo+json': {} } } }
+                }
+            };
+            paths[`/collections/${id}/items/{featureId}`] = {
+                get: {
+                    summary: `Single ${collection.title} feature`,
+                    parameters: [{ name: 'featureId', in: 'path', required: true, schema: { type: 'integer' } }],
+                    responses: {
+                        200: { description: 'GeoJSON Feature', content: { 'application/geo+json': {} } },
+                        404: { description: 'Feature not found' }
+                    }
+                }
+            };
+        }
+
+        res.type('application/vnd.oai.openapi+json;version=3.0').send(JSON.stringify({
+            openapi: '3.0.3',
+            info: { title: 'CO₂ Storage Atlas - OGC API Features', version: '1.0.0' },
+            servers: [{ url: ogcBaseUrl(req) }],
+            paths
+        }));
+    } catch (error) {
+        console.error('Error building OGC API definition:', error);
+        res.status(500).json({ error: 'Failed to build API definition', details: error.message });
+    }
+});
+
+app.get('/ogc/collections', async (req, res) => {
+    try {
+        const base = ogcBaseUrl(req);
+        const collections = [];
+        for (const [id, collection] of Object.entries(ogcCollections)) {
+            if (!(await tableExists(collection.table))) continue;
+            collections.push(await ogcCollectionMetadata(req, id, collection));
+        }
+
+        res.json({
+            links: [{ href: `${base}/collections`, rel: 'self', type: 'application/json', title: 'This document' }],
+            collections
+        });
+    } catch (error) {
+        console.error('Error listing OGC collections:', error);
+        res.status(500).json({ error: 'Failed to list collections', details: error.message });
+    }
+});
+
+app.get('/ogc/collections/:collectionId', resolveOgcCollection, async (req, res) => {
+    try {
+        res.json(await ogcCollectionMetadata(req, req.params.collectionId, req.ogcCollection));
+    } catch (error) {
+        console.error('Error fetching OGC collection:', error);
+        res.status(500).json({ error: 'Failed to fetch collection', details: error.message });
+    }
+});
+
+app.get('/ogc/collections/:collectionId/items', resolveOgcCollection, [
+    query('limit').optional().isInt({ min: 1, max: OGC_MAX_LIMIT }).withMessage(`limit must be between 1 and ${OGC_MAX_LIMIT}`).toInt(),
+    query('offset').optional().isInt({ min: 0 }).withMessage('offset must be a non-negative integer').toInt(),
+    query('bbox').optional().custom(value => {
+        const values = String(value).split(',').map(Number);
+        if (values.length !== 4 || values.some(Number.isNaN)) {
+            throw new Error('bbox must be minLng,minLat,maxLng,maxLat');
+        }
+        return true;
+    })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const id = req.params.collectionId;
+        const collection = req.ogcCollection;
+
+        // The spec requires unknown parameters to be rejected rather than silently ignored
+        const unknown = Object.keys(req.query).filter(name => !OGC_ITEMS_PARAMS.includes(name) && !collection.properties.includes(name));
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Unknown query parameters: ${unknown.join(', ')}`, allowed: [...OGC_ITEMS_PARAMS, ...collection.properties] });
+        }
+
+        const limit = req.query.limit ?? OGC_DEFAULT_LIMIT;
+        const offset = req.query.offset ?? 0;
+        const conditions = ['geom IS NOT NULL'];
+        const params = [];
+
+        if (req.query.bbox) {
+            const [minLng, minLat, maxLng, maxLat] = req.query.bbox.split(',').map(Number);
+            params.push(minLng, minLat, maxLng, maxLat);
+            conditions.push(`geom && ST_MakeEnvelope($${params.length - 3}, $${params.length - 2}, $${params.length - 1}, $${params.length}, 4326)`);
+        }
+        if (!(await applyProvinceFilter(req, res, conditions, params))) return;
+
+        // Property filters compare as text so one code path covers numbers, booleans and strings
+        collection.properties.forEach(name => {
+            if (req.query[name] !== undefined) {
+                params.push(String(req.query[name]));
+                conditions.push(`${name}::text = $${params.length}`);
+            }
+        });
+
+        const where = conditions.join(' AND ');
+        const [countResult, result] = await Promise.all([
+            pool.query(`SELECT COUNT(*)::int AS count FROM ${collection.table} WHERE ${where}`, params),
+            pool.query(`
+                SELECT id, ${collection.properties.join(', ')}, ST_AsGeoJSON(geom, 7)::json AS geometry
+                FROM ${collection.table}
+                WHERE ${where}
+                ORDER BY id
+                LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+            `, [...params, limit, offset])
+        ]);
+
+        const numberMatched = countResult.rows[0].count;
+        const base = ogcBaseUrl(req);
+        const pageUrl = (pageOffset) => {
+            const pageQuery = new URLSearchParams({ ...req.query, limit, offset: pageOffset });
+            return `${base}/collections/${id}/items?${pageQuery}`;
+        };
+        const links = [
+            { href: pageUrl(offset), rel: 'self', type: 'application/geo+json', title: 'This page' },
+            { href: `${base}/collections/${id}`, rel: 'collection', type: 'application/json', title: collection.title }
+        ];
+        if (offset + result.rows.length < numberMatched) {
+            links.push({ href: pageUrl(offset + limit), rel: 'next', type: 'application/geo+json', title: 'Next page' });
+        }
+        if (offset > 0) {
+            links.push({ href: pageUrl(Math.max(offset - limit, 0)), rel: 'prev', type: 'application/geo+json', title: 'Previous page' });
+        }
+
+        res.type('application/geo+json').send(JSON.stringify({
+            type: 'FeatureCollection',
+            timeStamp: new Date().toISOString(),
+            numberMatched,
+            numberReturned: result.rows.length,
+            features: result.rows.map(row => toOgcFeature(row, collection.properties)),
+            links
+        }));
+    } catch (error) {
+        console.error('Error fetching OGC items:', error);
+        res.status(500).json({ error: 'Failed to fetch features', details: error.message });
+    }
+});
+
+app.get('/ogc/collections/:collectionId/items/:featureId', resolveOgcCollection, [
+    param('featureId').isInt({ min: 1 }).withMessage('featureId must be a positive integer')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(404).json({ error: `Feature not found: ${req.params.featureId}` });
+        }
+
+        const collection = req.ogcCollection;
+        const result = await pool.query(`
+            SELECT id, ${collection.properties.join(', ')}, ST_AsGeoJSON(geom, 7)::json AS geometry
+            FROM ${collection.table}
+            WHERE id = $1 AND geom IS NOT NULL
+        `, [req.params.featureId]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: `Feature not found: ${req.params.featureId}` });
+        }
+
+        const base = ogcBaseUrl(req);
+        const feature = toOgcFeature(result.rows[0], collection.properties);
+        feature.links = [
+            { href: `${base}/collections/${req.params.collectionId}/items/${feature.id}`, rel: 'self', type: 'application/geo+json', title: 'This feature' },
+            { href: `${base}/collections/${req.params.collectionId}`, rel: 'collection', type: 'application/json', title: collection.title }
+        ];
+        res.type('application/geo+json').send(JSON.stringify(feature));
+    } catch (error) {
+        console.error('Error fetching OGC feature:', error);
+        res.status(500).json({ error: 'Failed to fetch feature', details: error.message });
+    }
+});
+
+// ========================================
+// FEATURE IDENTIFY
+// ========================================
+
+// Click tolerance for point and line layers; polygons must contain the point
+const IDENTIFY_TOLERANCE_PX = 6;
+const IDENTIFY_MAX_FEATURES = 20;
+
+// GetFeatureInfo-style lookup: every feature under a clicked point across the requested layers,
+// returned in the order the layers were requested (top-most first)
+app.get('/api/identify', [
+    query('lat').isFloat({ min: -90, max: 90 }).withMessage('lat must be a valid latitude').toFloat(),
+    query('lng').isFloat({ min: -180, max: 180 }).withMessage('lng must be a valid longitude').toFloat(),
+    query('zoom').optional().isInt({ min: 0, max: TILE_MAX_ZOOM }).withMessage(`zoom must be between 0 and ${TILE_MAX_ZOOM}`).toInt(),
+    query('layers').notEmpty().withMessage('layers must list at least one layer')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const requested = req.query.layers.split(',').map(name => name.trim()).filter(Boolean);
+        const unknown = requested.filter(name => !Object.hasOwn(ogcCollections, name));
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Unknown layers: ${unknown.join(', ')}`, allowed: Object.keys(ogcCollections) });
+        }
+
+        const { lat, lng } = req.query;
+        const zoom = req.query.zoom ?? 12;
+        // One Web Mercator pixel spans 360 / (256 * 2^zoom) degrees of longitude
+        const toleranceDeg = IDENTIFY_TOLERANCE_PX * 360 / (256 * 2 ** zoom);
+
+        const layers = [];
+        for (const name of requested) {
+            const collection = ogcCollections[name];
+            if (!(await tableExists(collection.table))) continue;
+
+            const isPolygon = vectorTileLayers[name].geometry === 'polygon';
+            const result = await pool.query(`
+                SELECT id, ${collection.properties.join(', ')}
+                FROM ${collection.table}, (SELECT ST_SetSRID(ST_MakePoint($1, $2), 4326) AS pt) click
+                WHERE ${isPolygon
+                    ? 'geom && click.pt AND ST_Intersects(geom, click.pt)'
+                    : 'ST_DWithin(geom, click.pt, $3)'}
+                ORDER BY geom <-> click.pt
+                LIMIT ${IDENTIFY_MAX_FEATURES}
+            `, isPolygon ? [lng, lat] : [lng, lat, toleranceDeg]);
+
+            if (result.rows.length > 0) {
+                layers.push({ layer: name, title: collection.title, features: result.rows });
+            }
+        }
+
+        res.json({ lat, lng, layers });
+    } catch (error) {
+        console.error('Error identifying features:', error);
+        res.status(500).json({ error: 'Failed to identify features', details: error.message });
+    }
+});
+
+// ========================================
+// LAYER EXPORT
+// ========================================
+
+// Geometry encoding each export format needs from PostGIS
+const EXPORT_FORMATS = {
+    geojson: { extension: 'geojson', contentType: 'application/geo+json', geometry: 'ST_AsGeoJSON(geom, 7)::json AS geometry' },
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8', geometry: 'ST_AsText(geom) AS wkt' },
+    kml: { extension: 'kml', contentType: 'application/vnd.google-earth.kml+xml', geometry: 'ST_AsKML(geom, 7) AS kml' },
+    // Shapefile rings run clockwise around the outside
+    shp: { extension: 'zip', contentType: 'application/zip', geometry: 'ST_AsGeoJSON(ST_ForcePolygonCW(geom), 7)::json AS geometry' },
+    gpkg: { extension: 'gpkg', contentType: 'application/geopackage+sqlite3', geometry: 'ST_AsBinary(geom, \'NDR\') AS wkb' }
+};
+
+const exportFormatValidator = query('format').optional().isIn(Object.keys(EXPORT_FORMATS))
+    .withMessage(`format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+
+const loadExportLayer = async (name, format, bbox) => {
+    const collection = ogcCollections[name];
+    const types = await ogcPropertyTypes(collection);
+    const conditions = ['geom IS NOT NULL'];
+    const params = [];
+
+    if (bbox) {
+        const [minLng, minLat, maxLng, maxLat] = bbox.split(',').map(Number);
+        if (!isNaN(minLng) && !isNaN(minLat) && !isNaN(maxLng) && !isNaN(maxLat)) {
+            conditions.push(`geom && ST_MakeEnvelope($1, $2, $3, $4, 4326)`);
+            params.push(minLng, minLat, maxLng, maxLat);
+        }
+    }
+
+    const result = await pool.query(`
+        SELECT id, ${collection.properties.join(', ')}, ${EXPORT_FORMATS[format].geometry}
+        FROM ${collection.table}
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY id
+    `, params);
+
+    return {
+        name,
+        title: collection.title,
+        geometryType: vectorTileLayers[name].geometry,
+        fields: [{ name: 'id', type: 'integer' }, ...Object.entries(types).map(([field, type]) => ({ name: field, type }))],
+        rows: result.rows
+    };
+};
+
+// Files making up one layer in the given format
+const exportLayerFiles = (layer, format) => {
+    const fieldNames = layer.fields.map(field => field.name);
+    switch (format) {
+        case 'csv':
+            return [{ filename: `${layer.name}.csv`, content: toCsv(layer.rows, [...fieldNames, 'wkt']) }];
+        case 'kml':
+            return [{ filename: `${layer.name}.kml`, content: buildKml(layer.title, layer.fields, layer.rows) }];
+        case 'shp':
+            return Object.entries(buildShapefile(layer.geometryType, layer.fields, layer.rows))
+                .map(([extension, content]) => ({ filename: `${layer.name}.${extension}`, content }));
+        case 'gpkg':
+            return [{ filename: `${layer.name}.gpkg`, content: buildGeoPackage([layer]) }];
+        default:
+            return [{
+                filename: `${layer.name}.geojson`,
+                content: JSON.stringify({
+                    type: 'FeatureCollection',
+                    name: layer.name,
+                    features: layer.rows.map(({ geometry, ...properties }) => ({ type: 'Feature', id: properties.id, geometry, properties }))
+                })
+            }];
+    }
+};
+
+const sendZip = (res, filename, files) => {
+    const zip = new AdmZip();
+    files.forEach(file => zip.addFile(file.filename, Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content)));
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(zip.toBuffer());
+};
+
+// Several layers in one zip; GeoPackage bundles go into a single multi-layer .gpkg
+app.get('/api/export', [
+    query('layers').notEmpty().withMessage('layers must list at least one layer'),
+    exportFormatValidator
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const format = req.query.format || 'geojson';
+        const requested = [...new Set(req.query.layers.split(',').map(name => name.trim()).filter(Boolean))];
+        const unknown = requested.filter(name => !Object.hasOwn(ogcCollections, name));
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Unknown layers: ${unknown.join(', ')}`, allowed: Object.keys(ogcCollections) });
+        }
+
+        const layers = [];
+        for (const name of requested) {
+            if (!(await tableExists(ogcCollections[name].table))) continue;
+            layers.push(await loadExportLayer(name, format, req.query.bbox));
+        }
+        if (layers.length === 0) {
+            return res.status(404).json({ error: 'None of the requested layers have been imported' });
+        }
+
+        const files = format === 'gpkg'
+            ? [{ filename: 'atlas-layers.gpkg', content: buildGeoPackage(layers) }]
+            : layers.flatMap(layer => exportLayerFiles(layer, format));
+        sendZip(res, `atlas-layers-${format}.zip`, files);
+    } catch (error) {
+        console.error('Error exporting layers:', error);
+        res.status(500).json({ error: 'Failed to export layers', details: error.message });
+    }
+});
+
+app.get('/api/export/:layer', [
+    exportFormatValidator
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const name = req.params.layer;
+        if (!Object.hasOwn(ogcCollections, name) || !(await tableExists(ogcCollections[name].table))) {
+            return res.status(404).json({ error: `Layer not found: ${name}` });
+        }
+
+        const format = req.query.format || 'geojson';
+        const files = exportLayerFiles(await loadExportLayer(name, format, req.query.bbox), format);
+
+        // Shapefiles are always several files, so they travel zipped
+        if (files.length > 1) {
+            return sendZip(res, `${name}.zip`, files);
+        }
+        res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${files[0].filename}"`);
+        res.send(files[0].content);
+    } catch (error) {
+        console.error(`Error exporting ${req.params.layer}:`, error);
+        res.status(500).json({ error: 'Failed to export layer', details: error.message });
+    }
+});
+
+// ========================================
+// ADMIN ENDPOINTS
+// ========================================
+
+// Admin-only database setup endpoint: the same schema, functions and audit triggers as `npm run setup`
+app.post('/api/admin/setup-database', adminLimiter, authenticateToken, requirePermission('database:manage'), async (req, res) => {
+    try {
+        const client = await pool.connect();
+        try {
+            await new ProductionDatabaseSetup(client).createSchema();
+        } finally {
+            client.release();
+        }
+        res.json({ message: 'Database setup completed' });
+    } catch (error) {
+        console.error('Database setup error:', error);
+        res.status(500).json({ 
+            error: 'Failed to setup database',
+            details: error.message
+        });
+    }
+});
+
+// Recompute the suitability grid criteria after data changes
+app.post('/api/admin/suitability-grid/rebuild', adminLimiter, authenticateToken, requirePermission('database:manage'), [
+    body('cell_size_m').optional().isInt({ min: 250, max: 10000 }).withMessage('cell_size_m must be between 250 and 10000').toInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const started = Date.now();
+        const result = await pool.query('SELECT rebuild_suitability_grid($1) AS cells', [req.body.cell_size_m || 1000]);
+        res.json({
+            message: 'Suitability grid rebuilt',
+            cells: result.rows[0].cells,
+            duration_ms: Date.now() - started
+        });
+    } catch (error) {
+        console.error('Suitability grid rebuild error:', error);
+        res.status(500).json({ error: 'Failed to rebuild suitability grid', details: error.message });
+    }
+});
+
+// ========================================
+// DATA UPLOAD AND IMPORT
+// ========================================
+
+// Upload wizard: a file is parsed and reprojected once on upload and kept in memory until it is
+// committed or expires; previews and commits map its columns onto the chosen layer table.
+// Staged uploads are bounded per user and in total, by an estimate of the memory their parsed features take.
+const IMPORT_UPLOAD_TTL_MS = 60 * 60 * 1000;
+const IMPORT_MAX_FILE_BYTES = 50 * 1024 * 1024;
+const IMPORT_MAX_STAGED_PER_USER = 3;
+const IMPORT_MAX_STAGED_BYTES = 200 * 1024 * 1024;
+const IMPORT_PREVIEW_LIMIT = 500;
+const IMPORT_INSERT_BATCH = 500;
+
+const importUpload = multer({
+    dest: path.join(os.tmpdir(), 'atlas-uploads'),
+    limits: { fileSize: IMPORT_MAX_FILE_BYTES }
+});
+const uploadImporter = new ProductionDataImporter();
+const stagedImports = new Map();
+
+// Uploads are filtered against the same province polygons as `npm run import`. They are read from
+// the import manifest on the first preview or commit; a failed read is tried again on the next.
+let uploadAreaOfInterest = null;
+const loadUploadAreaOfInterest = () => {
+    if (!uploadAreaOfInterest) {
+        uploadAreaOfInterest = (async () => {
+            uploadImporter.loadDatasets();
+            await uploadImporter.loadAreaBounds({ save: false });
+        })().catch(error => {
+            uploadAreaOfInterest = null;
+            throw error;
+        });
+    }
+    return uploadAreaOfInterest;
+};
+
+// Every collection can be imported into except voting districts, whose shares and colours are derived
+const importTargets = Object.fromEntries(Object.entries(ogcCollections)
+    .filter(([name]) => name !== 'voting_districts')
+    .map(([name, collection]) => [name, { ...collection, geometry: vectorTileLayers[name].geometry }]));
+
+// GeoJSON geometry types each target table accepts
+const IMPORT_GEOMETRY_TYPES = {
+    point: ['Point', 'MultiPoint'],
+    line: ['LineString', 'MultiLineString'],
+    polygon: ['Polygon', 'MultiPolygon']
+};
+
+const pruneStagedImports = () => {
+    const now = Date.now();
+    stagedImports.forEach((staged, id) => {
+        if (staged.expires < now) stagedImports.delete(id);
+    });
+};
+
+// Memory a staged upload holds, estimated as the JSON size of its parsed features. Measured per
+// feature so a large upload is never turned into one string.
+const stagedImportSize = (features) => {
+    let size = 0;
+    features.forEach(feature => { size += JSON.stringify(feature).length; });
+    return size;
+};
+
+// Room for one more upload of the user: the uploads it would displace (their oldest beyond
+// IMPORT_MAX_STAGED_PER_USER) and the staged size left once they are gone. Nothing is removed here,
+// so a rejected or unreadable upload costs the user none of the uploads already staged.
+const stagedImportRoom = (userId) => {
+    pruneStagedImports();
+    // Maps iterate in insertion order, so the user's oldest uploads come first
+    const own = [...stagedImports.entries()].filter(([, staged]) => staged.userId === userId);
+    const displaced = new Set(own.slice(0, Math.max(0, own.length - IMPORT_MAX_STAGED_PER_USER + 1)).map(([id]) => id));
+
+    let size = 0;
+    stagedImports.forEach((staged, id) => {
+        if (!displaced.has(id)) size += staged.size;
+    });
+    return { displaced, size };
+};
+
+// Target columns with their JSON Schema type and whether a value is required
+const importTargetColumns = async (target) => {
+    const types = await ogcPropertyTypes(target);
+    const result = await pool.query(`
+        SELECT column_name
+        FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = $1
+          AND is_nullable = 'NO' AND column_default IS NULL
+    `, [target.table]);
+    const required = new Set(result.rows.map(row => row.column_name));
+    return Object.entries(types).map(([name, type]) => ({ name, type, required: required.has(name) }));
+};
+
+const coerceImportValue = (value, type) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (type === 'integer' || type === 'number') {
+        const number = typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+        if (!isFinite(number)) return undefined;
+        return type === 'integer' ? Math.round(number) : number;
+    }
+    if (type === 'boolean') {
+        const text = String(value).trim().toLowerCase();
+        if (['true', '1', 'yes', 'ja', 'y', 't'].includes(text)) return true;
+        if (['false', '0', 'no', 'nein', 'n', 'f'].includes(text)) return false;
+        return undefined;
+    }
+    return String(value);
+};
+
+const IMPORT_OUTSIDE_AREA = 'Outside the area of interest';
+
+// Apply a column mapping to a staged upload. Returns the rows ready for insert and the rows
+// skipped, each with its 1-based source row number, the reason and the raw source values.
+// Features outside the area of interest are skipped, so call loadUploadAreaOfInterest() first.
+const mapStagedImport = (staged, columns, geometryKind, { mapping, coordinates }) => {
+    const rows = [];
+    const skipped = [];
+
+    staged.features.forEach((feature, index) => {
+        const skip = (reason) => skipped.push({ row: index + 1, reason, values: feature.properties });
+
+        const geometry = staged.hasGeometry
+            ? feature.geometry
+            : uploadImporter.pointFromColumns(feature.properties, coordinates.x, coordinates.y, resolveCrsCode(coordinates.crs || 'EPSG:4326'));
+        if (!uploadImporter.isValidGeoJSON(geometry)) return skip('Missing or invalid geometry');
+        if (!IMPORT_GEOMETRY_TYPES[geometryKind].includes(geometry.type)) {
+            return skip(`${geometry.type} geometry does not fit a ${geometryKind} layer`);
+        }
+        if (!uploadImporter.isValidWGS84(uploadImporter.extractFirstCoordinate(geometry))) {
+            return skip('Coordinates could not be reprojected to WGS84');
+        }
+        try {
+            if (!uploadImporter.isInAreaOfInterest(geometry)) return skip(IMPORT_OUTSIDE_AREA);
+        } catch (error) {
+            return skip(`Could not be checked against the area of interest: ${error.message}`);
+        }
+
+        const values = {};
+        for (const column of columns) {
+            const source = mapping[column.name];
+            const value = source ? coerceImportValue(feature.properties[source], column.type) : null;
+            if (value === undefined) return skip(`"${feature.properties[source]}" is not a valid ${column.type} for ${column.name}`);
+            if (value === null && column.required) return skip(`${column.name} is required`);
+            values[column.name] = value;
+        }
+
+        rows.push({
+            // Point tables hold single points; the first point of a MultiPoint is kept, as in the importer
+            geometry: geometryKind === 'point' && geometry.type === 'MultiPoint'
+                ? { type: 'Point', coordinates: geometry.coordinates[0] }
+                : geometry,
+            values,
+            properties: feature.properties
+        });
+    });
+
+    return { rows, skipped };
+};
+
+const importMappingValidation = [
+    param('uploadId').isUUID().withMessage('Invalid upload id'),
+    body('target').isIn(Object.keys(importTargets)).withMessage(`target must be one of ${Object.keys(importTargets).join(', ')}`),
+    body('mapping').optional().isObject().withMessage('mapping must map target columns to source columns'),
+    body('coordinates.x').optional().isString(),
+    body('coordinates.y').optional().isString(),
+    body('coordinates.crs').optional().custom(value => resolveCrsCode(value) !== null)
+        .withMessage(`coordinates.crs must be one of ${Object.keys(CRS_DEFINITIONS).join(', ')}`)
+];
+
+// Shared checks for preview and commit; answers the request itself and returns null on failure
+const resolveImportRequest = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({ errors: errors.array() });
+        return null;
+    }
+
+    pruneStagedImports();
+    const staged = stagedImports.get(req.params.uploadId);
+    if (!staged || staged.userId !== req.user.id) {
+        res.status(404).json({ error: 'Upload not found or expired; upload the file again' });
+        return null;
+    }
+
+    const target = importTargets[req.body.target];
+    const columns = await importTargetColumns(target);
+    const mapping = req.body.mapping || {};
+    const coordinates = req.body.coordinates || {};
+
+    const unknownTargets = Object.keys(mapping).filter(name => !columns.some(column => column.name === name));
+    const unknownSources = Object.values(mapping).filter(source => source && !staged.columns.includes(source));
+    const missingCoordinates = !staged.hasGeometry && (!staged.columns.includes(coordinates.x) || !staged.columns.includes(coordinates.y));
+    if (unknownTargets.length > 0 || unknownSources.length > 0 || missingCoordinates) {
+        res.status(400).json({
+            error: 'Invalid column mapping',
+            details: [
+                ...unknownTargets.map(name => `${target.table} has no column ${name}`),
+                ...unknownSources.map(name => `The upload has no column ${name}`),
+                ...(missingCoordinates ? ['Choose the X/longitude and Y/latitude columns'] : [])
+            ]
+        });
+        return null;
+    }
+
+    await loadUploadAreaOfInterest();
+    return { staged, target, columns, ...mapStagedImport(staged, columns, target.geometry, { mapping, coordinates }) };
+};
+
+app.get('/api/admin/import/targets', adminLimiter, authenticateToken, requirePermission('database:manage'), async (req, res) => {
+    try {
+        const targets = [];
+        for (const [name, target] of Object.entries(importTargets)) {
+            if (!(await tableExists(target.table))) continue;
+            targets.push({ name, title: target.title, geometry: target.geometry, columns: await importTargetColumns(target) });
+        }
+        // Coordinate reference systems CSV/XLSX coordinate columns may be given in
+        const crs = Object.entries(CRS_DEFINITIONS).map(([code, definition]) => ({ code, name: definition.name }));
+        res.json({ targets, crs });
+    } catch (error) {
+        console.error('Error listing import targets:', error);
+        res.status(500).json({ error: 'Failed to list import targets', details: error.message });
+    }
+});
+
+// Parse and reproject an uploaded CSV, XLSX, zipped shapefile or GeoJSON file
+app.post('/api/admin/import/upload', adminLimiter, authenticateToken, requirePermission('database:manage'), importUpload.single('file'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    try {
+        const busy = { error: 'Too many uploads are waiting to be imported; try again once they are committed or expired' };
+        if (stagedImportRoom(req.user.id).size >= IMPORT_MAX_STAGED_BYTES) {
+            return res.status(429).json(busy);
+        }
+
+        const { columns, features } = await uploadImporter.readUploadedFile(req.file.path, req.file.originalname);
+        if (features.length === 0) {
+            return res.status(400).json({ error: 'The file contains no rows' });
+        }
+
+        // Streamed, like the importer's own source checksums, so a large upload does not block the server
+        const { sha256 } = await uploadImporter.fileChecksum(req.file.path);
+
+        // Checked again now the parsed size is known; other uploads may have been staged meanwhile
+        const size = stagedImportSize(features);
+        const room = stagedImportRoom(req.user.id);
+        if (room.size + size > IMPORT_MAX_STAGED_BYTES) {
+            return res.status(429).json(busy);
+        }
+
+        const id = crypto.randomUUID();
+        const hasGeometry = features.some(feature => feature.geometry);
+        room.displaced.forEach(displacedId => stagedImports.delete(displacedId));
+        stagedImports.set(id, {
+            userId: req.user.id,
+            filename: req.file.originalname,
+            sha256,
+            bytes: req.file.size,
+            size,
+            columns,
+            features,
+            hasGeometry,
+            expires: Date.now() + IMPORT_UPLOAD_TTL_MS
+        });
+
+        const geometryTypes = {};
+        features.forEach(feature => {
+            const type = feature.geometry ? feature.geometry.type : 'None';
+            geometryTypes[type] = (geometryTypes[type] || 0) + 1;
+        });
+
+        res.status(201).json({
+            upload_id: id,
+            filename: req.file.originalname,
+            feature_count: features.length,
+            has_geometry: hasGeometry,
+            geometry_types: geometryTypes,
+            columns,
+            sample: features.slice(0, 5).map(feature => feature.properties),
+            expires_at: new Date(Date.now() + IMPORT_UPLOAD_TTL_MS).toISOString()
+        });
+    } catch (error) {
+        console.error('Error reading uploaded file:', error);
+        res.status(400).json({ error: 'Could not read the uploaded file', details: error.message });
+    } finally {
+        fs.unlink(req.file.path, () => {});
+    }
+});
+
+// Mapped, reprojected features for the map preview, plus the rows that would be skipped
+app.post('/api/admin/import/:uploadId/preview', adminLimiter, authenticateToken, requirePermission('database:manage'), importMappingValidation, async (req, res) => {
+    try {
+        const resolved = await resolveImportRequest(req, res);
+        if (!resolved) return;
+
+        res.json({
+            type: 'FeatureCollection',
+            features: resolved.rows.slice(0, IMPORT_PREVIEW_LIMIT).map(row => ({
+                type: 'Feature',
+                geometry: row.geometry,
+                properties: row.values
+            })),
+            valid_count: resolved.rows.length,
+            skipped_count: resolved.skipped.length,
+            skipped: resolved.skipped.slice(0, 50),
+            truncated: resolved.rows.length > IMPORT_PREVIEW_LIMIT
+        });
+    } catch (error) {
+        console.error('Error previewing import:', error);
+        res.status(500).json({ error: 'Failed to preview import', details: error.message });
+    }
+});
+
+// Write the mapped features to the target table in one transaction. Every feature gets a source key
+// under upload/<file name>, so uploading the same file again updates its features in place (and
+// leaves the ones whose record did not change alone) instead of adding them twice. mode=replace also
+// removes the features earlier uploads of the file created that the new upload no longer has, never
+// script imports or admin edits, and has to be confirmed with confirm_replace.
+app.post('/api/admin/import/:uploadId/commit', adminLimiter, authenticateToken, requirePermission('database:manage'), [
+    ...importMappingValidation,
+    body('mode').optional().isIn(['append', 'replace']).withMessage('mode must be append or replace'),
+    body('confirm_replace').custom((value, { req }) => req.body.mode !== 'replace' || value === true)
+        .withMessage('mode=replace must be confirmed with confirm_replace: true')
+], async (req, res) => {
+    try {
+        const resolved = await resolveImportRequest(req, res);
+        if (!resolved) return;
+
+        const { staged, target, columns, rows, skipped } = resolved;
+        if (rows.length === 0) {
+            return res.status(400).json({ error: 'No valid rows to import', skipped: skipped.slice(0, 50) });
+        }
+
+        const columnNames = [...columns.map(column => column.name), 'import_run_id', 'source_file', 'source_key', 'source_hash'];
+        const updatedColumns = [...columnNames.filter(name => name !== 'source_key'), 'geom', 'properties'];
+        const geometrySql = target.geometry === 'point'
+            ? 'ST_SetSRID(ST_GeomFromGeoJSON($?), 4326)'
+            : 'ST_Multi(ST_SetSRID(ST_GeomFromGeoJSON($?), 4326))';
+        // CO2 sources derive their prominence from the emissions, as in the admin form
+        const derivesProminence = target.table === 'co2_sources' && !(req.body.mapping || {}).is_prominent;
+        const sourceKeys = uploadImporter.sourceKeys(`upload/${staged.filename}`, rows);
+
+        const run = await withTransaction(async (client) => {
+            // Wizard uploads are import runs too; skipped rows go on the run's validation report
+            const runResult = await client.query(`
+                INSERT INTO import_runs (
+                    finished_at, status, mode, triggered_by, user_id, sources, rejected_count, filtered_out_by_area
+                ) VALUES (clock_timestamp(), 'completed', $1, 'upload', $2, $3, $4, $5)
+                RETURNING id
+            `, [
+                req.body.mode || 'append',
+                req.user.id,
+                JSON.stringify([{ file: staged.filename, table: target.table, sha256: staged.sha256, bytes: staged.bytes }]),
+                skipped.length,
+                skipped.filter(skip => skip.reason === IMPORT_OUTSIDE_AREA).length
+            ]);
+            const runId = runResult.rows[0].id;
+
+            for (let start = 0; start < skipped.length; start += IMPORT_INSERT_BATCH) {
+                const params = [runId, staged.filename];
+                const tuples = skipped.slice(start, start + IMPORT_INSERT_BATCH).map(skip => {
+                    params.push(skip.row, skip.reason, JSON.stringify(skip.values));
+                    return `($1, $2, $${params.length - 2}, $${params.length - 1}, $${params.length})`;
+                });
+                await client.query(`
+                    INSERT INTO import_rejections (import_run_id, source_file, row_number, reason, raw_values)
+                    VALUES ${tuples.join(', ')}
+                `, params);
+            }
+
+            const counts = { inserted: 0, updated: 0, unchanged: 0, removed: 0 };
+            for (let start = 0; start < rows.length; start += IMPORT_INSERT_BATCH) {
+                const params = [];
+                const batch = rows.slice(start, start + IMPORT_INSERT_BATCH);
+                const tuples = batch.map((row, i) => {
+                    const mapped = { ...row.values };
+                    if (derivesProminence) {
+                        mapped.is_prominent = (mapped.total_co2_t || 0) > PROMINENT_CO2_THRESHOLD;
+                    }
+                    const values = {
+                        ...mapped,
+                        import_run_id: runId,
+                        source_file: staged.filename,
+                        source_key: sourceKeys[start + i],
+                        source_hash: uploadImporter.sourceHash(mapped, row.geometry, row.properties)
+                    };
+                    const placeholders = columnNames.map(name => {
+                        params.push(values[name]);
+                        return `$${params.length}`;
+                    });
+                    params.push(JSON.stringify(row.geometry));
+                    placeholders.push(geometrySql.replace('$?', `$${params.length}`));
+                    params.push(JSON.stringify(row.properties));
+                    placeholders.push(`$${params.length}`);
+                    return `(${placeholders.join(', ')})`;
+                });
+
+                // As in the importer, a feature is only rewritten when its source record changed
+                const result = await client.query(`
+                    INSERT INTO ${target.table} AS t (${[...columnNames, 'geom', 'properties'].join(', ')})
+                    VALUES ${tuples.join(', ')}
+                    ON CONFLICT (source_key) DO UPDATE SET
+                        ${updatedColumns.map(name => `${name} = EXCLUDED.${name}`).join(', ')},
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE t.source_hash IS DISTINCT FROM EXCLUDED.source_hash
+                    RETURNING (xmax = 0) AS inserted
+                `, params);
+                const inserted = result.rows.filter(row => row.inserted).length;
+                counts.inserted += inserted;
+                counts.updated += result.rows.length - inserted;
+                counts.unchanged += batch.length - result.rows.length;
+            }
+
+            if (req.body.mode === 'replace') {
+                const removed = await client.query(`
+                    DELETE FROM ${target.table}
+                    WHERE source_file = $1
+                      AND import_run_id IN (SELECT id FROM import_runs WHERE triggered_by = 'upload')
+                      AND (source_key IS NULL OR NOT (source_key = ANY($2)))
+                `, [staged.filename, sourceKeys]);
+                counts.removed = removed.rowCount;
+            }
+
+            await client.query('UPDATE import_runs SET layer_counts = $2 WHERE id = $1', [runId, JSON.stringify({ [target.table]: counts })]);
+            return { id: runId, counts };
+        }, req.user.id);
+
+        stagedImports.delete(req.params.uploadId);
+        const { inserted, updated, unchanged, removed } = run.counts;
+        res.json({
+            message: `Imported ${inserted + updated} features from ${staged.filename} into ${target.title} `
+                + `(${inserted} new, ${updated} updated, ${unchanged} unchanged${removed > 0 ? `, ${removed} removed` : ''})`,
+            target: req.body.target,
+            mode: req.body.mode || 'append',
+            import_run_id: run.id,
+            imported: inserted + updated,
+            ...run.counts,
+            skipped_count: skipped.length,
+            skipped: skipped.slice(0, 50)
+        });
+    } catch (error) {
+        console.error('Error committing import:', error);
+        res.status(500).json({ error: 'Failed to import data', details: error.message });
+    }
+});
+
+// ========================================
+// IMPORT HISTORY AND LINEAGE
+// ========================================
+
+// import_runs is written by scripts/import-data.js and by wizard commits above
+const IMPORT_RUN_COLUMNS = `
+    r.id, r.started_at, r.finished_at, r.status, r.mode, r.triggered_by, r.user_id, u.username,
+    r.sources, r.layer_counts, r.filtered_out_by_area, r.error_count, r.dry_run, r.rejected_count
+`;
+
+const IMPORT_REJECTION_CSV_COLUMNS = ['source_file', 'row_number', 'reason', 'raw_values'];
+
+app.get('/api/admin/import-runs', adminLimiter, authenticateToken, requirePermission('admin:read'), [
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200').toInt(),
+    query('offset').optional().isInt({ min: 0 }).withMessage('offset must be 0 or more').toInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        if (!(await tableExists('import_runs'))) {
+            return res.json({ total: 0, limit: 0, offset: 0, runs: [] });
+        }
+
+        const limit = req.query.limit || 20;
+        const offset = req.query.offset || 0;
+        const [countResult, runsResult] = await Promise.all([
+            pool.query('SELECT COUNT(*)::int AS total FROM import_runs'),
+            pool.query(`
+                SELECT ${IMPORT_RUN_COLUMNS}
+                FROM import_runs r
+                LEFT JOIN admin_users u ON u.id = r.user_id
+                ORDER BY r.started_at DESC, r.id DESC
+                LIMIT $1 OFFSET $2
+            `, [limit, offset])
+        ]);
+
+        res.json({ total: countResult.rows[0].total, limit, offset, runs: runsResult.rows });
+    } catch (error) {
+        console.error('Error fetching import runs:', error);
+        res.status(500).json({ error: 'Failed to fetch import runs', details: error.message });
+    }
+});
+
+app.get('/api/admin/import-runs/:id', adminLimiter, authenticateToken, requirePermission('admin:read'), [
+    param('id').isInt({ min: 1 }).withMessage('Invalid import run id').toInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const result = await pool.query(`
+            SELECT ${IMPORT_RUN_COLUMNS}, r.errors
+            FROM import_runs r
+            LEFT JOIN admin_users u ON u.id = r.user_id
+            WHERE r.id = $1
+        `, [req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Import run not found' });
+        }
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('Error fetching import run:', error);
+        res.status(500).json({ error: 'Failed to fetch import run', details: error.message });
+    }
+});
+
+// Validation report of a run: the source rows it did not import. format=csv downloads all of them;
+// JSON is paged and adds the count per reason.
+app.get('/api/admin/import-runs/:id/rejections', adminLimiter, authenticateToken, requirePermission('admin:read'), [
+    param('id').isInt({ min: 1 }).withMessage('Invalid import run id').toInt(),
+    query('format').optional().isIn(['json', 'csv']).withMessage('format must be json or csv'),
+    query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit must be between 1 and 500').toInt(),
+    query('offset').optional().isInt({ min: 0 }).withMessage('offset must be 0 or more').toInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const runResult = await pool.query('SELECT id FROM import_runs WHERE id = $1', [req.params.id]);
+        if (runResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Import run not found' });
+        }
+
+        if (req.query.format === 'csv') {
+            const result = await pool.query(`
+                SELECT source_file, row_number, reason, raw_values
+                FROM import_rejections
+                WHERE import_run_id = $1
+                ORDER BY id
+            `, [req.params.id]);
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="import-run-${req.params.id}-rejections.csv"`);
+            return res.send(toCsv(result.rows, IMPORT_REJECTION_CSV_COLUMNS));
+        }
+
+        const limit = req.query.limit || 100;
+        const offset = req.query.offset || 0;
+        const [reasonsResult, rejectionsResult] = await Promise.all([
+            pool.query(`
+                SELECT reason, COUNT(*)::int AS count
+                FROM import_rejections
+                WHERE import_run_id = $1
+                GROUP BY reason
+                ORDER BY count DESC, reason
+            `, [req.params.id]),
+            pool.query(`
+                SELECT source_file, row_number, reason, raw_values
+                FROM import_rejections
+                WHERE import_run_id = $1
+                ORDER BY id
+                LIMIT $2 OFFSET $3
+            `, [req.params.id, limit, offset])
+        ]);
+
+        res.json({
+            import_run_id: req.params.id,
+            total: reasonsResult.rows.reduce((sum, row) => sum + row.count, 0),
+            limit,
+            offset,
+            reasons: reasonsResult.rows,
+            rejections: rejectionsResult.rows
+        });
+    } catch (error) {
+        console.error('Error fetching import rejections:', error);
+        res.status(500).json({ error: 'Failed to fetch import rejections', details: error.message });
+    }
+});
+
+// Where a feature came from: the run and file that last wrote it, and the last edit since
+app.get('/api/admin/lineage/:layer/:id', adminLimiter, authenticateToken, requirePermission('admin:read'), [
+    param('layer').isIn(Object.keys(ogcCollections)).withMessage('Unknown layer'),
+    param('id').isInt({ min: 1 }).withMessage('Invalid feature id').toInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const table = ogcCollections[req.params.layer].table;
+        const featureResult = await pool.query(`
+            SELECT f.id, f.source_key, f.source_file, f.created_at, f.updated_at,
+                   r.id AS run_id, r.started_at, r.finished_at, r.status, r.mode, r.triggered_by,
+                   u.username, r.sources
+            FROM ${table} f
+            LEFT JOIN import_runs r ON r.id = f.import_run_id
+            LEFT JOIN admin_users u ON u.id = r.user_id
+            WHERE f.id = $1
+        `, [req.params.id]);
+
+        if (featureResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Feature not found' });
+        }
+
+        const { id, source_key, source_file, created_at, updated_at, run_id, sources, ...run } = featureResult.rows[0];
+        const editResult = await pool.query(`
+            SELECT a.action, a.timestamp, u.username
+            FROM audit_log a
+            LEFT JOIN admin_users u ON u.id = a.user_id
+            WHERE a.table_name = $1 AND a.record_id = $2 AND a.user_id IS NOT NULL
+            ORDER BY a.timestamp DESC
+            LIMIT 1
+        `, [table, id]);
+
+        let origin = 'Created in the admin panel or by an import without source keys';
+        if (run_id) origin = 'Import run';
+        else if (source_key) origin = 'Import run no longer on record';
+
+        res.json({
+            layer: req.params.layer,
+            id,
+            origin,
+            source_key,
+            source_file,
+            created_at,
+            updated_at,
+            import_run: run_id ? {
+                id: run_id,
+                ...run,
+                // Name, size and checksum of the file this feature was read from
+                source: (sources || []).find(source => source.file === source_file) || null
+            } : null,
+            last_edit: editResult.rows[0] || null
+        });
+    } catch (error) {
+        console.error('Error fetching feature lineage:', error);
+        res.status(500).json({ error: 'Failed to fetch feature lineage', details: error.message });
+    }
+});
+
+// ========================================
+// CO2 SOURCE ADMIN ENDPOINTS
+// ========================================
+
+// Same threshold the importer uses to flag major emitters
+const PROMINENT_CO2_THRESHOLD = 50000;
+
+const CO2_SOURCE_ADMIN_COLUMNS = `
+    id, plant_name, plant_type, total_co2_t, fossil_co2_t, biogenic_co2_t,
+    comment, is_prominent, pin_size, pin_color,
+    ST_X(geom) as longitude, ST_Y(geom) as latitude,
+    created_at, updated_at
+`;
+
+// Run work(client) inside BEGIN/COMMIT, rolling back on any error. The acting user id is
+// exposed to the audit triggers through the transaction-local app.current_user_id setting.
+const withTransaction = async (work, userId = null) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        if (userId) {
+            await client.query("SELECT set_config('app.current_user_id', $1, true)", [String(userId)]);
         }
-        results.push('Basic tables created successfully');
+        const result = await work(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
 
-        // Create spatial indexes
-        const indexQueries = [
-            'CREATE INDEX IF NOT EXISTS idx_co2_sources_geom ON co2_sources USING GIST (geom)',
-            'CREATE INDEX IF NOT EXISTS idx_voting_districts_geom ON voting_districts USING GIST (geom)',
-            'CREATE INDEX IF NOT EXISTS idx_co2_sources_prominent ON co2_sources(is_prominent, total_co2_t DESC)',
-            'CREATE INDEX IF NOT EXISTS idx_voting_districts_gkz ON voting_districts(gkz)'
-        ];
+const co2SourceValidation = [
+    body('plant_name').trim().notEmpty().withMessage('Plant name is required').isLength({ max: 255 }),
+    body('plant_type').optional({ nullable: true }).trim().isLength({ max: 100 }),
+    body('total_co2_t').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Total CO2 must be a non-negative number').toFloat(),
+    body('fossil_co2_t').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Fossil CO2 must be a non-negative number').toFloat(),
+    body('biogenic_co2_t').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Biogenic CO2 must be a non-negative number').toFloat(),
+    body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90').toFloat(),
+    body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180').toFloat(),
+    body('comment').optional({ nullable: true }).isString().isLength({ max: 5000 })
+];
 
-        for (const query of indexQueries) {
-            try {
-                await pool.query(query);
-            } catch (error) {
-                results.push(`Index warning: ${error.message}`);
-            }
+const co2SourceParams = (data) => {
+    const totalCO2 = data.total_co2_t || 0;
+    const isProminent = totalCO2 > PROMINENT_CO2_THRESHOLD;
+    return [
+        data.plant_name,
+        data.plant_type || null,
+        totalCO2,
+        data.fossil_co2_t || 0,
+        data.biogenic_co2_t || 0,
+        data.comment || '',
+        isProminent,
+        isProminent ? 4 : 2,
+        data.longitude,
+        data.latitude
+    ];
+};
+
+app.get('/api/admin/co2-sources', adminLimiter, authenticateToken, requirePermission('admin:read'), async (req, res) => {
+    try {
+        if (!(await tableExists('co2_sources'))) {
+            return res.json([]);
         }
-        results.push('Spatial indexes created');
 
-        res.json({ 
-            message: 'Database setup completed',
-            results: results
-        });
+        const result = await pool.query(`
+            SELECT ${CO2_SOURCE_ADMIN_COLUMNS}
+            FROM co2_sources
+            ORDER BY plant_name
+        `);
+        res.json(result.rows);
     } catch (error) {
-        console.error('Database setup error:', error);
-        res.status(500).json({ 
-            error: 'Failed to setup database',
-            details: error.message
+        console.error('Error fetching CO2 sources for admin:', error);
+        res.status(500).json({ error: 'Failed to fetch CO2 sources', details: error.message });
+    }
+});
+
+app.post('/api/admin/co2-sources', adminLimiter, authenticateToken, requirePermission('layers:write'), co2SourceValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const created = await withTransaction(async (client) => {
+            const result = await client.query(`
+                INSERT INTO co2_sources (
+                    plant_name, plant_type, total_co2_t, fossil_co2_t,
+                    biogenic_co2_t, comment, is_prominent, pin_size, geom
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8,
+                    ST_SetSRID(ST_MakePoint($9, $10), 4326))
+                RETURNING ${CO2_SOURCE_ADMIN_COLUMNS}
+            `, co2SourceParams(req.body));
+            return result.rows[0];
+        }, req.user.id);
+
+        res.status(201).json(created);
+    } catch (error) {
+        console.error('Error creating CO2 source:', error);
+        res.status(500).json({ error: 'Failed to create CO2 source', details: error.message });
+    }
+});
+
+app.put('/api/admin/co2-sources/:id', adminLimiter, authenticateToken, requirePermission('layers:write'), [
+    param('id').isInt({ min: 1 }).withMessage('Invalid source id').toInt(),
+    ...co2SourceValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const updated = await withTransaction(async (client) => {
+            const result = await client.query(`
+                UPDATE co2_sources SET
+                    plant_name = $1, plant_type = $2, total_co2_t = $3, fossil_co2_t = $4,
+                    biogenic_co2_t = $5, comment = $6, is_prominent = $7, pin_size = $8,
+                    geom = ST_SetSRID(ST_MakePoint($9, $10), 4326),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $11
+                RETURNING ${CO2_SOURCE_ADMIN_COLUMNS}
+            `, [...co2SourceParams(req.body), req.params.id]);
+            return result.rows[0] || null;
+        }, req.user.id);
+
+        if (!updated) {
+            return res.status(404).json({ error: 'CO2 source not found' });
+        }
+        res.json(updated);
+    } catch (error) {
+        console.error('Error updating CO2 source:', error);
+        res.status(500).json({ error: 'Failed to update CO2 source', details: error.message });
+    }
+});
+
+app.delete('/api/admin/co2-sources/:id', adminLimiter, authenticateToken, requirePermission('layers:write'), [
+    param('id').isInt({ min: 1 }).withMessage('Invalid source id').toInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const deleted = await withTransaction(async (client) => {
+            const result = await client.query(
+                `DELETE FROM co2_sources WHERE id = $1 RETURNING ${CO2_SOURCE_ADMIN_COLUMNS}`,
+                [req.params.id]
+            );
+            return result.rows[0] || null;
+        }, req.user.id);
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'CO2 source not found' });
+        }
+        res.json({ message: 'CO2 source deleted', id: deleted.id });
+    } catch (error) {
+        console.error('Error deleting CO2 source:', error);
+        res.status(500).json({ error: 'Failed to delete CO2 source', details: error.message });
+    }
+});
+
+// ========================================
+// LAYER STYLE ADMIN ENDPOINTS
+// ========================================
+
+// Saves the voting choropleth's classification scheme into layer_styles.style_config.classification
+app.put('/api/admin/layer-styles/voting_districts/classification', adminLimiter, authenticateToken, requirePermission('layers:write'), async (req, res) => {
+    try {
+        const scheme = classificationSchemeFields(req.body || {});
+        if (scheme.method !== 'manual') delete scheme.breaks;
+        if (scheme.method === 'manual') delete scheme.classes;
+
+        const problems = validateClassificationScheme(scheme, Object.keys(VOTING_CLASSIFICATION_ATTRIBUTES));
+        if (problems.length > 0) {
+            return res.status(400).json({ error: 'Invalid classification', problems });
+        }
+
+        const saved = await withTransaction(async (client) => {
+            const result = await client.query(`
+                INSERT INTO layer_styles (layer_name, style_config)
+                VALUES ('voting_districts', jsonb_build_object('classification', $1::jsonb))
+                ON CONFLICT (layer_name) DO UPDATE SET
+                    style_config = COALESCE(layer_styles.style_config, '{}'::jsonb) || EXCLUDED.style_config,
+                    updated_at = CURRENT_TIMESTAMP
+                RETURNING style_config->'classification' AS scheme
+            `, [JSON.stringify(scheme)]);
+            return result.rows[0].scheme;
+        }, req.user.id);
+
+        res.json({ message: 'Classification saved', scheme: saved });
+    } catch (error) {
+        console.error('Error saving classification:', error);
+        res.status(500).json({ error: 'Failed to save classification', details: error.message });
+    }
+});
+
+// Saves the voting index (label, election and party weights) into layer_styles.style_config.voting_index.
+// It becomes the index_value of every request that does not define its own.
+app.put('/api/admin/layer-styles/voting_districts/index', adminLimiter, authenticateToken, requirePermission('layers:write'), [
+    body('label').trim().isLength({ min: 1, max: VOTING_INDEX_LABEL_MAX })
+        .withMessage(`label must be 1 to ${VOTING_INDEX_LABEL_MAX} characters`),
+    body('index').custom(value => { parseVotingIndex(value); return true; }),
+    body('election').optional().isLength({ min: 1, max: 50 }).withMessage('Invalid election code')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const index = await resolveVotingIndex(res, { index: req.body.index, election: req.body.election, label: req.body.label });
+        if (!index) return;
+        if (!index.election) {
+            return res.status(400).json({ error: 'Import an election before saving a voting index' });
+        }
+
+        await withTransaction(async (client) => {
+            await client.query(`
+                INSERT INTO layer_styles (layer_name, style_config)
+                VALUES ('voting_districts', jsonb_build_object('voting_index', $1::jsonb))
+                ON CONFLICT (layer_name) DO UPDATE SET
+                    style_config = COALESCE(layer_styles.style_config, '{}'::jsonb) || EXCLUDED.style_config,
+                    updated_at = CURRENT_TIMESTAMP
+            `, [JSON.stringify({ label: index.label, election: index.election.code, weights: index.weights })]);
+        }, req.user.id);
+
+        res.json({ message: 'Voting index saved', voting_index: votingIndexSummary(index) });
+    } catch (error) {
+        console.error('Error saving voting index:', error);
+        res.status(500).json({ error: 'Failed to save voting index', details: error.message });
+    }
+});
+
+// ========================================
+// INFRASTRUCTURE LAYER ADMIN ENDPOINTS
+// ========================================
+
+// Build express-validator chains from a layer's field definitions
+const buildLayerValidators = (fields) => [
+    ...fields.map(field => {
+        const chain = body(field.name).optional({ values: 'falsy' });
+        const bounds = field.min !== undefined ? { min: field.min } : {};
+        if (field.type === 'integer') {
+            return chain.isInt(bounds).withMessage(`${field.label} must be a whole number`).toInt();
+        }
+        if (field.type === 'number') {
+            return chain.isFloat(bounds).withMessage(`${field.label} must be a number`).toFloat();
+        }
+        if (field.maxLength) {
+            return chain.isString().trim().isLength({ max: field.maxLength })
+                .withMessage(`${field.label} must be at most ${field.maxLength} characters`);
+        }
+        return chain.isString();
+    }),
+    body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90').toFloat(),
+    body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180').toFloat()
+];
+
+Object.values(pointLayers).forEach(layer => {
+    layer.validators = buildLayerValidators(layer.fields);
+});
+
+const layerAdminColumns = (layer) => `
+    id, ${layer.fields.map(field => field.name).join(', ')},
+    ST_X(geom) as longitude, ST_Y(geom) as latitude,
+    created_at, updated_at
+`;
+
+const layerFieldValues = (layer, data) => layer.fields.map(field => {
+    const value = data[field.name];
+    return value === undefined || value === '' ? null : value;
+});
+
+// Resolve :layer to its definition and run its validators
+const resolvePointLayer = (validate) => async (req, res, next) => {
+    try {
+        const layer = Object.hasOwn(pointLayers, req.params.layer) ? pointLayers[req.params.layer] : null;
+        if (!layer) {
+            return res.status(404).json({ error: `Unknown layer: ${req.params.layer}` });
+        }
+        req.layerDefinition = layer;
+
+        if (validate) {
+            await Promise.all(layer.validators.map(chain => chain.run(req)));
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+const recordIdValidation = [param('id').isInt({ min: 1 }).withMessage('Invalid record id').toInt()];
+
+app.get('/api/admin/layers', adminLimiter, authenticateToken, requirePermission('admin:read'), (req, res) => {
+    res.json(Object.entries(pointLayers).map(([key, layer]) => ({
+        key,
+        table: layer.table,
+        label: layer.label,
+        fields: layer.fields.map(({ name, label, type, maxLength, min }) => ({ name, label, type, maxLength, min }))
+    })));
+});
+
+app.get('/api/admin/layers/:layer', adminLimiter, authenticateToken, requirePermission('admin:read'), resolvePointLayer(false), async (req, res) => {
+    const layer = req.layerDefinition;
+    try {
+        if (!(await tableExists(layer.table))) {
+            return res.json([]);
+        }
+
+        const result = await pool.query(`
+            SELECT ${layerAdminColumns(layer)}
+            FROM ${layer.table}
+            ORDER BY ${layer.fields[0].name} NULLS LAST, id
+        `);
+        res.json(result.rows);
+    } catch (error) {
+        console.error(`Error fetching ${layer.table} for admin:`, error);
+        res.status(500).json({ error: `Failed to fetch ${layer.label}`, details: error.message });
+    }
+});
+
+app.post('/api/admin/layers/:layer', adminLimiter, authenticateToken, requirePermission('layers:write'), resolvePointLayer(true), async (req, res) => {
+    const layer = req.layerDefinition;
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const columns = layer.fields.map(field => field.name);
+        const placeholders = columns.map((_, i) => `$${i + 1}`);
+        const lngIndex = columns.length + 1;
+
+        const created = await withTransaction(async (client) => {
+            const result = await client.query(`
+                INSERT INTO ${layer.table} (${columns.join(', ')}, geom)
+                VALUES (${placeholders.join(', ')},
+                    ST_SetSRID(ST_MakePoint($${lngIndex}, $${lngIndex + 1}), 4326))
+                RETURNING ${layerAdminColumns(layer)}
+            `, [...layerFieldValues(layer, req.body), req.body.longitude, req.body.latitude]);
+            return result.rows[0];
+        }, req.user.id);
+
+        res.status(201).json(created);
+    } catch (error) {
+        console.error(`Error creating ${layer.table} record:`, error);
+        res.status(500).json({ error: `Failed to create ${layer.label} record`, details: error.message });
+    }
+});
+
+app.put('/api/admin/layers/:layer/:id', adminLimiter, authenticateToken, requirePermission('layers:write'), recordIdValidation, resolvePointLayer(true), async (req, res) => {
+    const layer = req.layerDefinition;
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const columns = layer.fields.map(field => field.name);
+        const assignments = columns.map((column, i) => `${column} = $${i + 1}`);
+        const lngIndex = columns.length + 1;
+
+        const updated = await withTransaction(async (client) => {
+            const result = await client.query(`
+                UPDATE ${layer.table} SET
+                    ${assignments.join(', ')},
+                    geom = ST_SetSRID(ST_MakePoint($${lngIndex}, $${lngIndex + 1}), 4326),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $${lngIndex + 2}
+                RETURNING ${layerAdminColumns(layer)}
+            `, [...layerFieldValues(layer, req.body), req.body.longitude, req.body.latitude, req.params.id]);
+            return result.rows[0] || null;
+        }, req.user.id);
+
+        if (!updated) {
+            return res.status(404).json({ error: `${layer.label} record not found` });
+        }
+        res.json(updated);
+    } catch (error) {
+        console.error(`Error updating ${layer.table} record:`, error);
+        res.status(500).json({ error: `Failed to update ${layer.label} record`, details: error.message });
+    }
+});
+
+app.delete('/api/admin/layers/:layer/:id', adminLimiter, authenticateToken, requirePermission('layers:write'), recordIdValidation, resolvePointLayer(false), async (req, res) => {
+    const layer = req.layerDefinition;
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const deleted = await withTransaction(async (client) => {
+            const result = await client.query(
+                `DELETE FROM ${layer.table} WHERE id = $1 RETURNING ${layerAdminColumns(layer)}`,
+                [req.params.id]
+            );
+            return result.rows[0] || null;
+        }, req.user.id);
+
+        if (!deleted) {
+            return res.status(404).json({ error: `${layer.label} record not found` });
+        }
+        res.json({ message: `${layer.label} record deleted`, id: deleted.id });
+    } catch (error) {
+        console.error(`Error deleting ${layer.table} record:`, error);
+        res.status(500).json({ error: `Failed to delete ${layer.label} record`, details: error.message });
+    }
+});
+
+// ========================================
+// USER MANAGEMENT ENDPOINTS
+// ========================================
+
+const USER_ADMIN_COLUMNS = 'id, username, email, role, is_active, last_login, created_at, updated_at';
+
+app.get('/api/admin/users', adminLimiter, authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const result = await pool.query(`SELECT ${USER_ADMIN_COLUMNS} FROM admin_users ORDER BY username`);
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Error fetching users:', error);
+        res.status(500).json({ error: 'Failed to fetch users', details: error.message });
+    }
+});
+
+// Invite a user; without an explicit password a one-time temporary password is generated and returned once
+app.post('/api/admin/users', adminLimiter, authenticateToken, requirePermission('users:manage'), [
+    body('username').trim().isLength({ min: 3, max: 50 }).withMessage('Username must be 3-50 characters')
+        .matches(/^[\w.-]+$/).withMessage('Username may only contain letters, digits, dots, dashes and underscores'),
+    body('email').optional({ values: 'falsy' }).trim().isEmail().withMessage('Invalid email address').normalizeEmail(),
+    body('role').isIn(USER_ROLES).withMessage(`Role must be one of: ${USER_ROLES.join(', ')}`),
+    body('password').optional({ values: 'falsy' }).isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const temporaryPassword = req.body.password ? null : crypto.randomBytes(9).toString('base64url');
+        const passwordHash = await bcrypt.hash(req.body.password || temporaryPassword, 12);
+
+        const created = await withTransaction(async (client) => {
+            const result = await client.query(`
+                INSERT INTO admin_users (username, email, password_hash, role)
+                VALUES ($1, $2, $3, $4)
+                RETURNING ${USER_ADMIN_COLUMNS}
+            `, [req.body.username, req.body.email || null, passwordHash, req.body.role]);
+            return result.rows[0];
+        }, req.user.id);
+
+        res.status(201).json({ user: created, temporaryPassword });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'Username or email already exists' });
+        }
+        console.error('Error inviting user:', error);
+        res.status(500).json({ error: 'Failed to invite user', details: error.message });
+    }
+});
+
+app.put('/api/admin/users/:id', adminLimiter, authenticateToken, requirePermission('users:manage'), [
+    param('id').isInt({ min: 1 }).withMessage('Invalid user id').toInt(),
+    body('role').optional().isIn(USER_ROLES).withMessage(`Role must be one of: ${USER_ROLES.join(', ')}`),
+    body('is_active').optional().isBoolean().withMessage('is_active must be a boolean').toBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { role, is_active: isActive } = req.body;
+        if (role === undefined && isActive === undefined) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+
+        // Admins cannot lock themselves out
+        if (req.params.id === req.user.id && ((role && role !== 'admin') || isActive === false)) {
+            return res.status(400).json({ error: 'You cannot demote or deactivate your own account' });
+        }
+
+        const updated = await withTransaction(async (client) => {
+            const result = await client.query(`
+                UPDATE admin_users SET
+                    role = COALESCE($1, role),
+                    is_active = COALESCE($2, is_active),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $3
+                RETURNING ${USER_ADMIN_COLUMNS}
+            `, [role || null, isActive === undefined ? null : isActive, req.params.id]);
+            return result.rows[0] || null;
+        }, req.user.id);
+
+        if (!updated) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json(updated);
+    } catch (error) {
+        console.error('Error updating user:', error);
+        res.status(500).json({ error: 'Failed to update user', details: error.message });
+    }
+});
+
+// ========================================
+// AUDIT LOG ENDPOINTS
+// ========================================
+
+// audit_log is written by the audit_row_change() trigger (see scripts/setup-database.js)
+const AUDIT_ACTIONS = ['INSERT', 'UPDATE', 'DELETE'];
+
+// Tables whose records can be restored from their history; admin_users is excluded on purpose
+const REVERTIBLE_TABLES = new Set([
+    'co2_sources',
+    'layer_styles',
+    ...Object.values(pointLayers).map(layer => layer.table)
+]);
+
+const NON_RESTORABLE_COLUMNS = new Set(['id', 'created_at', 'updated_at']);
+
+app.get('/api/admin/audit-log', adminLimiter, authenticateToken, requirePermission('admin:read'), [
+    query('table').optional().matches(/^[a-z0-9_]+$/).withMessage('Invalid table name'),
+    query('record_id').optional().isInt({ min: 1 }).withMessage('Invalid record id').toInt(),
+    query('user_id').optional().isInt({ min: 1 }).withMessage('Invalid user id').toInt(),
+    query('action').optional().isIn(AUDIT_ACTIONS).withMessage(`Action must be one of: ${AUDIT_ACTIONS.join(', ')}`),
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+    query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit must be between 1 and 500').toInt(),
+    query('offset').optional().isInt({ min: 0 }).withMessage('offset must be 0 or more').toInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const conditions = [];
+        const params = [];
+        const addCondition = (sql, value) => {
+            params.push(value);
+            conditions.push(sql.replace('?', `$${params.length}`));
+        };
+
+        if (req.query.table) addCondition('a.table_name = ?', req.query.table);
+        if (req.query.record_id) addCondition('a.record_id = ?', req.query.record_id);
+        if (req.query.user_id) addCondition('a.user_id = ?', req.query.user_id);
+        if (req.query.action) addCondition('a.action = ?', req.query.action);
+        if (req.query.from) addCondition('a.timestamp >= ?', req.query.from);
+        // A bare date for "to" includes the whole day
+        if (req.query.to) {
+            addCondition(/^\d{4}-\d{2}-\d{2}$/.test(req.query.to) ? "a.timestamp < ?::date + INTERVAL '1 day'" : 'a.timestamp <= ?', req.query.to);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const limit = req.query.limit || 50;
+        const offset = req.query.offset || 0;
+
+        const [countResult, entriesResult] = await Promise.all([
+            pool.query(`SELECT COUNT(*)::int AS total FROM audit_log a ${where}`, params),
+            pool.query(`
+                SELECT a.id, a.table_name, a.record_id, a.action, a.old_values, a.new_values,
+                       a.user_id, u.username, a.timestamp
+                FROM audit_log a
+                LEFT JOIN admin_users u ON u.id = a.user_id
+                ${where}
+                ORDER BY a.timestamp DESC, a.id DESC
+                LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+            `, [...params, limit, offset])
+        ]);
+
+        res.json({
+            total: countResult.rows[0].total,
+            limit,
+            offset,
+            entries: entriesResult.rows.map(entry => ({
+                ...entry,
+                revertible: REVERTIBLE_TABLES.has(entry.table_name)
+            }))
         });
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({ error: 'Failed to fetch audit log', details: error.message });
     }
 });
 
-// Data import trigger (placeholder for actual import)
-app.post('/api/admin/import-data', adminLimiter, authenticateToken, async (req, res) => {
+// SQL expression that turns an audited JSON value back into a column value. Geometries are
+// stored as GeoJSON by PostGIS 3 and as hex EWKB by older versions.
+const restoreValueExpression = (column, value, placeholder) => {
+    if (value === null) {
+        return { sql: placeholder, value };
+    }
+    if (column.udt_name === 'geometry') {
+        return typeof value === 'string'
+            ? { sql: `${placeholder}::geometry`, value }
+            : { sql: `ST_SetSRID(ST_GeomFromGeoJSON(${placeholder}), 4326)`, value: JSON.stringify(value) };
+    }
+    if (column.udt_name === 'json' || column.udt_name === 'jsonb') {
+        return { sql: `${placeholder}::${column.udt_name}`, value: JSON.stringify(value) };
+    }
+    return { sql: placeholder, value };
+};
+
+// Restore a record to the state captured by an audit entry: the row after an INSERT/UPDATE,
+// or the row as it was before a DELETE. Deleted records are re-created with their old id.
+app.post('/api/admin/audit-log/:id/revert', adminLimiter, authenticateToken, requirePermission('layers:write'), [
+    param('id').isInt({ min: 1 }).withMessage('Invalid audit entry id').toInt()
+], async (req, res) => {
     try {
-        res.json({ 
-            message: 'Data import functionality available via server-side scripts',
-            status: 'info',
-            timestamp: new Date().toISOString(),
-            note: 'Use `npm run import` on server to import data from files'
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const entryResult = await pool.query(
+            'SELECT id, table_name, record_id, action, old_values, new_values FROM audit_log WHERE id = $1',
+            [req.params.id]
+        );
+        if (entryResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Audit entry not found' });
+        }
+
+        const entry = entryResult.rows[0];
+        if (!REVERTIBLE_TABLES.has(entry.table_name)) {
+            return res.status(400).json({ error: `Records in ${entry.table_name} cannot be restored` });
+        }
+
+        const snapshot = entry.action === 'DELETE' ? entry.old_values : entry.new_values;
+        if (!snapshot) {
+            return res.status(400).json({ error: 'Audit entry has no snapshot to restore' });
+        }
+
+        const columnsResult = await pool.query(`
+            SELECT column_name, udt_name FROM information_schema.columns
+            WHERE table_schema = current_schema() AND table_name = $1
+        `, [entry.table_name]);
+        const tableColumns = new Map(columnsResult.rows.map(column => [column.column_name, column]));
+
+        const restoreColumns = Object.keys(snapshot)
+            .filter(name => tableColumns.has(name) && !NON_RESTORABLE_COLUMNS.has(name));
+
+        const restored = await withTransaction(async (client) => {
+            const existing = await client.query(
+                `SELECT id FROM ${entry.table_name} WHERE id = $1 FOR UPDATE`,
+                [entry.record_id]
+            );
+
+            const values = [entry.record_id];
+            const expressions = restoreColumns.map(name => {
+                const expression = restoreValueExpression(tableColumns.get(name), snapshot[name], `$${values.length + 1}`);
+                values.push(expression.value);
+                return expression.sql;
+            });
+
+            if (existing.rows.length > 0) {
+                const assignments = restoreColumns.map((name, i) => `${name} = ${expressions[i]}`);
+                if (tableColumns.has('updated_at')) assignments.push('updated_at = CURRENT_TIMESTAMP');
+                await client.query(
+                    `UPDATE ${entry.table_name} SET ${assignments.join(', ')} WHERE id = $1`,
+                    values
+                );
+                return 'updated';
+            }
+
+            await client.query(
+                `INSERT INTO ${entry.table_name} (id, ${restoreColumns.join(', ')}) VALUES ($1, ${expressions.join(', ')})`,
+                values
+            );
+            return 'recreated';
+        }, req.user.id);
+
+        res.json({
+            message: `Record ${restored}`,
+            table: entry.table_name,
+            record_id: entry.record_id,
+            restored_from: entry.id
         });
     } catch (error) {
-        console.error('Import endpoint error:', error);
-        res.status(500).json({ error: 'Import endpoint error' });
+        console.error('Error reverting audit entry:', error);
+        res.status(500).json({ error: 'Failed to restore record', details: error.message });
     }
 });
 
@@ -764,6 +4624,11 @@ app.get('*', (req, res) => {
 
 // Enhanced global error handler
 app.use((error, req, res, next) => {
+    // Oversized or malformed uploads are the client's problem, not a server fault
+    if (error instanceof multer.MulterError) {
+        return res.status(400).json({ error: 'Upload rejected', details: error.message });
+    }
+
     console.error('Unhandled error:', {
         error: error.message,
         stack: isProduction ? undefined : error.stack,
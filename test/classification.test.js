@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    NO_DATA_COLOR,
+    PALETTES,
+    DEFAULT_SCHEME,
+    MIN_CLASSES,
+    MAX_CLASSES,
+    validateScheme,
+    divergingScheme,
+    classify,
+    classColor,
+    classColorSql
+} = require('../lib/classification');
+
+const ATTRIBUTES = ['index_value', 'left_green_combined'];
+const scheme = (fields) => ({ attribute: 'index_value', palette: 'Blues', ...fields });
+
+test('every palette is a nine-class ramp of hex colours', () => {
+    for (const [name, palette] of Object.entries(PALETTES)) {
+        assert.equal(palette.colors.length, MAX_CLASSES, name);
+        assert.ok(palette.colors.every(color => /^#[0-9a-f]{6}$/i.test(color)), name);
+        assert.ok(palette.label, name);
+    }
+});
+
+test('the default scheme is valid', () => {
+    assert.deepEqual(validateScheme(DEFAULT_SCHEME, ATTRIBUTES), []);
+});
+
+test('validates attribute, method, palette, classes and breaks', () => {
+    assert.deepEqual(validateScheme({ attribute: 'x', method: 'kmeans', palette: 'Pinks', classes: 5 }, ATTRIBUTES), [
+        'attribute must be one of: index_value, left_green_combined',
+        'method must be one of: equal_interval, quantile, jenks, manual',
+        `palette must be one of: ${Object.keys(PALETTES).join(', ')}`
+    ]);
+    assert.equal(validateScheme(scheme({ method: 'jenks', classes: MAX_CLASSES + 1 }), ATTRIBUTES).length, 1);
+    assert.equal(validateScheme(scheme({ method: 'quantile', classes: 2.5 }), ATTRIBUTES).length, 1);
+    assert.equal(validateScheme(scheme({ method: 'manual', breaks: [10, 5] }), ATTRIBUTES).length, 1);
+    assert.equal(validateScheme(scheme({ method: 'manual', breaks: [] }), ATTRIBUTES).length, 1);
+    assert.deepEqual(validateScheme(scheme({ method: 'manual', breaks: [5] }), ATTRIBUTES), []);
+    assert.deepEqual(validateScheme(scheme({ method: 'equal_interval', classes: MIN_CLASSES }), ATTRIBUTES), []);
+});
+
+test('equal interval splits the range evenly', () => {
+    const result = classify([0, 10, 20, 30, 40, 100], scheme({ method: 'equal_interval', classes: 4 }));
+    assert.deepEqual(result.breaks, [25, 50, 75]);
+    assert.deepEqual(result.legend.map(entry => entry.count), [3, 2, 0, 1]);
+    assert.equal(result.min, 0);
+    assert.equal(result.max, 100);
+});
+
+test('quantile puts the same number of values in each class', () => {
+    const values = Array.from({ length: 12 }, (_, i) => i + 1);
+    const result = classify(values, scheme({ method: 'quantile', classes: 4 }));
+    assert.deepEqual(result.breaks, [4, 7, 10]);
+    assert.deepEqual(result.legend.map(entry => entry.count), [3, 3, 3, 3]);
+});
+
+test('jenks finds the natural groups', () => {
+    const values = [1, 2, 3, 4, 20, 21, 22, 23, 60, 61, 62];
+    const result = classify(values, scheme({ method: 'jenks', classes: 3 }));
+    assert.deepEqual(result.breaks, [20, 60]);
+    assert.deepEqual(result.legend.map(entry => entry.count), [4, 4, 3]);
+});
+
+test('jenks separates groups of different sizes', () => {
+    const values = [4, 5, 9, 10, 11, 12, 13, 14, 40, 42, 45, 48, 50];
+    const result = classify(values, scheme({ method: 'jenks', classes: 3 }));
+    assert.deepEqual(result.breaks, [9, 40]);
+});
+
+test('data-driven methods return fewer classes when values repeat', () => {
+    const result = classify([5, 5, 5, 5, 8], scheme({ method: 'quantile', classes: 5 }));
+    assert.deepEqual(result.breaks, [8]);
+    assert.equal(result.colors.length, 2);
+});
+
+test('nulls are no data and stay out of the classes', () => {
+    const result = classify([null, 3, undefined, NaN, 7], scheme({ method: 'manual', breaks: [5] }));
+    assert.deepEqual(result.legend.map(entry => entry.count), [1, 1]);
+    assert.equal(classColor(null, result), NO_DATA_COLOR);
+    assert.equal(classColor('abc', result), NO_DATA_COLOR);
+});
+
+test('no values still give a legend', () => {
+    const result = classify([], scheme({ method: 'jenks', classes: 5 }));
+    assert.deepEqual(result.breaks, []);
+    assert.deepEqual(result.legend.map(entry => entry.label), ['All values']);
+    assert.equal(result.min, null);
+});
+
+test('colours spread over the palette and follow the breaks', () => {
+    const result = classify([1, 6, 12], scheme({ method: 'manual', breaks: [5, 10] }));
+    const { colors } = PALETTES.Blues;
+    assert.deepEqual(result.colors, [colors[0], colors[4], colors[8]]);
+    assert.equal(classColor(4.99, result), colors[0]);
+    assert.equal(classColor(5, result), colors[4]);
+    assert.equal(classColor(10, result), colors[8]);
+    assert.deepEqual(result.legend.map(entry => entry.label), ['< 5', '5 – 10', '≥ 10']);
+});
+
+test('the SQL colour lookup matches classColor', () => {
+    const result = classify([], scheme({ method: 'manual', breaks: [5, 10] }));
+    const { colors } = PALETTES.Blues;
+    assert.equal(classColorSql('vd.x', result),
+        `CASE WHEN vd.x IS NULL THEN '${NO_DATA_COLOR}' WHEN vd.x >= 10 THEN '${colors[8]}' WHEN vd.x >= 5 THEN '${colors[4]}' ELSE '${colors[0]}' END`);
+});
+
+test('a diverging scheme centres its middle class on 0', () => {
+    const diverging = divergingScheme('swing', 9);
+    assert.deepEqual(validateScheme(diverging, ['swing']), []);
+    assert.deepEqual(diverging.breaks, [-7, -5, -3, -1, 1, 3, 5, 7]);
+    const result = classify([-9, 0, 9], diverging);
+    assert.equal(classColor(0, result), PALETTES.RdBu.colors[4]);
+    assert.equal(classColor(-9, result), PALETTES.RdBu.colors[0]);
+    assert.equal(classColor(9, result), PALETTES.RdBu.colors[8]);
+});
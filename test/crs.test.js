@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CRS_DEFINITIONS, WGS84, resolveCrsCode, crsFromWkt, toWgs84 } = require('../lib/crs');
+
+// .prj files as ArcGIS (ESRI WKT), GDAL (OGC WKT) and PROJ (WKT2) write them
+const ESRI_GK_CENTRAL = 'PROJCS["MGI_Austria_GK_Central",GEOGCS["GCS_MGI",DATUM["D_MGI",SPHEROID["Bessel_1841",6377397.155,299.1528128]],'
+    + 'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]],PROJECTION["Transverse_Mercator"],PARAMETER["False_Easting",0.0],'
+    + 'PARAMETER["False_Northing",-5000000.0],PARAMETER["Central_Meridian",13.33333333333333],PARAMETER["Scale_Factor",1.0],'
+    + 'PARAMETER["Latitude_Of_Origin",0.0],UNIT["Meter",1.0]]';
+const OGC_LAMBERT = 'PROJCS["MGI / Austria Lambert",GEOGCS["MGI",DATUM["Militar_Geographische_Institute",'
+    + 'SPHEROID["Bessel 1841",6377397.155,299.1528128,AUTHORITY["EPSG","7004"]],AUTHORITY["EPSG","6312"]],'
+    + 'PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],UNIT["degree",0.0174532925199433],AUTHORITY["EPSG","4312"]],'
+    + 'PROJECTION["Lambert_Conformal_Conic_2SP"],UNIT["metre",1,AUTHORITY["EPSG","9001"]],AUTHORITY["EPSG","31287"]]';
+const WKT2_GK_EAST = 'PROJCRS["MGI / Austria GK East",BASEGEOGCRS["MGI",DATUM["Militar-Geographische Institut",'
+    + 'ELLIPSOID["Bessel 1841",6377397.155,299.1528128]],ID["EPSG",4312]],CONVERSION["Austria Gauss-Kruger East",'
+    + 'METHOD["Transverse Mercator",ID["EPSG",9807]]],CS[Cartesian,2],LENGTHUNIT["metre",1],ID["EPSG",31256]]';
+const ESRI_FERRO_WEST = 'PROJCS["MGI_Ferro_Austria_GK_West",GEOGCS["GCS_MGI_Ferro",DATUM["D_MGI",'
+    + 'SPHEROID["Bessel_1841",6377397.155,299.1528128]],PRIMEM["Ferro",-17.66666666666667],UNIT["Degree",0.0174532925199433]],'
+    + 'PROJECTION["Transverse_Mercator"],PARAMETER["Central_Meridian",28.0],UNIT["Meter",1.0]]';
+
+const assertNear = (actual, expected, tolerance = 1e-6) => {
+    actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < tolerance, `${actual} is not ${expected}`));
+};
+
+test('reads the CRS of ESRI .prj files by name', () => {
+    assert.equal(crsFromWkt(ESRI_GK_CENTRAL), 'EPSG:31255');
+    assert.equal(crsFromWkt(ESRI_FERRO_WEST), 'EPSG:31251');
+    assert.equal(crsFromWkt('GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984"]]'), WGS84);
+    assert.equal(crsFromWkt('PROJCS["ETRS_1989_UTM_Zone_33N",GEOGCS["GCS_ETRS_1989"]]'), 'EPSG:25833');
+});
+
+test('prefers the root authority of OGC WKT', () => {
+    assert.equal(crsFromWkt(OGC_LAMBERT), 'EPSG:31287');
+    assert.equal(crsFromWkt(`  ${OGC_LAMBERT}\n`), 'EPSG:31287');
+});
+
+test('reads the root ID of WKT2', () => {
+    assert.equal(crsFromWkt(WKT2_GK_EAST), 'EPSG:31256');
+    assert.equal(crsFromWkt('PROJCRS["unnamed",ID["EPSG",31282,"9.8"]]'), 'EPSG:31282');
+});
+
+test('refuses empty and unknown .prj files', () => {
+    assert.throws(() => crsFromWkt(''), /empty/);
+    assert.throws(() => crsFromWkt('PROJCS["Lisbon_Hayford_Gauss_IGeoE"]'), /Unknown coordinate reference system "Lisbon_Hayford_Gauss_IGeoE"/);
+    assert.throws(() => crsFromWkt('PROJCS["x",AUTHORITY["EPSG","2154"]]'), /Unknown coordinate reference system "x"/);
+});
+
+test('resolves the ways a code is written', () => {
+    assert.equal(resolveCrsCode('EPSG:31255'), 'EPSG:31255');
+    assert.equal(resolveCrsCode('epsg:31255'), 'EPSG:31255');
+    assert.equal(resolveCrsCode(31255), 'EPSG:31255');
+    assert.equal(resolveCrsCode('urn:ogc:def:crs:EPSG::31255'), 'EPSG:31255');
+    assert.equal(resolveCrsCode('urn:ogc:def:crs:OGC:1.3:CRS84'), WGS84);
+    assert.equal(resolveCrsCode('EPSG:2154'), null);
+    assert.equal(resolveCrsCode(''), null);
+});
+
+test('every definition has a name and its aliases are unique', () => {
+    const aliases = Object.values(CRS_DEFINITIONS).flatMap(definition => definition.aliases);
+    assert.equal(new Set(aliases).size, aliases.length);
+    Object.entries(CRS_DEFINITIONS).forEach(([code, definition]) => assert.ok(definition.name, code));
+});
+
+test('projects Austrian grid coordinates to WGS84', () => {
+    // A point in Vienna, in the east zone
+    const vienna = toWgs84('EPSG:31256', [2800, 340000]);
+    assertNear(vienna, [16.3698, 48.1984], 1e-3);
+    assertNear(toWgs84('EPSG:31259', [752800, 340000]), vienna);
+    assertNear(toWgs84('EPSG:31286', [752800, 5340000]), vienna);
+    assert.deepEqual(toWgs84(WGS84, [16.37, 48.2]), [16.37, 48.2]);
+});
+
+test('Ferro zones count from the Ferro meridian', () => {
+    assertNear(toWgs84('EPSG:31251', [0, 250000]), toWgs84('EPSG:31254', [0, 250000]));
+    assertNear(toWgs84('EPSG:31252', [0, 250000]), toWgs84('EPSG:31255', [0, 250000]));
+    assertNear(toWgs84('EPSG:31253', [2800, 340000]), toWgs84('EPSG:31256', [2800, 340000]));
+    assertNear(toWgs84('EPSG:31283', [2800, 5340000]), toWgs84('EPSG:31256', [2800, 340000]));
+});
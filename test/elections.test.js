@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { communeSummary } = require('../lib/elections');
+
+// One party's rows from /api/elections/nrw-2024/communes?compare=nrw-2019: percent against the
+// 2024 valid votes, compare_percent from 2019 and swing = percent - compare_percent
+const compared = [
+    { gkz: 10101, valid_votes: 8000, votes: 2000, percent: 25, compare_percent: 20.5, swing: 4.5 },
+    { gkz: 10102, valid_votes: 2000, votes: 300, percent: 15, compare_percent: 18.25, swing: -3.25 },
+    { gkz: 10103, valid_votes: 1000, votes: 100, percent: 10, compare_percent: 10, swing: 0 },
+    { gkz: 10104, valid_votes: 500, votes: null, percent: null, compare_percent: 12, swing: null },
+    { gkz: 10105, valid_votes: 500, votes: 50, percent: 10, compare_percent: null, swing: null }
+];
+
+test('sums votes and the share of valid votes over all communes', () => {
+    const summary = communeSummary(compared);
+    assert.equal(summary.communes, 5);
+    assert.equal(summary.votes, 2450);
+    assert.equal(summary.percent, 20.42);
+});
+
+test('takes the swing range from communes the party contested in both elections', () => {
+    const summary = communeSummary(compared);
+    assert.equal(summary.min_swing, -3.25);
+    assert.equal(summary.max_swing, 4.5);
+});
+
+test('reports no swing without a comparison election', () => {
+    const summary = communeSummary(compared.map(row => ({ ...row, compare_percent: null, swing: null })));
+    assert.equal(summary.min_swing, null);
+    assert.equal(summary.max_swing, null);
+});
+
+test('folds large inputs without spreading them into arguments', () => {
+    const rows = Array.from({ length: 300000 }, (_, i) => ({ valid_votes: 10, votes: 1, swing: (i % 2001) - 1000 }));
+    const summary = communeSummary(rows);
+    assert.equal(summary.min_swing, -1000);
+    assert.equal(summary.max_swing, 1000);
+    assert.equal(summary.percent, 10);
+});
+
+test('an empty election has no share', () => {
+    assert.deepEqual(communeSummary([]), { communes: 0, votes: 0, percent: null, min_swing: null, max_swing: null });
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateManifest, loadManifest, mapColumns, matchesWhere } = require('../lib/import-manifest');
+
+const options = { targets: ['co2_sources', 'landfills', 'election_results'], transforms: ['prominence'] };
+
+const co2Sources = {
+    name: 'co2-sources',
+    target: 'co2_sources',
+    path: 'data/CO2 sources.xlsx',
+    coordinates: { x: 'Longitude', y: 'Latitude' },
+    key: 'plant_name',
+    columns: {
+        plant_name: 'Name',
+        total_co2_t: { column: 'Total CO2', type: 'number', default: 0 }
+    }
+};
+
+test('accepts a valid manifest', () => {
+    assert.deepEqual(validateManifest({ datasets: [co2Sources] }, options), []);
+});
+
+test('the shipped manifest is valid for the importer', () => {
+    const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'import-manifest.json'), 'utf8'));
+    const targets = [...new Set(manifest.datasets.map(dataset => dataset.target))];
+    const transforms = [...new Set(manifest.datasets.flatMap(dataset => (dataset.transforms || []).map(t => t.type)))];
+    assert.deepEqual(validateManifest(manifest, { targets, transforms }), []);
+});
+
+test('requires a non-empty dataset list', () => {
+    assert.deepEqual(validateManifest({}, options), ['datasets must be a non-empty list']);
+    assert.deepEqual(validateManifest({ areaOfInterest: {}, datasets: [] }, options),
+        ['areaOfInterest needs a path', 'datasets must be a non-empty list']);
+});
+
+test('names every problem with its dataset', () => {
+    const problems = validateManifest({
+        datasets: [
+            co2Sources,
+            { ...co2Sources, target: 'nowhere', crs: 'EPSG:9999', coordinates: undefined, format: 'dbf' },
+            { target: 'landfills', path: 'a.geojson', columns: { name: { column: 'n', value: 'x' } }, key: 'id' }
+        ]
+    }, options);
+    assert.deepEqual(problems, [
+        'dataset co2-sources: name is used twice',
+        'dataset co2-sources: target must be one of co2_sources, landfills, election_results',
+        'dataset co2-sources: format must be one of csv, xlsx, shapefile, geojson',
+        'dataset co2-sources: unsupported crs EPSG:9999',
+        'dataset #3: name must be letters, digits, "-" or "_"',
+        'dataset #3: column name needs exactly one of column, columns or value',
+        'dataset #3: key id is not one of the columns'
+    ]);
+});
+
+test('tabular datasets need coordinate columns', () => {
+    const problems = validateManifest({ datasets: [{ ...co2Sources, coordinates: { x: 'Longitude' } }] }, options);
+    assert.deepEqual(problems, ['dataset co2-sources: coordinates.x and coordinates.y are required for CSV and XLSX']);
+});
+
+test('checks column types, limits, simplification and transforms', () => {
+    const problems = validateManifest({
+        datasets: [{
+            ...co2Sources,
+            columns: { ...co2Sources.columns, capacity: { column: 'Capacity', type: 'float' }, kinds: { columns: [] } },
+            geometry: 'line',
+            simplify: { maxVertices: 100 },
+            filters: { limit: { development: 0 } },
+            transforms: [{ type: 'rescale' }]
+        }]
+    }, options);
+    assert.deepEqual(problems, [
+        'dataset co2-sources: column capacity: type must be one of string, number, integer, boolean',
+        'dataset co2-sources: column kinds: columns must be a non-empty list',
+        'dataset co2-sources: geometry can only be "point"',
+        'dataset co2-sources: simplify needs a positive maxVertices and tolerance',
+        'dataset co2-sources: filters.limit values must be positive whole numbers',
+        'dataset co2-sources: transform type must be one of prominence'
+    ]);
+});
+
+test('election datasets need their election and a CSV', () => {
+    const problems = validateManifest({
+        datasets: [{ name: 'nrw', target: 'election_results', path: 'votes.xlsx', election: { code: 'nrw', name: 'NRW' } }]
+    }, options);
+    assert.deepEqual(problems, [
+        'dataset nrw: election.type is required',
+        'dataset nrw: election.date is required',
+        'dataset nrw: election results are read from CSV'
+    ]);
+});
+
+test('loadManifest resolves paths and defaults, and throws every problem at once', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-'));
+    try {
+        const manifestPath = path.join(dir, 'import-manifest.json');
+        fs.writeFileSync(manifestPath, JSON.stringify({ datasets: [co2Sources] }));
+        const [dataset] = loadManifest(manifestPath, options).datasets;
+        assert.equal(dataset.format, 'xlsx');
+        assert.deepEqual(dataset.path, [path.join(dir, 'data', 'CO2 sources.xlsx')]);
+        assert.deepEqual(dataset.key, ['plant_name']);
+        assert.deepEqual(dataset.filters, { areaOfInterest: true });
+
+        fs.writeFileSync(manifestPath, JSON.stringify({ datasets: [{ ...co2Sources, target: 'nowhere', crs: 'x' }] }));
+        assert.throws(() => loadManifest(manifestPath, options), /target must be one of[\s\S]*unsupported crs x/);
+
+        fs.writeFileSync(manifestPath, '{');
+        assert.throws(() => loadManifest(manifestPath, options), /Could not read import manifest/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('maps and coerces row values', () => {
+    const row = { Name: 'Plant', 'Total CO2': '1234,5', Flag: 'ja', Old: '', New: '7.9' };
+    assert.deepEqual(mapColumns({
+        plant_name: 'Name',
+        total_co2_t: { column: 'Total CO2', type: 'number' },
+        is_prominent: { column: 'Flag', type: 'boolean' },
+        capacity: { columns: ['Old', 'New'], type: 'integer' },
+        comment: { column: 'Missing', default: 'none' },
+        source: { value: 'manual' }
+    }, row), {
+        plant_name: 'Plant',
+        total_co2_t: 1234.5,
+        is_prominent: true,
+        capacity: 7,
+        comment: 'none',
+        source: 'manual'
+    });
+});
+
+test('filters rows by column values', () => {
+    assert.equal(matchesWhere({ type: ['Landfill', 'Dump'] }, { type: 'Dump' }), true);
+    assert.equal(matchesWhere({ state: 4 }, { state: '4' }), true);
+    assert.equal(matchesWhere({ state: 4 }, {}), false);
+    assert.equal(matchesWhere(undefined, { state: 4 }), true);
+});